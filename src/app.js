@@ -24,8 +24,16 @@ if (config.env !== 'test') {
 // set security HTTP headers
 app.use(helmet());
 
-// parse json request body
-app.use(express.json());
+// parse json request body (raw bytes are kept for webhook signature verification)
+// the limit leaves room for a base64 delivery photo and signature (+33% each)
+app.use(
+  express.json({
+    limit: `${config.proofOfDelivery.maxImageKb * 3}kb`,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // parse urlencoded request body
 app.use(express.urlencoded({ extended: true }));
@@ -23,6 +23,140 @@ const envVarsSchema = Joi.object()
     SMTP_USERNAME: Joi.string().description('username for email server'),
     SMTP_PASSWORD: Joi.string().description('password for email server'),
     EMAIL_FROM: Joi.string().description('the from field in the emails sent by the app'),
+    DISABLED_MODULES: Joi.string()
+      .allow('')
+      .default('')
+      .description('comma-separated list of route modules to disable (e.g. "reviews,feedbacks")'),
+    PAYMENT_CARD_PROVIDER: Joi.string().valid('mock').default('mock').description('provider used for credit_card payments'),
+    PAYMENT_PAYPAL_PROVIDER: Joi.string().valid('mock').default('mock').description('provider used for paypal payments'),
+    PAYMENT_WEBHOOK_SECRET: Joi.string().description('secret used to verify payment provider webhook signatures'),
+    PAYMENT_CURRENCY: Joi.string().default('EUR').description('currency sent to payment providers'),
+    PLATFORM_COMMISSION_RATE: Joi.number()
+      .min(0)
+      .max(100)
+      .default(10)
+      .description('default platform commission in percent, overridable per merchant (customSettings.commissionRate)'),
+    DELIVERY_FEE: Joi.number()
+      .min(0)
+      .default(0)
+      .description(
+        'delivery fee charged to the merchant per delivered order, overridable per merchant (customSettings.deliveryFee)'
+      ),
+    PAYOUT_INTERVAL_MINUTES: Joi.number().min(0).default(1440).description('minutes between payout batches (0 disables)'),
+    PAYOUT_MINIMUM_AMOUNT: Joi.number().min(0).default(10).description('minimum balance settled by a payout'),
+    COURIER_BASE_FEE: Joi.number().min(0).default(2.5).description('fixed courier pay per delivery'),
+    COURIER_PER_KM_RATE: Joi.number().min(0).default(0.8).description('courier pay per delivered kilometre'),
+    COURIER_WAIT_GRACE_MINUTES: Joi.number().min(0).default(5).description('store wait time not compensated'),
+    COURIER_WAIT_RATE_PER_MINUTE: Joi.number()
+      .min(0)
+      .default(0.15)
+      .description('courier pay per minute waited beyond grace'),
+    COURIER_PEAK_BONUS: Joi.number().min(0).default(1.5).description('bonus for deliveries completed during peak hours'),
+    COURIER_PEAK_HOURS: Joi.string()
+      .allow('')
+      .custom((value, helpers) =>
+        value.split(',').every((range) => /^\d{1,2}-\d{1,2}$/.test(range)) ? value : helpers.error('any.invalid')
+      )
+      .default('11-14,19-22')
+      .description('peak hour ranges, start inclusive and end exclusive (e.g. "11-14,19-22")'),
+    COURIER_PAY_TIMEZONE: Joi.string().default('Europe/Paris').description('time zone used to evaluate peak hours'),
+    DISPATCH_OFFER_TIMEOUT_SECONDS: Joi.number().min(1).default(45).description('seconds a livreur has to accept an offer'),
+    DISPATCH_MAX_DISTANCE_KM: Joi.number()
+      .min(0)
+      .default(8)
+      .description('maximum distance between a livreur and the pickup'),
+    DISPATCH_MAX_ACTIVE_DELIVERIES: Joi.number()
+      .integer()
+      .min(1)
+      .default(2)
+      .description('livreurs with this many deliveries in progress are not offered new ones'),
+    DISPATCH_REOFFER_COOLDOWN_SECONDS: Joi.number()
+      .min(0)
+      .default(300)
+      .description('seconds before a delivery declined or left unanswered by a livreur can be offered to them again'),
+    DISPATCH_SWEEP_INTERVAL_SECONDS: Joi.number()
+      .min(0)
+      .default(15)
+      .description('seconds between sweeps of expired offers and unassigned deliveries (0 disables)'),
+    ETA_SPEED_KMH: Joi.number().positive().default(18).description('average livreur speed outside peak hours'),
+    ETA_PEAK_SPEED_KMH: Joi.number().positive().default(12).description('average livreur speed during peak hours'),
+    ETA_PREPARATION_MINUTES: Joi.number()
+      .min(0)
+      .default(15)
+      .description('default preparation time, overridable per merchant (customSettings.preparationMinutes)'),
+    ETA_ASSIGNMENT_MINUTES: Joi.number()
+      .min(0)
+      .default(8)
+      .description('allowance for finding a livreur and reaching the pickup while none is assigned'),
+    ETA_DEFAULT_DROPOFF_KM: Joi.number()
+      .min(0)
+      .default(3)
+      .description('pickup to drop-off distance assumed when the address is not geolocated'),
+    ETA_REFERENCE_DELIVERY_MINUTES: Joi.number()
+      .positive()
+      .default(30)
+      .description('delivery time against which a livreur history is compared'),
+    ETA_HISTORY_WEIGHT: Joi.number().min(0).max(1).default(0.3).description('weight of the livreur history in travel times'),
+    PICKUP_ARRIVAL_METERS: Joi.number()
+      .min(0)
+      .default(100)
+      .description('distance to the store under which a livreur is considered arrived (starts the wait time)'),
+    POD_PIN_REQUIRED: Joi.boolean().default(true).description('require the client PIN to mark a delivery as delivered'),
+    POD_PIN_MAX_ATTEMPTS: Joi.number()
+      .integer()
+      .min(1)
+      .default(5)
+      .description('wrong PIN entries after which the delivery must be closed by support'),
+    POD_PHOTO_REQUIRED: Joi.boolean().default(false).description('require a photo to mark a delivery as delivered'),
+    POD_SIGNATURE_REQUIRED: Joi.boolean().default(false).description('require a signature to mark a delivery as delivered'),
+    POD_GEOFENCE_METERS: Joi.number()
+      .min(0)
+      .default(150)
+      .description('maximum distance between the livreur and the drop-off address (0 disables)'),
+    POD_MAX_IMAGE_KB: Joi.number().min(1).default(1024).description('maximum size of a delivery photo or signature'),
+    SCHEDULED_ORDERS_MAX_DAYS_AHEAD: Joi.number()
+      .integer()
+      .min(0)
+      .max(14)
+      .default(7)
+      .description('how many days ahead a client can book a delivery slot (0 disables scheduled orders)'),
+    SCHEDULED_ORDERS_SLOT_MINUTES: Joi.number().integer().min(5).default(30).description('length of a delivery slot'),
+    SCHEDULED_ORDERS_SLOT_CAPACITY: Joi.number()
+      .integer()
+      .min(1)
+      .default(5)
+      .description('scheduled orders a merchant accepts per slot, unless the merchant sets its own capacity'),
+    SCHEDULED_ORDERS_RELEASE_LEAD_MINUTES: Joi.number()
+      .integer()
+      .min(0)
+      .default(60)
+      .description('minutes before the slot at which a scheduled order is released to the merchant'),
+    SCHEDULED_ORDERS_SWEEP_INTERVAL_SECONDS: Joi.number()
+      .min(0)
+      .default(60)
+      .description('seconds between scheduled order releases (0 disables the job)'),
+    STOCK_RESERVATION_TTL_MINUTES: Joi.number()
+      .integer()
+      .min(1)
+      .default(15)
+      .description('minutes a checkout (or cart) holds its stock while waiting for payment'),
+    STOCK_RESERVATION_ON_ADD_TO_CART: Joi.boolean()
+      .default(false)
+      .description('hold stock as soon as an item is added to the cart, not only at checkout'),
+    STOCK_RESERVATION_SWEEP_INTERVAL_SECONDS: Joi.number()
+      .min(0)
+      .default(60)
+      .description('seconds between expired stock reservation sweeps (0 disables the job)'),
+    CATALOGUE_IMPORT_MAX_ROWS: Joi.number().integer().min(1).default(5000).description('maximum rows per catalogue import'),
+    CATALOGUE_IMPORT_MAX_KB: Joi.number()
+      .integer()
+      .min(1)
+      .default(5120)
+      .description('maximum size of a catalogue import body'),
+    REALTIME_HEARTBEAT_SECONDS: Joi.number()
+      .min(1)
+      .default(25)
+      .description('seconds between keep-alive comments on real-time event streams'),
   })
   .unknown();
 
@@ -61,4 +195,83 @@ module.exports = {
     },
     from: envVars.EMAIL_FROM,
   },
+  payment: {
+    providers: {
+      credit_card: envVars.PAYMENT_CARD_PROVIDER,
+      paypal: envVars.PAYMENT_PAYPAL_PROVIDER,
+      cash: 'cash',
+    },
+    webhookSecret: envVars.PAYMENT_WEBHOOK_SECRET,
+    currency: envVars.PAYMENT_CURRENCY,
+  },
+  ledger: {
+    commissionRate: envVars.PLATFORM_COMMISSION_RATE,
+    deliveryFee: envVars.DELIVERY_FEE,
+  },
+  payouts: {
+    intervalMinutes: envVars.PAYOUT_INTERVAL_MINUTES,
+    minimumAmount: envVars.PAYOUT_MINIMUM_AMOUNT,
+  },
+  courierPay: {
+    baseFee: envVars.COURIER_BASE_FEE,
+    perKmRate: envVars.COURIER_PER_KM_RATE,
+    waitGraceMinutes: envVars.COURIER_WAIT_GRACE_MINUTES,
+    waitRatePerMinute: envVars.COURIER_WAIT_RATE_PER_MINUTE,
+    peakBonus: envVars.COURIER_PEAK_BONUS,
+    peakHours: envVars.COURIER_PEAK_HOURS.split(',')
+      .filter(Boolean)
+      .map((range) => range.split('-').map(Number)),
+    timezone: envVars.COURIER_PAY_TIMEZONE,
+  },
+  dispatch: {
+    offerTimeoutSeconds: envVars.DISPATCH_OFFER_TIMEOUT_SECONDS,
+    maxDistanceKm: envVars.DISPATCH_MAX_DISTANCE_KM,
+    maxActiveDeliveries: envVars.DISPATCH_MAX_ACTIVE_DELIVERIES,
+    reofferCooldownSeconds: envVars.DISPATCH_REOFFER_COOLDOWN_SECONDS,
+    sweepIntervalSeconds: envVars.DISPATCH_SWEEP_INTERVAL_SECONDS,
+  },
+  eta: {
+    speedKmh: envVars.ETA_SPEED_KMH,
+    peakSpeedKmh: envVars.ETA_PEAK_SPEED_KMH,
+    preparationMinutes: envVars.ETA_PREPARATION_MINUTES,
+    assignmentMinutes: envVars.ETA_ASSIGNMENT_MINUTES,
+    defaultDropoffKm: envVars.ETA_DEFAULT_DROPOFF_KM,
+    referenceDeliveryMinutes: envVars.ETA_REFERENCE_DELIVERY_MINUTES,
+    historyWeight: envVars.ETA_HISTORY_WEIGHT,
+  },
+  pickup: {
+    arrivalMeters: envVars.PICKUP_ARRIVAL_METERS,
+  },
+  scheduledOrders: {
+    maxDaysAhead: envVars.SCHEDULED_ORDERS_MAX_DAYS_AHEAD,
+    slotMinutes: envVars.SCHEDULED_ORDERS_SLOT_MINUTES,
+    slotCapacity: envVars.SCHEDULED_ORDERS_SLOT_CAPACITY,
+    releaseLeadMinutes: envVars.SCHEDULED_ORDERS_RELEASE_LEAD_MINUTES,
+    sweepIntervalSeconds: envVars.SCHEDULED_ORDERS_SWEEP_INTERVAL_SECONDS,
+  },
+  stockReservations: {
+    ttlMinutes: envVars.STOCK_RESERVATION_TTL_MINUTES,
+    reserveOnAddToCart: envVars.STOCK_RESERVATION_ON_ADD_TO_CART,
+    sweepIntervalSeconds: envVars.STOCK_RESERVATION_SWEEP_INTERVAL_SECONDS,
+  },
+  catalogueImport: {
+    maxRows: envVars.CATALOGUE_IMPORT_MAX_ROWS,
+    maxKb: envVars.CATALOGUE_IMPORT_MAX_KB,
+  },
+  proofOfDelivery: {
+    pinRequired: envVars.POD_PIN_REQUIRED,
+    pinMaxAttempts: envVars.POD_PIN_MAX_ATTEMPTS,
+    photoRequired: envVars.POD_PHOTO_REQUIRED,
+    signatureRequired: envVars.POD_SIGNATURE_REQUIRED,
+    geofenceMeters: envVars.POD_GEOFENCE_METERS,
+    maxImageKb: envVars.POD_MAX_IMAGE_KB,
+  },
+  realtime: {
+    heartbeatSeconds: envVars.REALTIME_HEARTBEAT_SECONDS,
+  },
+  modules: {
+    disabled: envVars.DISABLED_MODULES.split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+  },
 };
@@ -0,0 +1,9 @@
+const deliveryStatuses = ['pending', 'in_progress', 'picked_up', 'delivered', 'cancelled'];
+
+// Livraisons attribuées et pas encore remises : livreur en route vers le commerçant (in_progress) ou vers le client (picked_up)
+const activeDeliveryStatuses = ['in_progress', 'picked_up'];
+
+module.exports = {
+  deliveryStatuses,
+  activeDeliveryStatuses,
+};
@@ -12,7 +12,6 @@ const allRoles = {
     'viewOrderDetails',
     'updateOrderStatus',
     'cancelOrder',
-    'assignOrderToLivreur',
 
     // Gestion des livraisons
     'manageDeliveries',
@@ -24,6 +23,10 @@ const allRoles = {
     // Gestion des promotions et paiements
     'managePromotions',
     'managePayments',
+    'manageReturns',
+    'viewReturns',
+    'viewCashReconciliations',
+    'manageCashReconciliations',
     'approveRatings',
     'manageDiscounts',
 
@@ -33,6 +36,7 @@ const allRoles = {
     'updateCartItem',
     'removeFromCart',
     'clearCart',
+    'applyPromotion',
 
     // Rapports et analyses
     'viewReports',
@@ -59,6 +63,7 @@ const allRoles = {
     'trackOrder',
     'cancelOrder',
     'requestRefund',
+    'viewReturns',
     'viewOrderHistory',
     'viewOrderDetails',
     'generateOrderReceipt',
@@ -70,6 +75,7 @@ const allRoles = {
     'updateCartItem',
     'removeFromCart',
     'clearCart',
+    'applyPromotion',
 
     // Paiements et historique
     'viewPaymentHistory',
@@ -78,6 +84,7 @@ const allRoles = {
     // Notifications et évaluations
     'viewNotifications',
     'rateDelivery',
+    'tipDelivery',
     'viewRatings',
 
     // Profil
@@ -93,12 +100,14 @@ const allRoles = {
     'updateDeliveryStatus',
     'trackDelivery',
     'viewOrderDetails',
-    'assignOrder',
+    'respondToOffers',
 
     // Historique et gains
     'viewDeliveryHistory',
     'viewPaymentHistory',
     'viewEarnings',
+    'reconcileCash',
+    'viewCashReconciliations',
 
     // Notifications et évaluations
     'rateCustomer',
@@ -120,6 +129,8 @@ const allRoles = {
     'removeProduct',
     'updateProductStock',
     'setProductVisibility',
+    'viewInventory',
+    'updateStock',
 
     // Commandes
     'viewOrderDetails',
@@ -132,16 +143,19 @@ const allRoles = {
     'createPromotion',
     'viewPromotionPerformance',
     'manageReturns',
+    'viewReturns',
 
     // Rapports et analyses
     'viewSalesAnalytics',
     'viewCustomerFeedback',
     'trackRevenue',
+    'viewPayouts',
 
     // Notifications et disponibilité
     'receiveOrderAlerts',
     'receiveStockAlerts',
     'setDeliveryAvailability',
+    'manageStoreHours',
     'trackDeliveryStatus',
 
     // Gestion des plaintes
@@ -160,6 +174,10 @@ const allRoles = {
     'respondToClients',
     'resolveIssues',
     'viewSupportStatistics',
+    'manageReturns',
+    'viewReturns',
+    'viewCashReconciliations',
+    'manageCashReconciliations',
 
     'viewNotifications',
     'markNotificationsAsRead',
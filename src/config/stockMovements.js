@@ -0,0 +1,26 @@
+const stockMovementTypes = [
+  'sale', // Vente (checkout)
+  'cancel', // Annulation d'une commande : articles remis en stock
+  'restock', // Réapprovisionnement par le commerçant
+  'adjustment', // Correction manuelle, inventaire physique ou réconciliation
+  'return', // Retour client remis en stock
+];
+
+const stockReservationStatuses = [
+  'active', // Stock retenu jusqu'à l'échéance
+  'consumed', // Paiement abouti : la réservation est devenue une vente
+  'released', // Échéance dépassée, paiement échoué, commande annulée ou panier modifié
+];
+
+// Niveaux d'alerte de stock, du moins au plus critique
+const stockAlertLevels = [
+  'ok', // Stock au moins égal au seuil du produit
+  'low', // Stock sous le seuil
+  'out', // Rupture
+];
+
+module.exports = {
+  stockMovementTypes,
+  stockReservationStatuses,
+  stockAlertLevels,
+};
@@ -1,6 +1,6 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { cartService, notificationService, productService } = require('../services');
+const { cartService, notificationService, productService, realtimeService } = require('../services');
 const logger = require('../config/logger');
 const ApiError = require('../utils/ApiError');
 
@@ -100,10 +100,54 @@ const clearCart = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(clearedCart);
 });
 
+/**
+ * Appliquer un code promotionnel au panier.
+ */
+const applyPromotion = catchAsync(async (req, res) => {
+  logger.info(`Application du code promotionnel ${req.body.code} au panier : UserID=${req.user.id}`);
+  const result = await trackPerformance(() => cartService.applyPromotionCode(req.user.id, req.body), 'applyPromotion');
+  logger.info(`Code promotionnel appliqué : UserID=${req.user.id}, Discount=${result.pricing.discount}`);
+  res.status(httpStatus.OK).send(result);
+});
+
+/**
+ * Retirer le code promotionnel du panier.
+ */
+const removePromotion = catchAsync(async (req, res) => {
+  logger.info(`Retrait du code promotionnel du panier : UserID=${req.user.id}`);
+  const result = await trackPerformance(() => cartService.removePromotionCode(req.user.id), 'removePromotion');
+  logger.info(`Code promotionnel retiré : UserID=${req.user.id}`);
+  res.status(httpStatus.OK).send(result);
+});
+
+/**
+ * Valider le panier et créer une sous-commande par commerçant.
+ */
+const checkout = catchAsync(async (req, res) => {
+  logger.info(`Validation du panier pour l'utilisateur : UserID=${req.user.id}`);
+  const { checkoutGroup, orders } = await trackPerformance(() => cartService.checkout(req.user.id, req.body), 'checkout');
+
+  // Chaque commerçant n'est notifié que de sa propre sous-commande (les commandes programmées le sont à leur transmission)
+  const immediateOrders = orders.filter((order) => order.status !== 'scheduled');
+  immediateOrders.forEach((order) => realtimeService.publishNewOrder(order));
+  await Promise.all(
+    immediateOrders.map((order) =>
+      notificationService.notifyMerchant(order.merchant, `Nouvelle commande reçue : ${order.id}`)
+    )
+  );
+  logger.info(
+    `Commandes créées depuis le panier : UserID=${req.user.id}, CheckoutGroupID=${checkoutGroup.id}, Orders=${orders.length}`
+  );
+  res.status(httpStatus.CREATED).send({ checkoutGroup, orders });
+});
+
 module.exports = {
   addToCart,
   updateCartItem,
   removeFromCart,
   getCartDetails,
   clearCart,
+  applyPromotion,
+  removePromotion,
+  checkout,
 };
@@ -0,0 +1,67 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const pick = require('../utils/pick');
+const { cashService } = require('../services');
+const logger = require('../config/logger');
+
+/**
+ * Suivi des performances pour mesurer le temps d'exécution des méthodes.
+ * @param {Function} fn - Méthode à exécuter.
+ * @param {string} action - Nom de l'action à loguer.
+ */
+const trackPerformance = async (fn, action) => {
+  const startTime = Date.now();
+  const result = await fn();
+  const endTime = Date.now();
+  logger.info(`[PERFORMANCE] Action=${action} - ExecutionTime=${endTime - startTime}ms`);
+  return result;
+};
+
+/**
+ * Obtenir le solde d'espèces du livreur connecté.
+ */
+const getCashBalance = catchAsync(async (req, res) => {
+  const balance = await trackPerformance(() => cashService.getCashBalance(req.user.id), 'getCashBalance');
+  res.status(httpStatus.OK).send(balance);
+});
+
+/**
+ * Déclarer les espèces remises en fin de service.
+ */
+const reconcileCash = catchAsync(async (req, res) => {
+  logger.info(`Rapprochement espèces : UserID=${req.user.id}, Declared=${req.body.declaredAmount}`);
+  const reconciliation = await trackPerformance(() => cashService.reconcileCash(req.user.id, req.body), 'reconcileCash');
+  res.status(httpStatus.CREATED).send(reconciliation);
+});
+
+/**
+ * Lister les rapprochements (écarts à traiter pour le support).
+ */
+const getReconciliations = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['status', 'livreur']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await trackPerformance(
+    () => cashService.queryReconciliations(filter, options, req.user),
+    'getReconciliations'
+  );
+  res.status(httpStatus.OK).send(result);
+});
+
+/**
+ * Résoudre un écart de caisse.
+ */
+const resolveReconciliation = catchAsync(async (req, res) => {
+  logger.info(`Résolution d'un écart de caisse : ReconciliationID=${req.params.reconciliationId}`);
+  const reconciliation = await trackPerformance(
+    () => cashService.resolveReconciliation(req.params.reconciliationId, req.body, req.user),
+    'resolveReconciliation'
+  );
+  res.status(httpStatus.OK).send(reconciliation);
+});
+
+module.exports = {
+  getCashBalance,
+  reconcileCash,
+  getReconciliations,
+  resolveReconciliation,
+};
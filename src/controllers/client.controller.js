@@ -1,7 +1,7 @@
 const httpStatus = require('http-status');
 const Joi = require('joi');
 const catchAsync = require('../utils/catchAsync');
-const { clientService } = require('../services');
+const { clientService, returnRequestService, realtimeService } = require('../services');
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger'); // Import du logger
 
@@ -109,6 +109,7 @@ const deleteAddress = catchAsync(async (req, res) => {
 const placeOrder = catchAsync(async (req, res) => {
   logger.info(`Passage d'une commande pour l'utilisateur : ID=${req.user.id}`);
   const order = await trackPerformance(() => clientService.placeOrder(req.user.id, req.body), 'placeOrder');
+  realtimeService.publishNewOrder(order);
   logger.info(`Commande passée avec succès : OrderID=${order.id}`);
   res.status(httpStatus.CREATED).send(order);
 });
@@ -143,28 +144,16 @@ const getOrderHistory = catchAsync(async (req, res) => {
 });
 
 /**
- * Demander un remboursement.
+ * Demander un remboursement : ouvre une demande de retour traitée par le commerçant ou le support.
  */
 const requestRefund = catchAsync(async (req, res) => {
   logger.info(`Demande de remboursement : UserID=${req.user.id}, OrderID=${req.body.orderId}`);
-
-  // Validation des entrées
-  const schema = Joi.object({
-    orderId: Joi.string().required(),
-    reason: Joi.string().required(),
-  });
-  const { error } = schema.validate(req.body);
-  if (error) throw new ApiError(httpStatus.BAD_REQUEST, error.details[0].message);
-
-  // Vérification d'une demande existante
-  const hasRequestedRefund = await clientService.hasRequestedRefund(req.user.id, req.body.orderId);
-  if (hasRequestedRefund) {
-    throw new ApiError(httpStatus.CONFLICT, 'Refund already requested for this order');
-  }
-
-  const refundRequest = await trackPerformance(() => clientService.requestRefund(req.user.id, req.body), 'requestRefund');
-  logger.info(`Demande de remboursement créée : RefundID=${refundRequest.id}`);
-  res.status(httpStatus.CREATED).send(refundRequest);
+  const returnRequest = await trackPerformance(
+    () => returnRequestService.createReturnRequest(req.user.id, req.body),
+    'requestRefund'
+  );
+  logger.info(`Demande de remboursement créée : ReturnRequestID=${returnRequest.id}`);
+  res.status(httpStatus.CREATED).send(returnRequest);
 });
 
 /**
@@ -1,6 +1,6 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { deliveryService, notificationService } = require('../services');
+const { deliveryService, dispatchService, etaService, notificationService } = require('../services');
 const logger = require('../config/logger');
 const ApiError = require('../utils/ApiError');
 
@@ -18,33 +18,32 @@ const trackPerformance = async (fn, action) => {
 };
 
 /**
- * Assigner une livraison à un livreur.
+ * Créer une livraison.
  */
-const assignDelivery = catchAsync(async (req, res) => {
-  logger.info(
-    `Assignation de la livraison : DeliveryID=${req.params.deliveryId} au livreur : LivreID=${req.body.livreurId}`
-  );
-
-  // Vérification de l'existence de la livraison
-  const delivery = await deliveryService.getDeliveryById(req.params.deliveryId);
-  if (!delivery) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Delivery not found');
-  }
-
-  // Vérification des permissions ou de la disponibilité du livreur (si nécessaire)
-  const assignedDelivery = await trackPerformance(
-    () => deliveryService.assignDelivery(req.params.deliveryId, req.body.livreurId),
-    'assignDelivery'
-  );
+const createDelivery = catchAsync(async (req, res) => {
+  logger.info(`Création d'une livraison pour la commande : OrderID=${req.body.order}`);
+  const delivery = await trackPerformance(() => deliveryService.createDelivery(req.body), 'createDelivery');
+  logger.info(`Livraison créée avec succès : DeliveryID=${delivery.id}`);
+  res.status(httpStatus.CREATED).send(delivery);
+});
 
-  // Notification au livreur
-  await notificationService.notifyLivreur(
-    req.body.livreurId,
-    `Une nouvelle livraison vous a été assignée : DeliveryID=${req.params.deliveryId}`
-  );
+/**
+ * Obtenir une livraison par ID.
+ */
+const getDeliveryById = catchAsync(async (req, res) => {
+  logger.info(`Récupération de la livraison : DeliveryID=${req.params.deliveryId}`);
+  const delivery = await trackPerformance(() => deliveryService.getDeliveryById(req.params.deliveryId), 'getDeliveryById');
+  res.status(httpStatus.OK).send(delivery);
+});
 
-  logger.info(`Livraison assignée avec succès : DeliveryID=${req.params.deliveryId}`);
-  res.status(httpStatus.OK).send(assignedDelivery);
+/**
+ * Supprimer une livraison.
+ */
+const deleteDelivery = catchAsync(async (req, res) => {
+  logger.info(`Suppression de la livraison : DeliveryID=${req.params.deliveryId}`);
+  await trackPerformance(() => deliveryService.deleteDelivery(req.params.deliveryId), 'deleteDelivery');
+  logger.info(`Livraison supprimée avec succès : DeliveryID=${req.params.deliveryId}`);
+  res.status(httpStatus.NO_CONTENT).send();
 });
 
 /**
@@ -59,33 +58,28 @@ const updateDeliveryStatus = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Delivery not found');
   }
 
-  // Validation du statut
-  if (!['pending', 'in_progress', 'delivered', 'cancelled'].includes(req.body.status)) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid delivery status');
-  }
+  const updatedDelivery = await trackPerformance(() => {
+    const { status, ...proof } = req.body;
+    return deliveryService.updateDeliveryStatus(req.params.deliveryId, status, proof);
+  }, 'updateDeliveryStatus');
 
-  const updatedDelivery = await trackPerformance(
-    () => deliveryService.updateDeliveryStatus(req.params.deliveryId, req.body.status),
-    'updateDeliveryStatus'
+  await notificationService.notifyClient(
+    delivery.order.client,
+    `Votre commande : OrderID=${delivery.order._id} a été livrée avec succès.`
   );
 
-  // Notifications en fonction du statut
-  if (req.body.status === 'delivered') {
-    await notificationService.notifyClient(
-      updatedDelivery.order.client,
-      `Votre commande : OrderID=${updatedDelivery.order._id} a été livrée avec succès.`
-    );
-  } else if (req.body.status === 'cancelled') {
-    await notificationService.notifyLivreur(
-      updatedDelivery.livreur,
-      `La livraison : DeliveryID=${req.params.deliveryId} a été annulée.`
-    );
-  }
-
   logger.info(`Statut de la livraison mis à jour avec succès : DeliveryID=${req.params.deliveryId}`);
   res.status(httpStatus.OK).send(updatedDelivery);
 });
 
+/**
+ * Photo ou signature de la preuve de livraison.
+ */
+const getDeliveryProof = catchAsync(async (req, res) => {
+  const { contentType, data } = await deliveryService.getProofImage(req.params.deliveryId, req.params.kind);
+  res.status(httpStatus.OK).type(contentType).send(data);
+});
+
 /**
  * Obtenir l'historique des livraisons d'un utilisateur.
  */
@@ -130,9 +124,49 @@ const calculateDeliveryDistance = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send({ distance });
 });
 
+/**
+ * Laisser un pourboire au livreur.
+ */
+const tipDelivery = catchAsync(async (req, res) => {
+  logger.info(`Pourboire pour la livraison : DeliveryID=${req.params.deliveryId}, ClientID=${req.user.id}`);
+  const delivery = await trackPerformance(
+    () => deliveryService.tipDelivery(req.params.deliveryId, req.user.id, req.body),
+    'tipDelivery'
+  );
+  logger.info(`Pourboire enregistré : DeliveryID=${delivery.id}, Amount=${delivery.tip}`);
+  res.status(httpStatus.OK).send(delivery);
+});
+
+/**
+ * Historique du dispatch d'une livraison (offres, refus, expirations).
+ */
+const getDeliveryOffers = catchAsync(async (req, res) => {
+  logger.info(`Historique du dispatch : DeliveryID=${req.params.deliveryId}`);
+  const offers = await trackPerformance(
+    () => dispatchService.getDispatchHistory(req.params.deliveryId),
+    'getDeliveryOffers'
+  );
+  res.status(httpStatus.OK).send(offers);
+});
+
+/**
+ * Précision des heures de livraison estimées (écart avec l'heure réelle, par déclencheur).
+ */
+const getEtaAccuracy = catchAsync(async (req, res) => {
+  logger.info(`Mesure de la précision des estimations de livraison`);
+  const stats = await trackPerformance(() => etaService.getAccuracyStats(req.query), 'getEtaAccuracy');
+  res.status(httpStatus.OK).send(stats);
+});
+
 module.exports = {
-  assignDelivery,
+  createDelivery,
+  getDeliveryById,
+  deleteDelivery,
   updateDeliveryStatus,
+  getDeliveryProof,
+  tipDelivery,
+  getDeliveryOffers,
+  getEtaAccuracy,
   getDeliveryHistory,
   getDeliveryStats,
   calculateDeliveryDistance,
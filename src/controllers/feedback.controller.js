@@ -121,10 +121,42 @@ const getFeedbackStats = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(stats);
 });
 
+/**
+ * Récupérer les feedbacks par priorité.
+ */
+const getFeedbacksByPriority = catchAsync(async (req, res) => {
+  logger.info(`[REQUEST] Récupération des feedbacks de priorité ${req.params.priority}`);
+
+  const feedbacks = await trackPerformance(
+    () => feedbackService.getFeedbacksByPriority(req.params.priority),
+    'getFeedbacksByPriority'
+  );
+
+  logger.info(`[SUCCESS] Feedbacks récupérés : Total=${feedbacks.length}`);
+  res.status(httpStatus.OK).send(feedbacks);
+});
+
+/**
+ * Récupérer les feedbacks par statut.
+ */
+const getFeedbacksByStatus = catchAsync(async (req, res) => {
+  logger.info(`[REQUEST] Récupération des feedbacks au statut ${req.params.status}`);
+
+  const feedbacks = await trackPerformance(
+    () => feedbackService.getFeedbacksByStatus(req.params.status),
+    'getFeedbacksByStatus'
+  );
+
+  logger.info(`[SUCCESS] Feedbacks récupérés : Total=${feedbacks.length}`);
+  res.status(httpStatus.OK).send(feedbacks);
+});
+
 module.exports = {
   createFeedback,
   updateFeedback,
   deleteFeedback,
   getUserFeedbacks,
   getFeedbackStats,
+  getFeedbacksByPriority,
+  getFeedbacksByStatus,
 };
@@ -3,6 +3,7 @@ const catchAsync = require('../utils/catchAsync');
 const { inventoryService, notificationService } = require('../services');
 const logger = require('../config/logger');
 const ApiError = require('../utils/ApiError');
+const pick = require('../utils/pick');
 
 /**
  * Suivi des performances pour mesurer le temps d'exécution des méthodes.
@@ -72,23 +73,29 @@ const updateProductStock = catchAsync(async (req, res) => {
     `Mise à jour du stock pour le produit : ProductID=${req.params.productId}, MerchantID=${req.user.id}, NewQuantity=${req.body.quantity}`
   );
   const updatedStock = await trackPerformance(
-    () => inventoryService.updateStock(req.user.id, req.params.productId, req.body.quantity),
+    () =>
+      inventoryService.updateStock(req.user.id, req.params.productId, req.body.quantity, {
+        type: req.body.type,
+        reason: req.body.reason,
+      }),
     'updateProductStock'
   );
 
-  // Vérifier si le stock atteint un seuil bas
-  if (updatedStock.quantity < updatedStock.lowStockThreshold) {
-    await notificationService.notifyMerchant(
-      req.user.id,
-      `Attention : Le stock pour le produit ProductID=${updatedStock.id}, Nom=${updatedStock.name} est bas.`
-    );
-    logger.info(`[ALERTE STOCK FAIBLE] Produit=${updatedStock.name}, Stock=${updatedStock.quantity}`);
-  }
-
   logger.info(`Stock mis à jour avec succès : ProductID=${req.params.productId}, Quantity=${updatedStock.quantity}`);
   res.status(httpStatus.OK).send(updatedStock);
 });
 
+/**
+ * Consulter le journal des mouvements de stock d'un produit.
+ */
+const getStockMovements = catchAsync(async (req, res) => {
+  const movements = await trackPerformance(
+    () => inventoryService.getMovements(req.user.id, req.params.productId, pick(req.query, ['limit', 'page'])),
+    'getStockMovements'
+  );
+  res.status(httpStatus.OK).send(movements);
+});
+
 /**
  * Supprimer un produit de l'inventaire.
  */
@@ -149,11 +156,26 @@ const getInventoryStats = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(stats);
 });
 
+/**
+ * Rapport des produits en stock faible ou en rupture.
+ */
+const getLowStockReport = catchAsync(async (req, res) => {
+  logger.info(`Récupération du rapport de stock faible : MerchantID=${req.user.id}`);
+  const report = await trackPerformance(
+    () => inventoryService.getLowStockReport(req.user.id, pick(req.query, ['level'])),
+    'getLowStockReport'
+  );
+  logger.info(`Rapport de stock faible récupéré : Items=${report.length}`);
+  res.status(httpStatus.OK).send(report);
+});
+
 module.exports = {
   addProductToInventory,
   updateInventoryProduct,
   updateProductStock,
+  getStockMovements,
   deleteProductFromInventory,
   getInventory,
   getInventoryStats,
+  getLowStockReport,
 };
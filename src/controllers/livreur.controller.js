@@ -1,7 +1,7 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { livreurService } = require('../services');
-const ApiError = require('../utils/ApiError');
+const { livreurService, dispatchService } = require('../services');
+const pick = require('../utils/pick');
 const logger = require('../config/logger');
 
 /**
@@ -23,13 +23,10 @@ const trackPerformance = async (fn, action) => {
 const getAvailableDeliveries = catchAsync(async (req, res) => {
   logger.info(`Récupération des courses disponibles pour le livreur : ID=${req.user.id}`);
   const deliveries = await trackPerformance(
-    () => livreurService.getAvailableDeliveries(req.user.id),
+    () => livreurService.getAvailableDeliveries(req.user.id, req.query),
     'getAvailableDeliveries'
   );
 
-  // Trier les livraisons par distance (utilisation d'une méthode du service)
-  deliveries.sort((a, b) => a.distanceFromLivreur - b.distanceFromLivreur);
-
   logger.info(`Courses triées par proximité : Total=${deliveries.length}`);
 
   // Notification pour les mises à jour en temps réel
@@ -46,30 +43,6 @@ const getAvailableDeliveries = catchAsync(async (req, res) => {
   });
 });
 
-/**
- * Accepter une livraison après validation contextuelle.
- */
-const acceptDelivery = catchAsync(async (req, res) => {
-  logger.info(
-    `Tentative d'acceptation de livraison : DeliveryID=${req.params.deliveryId} par le livreur : ID=${req.user.id}`
-  );
-
-  // Vérification contextuelle : disponibilité de la livraison
-  const isAvailable = await livreurService.isDeliveryAvailable(req.params.deliveryId);
-  if (!isAvailable) {
-    logger.warn(`Livraison non disponible ou déjà assignée : DeliveryID=${req.params.deliveryId}`);
-    throw new ApiError(httpStatus.CONFLICT, 'Delivery is no longer available');
-  }
-
-  const updatedDelivery = await trackPerformance(
-    () => livreurService.acceptDelivery(req.user.id, req.params.deliveryId),
-    'acceptDelivery'
-  );
-
-  logger.info(`Livraison acceptée avec succès : DeliveryID=${req.params.deliveryId}`);
-  res.status(httpStatus.OK).send(updatedDelivery);
-});
-
 /**
  * Obtenir les livraisons assignées au livreur.
  */
@@ -97,12 +70,24 @@ const updateDeliveryStatus = catchAsync(async (req, res) => {
 });
 
 /**
- * Calculer les gains totaux du livreur.
+ * Confirmer le retrait d'une commande chez le commerçant.
  */
-const calculateEarnings = catchAsync(async (req, res) => {
+const confirmPickup = catchAsync(async (req, res) => {
+  logger.info(`Confirmation du retrait : DeliveryID=${req.params.deliveryId}`);
+  const delivery = await trackPerformance(
+    () => livreurService.confirmPickup(req.user.id, req.params.deliveryId, req.body.code),
+    'confirmPickup'
+  );
+  res.status(httpStatus.OK).send(delivery);
+});
+
+/**
+ * Obtenir les gains du livreur par période (versés et en attente).
+ */
+const getEarnings = catchAsync(async (req, res) => {
   logger.info(`Calcul des gains pour le livreur : ID=${req.user.id}`);
-  const earnings = await trackPerformance(() => livreurService.calculateEarnings(req.user.id), 'calculateEarnings');
-  logger.info(`Gains totaux calculés : Total=${earnings.total}€`);
+  const earnings = await trackPerformance(() => livreurService.getEarnings(req.user.id, req.query), 'getEarnings');
+  logger.info(`Gains calculés : Total=${earnings.totals.total}€, EnAttente=${earnings.totals.pending}€`);
   res.status(httpStatus.OK).send(earnings);
 });
 
@@ -157,14 +142,40 @@ const getDeliveryHistory = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(history);
 });
 
+/**
+ * Lister les offres de course reçues par le livreur.
+ */
+const getOffers = catchAsync(async (req, res) => {
+  logger.info(`Récupération des offres de course du livreur : ID=${req.user.id}`);
+  const filter = pick(req.query, ['status']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await trackPerformance(() => dispatchService.queryLivreurOffers(req.user.id, filter, options), 'getOffers');
+  res.status(httpStatus.OK).send(result);
+});
+
+/**
+ * Accepter ou refuser une offre de course.
+ */
+const respondToOffer = catchAsync(async (req, res) => {
+  logger.info(`Réponse à l'offre de course : OfferID=${req.params.offerId}, Action=${req.body.action}`);
+  const offer = await trackPerformance(
+    () => dispatchService.respondToOffer(req.user.id, req.params.offerId, req.body),
+    'respondToOffer'
+  );
+  logger.info(`Offre de course ${offer.status} : OfferID=${offer.id}`);
+  res.status(httpStatus.OK).send(offer);
+});
+
 module.exports = {
   getAvailableDeliveries,
-  acceptDelivery,
   getAssignedDeliveries,
   updateDeliveryStatus,
-  calculateEarnings,
+  confirmPickup,
+  getEarnings,
   setAvailability,
   updateLocation,
   rateClient,
   getDeliveryHistory,
+  getOffers,
+  respondToOffer,
 };
@@ -1,7 +1,9 @@
+const { Readable, pipeline } = require('stream');
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { merchantService } = require('../services');
+const { merchantService, ledgerService, deliverySlotService, productService } = require('../services');
 const ApiError = require('../utils/ApiError');
+const pick = require('../utils/pick');
 const logger = require('../config/logger'); // Import du logger
 
 /**
@@ -203,6 +205,150 @@ const getRealTimeDashboard = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(dashboard);
 });
 
+/**
+ * Lister les virements reçus par le commerçant.
+ */
+const getPayouts = catchAsync(async (req, res) => {
+  logger.info(`Récupération des virements du commerçant : ID=${req.user.id}`);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await trackPerformance(() => ledgerService.getMerchantPayouts(req.user.id, options), 'getPayouts');
+  res.status(httpStatus.OK).send(result);
+});
+
+/**
+ * Relevé du compte commerçant (JSON ou CSV).
+ */
+const getStatement = catchAsync(async (req, res) => {
+  logger.info(`Génération du relevé de compte du commerçant : ID=${req.user.id}`);
+  const statement = await trackPerformance(
+    () => ledgerService.getMerchantStatement(req.user.id, pick(req.query, ['from', 'to'])),
+    'getStatement'
+  );
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="statement-${req.user.id}.csv"`);
+    return res.status(httpStatus.OK).send(ledgerService.formatStatementCsv(statement));
+  }
+  res.status(httpStatus.OK).send(statement);
+});
+
+/**
+ * Lancer le lot de règlement des commerçants sans attendre la planification (admin).
+ */
+const runPayouts = catchAsync(async (req, res) => {
+  logger.info(`Lancement manuel du lot de règlement par : ID=${req.user.id}`);
+  const result = await trackPerformance(() => ledgerService.runPayoutBatch(), 'runPayouts');
+  logger.info(`Lot de règlement exécuté : Payouts=${result.payouts.length}`);
+  res.status(httpStatus.OK).send(result);
+});
+
+/**
+ * Commerçants à proximité d'une adresse du client connecté.
+ */
+const getNearbyMerchants = catchAsync(async (req, res) => {
+  logger.info(`Recherche des commerçants à proximité pour le client : ID=${req.user.id}`);
+  const merchants = await trackPerformance(
+    () => merchantService.getMerchantsNearClient(req.user.id, req.query),
+    'getNearbyMerchants'
+  );
+  logger.info(`Commerçants à proximité : Total=${merchants.length}`);
+  res.status(httpStatus.OK).send(merchants);
+});
+
+/**
+ * Consulter les horaires d'ouverture du commerçant.
+ */
+const getSchedule = catchAsync(async (req, res) => {
+  const schedule = await trackPerformance(() => merchantService.getSchedule(req.user.id), 'getSchedule');
+  res.status(httpStatus.OK).send(schedule);
+});
+
+/**
+ * Modifier le fuseau horaire et les créneaux hebdomadaires.
+ */
+const updateSchedule = catchAsync(async (req, res) => {
+  logger.info(`Mise à jour des horaires du commerçant : ID=${req.user.id}`);
+  const schedule = await trackPerformance(() => merchantService.updateSchedule(req.user.id, req.body), 'updateSchedule');
+  res.status(httpStatus.OK).send(schedule);
+});
+
+/**
+ * Ajouter une fermeture exceptionnelle.
+ */
+const addClosure = catchAsync(async (req, res) => {
+  logger.info(`Ajout d'une fermeture pour le commerçant : ID=${req.user.id}, Du=${req.body.from}, Au=${req.body.to}`);
+  const schedule = await trackPerformance(() => merchantService.addClosure(req.user.id, req.body), 'addClosure');
+  res.status(httpStatus.CREATED).send(schedule);
+});
+
+/**
+ * Supprimer une fermeture exceptionnelle.
+ */
+const removeClosure = catchAsync(async (req, res) => {
+  logger.info(`Suppression de la fermeture ${req.params.closureId} du commerçant : ID=${req.user.id}`);
+  const schedule = await trackPerformance(
+    () => merchantService.removeClosure(req.user.id, req.params.closureId),
+    'removeClosure'
+  );
+  res.status(httpStatus.OK).send(schedule);
+});
+
+/**
+ * Suspendre ou reprendre la prise de commandes.
+ */
+const setOrdersPaused = catchAsync(async (req, res) => {
+  logger.info(`Commandes ${req.body.paused ? 'suspendues' : 'reprises'} par le commerçant : ID=${req.user.id}`);
+  const schedule = await trackPerformance(
+    () => merchantService.setOrdersPaused(req.user.id, req.body.paused),
+    'setOrdersPaused'
+  );
+  res.status(httpStatus.OK).send(schedule);
+});
+
+/**
+ * Créneaux de livraison réservables d'un commerçant (commandes programmées).
+ */
+const getDeliverySlots = catchAsync(async (req, res) => {
+  const slots = await trackPerformance(
+    () => deliverySlotService.getMerchantSlots(req.params.merchantId, req.query),
+    'getDeliverySlots'
+  );
+  res.status(httpStatus.OK).send(slots);
+});
+
+/**
+ * Importer un catalogue CSV ou JSON lines (format déduit du Content-Type à défaut de `format`).
+ */
+const importCatalogue = catchAsync(async (req, res) => {
+  if (typeof req.body !== 'string') {
+    throw new ApiError(httpStatus.UNSUPPORTED_MEDIA_TYPE, 'Send the catalogue as text/csv or application/x-ndjson');
+  }
+  const format = req.query.format || (req.is(['application/x-ndjson', 'application/jsonl']) ? 'jsonl' : 'csv');
+  logger.info(
+    `Import de catalogue (${format}${req.query.dryRun ? ', simulation' : ''}) pour le commerçant : ID=${req.user.id}`
+  );
+  const report = await trackPerformance(
+    () => productService.importCatalogue(req.user.id, req.body, { format, dryRun: req.query.dryRun }),
+    'importCatalogue'
+  );
+  logger.info(`Import de catalogue terminé : Créés=${report.created}, MisAJour=${report.updated}, Rejetés=${report.failed}`);
+  res.status(httpStatus.OK).send(report);
+});
+
+/**
+ * Exporter tout le catalogue du commerçant en flux, au format des imports.
+ */
+const exportCatalogue = catchAsync(async (req, res) => {
+  const { format } = req.query;
+  logger.info(`Export du catalogue (${format}) du commerçant : ID=${req.user.id}`);
+  res.status(httpStatus.OK);
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.attachment(`catalogue.${format}`);
+  pipeline(Readable.from(productService.exportCatalogue(req.user.id, format)), res, (error) => {
+    if (error) logger.error(`Export du catalogue interrompu : MerchantID=${req.user.id} - ${error.message}`);
+  });
+});
+
 module.exports = {
   addProduct,
   deactivateProduct,
@@ -219,4 +365,16 @@ module.exports = {
   getTransactionHistory,
   generateFinancialReport,
   getRealTimeDashboard,
+  getPayouts,
+  getStatement,
+  runPayouts,
+  getNearbyMerchants,
+  getSchedule,
+  updateSchedule,
+  addClosure,
+  removeClosure,
+  setOrdersPaused,
+  getDeliverySlots,
+  importCatalogue,
+  exportCatalogue,
 };
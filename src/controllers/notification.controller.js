@@ -1,6 +1,6 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { notificationService, realTimeService, emailService, smsService } = require('../services'); // Ajout de smsService
+const { notificationService } = require('../services');
 // eslint-disable-next-line no-unused-vars
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger');
@@ -23,23 +23,20 @@ const trackPerformance = async (fn, action) => {
  */
 const createNotification = catchAsync(async (req, res) => {
   logger.info(`Création d'une notification pour l'utilisateur : UserID=${req.body.userId}`);
-  const { channels = ['in_app'], priority = 'medium', groupId = null } = req.body; // Gestion des priorités et des groupes
+  const { userId, channels = ['in_app'], priority = 'medium', groupId = null, ...notificationBody } = req.body; // Gestion des priorités et des groupes
 
   // Créer la notification en base
   const notification = await trackPerformance(
-    () => notificationService.createNotification({ ...req.body, priority, groupId }),
+    () => notificationService.createNotification({ ...notificationBody, user: userId, channels, priority, groupId }),
     'createNotification'
   );
 
   // Envoyer via les canaux spécifiés
   if (channels.includes('push')) {
-    await realTimeService.sendNotification(req.body.userId, notification);
+    await notificationService.sendPushNotification(notification);
   }
   if (channels.includes('email')) {
-    await emailService.sendNotificationEmail(req.body.userId, notification);
-  }
-  if (channels.includes('sms')) {
-    await smsService.sendSmsNotification(req.body.userId, notification);
+    await notificationService.sendNotificationEmail(notification, 'Notification');
   }
 
   logger.info(
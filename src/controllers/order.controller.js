@@ -1,6 +1,6 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { orderService, notificationService } = require('../services');
+const { orderService, deliveryService, notificationService, realtimeService } = require('../services');
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger');
 
@@ -22,12 +22,21 @@ const trackPerformance = async (fn, action) => {
  */
 const createOrder = catchAsync(async (req, res) => {
   logger.info(`Création d'une commande pour le client : ID=${req.user.id}`);
-  const order = await trackPerformance(() => orderService.createOrder(req.user.id, req.body), 'createOrder');
+  const { checkoutGroup, orders } = await trackPerformance(
+    () => orderService.createOrder(req.user.id, req.body),
+    'createOrder'
+  );
 
-  // Notifier le commerçant de la nouvelle commande
-  await notificationService.notifyMerchant(order.merchant, `Nouvelle commande reçue : OrderID=${order.id}`);
-  logger.info(`Commande créée avec succès : OrderID=${order.id}`);
-  res.status(httpStatus.CREATED).send(order);
+  // Notifier chaque commerçant de sa sous-commande (les commandes programmées le sont à leur transmission)
+  const immediateOrders = orders.filter((order) => order.status !== 'scheduled');
+  immediateOrders.forEach((order) => realtimeService.publishNewOrder(order));
+  await Promise.all(
+    immediateOrders.map((order) =>
+      notificationService.notifyMerchant(order.merchant, `Nouvelle commande reçue : OrderID=${order.id}`)
+    )
+  );
+  logger.info(`Commande créée avec succès : CheckoutGroupID=${checkoutGroup.id}, Orders=${orders.length}`);
+  res.status(httpStatus.CREATED).send({ checkoutGroup, orders });
 });
 
 /**
@@ -50,13 +59,13 @@ const getOrderById = catchAsync(async (req, res) => {
 const updateOrderStatus = catchAsync(async (req, res) => {
   logger.info(`Mise à jour du statut de la commande : OrderID=${req.params.orderId}`);
 
-  const currentStatus = await orderService.getOrderStatus(req.params.orderId);
-  if (currentStatus === 'completed' || currentStatus === 'cancelled') {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot update status for completed or cancelled orders');
-  }
-
   const updatedOrder = await trackPerformance(
-    () => orderService.updateOrderStatus(req.params.orderId, req.body.status),
+    () =>
+      orderService.updateOrderStatus(req.params.orderId, req.body.status, {
+        actor: req.user.id,
+        role: req.user.role,
+        reason: req.body.reason,
+      }),
     'updateOrderStatus'
   );
 
@@ -74,75 +83,23 @@ const updateOrderStatus = catchAsync(async (req, res) => {
  */
 const cancelOrder = catchAsync(async (req, res) => {
   logger.info(`Annulation de la commande : OrderID=${req.params.orderId}`);
-  const cancelledOrder = await trackPerformance(() => orderService.cancelOrder(req.params.orderId), 'cancelOrder');
-
-  if (cancelledOrder.paymentStatus === 'paid') {
-    await orderService.initiateRefund(cancelledOrder.id);
-    logger.info(`Remboursement initié pour la commande annulée : OrderID=${req.params.orderId}`);
-  }
+  const cancelledOrder = await trackPerformance(
+    () => orderService.cancelOrder(req.params.orderId, { actor: req.user.id, role: req.user.role, reason: req.body.reason }),
+    'cancelOrder'
+  );
 
   logger.info(`Commande annulée avec succès : OrderID=${req.params.orderId}`);
   res.status(httpStatus.OK).send(cancelledOrder);
 });
 
-/**
- * Récupérer les commandes disponibles pour un livreur dans sa zone géographique.
- */
-const getAvailableOrdersForLivreur = catchAsync(async (req, res) => {
-  logger.info(`Récupération des commandes disponibles pour le livreur : ID=${req.user.id}`);
-
-  const { latitude, longitude } = req.user.location;
-  if (!latitude || !longitude) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Location information is required');
-  }
-
-  const availableOrders = await trackPerformance(
-    () => orderService.getAvailableOrders(latitude, longitude),
-    'getAvailableOrdersForLivreur'
-  );
-
-  availableOrders.sort((a, b) => a.distance - b.distance);
-
-  logger.info(`Commandes disponibles triées par proximité : Total=${availableOrders.length}`);
-  res.status(httpStatus.OK).send({
-    orders: availableOrders,
-    meta: {
-      totalOrders: availableOrders.length,
-      updatedAt: new Date().toISOString(),
-    },
-  });
-});
-
-/**
- * Permettre au livreur de prendre en charge une commande.
- */
-const assignOrderToLivreur = catchAsync(async (req, res) => {
-  logger.info(
-    `Tentative de prise en charge de la commande : OrderID=${req.params.orderId} par le livreur : ID=${req.user.id}`
-  );
-
-  const isAvailable = await orderService.isOrderAvailable(req.params.orderId);
-  if (!isAvailable) {
-    logger.warn(`Commande non disponible : OrderID=${req.params.orderId}`);
-    throw new ApiError(httpStatus.CONFLICT, 'Order is no longer available');
-  }
-
-  const assignedOrder = await trackPerformance(
-    () => orderService.assignOrderToLivreur(req.params.orderId, req.user.id),
-    'assignOrderToLivreur'
-  );
-
-  logger.info(`Commande prise en charge avec succès : OrderID=${req.params.orderId} par le livreur : ID=${req.user.id}`);
-  res.status(httpStatus.OK).send(assignedOrder);
-});
-
 /**
  * Récupérer l'historique des commandes d'un client.
  */
 const getClientOrders = catchAsync(async (req, res) => {
   logger.info(`Récupération des commandes pour le client : ID=${req.user.id}`);
-  const orders = await trackPerformance(() => orderService.getClientOrders(req.user.id), 'getClientOrders');
-  logger.info(`Commandes récupérées : Total=${orders.length}`);
+  const { page = 1, limit = 10 } = req.query;
+  const orders = await trackPerformance(() => orderService.getOrderHistory(req.user.id, { page, limit }), 'getClientOrders');
+  logger.info(`Commandes récupérées : Total=${orders.totalResults}`);
   res.status(httpStatus.OK).send(orders);
 });
 
@@ -151,14 +108,35 @@ const getClientOrders = catchAsync(async (req, res) => {
  */
 const getMerchantPendingOrders = catchAsync(async (req, res) => {
   logger.info(`Récupération des commandes en attente pour le commerçant : ID=${req.user.id}`);
+  const { page = 1, limit = 10 } = req.query;
   const pendingOrders = await trackPerformance(
-    () => orderService.getMerchantPendingOrders(req.user.id),
+    () => orderService.getMerchantPendingOrders(req.user.id, { page, limit }),
     'getMerchantPendingOrders'
   );
-  logger.info(`Commandes en attente récupérées : Total=${pendingOrders.length}`);
+  logger.info(`Commandes en attente récupérées : Total=${pendingOrders.totalResults}`);
   res.status(httpStatus.OK).send(pendingOrders);
 });
 
+/**
+ * Signaler une commande prête au retrait ; renvoie le code de retrait à présenter au livreur.
+ */
+const markReadyForPickup = catchAsync(async (req, res) => {
+  logger.info(`Commande prête au retrait : OrderID=${req.params.orderId}`);
+  const pickup = await trackPerformance(
+    () => deliveryService.markReadyForPickup(req.params.orderId, req.user.id),
+    'markReadyForPickup'
+  );
+  res.status(httpStatus.OK).send(pickup);
+});
+
+/**
+ * Code PIN de livraison, à communiquer au livreur à la remise.
+ */
+const getDeliveryPin = catchAsync(async (req, res) => {
+  const pin = await deliveryService.getDeliveryPin(req.params.orderId, req.user.id);
+  res.status(httpStatus.OK).send(pin);
+});
+
 /**
  * Générer un reçu pour une commande.
  */
@@ -169,6 +147,21 @@ const generateOrderReceipt = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(receipt);
 });
 
+/**
+ * Générer le reçu combiné d'un groupe de checkout.
+ */
+const generateCheckoutGroupReceipt = catchAsync(async (req, res) => {
+  logger.info(`Génération du reçu combiné : CheckoutGroupID=${req.params.checkoutGroupId}`);
+  // Un client ne peut consulter que ses propres groupes
+  const clientId = req.user.role === 'client' ? req.user.id : undefined;
+  const receipt = await trackPerformance(
+    () => orderService.generateCheckoutGroupReceipt(req.params.checkoutGroupId, clientId),
+    'generateCheckoutGroupReceipt'
+  );
+  logger.info(`Reçu combiné généré avec succès : CheckoutGroupID=${req.params.checkoutGroupId}`);
+  res.status(httpStatus.OK).send(receipt);
+});
+
 /**
  * Calculer le total d'une commande.
  */
@@ -199,7 +192,7 @@ const getOrderHistory = catchAsync(async (req, res) => {
 const addOrderNote = catchAsync(async (req, res) => {
   logger.info(`Ajout d'une note pour la commande : ID=${req.params.orderId}`);
   const updatedOrder = await trackPerformance(
-    () => orderService.addOrderNote(req.params.orderId, req.body.note),
+    () => orderService.addOrderNote(req.params.orderId, req.body.note, { actor: req.user.id, role: req.user.role }),
     'addOrderNote'
   );
   logger.info(`Note ajoutée avec succès à la commande : ID=${req.params.orderId}`);
@@ -211,11 +204,12 @@ module.exports = {
   getOrderById,
   updateOrderStatus,
   cancelOrder,
-  getAvailableOrdersForLivreur, // Nouvelle méthode
-  assignOrderToLivreur, // Nouvelle méthode
   getClientOrders,
   getMerchantPendingOrders,
+  markReadyForPickup,
+  getDeliveryPin,
   generateOrderReceipt,
+  generateCheckoutGroupReceipt,
   calculateOrderTotal,
   getOrderHistory,
   addOrderNote,
@@ -21,15 +21,8 @@ const trackPerformance = async (fn, action) => {
  * Effectuer un paiement.
  */
 const makePayment = catchAsync(async (req, res) => {
-  logger.info(`Tentative de paiement pour la commande : OrderID=${req.body.orderId}`);
-  const { transactionId } = req.body;
-
-  // Vérifier l'unicité du transactionId
-  if (transactionId && (await paymentService.isTransactionIdTaken(transactionId))) {
-    throw new ApiError(httpStatus.CONFLICT, `Transaction ID already exists: ${transactionId}`);
-  }
-
-  const payment = await trackPerformance(() => paymentService.makePayment(req.body), 'makePayment');
+  logger.info(`Tentative de paiement pour la commande : OrderID=${req.body.order || req.body.checkoutGroup}`);
+  const payment = await trackPerformance(() => paymentService.makePayment(req.body, req.user), 'makePayment');
 
   // Notification après succès du paiement
   await notificationService.notifyClient(req.user.id, `Paiement réussi pour la commande : OrderID=${req.body.orderId}`);
@@ -38,6 +31,19 @@ const makePayment = catchAsync(async (req, res) => {
   res.status(httpStatus.CREATED).send(payment);
 });
 
+/**
+ * Capturer un paiement autorisé.
+ */
+const capturePayment = catchAsync(async (req, res) => {
+  logger.info(`Capture du paiement : PaymentID=${req.params.paymentId}`);
+  const payment = await trackPerformance(
+    () => paymentService.capturePayment(req.params.paymentId, req.body.amount),
+    'capturePayment'
+  );
+  logger.info(`Paiement capturé avec succès : PaymentID=${payment.id}`);
+  res.status(httpStatus.OK).send(payment);
+});
+
 /**
  * Obtenir les détails d'un paiement.
  */
@@ -89,7 +95,8 @@ const cancelPayment = catchAsync(async (req, res) => {
  */
 const initiateRefund = catchAsync(async (req, res) => {
   logger.info(`Remboursement initié pour la commande : OrderID=${req.body.orderId}`);
-  const refund = await trackPerformance(() => paymentService.initiateRefund(req.body.orderId), 'initiateRefund');
+  const { orderId, ...options } = req.body;
+  const refund = await trackPerformance(() => paymentService.initiateRefund(orderId, options), 'initiateRefund');
 
   // Notification de remboursement
   await notificationService.notifyClient(
@@ -101,6 +108,18 @@ const initiateRefund = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(refund);
 });
 
+/**
+ * Recevoir un webhook d'un prestataire de paiement (non authentifié : la signature fait foi).
+ */
+const handleWebhook = catchAsync(async (req, res) => {
+  logger.info(`Webhook de paiement reçu : Provider=${req.params.provider}`);
+  const result = await trackPerformance(
+    () => paymentService.handleWebhook(req.params.provider, req.rawBody, req.get('x-payment-signature')),
+    'handleWebhook'
+  );
+  res.status(httpStatus.OK).send(result);
+});
+
 /**
  * Obtenir les statistiques des transactions.
  */
@@ -113,9 +132,11 @@ const getTransactionStats = catchAsync(async (req, res) => {
 
 module.exports = {
   makePayment,
+  capturePayment,
   getPaymentDetails,
   getUserPaymentHistory,
   cancelPayment,
   initiateRefund,
   getTransactionStats,
+  handleWebhook,
 };
@@ -99,7 +99,7 @@ const searchProducts = catchAsync(async (req, res) => {
 const updateStock = catchAsync(async (req, res) => {
   logger.info(`Mise à jour du stock pour le produit : ProductID=${req.params.productId}, Quantité=${req.body.quantity}`);
   const updatedProduct = await trackPerformance(
-    () => productService.updateStock(req.params.productId, req.body.quantity, req.body.reason),
+    () => productService.updateStock(req.user.id, req.params.productId, req.body.quantity, req.body.reason),
     'updateStock'
   );
 
@@ -131,6 +131,20 @@ const addOrUpdateImages = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(updatedProduct);
 });
 
+/**
+ * Modifier la visibilité d'un produit.
+ */
+const updateVisibility = catchAsync(async (req, res) => {
+  logger.info(`Mise à jour de la visibilité du produit : ProductID=${req.params.productId}, Visible=${req.body.isActive}`);
+  const updatedProduct = await trackPerformance(
+    () => productService.updateVisibility(req.user.id, req.params.productId, req.body.isActive),
+    'updateVisibility'
+  );
+
+  logger.info(`Visibilité mise à jour avec succès : ProductID=${req.params.productId}`);
+  res.status(httpStatus.OK).send(updatedProduct);
+});
+
 module.exports = {
   createProduct,
   updateProduct,
@@ -140,4 +154,5 @@ module.exports = {
   updateStock,
   getProductStats,
   addOrUpdateImages,
+  updateVisibility,
 };
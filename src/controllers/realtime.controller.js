@@ -0,0 +1,49 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { realtimeService } = require('../services');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+/**
+ * Ouvrir le flux d'événements temps réel (Server-Sent Events) de l'utilisateur connecté.
+ * Le flux reçoit les événements adressés à l'utilisateur (nouvelles commandes, offres de course)
+ * et, avec `orderId`, ceux de la commande suivie (statut, position du livreur).
+ */
+const stream = catchAsync(async (req, res) => {
+  const channels = [realtimeService.userChannel(req.user.id)];
+  let initialEvents = [];
+  if (req.query.orderId) {
+    initialEvents = await realtimeService.getOrderSnapshot(req.user, req.query.orderId);
+    channels.push(realtimeService.orderChannel(req.query.orderId));
+  }
+
+  res.status(httpStatus.OK).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // La compression met les réponses en tampon : chaque écriture doit être vidée immédiatement
+  const write = (chunk) => {
+    res.write(chunk);
+    if (res.flush) res.flush();
+  };
+  const send = (event) => write(realtimeService.formatServerSentEvent(event));
+
+  const unsubscribe = realtimeService.subscribe(req.user, channels, send);
+  initialEvents.forEach(send);
+  const heartbeat = setInterval(() => write(': ping\n\n'), config.realtime.heartbeatSeconds * 1000);
+  logger.info(`Flux temps réel ouvert : UserID=${req.user.id}, Channels=${channels.join(',')}`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`Flux temps réel fermé : UserID=${req.user.id}`);
+  });
+});
+
+module.exports = {
+  stream,
+};
@@ -0,0 +1,101 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const pick = require('../utils/pick');
+const { returnRequestService } = require('../services');
+const logger = require('../config/logger');
+
+/**
+ * Suivi des performances pour mesurer le temps d'exécution des méthodes.
+ * @param {Function} fn - Méthode à exécuter.
+ * @param {string} action - Nom de l'action à loguer.
+ */
+const trackPerformance = async (fn, action) => {
+  const startTime = Date.now();
+  const result = await fn();
+  const endTime = Date.now();
+  logger.info(`[PERFORMANCE] Action=${action} - ExecutionTime=${endTime - startTime}ms`);
+  return result;
+};
+
+/**
+ * Ouvrir une demande de retour / remboursement.
+ */
+const createReturnRequest = catchAsync(async (req, res) => {
+  logger.info(`Demande de retour : UserID=${req.user.id}, OrderID=${req.body.orderId}`);
+  const returnRequest = await trackPerformance(
+    () => returnRequestService.createReturnRequest(req.user.id, req.body),
+    'createReturnRequest'
+  );
+  res.status(httpStatus.CREATED).send(returnRequest);
+});
+
+/**
+ * Lister les demandes de retour (limitées aux siennes pour un client ou un commerçant).
+ */
+const getReturnRequests = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['status', 'order']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await trackPerformance(
+    () => returnRequestService.queryReturnRequests(filter, options, req.user),
+    'getReturnRequests'
+  );
+  res.status(httpStatus.OK).send(result);
+});
+
+/**
+ * Obtenir une demande de retour.
+ */
+const getReturnRequest = catchAsync(async (req, res) => {
+  const returnRequest = await trackPerformance(
+    () => returnRequestService.getReturnRequestById(req.params.returnRequestId, req.user),
+    'getReturnRequest'
+  );
+  res.status(httpStatus.OK).send(returnRequest);
+});
+
+/**
+ * Accepter, refuser ou contre-proposer (commerçant ou support).
+ */
+const decideReturnRequest = catchAsync(async (req, res) => {
+  logger.info(
+    `Décision sur la demande de retour : ReturnRequestID=${req.params.returnRequestId}, Action=${req.body.action}, Role=${req.user.role}`
+  );
+  const returnRequest = await trackPerformance(
+    () => returnRequestService.decideReturnRequest(req.params.returnRequestId, req.body, req.user),
+    'decideReturnRequest'
+  );
+  res.status(httpStatus.OK).send(returnRequest);
+});
+
+/**
+ * Réponse du client à une contre-proposition.
+ */
+const respondToCounterOffer = catchAsync(async (req, res) => {
+  logger.info(`Réponse à la contre-proposition : ReturnRequestID=${req.params.returnRequestId}, Action=${req.body.action}`);
+  const returnRequest = await trackPerformance(
+    () => returnRequestService.respondToCounterOffer(req.params.returnRequestId, req.body, req.user),
+    'respondToCounterOffer'
+  );
+  res.status(httpStatus.OK).send(returnRequest);
+});
+
+/**
+ * Annuler une demande de retour (client).
+ */
+const cancelReturnRequest = catchAsync(async (req, res) => {
+  logger.info(`Annulation de la demande de retour : ReturnRequestID=${req.params.returnRequestId}`);
+  const returnRequest = await trackPerformance(
+    () => returnRequestService.cancelReturnRequest(req.params.returnRequestId, req.user),
+    'cancelReturnRequest'
+  );
+  res.status(httpStatus.OK).send(returnRequest);
+});
+
+module.exports = {
+  createReturnRequest,
+  getReturnRequests,
+  getReturnRequest,
+  decideReturnRequest,
+  respondToCounterOffer,
+  cancelReturnRequest,
+};
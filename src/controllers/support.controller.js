@@ -2,7 +2,6 @@ const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
 const { supportService, notificationService } = require('../services');
 const logger = require('../config/logger');
-const ApiError = require('../utils/ApiError');
 
 /**
  * Suivi des performances pour mesurer le temps d'exécution des méthodes.
@@ -59,16 +58,6 @@ const assignTicket = catchAsync(async (req, res) => {
     `Tentative d'assignation du ticket : TicketID=${req.params.ticketId} à l'agent : SupportID=${req.body.agentId}`
   );
 
-  const isAssigned = await supportService.isTicketAlreadyAssigned(req.params.ticketId);
-  if (isAssigned) {
-    throw new ApiError(httpStatus.CONFLICT, 'Le ticket est déjà assigné à un autre agent.');
-  }
-
-  const agent = await supportService.getAgent(req.body.agentId);
-  if (!agent.canTakeMoreTickets()) {
-    throw new ApiError(httpStatus.FORBIDDEN, 'Cet agent ne peut plus accepter de tickets.');
-  }
-
   const ticket = await trackPerformance(
     () => supportService.assignTicket(req.params.ticketId, req.body.agentId),
     'assignTicket'
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
+const { startJobs, stopJobs } = require('./jobs');
 
 let server;
 mongoose.connect(config.mongoose.url, config.mongoose.options).then(() => {
@@ -9,9 +10,11 @@ mongoose.connect(config.mongoose.url, config.mongoose.options).then(() => {
   server = app.listen(config.port, () => {
     logger.info(`Listening to port ${config.port}`);
   });
+  startJobs();
 });
 
 const exitHandler = () => {
+  stopJobs();
   if (server) {
     server.close(() => {
       logger.info('Server closed');
@@ -32,6 +35,7 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received');
+  stopJobs();
   if (server) {
     server.close();
   }
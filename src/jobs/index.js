@@ -0,0 +1,78 @@
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { ledgerService, dispatchService, orderService } = require('../services');
+
+/**
+ * Tâches périodiques exécutées par le processus API.
+ * Un intervalle nul désactive la tâche.
+ */
+const jobs = [
+  {
+    name: 'payouts',
+    intervalMs: config.payouts.intervalMinutes * 60 * 1000,
+    run: () => ledgerService.runPayoutBatch(),
+  },
+  {
+    name: 'dispatch',
+    intervalMs: config.dispatch.sweepIntervalSeconds * 1000,
+    run: () => dispatchService.runDispatchSweep(),
+  },
+  {
+    name: 'scheduledOrders',
+    intervalMs: config.scheduledOrders.sweepIntervalSeconds * 1000,
+    run: () => orderService.releaseScheduledOrders(),
+  },
+  {
+    name: 'stockReservations',
+    intervalMs: config.stockReservations.sweepIntervalSeconds * 1000,
+    run: () => orderService.releaseExpiredReservations(),
+  },
+];
+
+const timers = [];
+
+/**
+ * Planifier une tâche. Une exécution n'est jamais lancée tant que la précédente n'est pas terminée.
+ * @param {Object} job
+ * @returns {NodeJS.Timeout}
+ */
+const schedule = (job) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      logger.error(`Échec de la tâche ${job.name} : ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, job.intervalMs);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Démarrer les tâches périodiques.
+ */
+const startJobs = () => {
+  jobs
+    .filter((job) => job.intervalMs > 0)
+    .forEach((job) => {
+      timers.push(schedule(job));
+      logger.info(`Tâche planifiée : ${job.name} (toutes les ${job.intervalMs / 1000} s)`);
+    });
+};
+
+/**
+ * Arrêter les tâches périodiques.
+ */
+const stopJobs = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
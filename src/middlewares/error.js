@@ -33,6 +33,7 @@ const errorHandler = (err, req, res, next) => {
   const response = {
     code: statusCode,
     message,
+    ...(err.errorCode && { errorCode: err.errorCode }),
     ...(config.env === 'development' && { stack: err.stack }),
     ...(req.user && { user: req.user.email }), // Ajout des détails utilisateur
     ...(req.params && { params: req.params }), // Ajout des paramètres de la requête
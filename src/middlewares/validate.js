@@ -6,24 +6,31 @@ const logger = require('../config/logger'); // Importer logger
 
 /**
  * Middleware de validation.
+ * Lève une erreur dès le chargement des routes si le schéma est absent,
+ * plutôt que de laisser passer silencieusement toutes les requêtes.
  */
-const validate = (schema) => (req, res, next) => {
-  const validSchema = pick(schema, ['params', 'query', 'body']);
-  const object = pick(req, Object.keys(validSchema));
-  const { value, error } = Joi.compile(validSchema)
-    .prefs({ errors: { label: 'key' }, abortEarly: false })
-    .validate(object);
-
-  if (error) {
-    const errorMessage = error.details.map((details) => details.message).join(', ');
-    logger.error(`Validation error: ${errorMessage}`, {
-      user: req.user ? req.user.email : 'Unknown',
-      route: req.originalUrl,
-    });
-    return next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+const validate = (schema) => {
+  if (!schema) {
+    throw new Error('validate() requires a validation schema');
   }
-  Object.assign(req, value);
-  return next();
+  return (req, res, next) => {
+    const validSchema = pick(schema, ['params', 'query', 'body']);
+    const object = pick(req, Object.keys(validSchema));
+    const { value, error } = Joi.compile(validSchema)
+      .prefs({ errors: { label: 'key' }, abortEarly: false })
+      .validate(object);
+
+    if (error) {
+      const errorMessage = error.details.map((details) => details.message).join(', ');
+      logger.error(`Validation error: ${errorMessage}`, {
+        user: req.user ? req.user.email : 'Unknown',
+        route: req.originalUrl,
+      });
+      return next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+    }
+    Object.assign(req, value);
+    return next();
+  };
 };
 
 module.exports = validate;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const campaignSchema = mongoose.Schema(
+  {
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Merchant',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    promotions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+      },
+    ],
+    startDate: {
+      type: Date,
+    },
+    endDate: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+campaignSchema.plugin(toJSON);
+campaignSchema.plugin(paginate);
+
+campaignSchema.index({ merchant: 1, isActive: 1 });
+
+/**
+ * Ajouter une promotion à la campagne.
+ * @param {ObjectId} promotionId - ID de la promotion.
+ */
+campaignSchema.methods.addPromotion = async function (promotionId) {
+  if (!this.promotions.some((promo) => promo.toString() === promotionId.toString())) {
+    this.promotions.push(promotionId);
+  }
+  await this.save();
+};
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+module.exports = Campaign;
@@ -19,6 +19,11 @@ const cartSchema = mongoose.Schema(
       type: Number,
       default: 0, // Calculé dynamiquement
     },
+    // Code promotionnel saisi par le client, appliqué au checkout
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion',
+    },
     lastUpdated: {
       type: Date,
       default: Date.now,
@@ -98,6 +103,7 @@ cartSchema.methods.removeItem = async function (productId) {
  */
 cartSchema.methods.clearCart = async function () {
   this.items = [];
+  this.promotion = undefined;
   this.totalPrice = 0;
   this.lastUpdated = Date.now();
   await this.save();
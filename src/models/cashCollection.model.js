@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Espèces attendues pour une livraison payée à la livraison.
+ * Créée au passage de la livraison à `delivered`, elle reste à la charge du livreur (`held`)
+ * jusqu'au rapprochement de fin de service.
+ */
+const cashCollectionSchema = mongoose.Schema(
+  {
+    delivery: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Delivery',
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true,
+    },
+    livreur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Livreur',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['held', 'reconciled', 'disputed'], // disputed : rapprochement en écart, en attente du support
+      default: 'held',
+    },
+    reconciliation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CashReconciliation',
+    },
+    collectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+cashCollectionSchema.plugin(toJSON);
+cashCollectionSchema.plugin(paginate);
+
+cashCollectionSchema.index({ delivery: 1 }, { unique: true });
+cashCollectionSchema.index({ livreur: 1, status: 1 });
+cashCollectionSchema.index({ payment: 1, status: 1 });
+
+const CashCollection = mongoose.model('CashCollection', cashCollectionSchema);
+
+module.exports = CashCollection;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Rapprochement de fin de service : espèces déclarées remises par le livreur
+ * face au solde qu'il détient. Un écart est signalé au support, qui le résout.
+ */
+const cashReconciliationSchema = mongoose.Schema(
+  {
+    livreur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Livreur',
+      required: true,
+    },
+    collections: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashCollection',
+      },
+    ],
+    expectedAmount: {
+      type: Number,
+      required: true,
+    },
+    declaredAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    difference: {
+      type: Number, // declaredAmount - expectedAmount : négatif s'il manque des espèces
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['balanced', 'discrepancy', 'resolved'],
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    resolution: {
+      actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      note: { type: String },
+      writeOff: { type: Number }, // Montant abandonné, déduit du solde du livreur
+      resolvedAt: { type: Date },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+cashReconciliationSchema.plugin(toJSON);
+cashReconciliationSchema.plugin(paginate);
+
+cashReconciliationSchema.index({ livreur: 1, createdAt: -1 });
+cashReconciliationSchema.index({ status: 1, createdAt: -1 });
+
+const CashReconciliation = mongoose.model('CashReconciliation', cashReconciliationSchema);
+
+module.exports = CashReconciliation;
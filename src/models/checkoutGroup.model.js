@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Groupe de commandes issu d'un même checkout : un panier multi-commerçants
+ * est scindé en une sous-commande par commerçant, réglées par un paiement unique.
+ */
+const checkoutGroupSchema = mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true,
+    },
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+      },
+    ],
+    totalPrice: {
+      type: Number,
+      required: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    // Échéance des réservations de stock : sans paiement à cette date, les commandes en attente sont annulées
+    paymentDueAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+checkoutGroupSchema.plugin(toJSON);
+checkoutGroupSchema.plugin(paginate);
+
+checkoutGroupSchema.index({ client: 1, createdAt: -1 });
+
+const CheckoutGroup = mongoose.model('CheckoutGroup', checkoutGroupSchema);
+
+module.exports = CheckoutGroup;
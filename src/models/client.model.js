@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { pointField } = require('./schemas/point.schema');
 
 const clientSchema = mongoose.Schema(
   {
@@ -12,10 +13,7 @@ const clientSchema = mongoose.Schema(
       {
         id: { type: mongoose.Schema.Types.ObjectId, default: new mongoose.Types.ObjectId() },
         address: { type: String, trim: true },
-        coordinates: {
-          latitude: { type: Number },
-          longitude: { type: Number },
-        },
+        coordinates: pointField(), // Point GeoJSON
       },
     ],
     orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
@@ -26,9 +24,16 @@ const clientSchema = mongoose.Schema(
     refunds: [
       {
         orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' }, // Demande de retour d'origine
         reason: { type: String },
-        status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+        status: {
+          type: String,
+          enum: ['pending', 'countered', 'approved', 'rejected', 'cancelled'],
+          default: 'pending',
+        },
         date: { type: Date, default: Date.now },
+        amount: { type: Number }, // Montant effectivement remboursé
+        payments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }], // Remboursements émis
       },
     ],
     ratings: [
@@ -56,6 +61,8 @@ const clientSchema = mongoose.Schema(
   }
 );
 
+clientSchema.index({ 'addresses.coordinates': '2dsphere' });
+
 // Ajouter les plugins
 clientSchema.plugin(toJSON);
 clientSchema.plugin(paginate);
@@ -72,8 +79,23 @@ clientSchema.methods.cancelOrder = async function (orderId) {
 };
 
 // Méthode : Demander un remboursement
-clientSchema.methods.requestRefund = async function (orderId, reason) {
-  this.refunds.push({ orderId, reason });
+clientSchema.methods.requestRefund = async function (orderId, reason, returnRequest) {
+  this.refunds.push({ orderId, reason, returnRequest });
+  await this.save();
+};
+
+// Méthode : Enregistrer un remboursement émis (approuve la demande en attente ou en crée une)
+clientSchema.methods.recordRefund = async function (orderId, { amount, payment, reason, returnRequest }) {
+  let refund = returnRequest
+    ? this.refunds.find((entry) => entry.returnRequest && entry.returnRequest.toString() === returnRequest.toString())
+    : this.refunds.find((entry) => entry.orderId.toString() === orderId.toString() && entry.status !== 'rejected');
+  if (!refund) {
+    this.refunds.push({ orderId, reason, returnRequest });
+    refund = this.refunds[this.refunds.length - 1];
+  }
+  refund.status = 'approved';
+  refund.amount = Math.round(((refund.amount || 0) + amount) * 100) / 100;
+  refund.payments.push(payment);
   await this.save();
 };
 
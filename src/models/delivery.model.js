@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { pointField } = require('./schemas/point.schema');
+const { getDistanceKm } = require('../utils/geo');
+const { deliveryStatuses } = require('../config/deliveryStatuses');
 
 const deliverySchema = mongoose.Schema(
   {
@@ -14,9 +17,14 @@ const deliverySchema = mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'in_progress', 'delivered', 'cancelled'],
+      enum: deliveryStatuses,
       default: 'pending',
     },
+    dispatchStatus: {
+      type: String,
+      enum: ['searching', 'offered', 'assigned', 'unassigned'], // unassigned : aucun livreur disponible pour l'instant
+    },
+    pickupLocation: pointField(), // Position du commerçant (point GeoJSON), renseignée au dispatch
     distance: {
       type: Number, // Distance en kilomètres
     },
@@ -25,10 +33,57 @@ const deliverySchema = mongoose.Schema(
     },
     payment: {
       type: Number, // Paiement pour la livraison
+    },
+    waitTime: {
+      type: Number, // Attente au point de retrait, en minutes (de l'arrivée du livreur au retrait)
+      default: 0,
+    },
+    // Remise de la commande au livreur chez le commerçant
+    pickup: {
+      code: { type: String, private: true }, // Code de retrait affiché par le commerçant, saisi ou scanné par le livreur
+      readyAt: { type: Date }, // Commande prête, signalée par le commerçant
+      arrivedAt: { type: Date }, // Arrivée du livreur au point de retrait, détectée par sa position
+      pickedUpAt: { type: Date },
+    },
+    tip: {
+      type: Number, // Pourboire du client, reversé intégralement au livreur
+      default: 0,
+      min: 0,
+    },
+    tipPayment: {
+      type: mongoose.Schema.Types.ObjectId, // Paiement du pourboire, renseigné une fois capturé
+      ref: 'Payment',
+      default: null,
+    },
+    // Détail de la rémunération du livreur, figé à la livraison
+    pay: {
+      baseFee: { type: Number },
+      distanceFee: { type: Number },
+      waitBonus: { type: Number },
+      peakBonus: { type: Number },
+      total: { type: Number }, // Hors pourboire
     }, // Nouveaux champs ajoutés pour l'historique des statuts
+    // Preuve de livraison, vérifiée avant le passage à `delivered`
+    proof: {
+      pin: { type: String, private: true }, // Code à 4 chiffres communiqué au client au dispatch
+      pinAttempts: { type: Number, default: 0 }, // Saisies erronées
+      pinVerifiedAt: { type: Date },
+      photo: {
+        contentType: { type: String },
+        data: { type: Buffer, private: true },
+        size: { type: Number }, // Octets
+      },
+      signature: {
+        contentType: { type: String },
+        data: { type: Buffer, private: true },
+        size: { type: Number },
+      },
+      location: pointField(), // Position du livreur à la remise
+      distanceMeters: { type: Number }, // Distance à l'adresse de livraison à la remise
+    },
     statusHistory: [
       {
-        status: { type: String, enum: ['pending', 'in_progress', 'delivered', 'cancelled'] },
+        status: { type: String, enum: deliveryStatuses },
         updatedAt: { type: Date, default: Date.now },
       },
     ],
@@ -43,13 +98,15 @@ const deliverySchema = mongoose.Schema(
   }
 );
 
+deliverySchema.index({ pickupLocation: '2dsphere' });
+
 // Ajouter les plugins
 deliverySchema.plugin(toJSON);
 deliverySchema.plugin(paginate);
 
 // Méthode : Mettre à jour le statut de la livraison avec historique
 deliverySchema.methods.updateStatus = async function (newStatus) {
-  if (!['pending', 'in_progress', 'delivered', 'cancelled'].includes(newStatus)) {
+  if (!deliveryStatuses.includes(newStatus)) {
     throw new Error('Invalid delivery status');
   }
   this.status = newStatus;
@@ -59,15 +116,7 @@ deliverySchema.methods.updateStatus = async function (newStatus) {
 
 // Méthode : Calculer la distance de livraison
 deliverySchema.methods.calculateDistance = function (startCoords, endCoords) {
-  const toRad = (value) => (value * Math.PI) / 180;
-  const R = 6371; // Rayon de la Terre en km
-  const dLat = toRad(endCoords.latitude - startCoords.latitude);
-  const dLon = toRad(endCoords.longitude - startCoords.longitude);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(startCoords.latitude)) * Math.cos(toRad(endCoords.latitude)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance en km
+  return getDistanceKm(startCoords, endCoords); // Distance en km
 };
 
 const Delivery = mongoose.model('Delivery', deliverySchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Proposition d'une course à un livreur par le dispatcher.
+ * Une seule offre est en attente par livraison ; sans réponse avant `expiresAt`, elle expire
+ * et la course est proposée au candidat suivant ; un livreur ne la revoit qu'après un délai de carence.
+ * Les offres forment l'historique du dispatch.
+ */
+const deliveryOfferSchema = mongoose.Schema(
+  {
+    delivery: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Delivery',
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    livreur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Livreur',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'],
+      default: 'pending',
+    },
+    score: {
+      type: Number, // Score du livreur au moment de l'offre
+    },
+    distance: {
+      type: Number, // Distance du livreur au point de retrait, en kilomètres
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+    },
+    reason: {
+      type: String, // Motif du refus
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+deliveryOfferSchema.plugin(toJSON);
+deliveryOfferSchema.plugin(paginate);
+
+deliveryOfferSchema.index({ delivery: 1, createdAt: 1 });
+deliveryOfferSchema.index({ livreur: 1, status: 1 });
+deliveryOfferSchema.index({ status: 1, expiresAt: 1 });
+// Une seule offre en attente par livraison
+deliveryOfferSchema.index({ delivery: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+const DeliveryOffer = mongoose.model('DeliveryOffer', deliveryOfferSchema);
+
+module.exports = DeliveryOffer;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+/**
+ * Compteur des commandes programmées d'un commerçant sur un créneau de livraison.
+ * Incrémenté de manière conditionnelle (`count` < capacité) : deux checkouts concurrents ne peuvent pas
+ * dépasser la capacité du créneau. Décrémenté à l'annulation d'une commande programmée.
+ */
+const deliverySlotBookingSchema = mongoose.Schema(
+  {
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId, // Utilisateur commerçant
+      ref: 'User',
+      required: true,
+    },
+    start: {
+      type: Date, // Début du créneau
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+deliverySlotBookingSchema.plugin(toJSON);
+
+deliverySlotBookingSchema.index({ merchant: 1, start: 1 }, { unique: true });
+
+const DeliverySlotBooking = mongoose.model('DeliverySlotBooking', deliverySlotBookingSchema);
+
+module.exports = DeliverySlotBooking;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Estimation de l'heure de livraison d'une commande à un instant donné.
+ * L'heure réelle est reportée sur toutes les estimations de la commande à la livraison,
+ * ce qui permet de mesurer la précision des estimations par déclencheur.
+ */
+const etaPredictionSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    delivery: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Delivery',
+    },
+    livreur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Livreur',
+    },
+    trigger: {
+      type: String,
+      enum: ['checkout', 'status', 'location'],
+      required: true,
+    },
+    orderStatus: {
+      type: String, // Statut de la commande au moment de l'estimation
+    },
+    estimatedAt: {
+      type: Date, // Heure de livraison estimée
+      required: true,
+    },
+    minutes: {
+      type: Number, // Durée estimée restante
+      required: true,
+    },
+    breakdown: {
+      preparation: { type: Number },
+      toPickup: { type: Number },
+      toDropoff: { type: Number },
+    },
+    deliveredAt: {
+      type: Date, // Heure de livraison réelle
+    },
+    errorMinutes: {
+      type: Number, // Réel - estimé : positif en cas de retard
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+etaPredictionSchema.plugin(toJSON);
+etaPredictionSchema.plugin(paginate);
+
+etaPredictionSchema.index({ order: 1, createdAt: 1 });
+etaPredictionSchema.index({ deliveredAt: 1, trigger: 1 });
+
+const EtaPrediction = mongoose.model('EtaPrediction', etaPredictionSchema);
+
+module.exports = EtaPrediction;
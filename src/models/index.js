@@ -1,2 +1,34 @@
 module.exports.Token = require('./token.model');
 module.exports.User = require('./user.model');
+module.exports.Admin = require('./admin.model');
+module.exports.Analytics = require('./analytics.model');
+module.exports.Campaign = require('./campaign.model');
+module.exports.Cart = require('./cart.model');
+module.exports.CashCollection = require('./cashCollection.model');
+module.exports.CashReconciliation = require('./cashReconciliation.model');
+module.exports.Category = require('./category.model');
+module.exports.CheckoutGroup = require('./checkoutGroup.model');
+module.exports.Client = require('./client.model');
+module.exports.Delivery = require('./delivery.model');
+module.exports.DeliveryOffer = require('./deliveryOffer.model');
+module.exports.DeliverySlotBooking = require('./deliverySlotBooking.model');
+module.exports.EtaPrediction = require('./etaPrediction.model');
+module.exports.Feedback = require('./feedback.model');
+module.exports.Inventory = require('./inventory.model');
+module.exports.LedgerEntry = require('./ledgerEntry.model');
+module.exports.Livreur = require('./livreur.model');
+module.exports.Merchant = require('./merchant.model');
+module.exports.Notification = require('./notification.model');
+module.exports.Order = require('./order.model');
+module.exports.Payment = require('./payment.model');
+module.exports.PaymentEvent = require('./paymentEvent.model');
+module.exports.Payout = require('./payout.model');
+module.exports.Product = require('./product.model');
+module.exports.Promotion = require('./promotion.model');
+module.exports.ReturnRequest = require('./returnRequest.model');
+module.exports.Review = require('./review.model');
+module.exports.Settings = require('./settings.model');
+module.exports.StockMovement = require('./stockMovement.model');
+module.exports.StockReservation = require('./stockReservation.model');
+module.exports.Support = require('./support.model');
+module.exports.Ticket = require('./ticket.model');
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { stockAlertLevels } = require('../config/stockMovements');
 
 const inventorySchema = mongoose.Schema(
   {
@@ -13,15 +14,30 @@ const inventorySchema = mongoose.Schema(
       ref: 'Merchant',
       required: true,
     },
+    // Stock de référence du produit : modifié uniquement par inventoryService.recordMovement (journal StockMovement)
     quantity: {
       type: Number,
       required: true,
       default: 0,
     },
+    // Part de la quantité retenue par des réservations actives (StockReservation), non disponible à la vente
+    reserved: {
+      type: Number,
+      default: 0,
+    },
     lowStockThreshold: {
       type: Number,
       default: 5, // Déclenche une alerte si le stock est inférieur
     },
+    // Dernier niveau d'alerte atteint : le commerçant n'est notifié qu'au passage à un niveau plus critique
+    alertLevel: {
+      type: String,
+      enum: stockAlertLevels,
+      default: 'ok',
+    },
+    lastAlertAt: {
+      type: Date,
+    },
     lastUpdated: {
       type: Date,
       default: Date.now,
@@ -36,15 +52,16 @@ const inventorySchema = mongoose.Schema(
 inventorySchema.plugin(toJSON);
 inventorySchema.plugin(paginate);
 
+// Un seul inventaire par produit
+inventorySchema.index({ product: 1 }, { unique: true });
+inventorySchema.index({ merchant: 1, quantity: 1 });
+
 /**
- * Méthode : Mettre à jour la quantité en stock
- * @param {Number} delta - Quantité à ajouter ou à retirer
+ * Quantité disponible à la vente : stock moins réservations actives
+ * @returns {Number}
  */
-inventorySchema.methods.updateQuantity = async function (delta) {
-  this.quantity += delta;
-  if (this.quantity < 0) throw new Error('Insufficient stock');
-  this.lastUpdated = Date.now();
-  await this.save();
+inventorySchema.methods.getAvailableQuantity = function () {
+  return Math.max(0, this.quantity - (this.reserved || 0));
 };
 
 /**
@@ -56,12 +73,21 @@ inventorySchema.methods.isLowStock = function () {
 };
 
 /**
- * Obtenir tous les produits avec un stock faible pour un commerçant
+ * Niveau d'alerte correspondant au stock actuel
+ * @returns {string} - `ok`, `low` ou `out`
+ */
+inventorySchema.methods.getStockLevel = function () {
+  if (this.quantity <= 0) return 'out';
+  return this.isLowStock() ? 'low' : 'ok';
+};
+
+/**
+ * Obtenir tous les produits avec un stock faible pour un commerçant, chacun comparé à son propre seuil
  * @param {ObjectId} merchantId - ID du commerçant
  * @returns {Promise<Array>}
  */
 inventorySchema.statics.getLowStockProducts = async function (merchantId) {
-  return this.find({ merchant: merchantId, quantity: { $lt: mongoose.Types.Decimal128(this.lowStockThreshold) } });
+  return this.find({ merchant: merchantId, $expr: { $lt: ['$quantity', '$lowStockThreshold'] } });
 };
 
 const Inventory = mongoose.model('Inventory', inventorySchema);
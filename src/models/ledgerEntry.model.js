@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const ledgerAccounts = [
+  'payments_clearing', // Fonds encaissés auprès des clients
+  'merchant_payable', // Dû aux commerçants (par commerçant)
+  'commission_revenue', // Commission de la plateforme
+  'delivery_fee_revenue', // Frais de livraison facturés aux commerçants
+  'payment_fees_payable', // Frais retenus par les prestataires de paiement
+  'payment_fees_expense', // Frais de paiement pris en charge par la plateforme
+  'delivery_expense', // Coût des livraisons pour la plateforme
+  'courier_payable', // Dû aux livreurs (par livreur)
+  'tips_clearing', // Pourboires des clients, reversés aux livreurs
+  'payouts_clearing', // Virements émis vers les commerçants et les livreurs
+];
+
+/**
+ * Écriture du grand livre en partie double : la somme des débits est toujours égale à celle des crédits.
+ * Une écriture est identifiée par son type et sa référence métier, ce qui rend chaque comptabilisation idempotente.
+ */
+const ledgerEntrySchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['order_completed', 'delivery_completed', 'delivery_tip', 'refund', 'payout'],
+      required: true,
+    },
+    reference: {
+      type: mongoose.Schema.Types.ObjectId, // Commande, livraison, remboursement ou virement à l'origine de l'écriture
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    lines: [
+      {
+        account: { type: String, enum: ledgerAccounts, required: true },
+        party: { type: mongoose.Schema.Types.ObjectId }, // Commerçant ou livreur pour les comptes de tiers
+        debit: { type: Number, default: 0, min: 0 },
+        credit: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    currency: {
+      type: String,
+      default: 'EUR',
+    },
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId, // Virement ayant soldé la part commerçant ou livreur de cette écriture
+      ref: 'Payout',
+      default: null,
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+ledgerEntrySchema.plugin(toJSON);
+ledgerEntrySchema.plugin(paginate);
+
+// Une écriture déséquilibrée ne doit jamais être enregistrée (comparaison en centimes)
+ledgerEntrySchema.pre('validate', function (next) {
+  const toCents = (amount) => Math.round(amount * 100);
+  const debits = this.lines.reduce((acc, line) => acc + toCents(line.debit), 0);
+  const credits = this.lines.reduce((acc, line) => acc + toCents(line.credit), 0);
+  if (this.lines.length < 2 || debits !== credits) {
+    return next(new Error(`Unbalanced ledger entry: debits=${debits / 100}, credits=${credits / 100}`));
+  }
+  next();
+});
+
+ledgerEntrySchema.index({ type: 1, reference: 1 }, { unique: true });
+ledgerEntrySchema.index({ 'lines.account': 1, 'lines.party': 1, postedAt: 1 });
+ledgerEntrySchema.index({ settledBy: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
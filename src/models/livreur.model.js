@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { pointField } = require('./schemas/point.schema');
+const { getDistanceKm } = require('../utils/geo');
 
 const livreurSchema = mongoose.Schema(
   {
@@ -8,26 +10,7 @@ const livreurSchema = mongoose.Schema(
       ref: 'User',
       required: true,
     },
-    location: {
-      latitude: {
-        type: Number,
-        required: true,
-        validate(value) {
-          if (value < -90 || value > 90) {
-            throw new Error('Latitude must be between -90 and 90');
-          }
-        },
-      },
-      longitude: {
-        type: Number,
-        required: true,
-        validate(value) {
-          if (value < -180 || value > 180) {
-            throw new Error('Longitude must be between -180 and 180');
-          }
-        },
-      },
-    },
+    location: pointField({ required: true }), // Point GeoJSON
     isAvailable: { type: Boolean, default: true },
     deliveries: [
       {
@@ -35,7 +18,8 @@ const livreurSchema = mongoose.Schema(
         status: { type: String, enum: ['pending', 'in_progress', 'completed', 'cancelled'], default: 'pending' },
       },
     ],
-    totalEarnings: { type: Number, default: 0 },
+    totalEarnings: { type: Number, default: 0 }, // Cumul des rémunérations et pourboires comptabilisés
+    cashBalance: { type: Number, default: 0 }, // Espèces encaissées à la livraison et pas encore remises
     ratingsGiven: [
       {
         clientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
@@ -59,6 +43,8 @@ const livreurSchema = mongoose.Schema(
   }
 );
 
+livreurSchema.index({ location: '2dsphere' });
+
 // Ajouter les plugins
 livreurSchema.plugin(toJSON);
 livreurSchema.plugin(paginate);
@@ -71,13 +57,9 @@ livreurSchema.methods.updateDeliveryStatus = async function (deliveryId, newStat
   await this.save();
 };
 
-// Méthode : Calculer les gains totaux
-livreurSchema.methods.calculateTotalEarnings = async function () {
-  const completedDeliveries = this.deliveries.filter((d) => d.status === 'completed');
-  const total = completedDeliveries.reduce((acc, delivery) => acc + delivery.paymentAmount, 0);
-  this.totalEarnings = total;
-  await this.save();
-  return total;
+// Méthode : Gains totaux (courses et pourboires), incrémentés à chaque comptabilisation dans le grand livre
+livreurSchema.methods.calculateTotalEarnings = function () {
+  return this.totalEarnings;
 };
 
 // Méthode : Évaluer un client
@@ -97,10 +79,14 @@ livreurSchema.methods.setAvailability = async function (availability) {
   await this.save();
 };
 
+// Méthode : Distance (km) entre la position du livreur et un point
+livreurSchema.methods.calculateDistance = function (coordinates) {
+  return getDistanceKm(this.location, coordinates);
+};
+
 // Méthode : Mettre à jour la localisation
 livreurSchema.methods.updateLocation = async function (coordinates) {
-  this.location.latitude = coordinates.latitude;
-  this.location.longitude = coordinates.longitude;
+  this.location = coordinates;
   await this.save();
 };
 
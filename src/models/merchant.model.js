@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { pointField } = require('./schemas/point.schema');
+const { getAvailability } = require('../utils/openingHours');
+
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const merchantSchema = mongoose.Schema(
   {
@@ -13,10 +17,27 @@ const merchantSchema = mongoose.Schema(
       required: true,
       trim: true,
     },
-    location: {
-      latitude: { type: Number, required: true },
-      longitude: { type: Number, required: true },
-    },
+    location: pointField({ required: true }), // Point GeoJSON
+    // Horaires d'ouverture, en heure locale du commerçant ; sans créneau, le commerce est ouvert en permanence
+    timezone: { type: String, default: 'Europe/Paris' }, // Fuseau IANA
+    openingHours: [
+      {
+        _id: false,
+        day: { type: Number, min: 0, max: 6, required: true }, // 0 = dimanche
+        open: { type: String, match: timePattern, required: true }, // HH:mm
+        close: { type: String, match: timePattern, required: true }, // HH:mm, le lendemain si antérieure à l'ouverture
+      },
+    ],
+    // Fermetures exceptionnelles (congés, jours fériés...)
+    closures: [
+      {
+        from: { type: Date, required: true },
+        to: { type: Date, required: true },
+        reason: { type: String, trim: true },
+      },
+    ],
+    ordersPaused: { type: Boolean, default: false }, // Pause manuelle des commandes
+    slotCapacity: { type: Number, min: 1 }, // Commandes programmées par créneau (défaut : configuration)
     products: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -45,8 +66,14 @@ const merchantSchema = mongoose.Schema(
     returns: [
       {
         orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' }, // Demande de retour d'origine
         reason: { type: String },
-        status: { type: String, enum: ['pending', 'resolved'], default: 'pending' },
+        status: {
+          type: String,
+          enum: ['pending', 'countered', 'approved', 'rejected', 'cancelled', 'resolved'],
+          default: 'pending',
+        },
+        amount: { type: Number }, // Montant remboursé au client
         date: { type: Date, default: Date.now },
       },
     ],
@@ -99,10 +126,21 @@ const merchantSchema = mongoose.Schema(
   }
 );
 
+merchantSchema.index({ location: '2dsphere' });
+
 // Ajouter les plugins
 merchantSchema.plugin(toJSON);
 merchantSchema.plugin(paginate);
 
+/**
+ * État d'ouverture du commerçant : ouvert ou non, heure de fermeture ou prochaine ouverture.
+ * @param {Date} [now]
+ * @returns {{isOpen: Boolean, reason: string|null, closesAt: Date|null, nextOpeningAt: Date|null}}
+ */
+merchantSchema.methods.getAvailability = function (now = new Date()) {
+  return getAvailability(this, now);
+};
+
 /**
  * Gérer un retour.
  * @param {ObjectId} orderId - ID de la commande associée au retour.
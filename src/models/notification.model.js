@@ -14,7 +14,7 @@ const notificationSchema = mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['order_update', 'promotion', 'system', 'custom'], // Ajout du type "custom"
+      enum: ['order_update', 'promotion', 'system', 'custom', 'stock_alert'], // `stock_alert` : stock faible ou rupture
       required: true,
     },
     isRead: {
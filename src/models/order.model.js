@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
+const { pointField } = require('./schemas/point.schema');
+const { orderStatuses, assertTransition } = require('../utils/orderStateMachine');
 
 const orderSchema = mongoose.Schema(
   {
@@ -13,26 +15,53 @@ const orderSchema = mongoose.Schema(
       ref: 'Merchant',
       required: true,
     },
+    // Checkout parent lorsque le panier a été scindé par commerçant
+    checkoutGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CheckoutGroup',
+    },
     products: [
       {
         productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
         quantity: { type: Number, required: true },
         price: { type: Number, required: true },
+        // Détail de la ligne : prix × quantité, part de remise, montant dû
+        subtotal: { type: Number },
+        discount: { type: Number, default: 0 },
+        total: { type: Number },
       },
     ],
     promotion: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Promotion',
     },
-    totalPrice: {
+    subtotal: {
+      type: Number, // Total avant remise
+    },
+    discount: {
       type: Number,
+      default: 0,
+    },
+    totalPrice: {
+      type: Number, // Total dû après remise
       required: true,
     },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'in_progress', 'completed', 'cancelled'],
+      enum: orderStatuses,
       default: 'pending',
     },
+    // Journal d'audit des changements de statut
+    statusHistory: [
+      {
+        from: { type: String, enum: orderStatuses },
+        status: { type: String, enum: orderStatuses, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        role: { type: String },
+        reason: { type: String },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
     delivery: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Delivery',
@@ -44,6 +73,24 @@ const orderSchema = mongoose.Schema(
     notes: {
       type: String, // Instructions spéciales pour la commande
     },
+    deliveryAddress: {
+      street: { type: String },
+      city: { type: String },
+      postalCode: { type: String },
+      country: { type: String },
+      coordinates: pointField(), // Point GeoJSON, utilisé pour estimer le trajet jusqu'au client
+    },
+    // Créneau de livraison choisi au checkout (commande programmée)
+    deliverySlot: {
+      start: { type: Date },
+      end: { type: Date },
+    },
+    releaseAt: {
+      type: Date, // Transmission de la commande programmée au commerçant
+    },
+    estimatedDeliveryAt: {
+      type: Date, // Dernière estimation de l'heure de livraison
+    },
     revenue: {
       type: Number, // Montant généré pour le commerçant
     },
@@ -59,20 +106,28 @@ const orderSchema = mongoose.Schema(
   }
 );
 
+// Commandes programmées à transmettre, capacité des créneaux
+orderSchema.index({ status: 1, releaseAt: 1 });
+orderSchema.index({ merchant: 1, 'deliverySlot.start': 1 });
+
 // Ajouter les plugins
 orderSchema.plugin(toJSON);
 orderSchema.plugin(paginate);
 
-// Méthode : Calculer le total de la commande
+// Méthode : Calculer le total de la commande (remise déduite)
 orderSchema.methods.calculateTotalPrice = function () {
-  const total = this.products.reduce((acc, product) => acc + product.quantity * product.price, 0);
-  this.totalPrice = total;
-  return total;
+  this.subtotal = this.products.reduce((acc, product) => acc + product.quantity * product.price, 0);
+  this.totalPrice = this.subtotal - (this.discount || 0);
+  return this.totalPrice;
 };
 
 // Middleware : Calcul automatique des revenus avant la sauvegarde
 orderSchema.pre('save', async function (next) {
   this.revenue = this.products.reduce((acc, product) => acc + product.quantity * product.price, 0);
+  // Statut initial dans le journal d'audit
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, role: 'system' });
+  }
   next();
 });
 
@@ -89,11 +144,17 @@ orderSchema.methods.validateStock = async function () {
   }
 };
 
-// Méthode : Mettre à jour le statut de la commande
-orderSchema.methods.updateStatus = async function (newStatus) {
-  if (!['pending', 'accepted', 'in_progress', 'completed', 'cancelled'].includes(newStatus)) {
-    throw new Error('Invalid order status');
-  }
+/**
+ * Méthode : Faire transiter la commande via la machine à états et tracer le changement.
+ * @param {String} newStatus - Statut cible
+ * @param {Object} [context]
+ * @param {ObjectId} [context.actor] - Utilisateur à l'origine du changement
+ * @param {String} [context.role] - Rôle de l'acteur (`system` par défaut)
+ * @param {String} [context.reason] - Motif du changement
+ */
+orderSchema.methods.updateStatus = async function (newStatus, { actor, role = 'system', reason } = {}) {
+  assertTransition(this.status, newStatus, role);
+  this.statusHistory.push({ from: this.status, status: newStatus, actor, role, reason });
   this.status = newStatus;
   await this.save();
 };
@@ -104,7 +165,10 @@ orderSchema.methods.generateReceipt = function () {
     orderId: this._id,
     client: this.client,
     merchant: this.merchant,
+    checkoutGroup: this.checkoutGroup,
     products: this.products,
+    subtotal: this.subtotal,
+    discount: this.discount,
     totalPrice: this.totalPrice,
     revenue: this.revenue,
     status: this.status,
@@ -114,6 +178,7 @@ orderSchema.methods.generateReceipt = function () {
 // Ajouter un index pour optimiser les recherches fréquentes
 orderSchema.index({ client: 1, status: 1 });
 orderSchema.index({ merchant: 1, status: 1 });
+orderSchema.index({ checkoutGroup: 1 });
 
 const Order = mongoose.model('Order', orderSchema);
 
@@ -1,12 +1,22 @@
 const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
 
+// `authorized` : fonds réservés chez le prestataire, pas encore capturés ; `voided` : autorisation annulée
+const paymentStatuses = ['pending', 'authorized', 'completed', 'failed', 'voided'];
+
 const paymentSchema = mongoose.Schema(
   {
     order: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order',
-      required: true,
+      required() {
+        return !this.checkoutGroup;
+      },
+    },
+    // Paiement unique couvrant toutes les sous-commandes d'un checkout
+    checkoutGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CheckoutGroup',
     },
     amount: {
       type: Number,
@@ -29,9 +39,17 @@ const paymentSchema = mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed'],
+      enum: paymentStatuses,
       default: 'pending',
     },
+    // Prestataire ayant traité la transaction (voir services/paymentProviders)
+    provider: {
+      type: String,
+    },
+    currency: {
+      type: String,
+      default: 'EUR',
+    },
     transactionId: {
       type: String,
       unique: true,
@@ -39,9 +57,34 @@ const paymentSchema = mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['payment', 'refund', 'fee'],
+      enum: ['payment', 'refund', 'fee', 'tip'], // `tip` : pourboire du client au livreur
       required: true,
     },
+    // Remboursement : paiement d'origine et détail des articles remboursés
+    parentPayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    refundItems: [
+      {
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        quantity: { type: Number, min: 1 },
+        amount: { type: Number },
+      },
+    ],
+    reason: {
+      type: String,
+    },
+    // Paiement : montant effectivement capturé, inférieur au montant autorisé en cas de capture partielle
+    capturedAmount: {
+      type: Number,
+      min: 0,
+    },
+    // Paiement : cumul déjà remboursé, jamais supérieur au montant capturé
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -69,10 +112,12 @@ paymentSchema.plugin(paginate);
 paymentSchema.index({ status: 1, createdAt: -1 });
 paymentSchema.index({ method: 1, createdAt: -1 });
 paymentSchema.index({ order: 1 });
+paymentSchema.index({ checkoutGroup: 1 });
+paymentSchema.index({ parentPayment: 1 });
 
 // Méthode : Mettre à jour le statut du paiement
 paymentSchema.methods.updateStatus = async function (newStatus) {
-  if (!['pending', 'completed', 'failed'].includes(newStatus)) {
+  if (!paymentStatuses.includes(newStatus)) {
     throw new Error('Invalid payment status');
   }
   this.history.push({ status: this.status }); // Sauvegarde du statut actuel
@@ -80,6 +125,16 @@ paymentSchema.methods.updateStatus = async function (newStatus) {
   await this.save();
 };
 
+// Méthode : Montant capturé (montant du paiement s'il n'a pas été consigné)
+paymentSchema.methods.getCapturedAmount = function () {
+  return typeof this.capturedAmount === 'number' ? this.capturedAmount : this.amount;
+};
+
+// Méthode : Montant encore remboursable
+paymentSchema.methods.getRefundableAmount = function () {
+  return Math.round((this.getCapturedAmount() - (this.refundedAmount || 0)) * 100) / 100;
+};
+
 // Méthode : Calculer les revenus nets
 paymentSchema.methods.calculateNetRevenue = function () {
   return this.amount - this.fees;
@@ -93,7 +148,7 @@ paymentSchema.methods.calculateFeesPercentage = function () {
 
 // Méthode statique : Récupérer les paiements par statut
 paymentSchema.statics.getByStatus = async function (status) {
-  if (!['pending', 'completed', 'failed'].includes(status)) {
+  if (!paymentStatuses.includes(status)) {
     throw new Error('Invalid status');
   }
   return this.find({ status }).sort({ createdAt: -1 });
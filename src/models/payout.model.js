@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+/**
+ * Virement du solde d'un commerçant ou d'un livreur, émis par le lot de règlement périodique.
+ */
+const payoutSchema = mongoose.Schema(
+  {
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required() {
+        return !this.livreur;
+      },
+    },
+    livreur: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Livreur',
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'EUR',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed'],
+      default: 'pending',
+    },
+    entries: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LedgerEntry', // Écritures soldées par ce virement
+      },
+    ],
+    periodEnd: {
+      type: Date, // Écritures comptabilisées jusqu'à cette date
+      required: true,
+    },
+    paidAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+payoutSchema.plugin(toJSON);
+payoutSchema.plugin(paginate);
+
+payoutSchema.index({ merchant: 1, createdAt: -1 });
+payoutSchema.index({ livreur: 1, createdAt: -1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+module.exports = Payout;
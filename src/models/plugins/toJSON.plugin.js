@@ -7,6 +7,9 @@
  */
 
 const deleteAtPath = (obj, path, index) => {
+  if (!obj) {
+    return;
+  }
   if (index === path.length - 1) {
     delete obj[path[index]];
     return;
@@ -8,6 +8,11 @@ const productSchema = mongoose.Schema(
       ref: 'Merchant',
       required: true,
     },
+    // Référence du produit chez le commerçant, clé des imports de catalogue
+    sku: {
+      type: String,
+      trim: true,
+    },
     name: {
       type: String,
       required: true,
@@ -25,11 +30,18 @@ const productSchema = mongoose.Schema(
       ref: 'Category', // Utilisation d’un modèle `Category` pour une meilleure gestion
       required: true,
     },
+    // Projection en lecture seule de Inventory.quantity, réécrite à chaque mouvement de stock (voir inventoryService)
     stock: {
       type: Number,
       required: true,
       default: 0,
     },
+    // Projection de Inventory.reserved : quantité retenue par des réservations actives
+    reservedStock: {
+      type: Number,
+      default: 0,
+    },
+    // Historique antérieur au journal StockMovement, plus alimenté
     stockHistory: [
       {
         date: { type: Date, default: Date.now },
@@ -76,11 +88,22 @@ const productSchema = mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
   }
 );
 
+// Un SKU est unique dans le catalogue d'un commerçant
+productSchema.index({ merchant: 1, sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+
 // Ajouter les plugins
 productSchema.plugin(toJSON);
+
+/**
+ * Stock disponible à la vente : stock en main moins réservations actives
+ */
+productSchema.virtual('availableStock').get(function () {
+  return Math.max(0, this.stock - (this.reservedStock || 0));
+});
 productSchema.plugin(paginate);
 
 // **Méthodes et Statics**
@@ -102,24 +125,12 @@ productSchema.methods.calculateAverageRating = async function () {
   await this.save();
 };
 
-/**
- * Mettre à jour le stock.
- * @param {Number} quantity - Quantité à ajouter ou retirer.
- * @param {String} reason - Raison de la modification.
- */
-productSchema.methods.updateStock = async function (quantity, reason = 'update') {
-  this.stock += quantity;
-  if (this.stock < 0) throw new Error('Insufficient stock');
-  this.stockHistory.push({ change: quantity, reason });
-  await this.save();
-};
-
 /**
  * Vérifier la disponibilité.
  * @returns {Boolean} - Retourne `true` si le produit est disponible.
  */
 productSchema.methods.isAvailable = function () {
-  return this.stock > 0 && this.isActive;
+  return this.availableStock > 0 && this.isActive;
 };
 
 /**
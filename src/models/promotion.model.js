@@ -39,6 +39,21 @@ const promotionSchema = mongoose.Schema(
       type: Number,
       default: 1,
     },
+    // Nombre d'utilisations autorisées par client (illimité si absent)
+    usageLimitPerUser: {
+      type: Number,
+      min: 1,
+    },
+    // Plafond de la remise, utile pour les remises en pourcentage
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    // Montant minimum des articles du commerçant pour bénéficier de la remise
+    minBasketValue: {
+      type: Number,
+      min: 0,
+    },
     usedCount: {
       type: Number,
       default: 0,
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const returnRequestStatuses = ['pending', 'countered', 'approved', 'rejected', 'cancelled'];
+
+/**
+ * Demande de retour / remboursement ouverte par un client sur une commande livrée.
+ * Elle est traitée par le commerçant ou le support (acceptation, refus ou contre-proposition) ;
+ * l'acceptation déclenche le remboursement du paiement d'origine.
+ * `Client.refunds` et `Merchant.returns` en sont des vues synchronisées.
+ */
+const returnRequestSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    photos: [{ type: String, trim: true }], // URLs des photos jointes par le client
+    items: [
+      {
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        quantity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    requestedAmount: {
+      type: Number, // Montant demandé ; à défaut, les articles ou le reste remboursable de la commande
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: returnRequestStatuses,
+      default: 'pending',
+    },
+    counterOffer: {
+      amount: { type: Number, min: 0 },
+      note: { type: String },
+      actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      role: { type: String },
+      createdAt: { type: Date },
+    },
+    restock: {
+      type: Boolean,
+      default: false, // Remettre les articles en stock à l'acceptation
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    refundedAmount: {
+      type: Number,
+    },
+    history: [
+      {
+        from: { type: String, enum: returnRequestStatuses },
+        status: { type: String, enum: returnRequestStatuses, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        role: { type: String },
+        note: { type: String },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+returnRequestSchema.plugin(toJSON);
+returnRequestSchema.plugin(paginate);
+
+// Initialiser l'historique à la création
+returnRequestSchema.pre('save', function (next) {
+  if (this.isNew && this.history.length === 0) {
+    this.history.push({ status: this.status, actor: this.client, role: 'client' });
+  }
+  next();
+});
+
+/**
+ * Une demande est ouverte tant qu'elle attend une décision du commerçant, du support ou du client.
+ * @returns {boolean}
+ */
+returnRequestSchema.methods.isOpen = function () {
+  return ['pending', 'countered'].includes(this.status);
+};
+
+returnRequestSchema.index({ order: 1, status: 1 });
+returnRequestSchema.index({ client: 1, createdAt: -1 });
+returnRequestSchema.index({ merchant: 1, status: 1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { toPoint } = require('../../utils/geo');
+
+/**
+ * Point GeoJSON ([longitude, latitude]), à indexer en 2dsphere.
+ * Les coordonnées `{latitude, longitude}` reçues par l'API sont converties à l'affectation.
+ */
+const pointSchema = mongoose.Schema(
+  {
+    type: { type: String, enum: ['Point'], required: true },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate(value) {
+        const [longitude, latitude] = value;
+        if (value.length !== 2 || longitude < -180 || longitude > 180 || latitude < -90 || latitude > 90) {
+          throw new Error('Coordinates must be [longitude, latitude] with valid ranges');
+        }
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Définition d'un champ de type point.
+ * @param {Object} [options] - Options du champ (required...)
+ * @returns {Object}
+ */
+const pointField = (options = {}) => ({ type: pointSchema, set: toPoint, ...options });
+
+module.exports = {
+  pointSchema,
+  pointField,
+};
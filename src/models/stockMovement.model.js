@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { stockMovementTypes } = require('../config/stockMovements');
+
+/**
+ * Mouvement de stock : journal en ajout seul, la quantité d'un inventaire est la somme de ses mouvements.
+ * Un mouvement n'est jamais modifié ni supprimé ; une erreur se corrige par un mouvement `adjustment`.
+ */
+const stockMovementSchema = mongoose.Schema(
+  {
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: stockMovementTypes,
+      required: true,
+    },
+    quantity: {
+      type: Number, // Variation signée : négative pour une sortie
+      required: true,
+    },
+    balance: {
+      type: Number, // Stock après le mouvement
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Ajouter les plugins
+stockMovementSchema.plugin(toJSON);
+stockMovementSchema.plugin(paginate);
+
+stockMovementSchema.index({ inventory: 1, createdAt: 1 });
+stockMovementSchema.index({ merchant: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+// Journal en ajout seul
+stockMovementSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Stock movements are append-only'));
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'remove'].forEach(
+  (operation) => {
+    stockMovementSchema.pre(operation, function (next) {
+      next(new Error('Stock movements are append-only'));
+    });
+  }
+);
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
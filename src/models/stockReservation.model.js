@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { stockReservationStatuses } = require('../config/stockMovements');
+
+/**
+ * Réservation de stock à durée limitée : la quantité reste en stock mais n'est plus disponible à la vente
+ * (Inventory.reserved) jusqu'à sa consommation par un paiement abouti ou sa libération.
+ */
+const stockReservationSchema = mongoose.Schema(
+  {
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    merchant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Sous-commande en attente de paiement ; absente pour une réservation de panier
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: stockReservationStatuses,
+      default: 'active',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Date de consommation ou de libération
+    settledAt: {
+      type: Date,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Ajouter les plugins
+stockReservationSchema.plugin(toJSON);
+stockReservationSchema.plugin(paginate);
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ order: 1, status: 1 });
+stockReservationSchema.index({ client: 1, product: 1, status: 1 });
+stockReservationSchema.index({ inventory: 1, status: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+module.exports = StockReservation;
@@ -18,6 +18,13 @@ router
   .patch(auth('updateCartItem'), validate(cartValidation.updateCartItem), cartController.updateCartItem) // Mettre à jour la quantité d'un produit
   .delete(auth('removeFromCart'), validate(cartValidation.removeFromCart), cartController.removeFromCart); // Supprimer un produit du panier
 
+router
+  .route('/promotion')
+  .post(auth('applyPromotion'), validate(cartValidation.applyPromotion), cartController.applyPromotion) // Appliquer un code promotionnel
+  .delete(auth('applyPromotion'), validate(cartValidation.removePromotion), cartController.removePromotion); // Retirer le code promotionnel
+
+router.route('/checkout').post(auth('placeOrder'), validate(cartValidation.checkout), cartController.checkout); // Transformer le panier en commande
+
 module.exports = router;
 
 /**
@@ -173,3 +180,150 @@ module.exports = router;
  *       "404":
  *         $ref: '#/components/responses/NotFound'
  */
+
+/**
+ * @swagger
+ * /cart/checkout:
+ *   post:
+ *     summary: Transformer le panier en commandes (une par commerçant)
+ *     description: Les articles sont re-valorisés au prix catalogue et leur stock est réservé jusqu'au paiement, dans une transaction. En cas d'échec, rien n'est modifié. Sans paiement avant `checkoutGroup.paymentDueAt`, les commandes sont annulées et le stock libéré.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveryAddress:
+ *                 type: object
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   postalCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *               deliverySlot:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Début d'un créneau de livraison ; les commandes sont alors programmées (`scheduled`)
+ *             example:
+ *               deliveryAddress:
+ *                 street: "12 rue de la Paix"
+ *                 city: "Paris"
+ *                 postalCode: "75002"
+ *                 country: "France"
+ *               notes: "Sonner deux fois"
+ *     responses:
+ *       "201":
+ *         description: Une sous-commande créée par commerçant, panier vidé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 checkoutGroup:
+ *                   type: object
+ *                   description: Groupe reliant les sous-commandes, à régler en un seul paiement
+ *                   properties:
+ *                     paymentDueAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Échéance des réservations de stock
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *       "400":
+ *         description: Panier vide (CART_EMPTY) ou créneau non réservable (DELIVERY_SLOT_INVALID)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         description: Produit introuvable (PRODUCT_NOT_FOUND)
+ *       "409":
+ *         description: Stock insuffisant (OUT_OF_STOCK), commerçant fermé (MERCHANT_CLOSED) ou créneau complet (DELIVERY_SLOT_FULL)
+ */
+
+/**
+ * @swagger
+ * /cart/promotion:
+ *   post:
+ *     summary: Appliquer un code promotionnel au panier
+ *     description: Renvoie les totaux remisés et la meilleure promotion disponible, ou le motif du refus dans `errorCode`.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               deliveryAddress:
+ *                 type: object
+ *                 description: Requise pour les promotions limitées à certaines régions
+ *             example:
+ *               code: "BIENVENUE10"
+ *     responses:
+ *       "200":
+ *         description: Code appliqué
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cart:
+ *                   $ref: '#/components/schemas/Cart'
+ *                 promotion:
+ *                   type: object
+ *                 pricing:
+ *                   type: object
+ *                   properties:
+ *                     subtotal:
+ *                       type: number
+ *                     discount:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                     lines:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                 suggestedPromotion:
+ *                   type: object
+ *                   nullable: true
+ *       "400":
+ *         description: >
+ *           Code refusé : PROMOTION_EXPIRED, PROMOTION_INACTIVE, PROMOTION_USAGE_LIMIT_REACHED, PROMOTION_USER_LIMIT_REACHED,
+ *           PROMOTION_WRONG_MERCHANT, PROMOTION_REGION_MISMATCH, PROMOTION_NO_APPLICABLE_PRODUCTS,
+ *           PROMOTION_MIN_BASKET_NOT_REACHED ou CART_EMPTY
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         description: Code inconnu (PROMOTION_NOT_FOUND)
+ *   delete:
+ *     summary: Retirer le code promotionnel du panier
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Code retiré, totaux recalculés
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -0,0 +1,160 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const cashValidation = require('../../validations/cash.validation');
+const cashController = require('../../controllers/cash.controller');
+
+const router = express.Router();
+
+router.route('/balance').get(auth('reconcileCash'), cashController.getCashBalance); // Solde d'espèces du livreur
+
+router
+  .route('/reconciliations')
+  .post(auth('reconcileCash'), validate(cashValidation.reconcileCash), cashController.reconcileCash) // Rapprochement de fin de service
+  .get(auth('viewCashReconciliations'), validate(cashValidation.getReconciliations), cashController.getReconciliations); // Lister les rapprochements
+
+router
+  .route('/reconciliations/:reconciliationId/resolve')
+  .post(
+    auth('manageCashReconciliations'),
+    validate(cashValidation.resolveReconciliation),
+    cashController.resolveReconciliation
+  ); // Résoudre un écart
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cash
+ *   description: Paiement à la livraison et rapprochement des espèces des livreurs
+ */
+
+/**
+ * @swagger
+ * /cash/balance:
+ *   get:
+ *     summary: Solde d'espèces du livreur connecté
+ *     description: Espèces encaissées à la livraison et pas encore remises, avec le détail des collectes détenues.
+ *     tags: [Cash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Solde et collectes en cours
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /cash/reconciliations:
+ *   post:
+ *     summary: Déclarer les espèces remises en fin de service
+ *     description: |
+ *       Compare le montant déclaré au solde du livreur. Sans écart, les paiements en espèces concernés passent à `completed`.
+ *       Un écart est signalé au support et les paiements restent en attente jusqu'à sa résolution.
+ *     tags: [Cash]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - declaredAmount
+ *             properties:
+ *               declaredAmount:
+ *                 type: number
+ *                 minimum: 0
+ *               note:
+ *                 type: string
+ *             example:
+ *               declaredAmount: 84.5
+ *     responses:
+ *       "201":
+ *         description: Rapprochement enregistré (`balanced` ou `discrepancy`)
+ *       "400":
+ *         description: Aucune espèce à rapprocher (CASH_NOTHING_TO_RECONCILE)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "409":
+ *         description: Solde modifié pendant le rapprochement, à relancer (CASH_RECONCILIATION_CONFLICT)
+ *   get:
+ *     summary: Lister les rapprochements
+ *     description: Un livreur ne voit que les siens ; le support filtre les écarts avec `status=discrepancy`.
+ *     tags: [Cash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [balanced, discrepancy, resolved]
+ *       - in: query
+ *         name: livreur
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: Liste paginée des rapprochements
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /cash/reconciliations/{reconciliationId}/resolve:
+ *   post:
+ *     summary: Résoudre un écart de caisse (support)
+ *     tags: [Cash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *               writeOff:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Montant abandonné, déduit du solde du livreur
+ *     responses:
+ *       "200":
+ *         description: Écart résolu, paiements concernés encaissés
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Le rapprochement n'est pas en écart (CASH_RECONCILIATION_INVALID_STATE)
+ */
@@ -79,7 +79,7 @@ router.get(
  * Routes pour les remboursements
  */
 
-// Demander un remboursement
+// Demander un remboursement (équivalent à POST /returns)
 router.post(
   '/:clientId/refunds',
   auth('requestRefund'),
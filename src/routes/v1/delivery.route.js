@@ -13,6 +13,10 @@ router
 
 router.route('/stats').get(auth('viewDeliveryStats'), deliveryController.getDeliveryStats);
 
+router
+  .route('/eta/accuracy')
+  .get(auth('manageDeliveries'), validate(deliveryValidation.getEtaAccuracy), deliveryController.getEtaAccuracy); // Estimé vs réel
+
 router
   .route('/distance')
   .post(
@@ -32,8 +36,16 @@ router
   .delete(auth('manageDeliveries'), validate(deliveryValidation.deleteDelivery), deliveryController.deleteDelivery);
 
 router
-  .route('/:deliveryId/assign')
-  .patch(auth('assignDelivery'), validate(deliveryValidation.assignDelivery), deliveryController.assignDelivery);
+  .route('/:deliveryId/proof/:kind')
+  .get(auth('manageDeliveries'), validate(deliveryValidation.getDeliveryProof), deliveryController.getDeliveryProof); // Photo ou signature de la remise
+
+router
+  .route('/:deliveryId/offers')
+  .get(auth('manageDeliveries'), validate(deliveryValidation.getDeliveryOffers), deliveryController.getDeliveryOffers); // Historique du dispatch
+
+router
+  .route('/:deliveryId/tip')
+  .post(auth('tipDelivery'), validate(deliveryValidation.tipDelivery), deliveryController.tipDelivery); // Pourboire du client
 
 module.exports = router;
 
@@ -137,6 +149,37 @@ module.exports = router;
  *         $ref: '#/components/responses/Unauthorized'
  */
 
+/**
+ * @swagger
+ * /deliveries/eta/accuracy:
+ *   get:
+ *     summary: Précision des heures de livraison estimées
+ *     description: |
+ *       Compare chaque estimation (checkout, changement de statut) à l'heure réelle de livraison, par déclencheur.
+ *       `meanErrorMinutes` est positif lorsque les livraisons arrivent en moyenne après l'heure estimée.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       "200":
+ *         description: "`trigger`, `count`, `meanErrorMinutes`, `meanAbsoluteErrorMinutes`, `withinFiveMinutesRate`"
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
 /**
  * @swagger
  * /deliveries/{deliveryId}:
@@ -166,6 +209,11 @@ module.exports = router;
  *
  *   patch:
  *     summary: Mettre à jour le statut d'une livraison
+ *     description: |
+ *       Le passage à `delivered` exige une livraison en cours et une preuve de livraison :
+ *       code PIN du client, photo et signature si la configuration les impose,
+ *       livreur à moins de `POD_GEOFENCE_METERS` mètres de l'adresse de livraison.
+ *       Après `POD_PIN_MAX_ATTEMPTS` saisies erronées, la livraison doit être clôturée par le support.
  *     tags: [Deliveries]
  *     security:
  *       - bearerAuth: []
@@ -178,10 +226,21 @@ module.exports = router;
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, in_progress, delivered, cancelled]
+ *                 enum: [delivered]
  *                 description: Nouveau statut de la livraison
+ *               pin:
+ *                 type: string
+ *                 pattern: '^\\d{4}$'
+ *                 description: Code communiqué par le client
+ *               photo:
+ *                 type: string
+ *                 description: Photo de la remise (data URI base64 jpeg, png ou webp)
+ *               signature:
+ *                 type: string
+ *                 description: Signature du client (data URI base64 jpeg, png ou webp)
  *             example:
  *               status: delivered
+ *               pin: "4821"
  *     responses:
  *       "200":
  *         description: Statut mis à jour avec succès
@@ -190,13 +249,51 @@ module.exports = router;
  *             schema:
  *               $ref: '#/components/schemas/Delivery'
  *       "400":
- *         $ref: '#/components/responses/BadRequest'
+ *         description: PIN manquant ou erroné, pièce manquante ou invalide, livreur hors de la zone de livraison
  *       "404":
  *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Livraison pas en cours ou PIN bloqué
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  */
 
+/**
+ * @swagger
+ * /deliveries/{deliveryId}/proof/{kind}:
+ *   get:
+ *     summary: Photo ou signature de la preuve de livraison
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [photo, signature]
+ *     responses:
+ *       "200":
+ *         description: Image telle que transmise par le livreur
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
 /**
  * @swagger
  * /deliveries/distance:
@@ -249,3 +346,82 @@ module.exports = router;
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
  */
+
+/**
+ * @swagger
+ * /deliveries/{deliveryId}/tip:
+ *   post:
+ *     summary: Laisser un pourboire au livreur
+ *     description: |
+ *       Un seul pourboire par livraison, débité au client et reversé intégralement au livreur.
+ *       Laissé avant la livraison, il est comptabilisé avec la rémunération de la course.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 maximum: 100
+ *               method:
+ *                 type: string
+ *                 enum: [credit_card, paypal]
+ *                 default: credit_card
+ *               source:
+ *                 type: string
+ *                 description: Jeton du moyen de paiement
+ *             example:
+ *               amount: 3
+ *     responses:
+ *       "200":
+ *         description: Pourboire débité et enregistré
+ *       "400":
+ *         description: Livraison annulée ou sans livreur (DELIVERY_NOT_TIPPABLE)
+ *       "402":
+ *         description: Paiement du pourboire refusé (PAYMENT_DECLINED)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Pourboire déjà laissé (DELIVERY_ALREADY_TIPPED)
+ */
+
+/**
+ * @swagger
+ * /deliveries/{deliveryId}/offers:
+ *   get:
+ *     summary: Historique du dispatch d'une livraison
+ *     description: Offres faites aux livreurs dans l'ordre, avec leur score, leur issue et le motif des refus.
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Offres de la livraison
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
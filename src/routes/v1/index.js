@@ -3,6 +3,7 @@ const authRoute = require('./auth.route');
 const userRoute = require('./user.route');
 const docsRoute = require('./docs.route');
 const config = require('../../config/config');
+const logger = require('../../config/logger');
 
 const router = express.Router();
 
@@ -17,6 +18,31 @@ const defaultRoutes = [
   },
 ];
 
+/* eslint-disable global-require */
+// Modules métier : chaque module peut être désactivé via DISABLED_MODULES.
+// Les routeurs sont chargés à la demande afin qu'un module désactivé ne soit jamais évalué.
+const moduleRoutes = [
+  { module: 'orders', path: '/orders', load: () => require('./order.route') },
+  { module: 'cart', path: '/cart', load: () => require('./cart.route') },
+  { module: 'payments', path: '/payments', load: () => require('./payment.route') },
+  { module: 'returns', path: '/returns', load: () => require('./returnRequest.route') },
+  { module: 'cash', path: '/cash', load: () => require('./cash.route') },
+  { module: 'deliveries', path: '/deliveries', load: () => require('./delivery.route') },
+  { module: 'livreurs', path: '/livreurs', load: () => require('./livreur.route') },
+  { module: 'merchants', path: '/merchants', load: () => require('./merchant.route') },
+  { module: 'products', path: '/products', load: () => require('./product.route') },
+  { module: 'inventory', path: '/inventory', load: () => require('./inventory.route') },
+  { module: 'promotions', path: '/promotions', load: () => require('./promotion.route') },
+  { module: 'reviews', path: '/reviews', load: () => require('./review.route') },
+  { module: 'feedbacks', path: '/feedbacks', load: () => require('./feedback.route') },
+  { module: 'notifications', path: '/notifications', load: () => require('./notification.route') },
+  { module: 'realtime', path: '/realtime', load: () => require('./realtime.route') },
+  { module: 'support', path: '/support', load: () => require('./support.route') },
+  { module: 'clients', path: '/clients', load: () => require('./client.route') },
+  { module: 'admins', path: '/admins', load: () => require('./admin.route') },
+];
+/* eslint-enable global-require */
+
 const devRoutes = [
   // routes available only in development mode
   {
@@ -25,7 +51,43 @@ const devRoutes = [
   },
 ];
 
-defaultRoutes.forEach((route) => {
+/**
+ * Charger les modules activés et échouer au démarrage si l'un d'eux référence un handler inexistant.
+ * Express lève une erreur dès qu'une route reçoit un handler `undefined` (et `validate` dès qu'un schéma manque) :
+ * on regroupe ces erreurs pour signaler tous les modules cassés en une seule fois.
+ * @param {Array<Object>} routes - Modules déclarés dans le registre
+ * @param {Array<string>} disabled - Noms des modules désactivés
+ * @returns {Array<Object>} - Modules activés avec leur routeur chargé
+ */
+const loadModuleRoutes = (routes, disabled) => {
+  const known = routes.map((route) => route.module);
+  disabled
+    .filter((name) => !known.includes(name))
+    .forEach((name) => logger.warn(`[ROUTES] Unknown module in DISABLED_MODULES: ${name}`));
+
+  const failures = [];
+  const loaded = routes
+    .filter((route) => !disabled.includes(route.module))
+    .reduce((acc, route) => {
+      try {
+        acc.push({ ...route, route: route.load() });
+      } catch (error) {
+        // Pointer la ligne fautive du fichier de routes pour identifier le handler manquant
+        const location = (error.stack || '').match(/\w+\.route\.js:\d+/);
+        failures.push(`  - ${route.module} (${route.path}): ${error.message}${location ? ` at ${location[0]}` : ''}`);
+      }
+      return acc;
+    }, []);
+
+  if (failures.length) {
+    throw new Error(`Route registry: ${failures.length} module(s) failed to load\n${failures.join('\n')}`);
+  }
+  return loaded;
+};
+
+const enabledModuleRoutes = loadModuleRoutes(moduleRoutes, config.modules.disabled);
+
+[...defaultRoutes, ...enabledModuleRoutes].forEach((route) => {
   router.use(route.path, route.route);
 });
 
@@ -37,3 +99,5 @@ if (config.env === 'development') {
 }
 
 module.exports = router;
+module.exports.moduleRoutes = moduleRoutes;
+module.exports.loadModuleRoutes = loadModuleRoutes;
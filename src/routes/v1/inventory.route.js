@@ -9,24 +9,28 @@ const router = express.Router();
 router
   .route('/')
   .get(auth('viewInventory'), validate(inventoryValidation.getInventory), inventoryController.getInventory) // Récupérer l'inventaire
-  .post(auth('addProduct'), validate(inventoryValidation.addProductToInventory), inventoryController.addProductToInventory); // Ajouter un produit à l'inventaire
+  .post(auth('addProduct'), validate(inventoryValidation.addProduct), inventoryController.addProductToInventory); // Ajouter un produit à l'inventaire
+
+router
+  .route('/low-stock')
+  .get(auth('viewInventory'), validate(inventoryValidation.getLowStockReport), inventoryController.getLowStockReport); // Rapport de stock faible
 
 router
   .route('/:productId')
-  .patch(
-    auth('updateProduct'),
-    validate(inventoryValidation.updateInventoryProduct),
-    inventoryController.updateInventoryProduct
-  ) // Mettre à jour un produit
+  .patch(auth('updateProduct'), validate(inventoryValidation.updateProduct), inventoryController.updateInventoryProduct) // Mettre à jour un produit
   .delete(
     auth('deleteProduct'),
-    validate(inventoryValidation.deleteProductFromInventory),
+    validate(inventoryValidation.deleteProduct),
     inventoryController.deleteProductFromInventory
   ); // Supprimer un produit
 
 router
   .route('/:productId/stock')
-  .patch(auth('updateStock'), validate(inventoryValidation.updateProductStock), inventoryController.updateProductStock); // Mettre à jour le stock d'un produit
+  .patch(auth('updateStock'), validate(inventoryValidation.updateStock), inventoryController.updateProductStock); // Mettre à jour le stock d'un produit
+
+router
+  .route('/:productId/movements')
+  .get(auth('viewInventory'), validate(inventoryValidation.getMovements), inventoryController.getStockMovements); // Journal des mouvements de stock
 
 router.route('/stats').get(auth('viewInventory'), inventoryController.getInventoryStats); // Obtenir des statistiques d'inventaire
 
@@ -215,8 +219,16 @@ module.exports = router;
  *               quantity:
  *                 type: integer
  *                 description: Quantité à ajouter ou retirer
+ *               type:
+ *                 type: string
+ *                 enum: [restock, adjustment]
+ *                 description: Type de mouvement (par défaut restock pour un ajout, adjustment pour un retrait)
+ *               reason:
+ *                 type: string
  *             example:
  *               quantity: -5
+ *               type: adjustment
+ *               reason: Casse
  *     responses:
  *       "200":
  *         description: Stock mis à jour avec succès
@@ -228,6 +240,42 @@ module.exports = router;
  *         $ref: '#/components/responses/BadRequest'
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
+ *       "409":
+ *         description: Stock insuffisant (OUT_OF_STOCK)
+ */
+
+/**
+ * @swagger
+ * /inventory/{productId}/movements:
+ *   get:
+ *     summary: Journal des mouvements de stock d'un produit
+ *     description: |
+ *       Mouvements en ajout seul (vente, annulation, réapprovisionnement, ajustement, retour), du plus récent
+ *       au plus ancien, avec le stock après chaque mouvement (`balance`).
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: Page de mouvements
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
  */
 
 /**
@@ -250,6 +298,59 @@ module.exports = router;
  *                   type: integer
  *                 lowStockItems:
  *                   type: integer
+ *                   description: Produits sous leur seuil de stock, ruptures comprises
+ *                 outOfStockItems:
+ *                   type: integer
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /inventory/low-stock:
+ *   get:
+ *     summary: Rapport des produits en stock faible ou en rupture
+ *     description: Chaque produit est comparé à son propre seuil (`lowStockThreshold`). Le commerçant est alerté (in-app et e-mail) une seule fois par passage sous le seuil puis en rupture.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [low, out]
+ *         description: Restreindre au stock faible hors rupture (`low`) ou aux ruptures (`out`)
+ *     responses:
+ *       "200":
+ *         description: Produits du stock le plus bas au plus haut
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: object
+ *                   quantity:
+ *                     type: integer
+ *                   reserved:
+ *                     type: integer
+ *                   available:
+ *                     type: integer
+ *                   lowStockThreshold:
+ *                     type: integer
+ *                   level:
+ *                     type: string
+ *                     enum: [low, out]
+ *                   lastAlertAt:
+ *                     type: string
+ *                     format: date-time
+ *       "400":
+ *         description: Niveau invalide
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
  */
@@ -0,0 +1,328 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const livreurValidation = require('../../validations/livreur.validation');
+const livreurController = require('../../controllers/livreur.controller');
+
+const router = express.Router();
+
+router.route('/earnings').get(auth('viewEarnings'), validate(livreurValidation.getEarnings), livreurController.getEarnings); // Gains du livreur
+
+router
+  .route('/deliveries/nearby')
+  .get(auth('pickUpOrder'), validate(livreurValidation.getAvailableDeliveries), livreurController.getAvailableDeliveries); // Courses en attente à proximité
+
+router
+  .route('/deliveries/:deliveryId')
+  .patch(
+    auth('updateDeliveryStatus'),
+    validate(livreurValidation.updateDeliveryStatus),
+    livreurController.updateDeliveryStatus
+  ); // Statut d'une course, preuve de livraison à la remise
+
+router
+  .route('/deliveries/:deliveryId/pickup')
+  .post(auth('confirmPickup'), validate(livreurValidation.confirmPickup), livreurController.confirmPickup); // Retrait chez le commerçant avec le code de retrait
+
+router
+  .route('/location')
+  .patch(auth('trackDelivery'), validate(livreurValidation.updateLocation), livreurController.updateLocation); // Position diffusée aux clients suivis
+
+router.route('/offers').get(auth('respondToOffers'), validate(livreurValidation.getOffers), livreurController.getOffers); // Offres de course reçues
+
+router
+  .route('/offers/:offerId/response')
+  .post(auth('respondToOffers'), validate(livreurValidation.respondToOffer), livreurController.respondToOffer); // Accepter ou refuser une course
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Livreurs
+ *   description: Espace livreur
+ */
+
+/**
+ * @swagger
+ * /livreurs/earnings:
+ *   get:
+ *     summary: Gains du livreur connecté
+ *     description: |
+ *       Rémunération des courses (forfait, distance, attente, pointe) et pourboires, regroupés par jour, semaine ou mois.
+ *       Chaque période distingue les montants déjà versés (`paid`) de ceux en attente du prochain virement (`pending`).
+ *     tags: [Livreurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       "200":
+ *         description: Gains par période et totaux
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /livreurs/deliveries/nearby:
+ *   get:
+ *     summary: Courses en attente autour du livreur connecté
+ *     description: Livraisons sans livreur dont le point de retrait est dans le rayon demandé, de la plus proche à la plus lointaine.
+ *     tags: [Livreurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: number
+ *           maximum: 50
+ *         description: Rayon en kilomètres (par défaut, le rayon de dispatch)
+ *     responses:
+ *       "200":
+ *         description: Courses avec leur distance (km) au livreur (`distanceFromLivreur`)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /livreurs/deliveries/{deliveryId}:
+ *   patch:
+ *     summary: Mettre à jour le statut d'une course du livreur connecté
+ *     description: |
+ *       Le passage à `delivered` exige la preuve de livraison : code PIN du client,
+ *       photo et signature si la configuration les impose, livreur dans la zone de l'adresse de livraison.
+ *       Seule la remise passe par cette route : la prise en charge suit l'acceptation de l'offre,
+ *       le retrait `/pickup` et l'annulation celle de la commande.
+ *     tags: [Livreurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [delivered]
+ *               pin:
+ *                 type: string
+ *               photo:
+ *                 type: string
+ *                 description: Data URI base64 (jpeg, png ou webp)
+ *               signature:
+ *                 type: string
+ *                 description: Data URI base64 (jpeg, png ou webp)
+ *             example:
+ *               status: delivered
+ *               pin: "4821"
+ *     responses:
+ *       "200":
+ *         description: Livraison mise à jour
+ *       "400":
+ *         description: PIN manquant ou erroné, pièce manquante ou invalide, livreur hors de la zone de livraison
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Livraison pas en cours ou PIN bloqué
+ */
+
+/**
+ * @swagger
+ * /livreurs/deliveries/{deliveryId}/pickup:
+ *   post:
+ *     summary: Confirmer le retrait d'une commande chez le commerçant
+ *     description: |
+ *       Le code de retrait est celui présenté par le commerçant une fois la commande prête.
+ *       L'attente au point de retrait (`waitTime`, en minutes) est mesurée depuis l'arrivée du livreur,
+ *       détectée par ses mises à jour de position. La livraison et la commande passent à `picked_up`.
+ *     tags: [Livreurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *             example:
+ *               code: K7QH3X
+ *     responses:
+ *       "200":
+ *         description: Commande retirée
+ *       "400":
+ *         description: Code de retrait erroné
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Livraison pas en cours ou commande pas encore prête
+ */
+
+/**
+ * @swagger
+ * /livreurs/location:
+ *   patch:
+ *     summary: Mettre à jour la position du livreur connecté
+ *     description: La position est diffusée en temps réel (`livreur.location`) aux clients dont le livreur livre la commande.
+ *     tags: [Livreurs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - coordinates
+ *             properties:
+ *               coordinates:
+ *                 type: object
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *     responses:
+ *       "200":
+ *         description: Profil livreur mis à jour
+ *       "400":
+ *         description: Coordonnées invalides
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /livreurs/offers:
+ *   get:
+ *     summary: Offres de course reçues par le livreur connecté
+ *     description: Le dispatcher propose chaque course à un seul livreur à la fois ; `status=pending` liste les offres à traiter.
+ *     tags: [Livreurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, expired, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: Liste paginée des offres
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /livreurs/offers/{offerId}/response:
+ *   post:
+ *     summary: Accepter ou refuser une offre de course
+ *     description: |
+ *       Une offre doit recevoir une réponse avant son expiration (`DISPATCH_OFFER_TIMEOUT_SECONDS`).
+ *       Acceptée, la livraison est assignée au livreur ; refusée ou expirée, elle est proposée au candidat suivant.
+ *     tags: [Livreurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, decline]
+ *               reason:
+ *                 type: string
+ *             example:
+ *               action: decline
+ *               reason: Trop loin
+ *     responses:
+ *       "200":
+ *         description: Offre acceptée ou refusée
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Offre expirée ou déjà traitée (DISPATCH_OFFER_CLOSED), ou course plus disponible (DISPATCH_DELIVERY_UNAVAILABLE)
+ */
@@ -1,4 +1,5 @@
 const express = require('express');
+const config = require('../../config/config');
 const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const merchantValidation = require('../../validations/merchant.validation');
@@ -9,6 +10,20 @@ const router = express.Router();
 // Routes pour les produits
 router.route('/products').post(auth('addProduct'), validate(merchantValidation.addProduct), merchantController.addProduct);
 
+// Import et export du catalogue (CSV ou JSON lines)
+router.route('/products/import').post(
+  auth('addProduct'),
+  express.text({
+    type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl'],
+    limit: `${config.catalogueImport.maxKb}kb`,
+  }),
+  validate(merchantValidation.importCatalogue),
+  merchantController.importCatalogue
+);
+router
+  .route('/products/export')
+  .get(auth('viewInventory'), validate(merchantValidation.exportCatalogue), merchantController.exportCatalogue);
+
 router
   .route('/products/:productId')
   .patch(auth('updateProduct'), validate(merchantValidation.updateProduct), merchantController.updateProduct)
@@ -47,6 +62,38 @@ router
 // Route pour le tableau de bord
 router.route('/dashboard').get(auth('viewAnalytics'), merchantController.getRealTimeDashboard);
 
+// Routes pour les virements et le relevé de compte
+router.route('/payouts').get(auth('viewPayouts'), validate(merchantValidation.getPayouts), merchantController.getPayouts);
+router.route('/payouts/run').post(auth('managePayments'), merchantController.runPayouts); // Lot de règlement manuel (admin)
+router
+  .route('/statement')
+  .get(auth('viewPayouts'), validate(merchantValidation.getStatement), merchantController.getStatement);
+
+// Recherche de proximité (clients)
+router
+  .route('/nearby')
+  .get(auth('placeOrder'), validate(merchantValidation.getNearbyMerchants), merchantController.getNearbyMerchants);
+
+// Horaires d'ouverture, fermetures exceptionnelles et pause des commandes
+router
+  .route('/schedule')
+  .get(auth('manageStoreHours'), merchantController.getSchedule)
+  .put(auth('manageStoreHours'), validate(merchantValidation.updateSchedule), merchantController.updateSchedule);
+router
+  .route('/schedule/closures')
+  .post(auth('manageStoreHours'), validate(merchantValidation.addClosure), merchantController.addClosure);
+router
+  .route('/schedule/closures/:closureId')
+  .delete(auth('manageStoreHours'), validate(merchantValidation.removeClosure), merchantController.removeClosure);
+router
+  .route('/schedule/pause')
+  .patch(auth('manageStoreHours'), validate(merchantValidation.setOrdersPaused), merchantController.setOrdersPaused);
+
+// Créneaux de livraison des commandes programmées (clients)
+router
+  .route('/:merchantId/delivery-slots')
+  .get(auth('placeOrder'), validate(merchantValidation.getDeliverySlots), merchantController.getDeliverySlots);
+
 module.exports = router;
 
 /**
@@ -83,6 +130,115 @@ module.exports = router;
  *       "403":
  *         $ref: '#/components/responses/Forbidden'
  *
+ * /merchants/products/import:
+ *   post:
+ *     summary: Import a catalogue
+ *     description: |
+ *       Crée ou met à jour des produits par SKU à partir d'un CSV avec en-tête (séparateur `,` ou `;`)
+ *       ou d'un objet JSON par ligne. Colonnes : `sku`, `name`, `description`, `price`, `category`
+ *       (ID ou nom), `stock`, `images` (URLs séparées par `|` en CSV), `isActive`, `metaTitle`, `metaDescription`.
+ *       Chaque ligne est validée comme une création de produit, ou une mise à jour partielle si le SKU existe ;
+ *       le stock importé devient le stock de l'inventaire. Les lignes valides sont enregistrées, les autres
+ *       sont listées dans le rapport.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *         description: Par défaut, déduit du Content-Type (csv sauf application/x-ndjson)
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Valider le fichier sans rien enregistrer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             sku,name,price,category,stock,images
+ *             CAF-250,Café moulu,6.5,Épicerie,20,https://cdn.example.com/caf.jpg
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       "200":
+ *         description: Rapport d'import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: integer
+ *                       sku:
+ *                         type: string
+ *                       messages:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       "400":
+ *         description: Fichier illisible, en-tête CSV invalide ou import vide (IMPORT_INVALID_FILE)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "413":
+ *         description: Trop de lignes (IMPORT_TOO_LARGE) ou fichier trop volumineux
+ *       "415":
+ *         description: Content-Type non pris en charge
+ *
+ * /merchants/products/export:
+ *   get:
+ *     summary: Export the catalogue
+ *     description: Tout le catalogue du commerçant, transmis en flux dans le format des imports.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *           default: csv
+ *     responses:
+ *       "200":
+ *         description: Fichier du catalogue
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
  * /merchants/products/{productId}:
  *   patch:
  *     summary: Update a product
@@ -208,9 +364,9 @@ module.exports = router;
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [processing, completed, cancelled]
+ *                 enum: [accepted, cancelled]
  *             example:
- *               status: completed
+ *               status: accepted
  *     responses:
  *       "200":
  *         description: Order processed successfully.
@@ -242,3 +398,325 @@ module.exports = router;
  *       "403":
  *         $ref: '#/components/responses/Forbidden'
  */
+
+/**
+ * @swagger
+ * /merchants/payouts:
+ *   get:
+ *     summary: Lister les virements du commerçant
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: Liste paginée des virements
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /merchants/payouts/run:
+ *   post:
+ *     summary: Lancer le lot de règlement (admin)
+ *     description: |
+ *       Verse à chaque commerçant et à chaque livreur son solde non réglé s'il atteint `PAYOUT_MINIMUM_AMOUNT`.
+ *       Le même lot est exécuté automatiquement toutes les `PAYOUT_INTERVAL_MINUTES` minutes.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Virements émis et nombre d'échecs
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /merchants/statement:
+ *   get:
+ *     summary: Relevé du compte commerçant
+ *     description: |
+ *       Écritures du grand livre sur le compte du commerçant (ventes nettes de commission et de frais, virements),
+ *       avec solde d'ouverture, solde courant et solde de clôture.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       "200":
+ *         description: Relevé au format JSON ou fichier CSV
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ * /merchants/nearby:
+ *   get:
+ *     summary: Commerçants à proximité du client
+ *     description: |
+ *       Commerçants situés dans le rayon demandé autour d'une adresse du client connecté,
+ *       triés du plus proche au plus lointain. Sans `addressId`, la première adresse géolocalisée est utilisée.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: number
+ *           maximum: 50
+ *           default: 5
+ *         description: Rayon en kilomètres
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       "200":
+ *         description: |
+ *           Commerçants avec leur distance (km) à l'adresse et leur état d'ouverture
+ *           (`isOpen`, `closesAt`, `nextOpeningAt`)
+ *       "400":
+ *         description: Aucune adresse géolocalisée (ADDRESS_NOT_GEOLOCATED)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /merchants/schedule:
+ *   get:
+ *     summary: Horaires d'ouverture du commerçant
+ *     description: Fuseau horaire, créneaux hebdomadaires, fermetures exceptionnelles, pause et état d'ouverture courant.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Horaires et disponibilité (`availability.isOpen`, `reason`, `closesAt`, `nextOpeningAt`)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Modifier les horaires d'ouverture
+ *     description: |
+ *       Remplace les créneaux hebdomadaires (heure locale du fuseau). Un créneau dont la fermeture
+ *       précède l'ouverture se termine le lendemain (ex. 18:00-02:00). Sans créneau, le commerce est ouvert en permanence.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Paris
+ *               openingHours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [day, open, close]
+ *                   properties:
+ *                     day:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                       description: 0 = dimanche
+ *                     open:
+ *                       type: string
+ *                       example: "09:00"
+ *                     close:
+ *                       type: string
+ *                       example: "19:30"
+ *               slotCapacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Commandes programmées acceptées par créneau de livraison
+ *     responses:
+ *       "200":
+ *         description: Horaires mis à jour
+ *       "400":
+ *         description: Horaires invalides ou fuseau inconnu (INVALID_TIMEZONE)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /merchants/schedule/closures:
+ *   post:
+ *     summary: Ajouter une fermeture exceptionnelle
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from, to]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *                 example: Congés annuels
+ *     responses:
+ *       "201":
+ *         description: Horaires mis à jour
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /merchants/schedule/closures/{closureId}:
+ *   delete:
+ *     summary: Supprimer une fermeture exceptionnelle
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: closureId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Horaires mis à jour
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /merchants/schedule/pause:
+ *   patch:
+ *     summary: Suspendre ou reprendre la prise de commandes
+ *     description: Tant que la pause est active, les commandes sont refusées (MERCHANT_CLOSED) quels que soient les horaires.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paused]
+ *             properties:
+ *               paused:
+ *                 type: boolean
+ *     responses:
+ *       "200":
+ *         description: Horaires mis à jour
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /merchants/{merchantId}/delivery-slots:
+ *   get:
+ *     summary: Créneaux de livraison d'un commerçant
+ *     description: |
+ *       Créneaux réservables pour une commande programmée, générés à partir des horaires d'ouverture
+ *       et des fermetures du commerçant, avec la capacité restante de chacun. Le premier créneau laisse
+ *       le temps de transmettre la commande au commerçant.
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID du profil commerçant (résultats de /merchants/nearby)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 14
+ *         description: Limiter aux N prochains jours
+ *     responses:
+ *       "200":
+ *         description: Créneaux (`start`, `end`, `capacity`, `remaining`)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -20,15 +20,7 @@ router
   )
   .delete(auth('deleteAllNotifications'), notificationController.deleteAllNotifications);
 
-router
-  .route('/:notificationId')
-  .patch(auth('markNotificationsAsRead'), validate(notificationValidation.markAsRead), notificationController.markAsRead)
-  .delete(
-    auth('deleteNotifications'),
-    validate(notificationValidation.deleteNotification),
-    notificationController.deleteNotification
-  );
-
+// Chemins statiques avant `/:notificationId`, qui les capturerait
 router.route('/read-all').patch(auth('markNotificationsAsRead'), notificationController.markAllAsRead);
 
 router
@@ -41,6 +33,15 @@ router
 
 router.route('/obsolete').delete(auth('deleteNotifications'), notificationController.deleteObsoleteNotifications);
 
+router
+  .route('/:notificationId')
+  .patch(auth('markNotificationsAsRead'), validate(notificationValidation.markAsRead), notificationController.markAsRead)
+  .delete(
+    auth('deleteNotifications'),
+    validate(notificationValidation.deleteNotification),
+    notificationController.deleteNotification
+  );
+
 module.exports = router;
 /**
  * @swagger
@@ -83,7 +84,7 @@ module.exports = router;
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [in_app, push, email, sms]
+ *                   enum: [in_app, push, email]
  *                 description: Liste des canaux d'envoi (par défaut: ['in_app'])
  *               priority:
  *                 type: string
@@ -143,7 +144,7 @@ module.exports = router;
  *         name: type
  *         schema:
  *           type: string
- *           enum: [order_update, promotion, system, custom]
+ *           enum: [order_update, promotion, system, custom, stock_alert]
  *         description: Filtrer par type de notification
  *       - in: query
  *         name: priority
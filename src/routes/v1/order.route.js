@@ -11,39 +11,48 @@ router
   .post(auth('placeOrder'), validate(orderValidation.createOrder), orderController.createOrder) // Créer une commande
   .get(auth('viewOrderHistory'), validate(orderValidation.getOrderHistory), orderController.getOrderHistory); // Récupérer l'historique des commandes
 
+// Chemins statiques avant les chemins paramétrés : `/:orderId` capturerait `/client`, `/merchant/pending`...
 router
-  .route('/:orderId')
-  .get(auth('viewOrderDetails'), validate(orderValidation.getOrderById), orderController.getOrderById) // Récupérer une commande
-  .patch(auth('updateOrderStatus'), validate(orderValidation.updateOrderStatus), orderController.updateOrderStatus) // Mettre à jour le statut
-  .delete(auth('cancelOrder'), validate(orderValidation.cancelOrder), orderController.cancelOrder); // Annuler une commande
+  .route('/calculate-total')
+  .post(auth('placeOrder'), validate(orderValidation.calculateOrderTotal), orderController.calculateOrderTotal); // Calculer le total
 
 router
-  .route('/:orderId/receipt')
-  .get(auth('viewOrderDetails'), validate(orderValidation.generateReceipt), orderController.generateOrderReceipt); // Générer un reçu
+  .route('/client')
+  .get(auth('viewOrderHistory'), validate(orderValidation.getClientOrders), orderController.getClientOrders); // Commandes du client
 
 router
-  .route('/calculate-total')
-  .post(auth('placeOrder'), validate(orderValidation.calculateOrderTotal), orderController.calculateOrderTotal); // Calculer le total
+  .route('/merchant/pending')
+  .get(
+    auth('managePendingOrders'),
+    validate(orderValidation.getMerchantPendingOrders),
+    orderController.getMerchantPendingOrders
+  ); // Commandes en attente du marchand
 
 router
-  .route('/available')
-  .get(
-    auth('trackDelivery'),
-    validate(orderValidation.getAvailableOrdersForLivreur),
-    orderController.getAvailableOrdersForLivreur
-  ); // Obtenir les commandes disponibles pour les livreurs
+  .route('/:orderId')
+  .get(auth('viewOrderDetails'), validate(orderValidation.getOrderById), orderController.getOrderById) // Récupérer une commande
+  .patch(auth('updateOrderStatus'), validate(orderValidation.updateOrderStatus), orderController.updateOrderStatus) // Mettre à jour le statut
+  .delete(auth('cancelOrder'), validate(orderValidation.cancelOrder), orderController.cancelOrder); // Annuler une commande
 
 router
-  .route('/:orderId/assign')
-  .patch(auth('assignOrder'), validate(orderValidation.assignOrderToLivreur), orderController.assignOrderToLivreur); // Assigner une commande à un livreur
+  .route('/:orderId/ready-for-pickup')
+  .post(auth('processOrder'), validate(orderValidation.markReadyForPickup), orderController.markReadyForPickup); // Commande prête, code de retrait
 
 router
-  .route('/client')
-  .get(auth('viewOrderHistory'), validate(orderValidation.getClientOrders), orderController.getClientOrders); // Commandes du client
+  .route('/:orderId/delivery-pin')
+  .get(auth('trackOrder'), validate(orderValidation.getDeliveryPin), orderController.getDeliveryPin); // Code à communiquer au livreur
 
 router
-  .route('/merchant/pending')
-  .get(auth('manageOrders'), validate(orderValidation.getMerchantPendingOrders), orderController.getMerchantPendingOrders); // Commandes en attente du marchand
+  .route('/:orderId/receipt')
+  .get(auth('viewOrderDetails'), validate(orderValidation.generateReceipt), orderController.generateOrderReceipt); // Générer un reçu
+
+router
+  .route('/groups/:checkoutGroupId/receipt')
+  .get(
+    auth('viewOrderDetails'),
+    validate(orderValidation.generateCheckoutGroupReceipt),
+    orderController.generateCheckoutGroupReceipt
+  ); // Reçu combiné d'un checkout multi-commerçants
 
 router
   .route('/:orderId/note')
@@ -63,7 +72,10 @@ module.exports = router;
  * /orders:
  *   post:
  *     summary: Créer une commande
- *     description: Permet aux clients de passer une commande.
+ *     description: |
+ *       Permet aux clients de passer une commande. Avec `deliverySlot` (début d'un créneau proposé par
+ *       GET /merchants/{merchantId}/delivery-slots), la commande est programmée : le stock est réservé immédiatement
+ *       et la commande est transmise au commerçant avant le créneau.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -86,6 +98,8 @@ module.exports = router;
  *         $ref: '#/components/responses/Unauthorized'
  *       "403":
  *         $ref: '#/components/responses/Forbidden'
+ *       "409":
+ *         description: Commerçant fermé ou commandes suspendues (MERCHANT_CLOSED), créneau complet (DELIVERY_SLOT_FULL)
  *
  *   get:
  *     summary: Récupérer l'historique des commandes
@@ -156,3 +170,85 @@ module.exports = router;
  *       "404":
  *         $ref: '#/components/responses/NotFound'
  */
+
+/**
+ * @swagger
+ * /orders/{orderId}/ready-for-pickup:
+ *   post:
+ *     summary: Signaler une commande prête au retrait
+ *     description: |
+ *       Le livreur assigné est prévenu. Le code de retrait renvoyé est à présenter au livreur,
+ *       qui le saisit ou le scanne pour confirmer le retrait. Un nouvel appel renvoie le même code.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Commande prête
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderId:
+ *                   type: string
+ *                 readyAt:
+ *                   type: string
+ *                   format: date-time
+ *                 pickupCode:
+ *                   type: string
+ *             example:
+ *               orderId: 5ebac534954b54139806c112
+ *               readyAt: 2024-05-12T12:30:00.000Z
+ *               pickupCode: K7QH3X
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Commande non acceptée, déjà retirée ou pas encore dispatchée
+ */
+
+/**
+ * @swagger
+ * /orders/{orderId}/delivery-pin:
+ *   get:
+ *     summary: Code PIN de livraison
+ *     description: Code à 4 chiffres généré au dispatch, à communiquer au livreur à la remise de la commande.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la commande
+ *     responses:
+ *       "200":
+ *         description: Code PIN
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pin:
+ *                   type: string
+ *             example:
+ *               pin: "4821"
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -15,16 +15,24 @@ router
     paymentController.getUserPaymentHistory
   ); // Historique des paiements
 
+// Chemins statiques avant `/:paymentId`, qui capturerait `/stats`
+router.route('/stats').get(auth('managePayments'), paymentController.getTransactionStats); // Statistiques des transactions
+
+router
+  .route('/refund')
+  .post(auth('managePayments'), validate(paymentValidation.initiateRefund), paymentController.initiateRefund); // Remboursement
+
+// Webhooks des prestataires : pas d'authentification JWT, la signature HMAC est vérifiée par le service
+router.route('/webhooks/:provider').post(validate(paymentValidation.handleWebhook), paymentController.handleWebhook);
+
 router
   .route('/:paymentId')
   .get(auth('viewPaymentHistory'), validate(paymentValidation.getPaymentDetails), paymentController.getPaymentDetails) // Détails d’un paiement
   .patch(auth('managePayments'), validate(paymentValidation.cancelPayment), paymentController.cancelPayment); // Annuler un paiement
 
 router
-  .route('/refund')
-  .post(auth('managePayments'), validate(paymentValidation.initiateRefund), paymentController.initiateRefund); // Remboursement
-
-router.route('/stats').get(auth('managePayments'), paymentController.getTransactionStats); // Statistiques des transactions
+  .route('/:paymentId/capture')
+  .post(auth('managePayments'), validate(paymentValidation.capturePayment), paymentController.capturePayment); // Capturer un paiement autorisé
 
 module.exports = router;
 
@@ -50,40 +58,44 @@ module.exports = router;
  *           schema:
  *             type: object
  *             required:
- *               - order
  *               - amount
  *               - method
- *               - type
  *             properties:
  *               order:
  *                 type: string
  *                 format: uuid
- *                 description: ID de la commande associée
+ *                 description: ID de la commande associée (ou checkoutGroup)
+ *               checkoutGroup:
+ *                 type: string
+ *                 description: ID du groupe de checkout, pour régler toutes ses sous-commandes
  *               amount:
  *                 type: number
  *                 minimum: 0.01
- *                 description: Montant du paiement
+ *                 description: Montant du paiement, égal au total de la commande ou du groupe (PAYMENT_AMOUNT_MISMATCH)
  *               method:
  *                 type: string
  *                 enum: [credit_card, paypal, cash]
  *                 description: Méthode de paiement
  *               type:
  *                 type: string
- *                 enum: [payment, refund, fee]
- *                 description: Type de transaction
+ *                 enum: [payment]
+ *                 description: Type de transaction (remboursements via /payments/refund)
  *               fees:
  *                 type: number
  *                 description: Frais de transaction
- *               transactionId:
+ *               source:
  *                 type: string
- *                 description: Identifiant unique de la transaction
+ *                 description: Jeton du moyen de paiement (avec le prestataire mock, "mock_declined" provoque un refus)
+ *               capture:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Capturer immédiatement après autorisation
  *             example:
  *               order: "60d21b4667d0d8992e610c85"
  *               amount: 100.5
  *               method: "credit_card"
  *               type: "payment"
  *               fees: 2.5
- *               transactionId: "TRANSACTION123"
  *     responses:
  *       "201":
  *         description: Paiement effectué avec succès
@@ -95,6 +107,12 @@ module.exports = router;
  *         $ref: '#/components/responses/BadRequest'
  *       "401":
  *         $ref: '#/components/responses/Unauthorized'
+ *       "402":
+ *         description: Paiement refusé par le prestataire (PAYMENT_DECLINED)
+ *       "409":
+ *         description: Commande annulée, par exemple après l'échéance de sa réservation de stock (ORDER_CANCELLED)
+ *       "502":
+ *         description: Erreur du prestataire de paiement (PAYMENT_PROVIDER_ERROR)
  *   get:
  *     summary: Historique des paiements d’un utilisateur
  *     tags: [Payments]
@@ -193,6 +211,156 @@ module.exports = router;
  *         $ref: '#/components/responses/NotFound'
  */
 
+/**
+ * @swagger
+ * /payments/{paymentId}/capture:
+ *   post:
+ *     summary: Capturer un paiement autorisé
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID du paiement
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Montant à capturer (totalité de l'autorisation par défaut), qui borne les remboursements
+ *     responses:
+ *       "200":
+ *         description: Paiement capturé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       "400":
+ *         description: Montant supérieur à l'autorisation (CAPTURE_AMOUNT_EXCEEDED)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Le paiement n'est pas autorisé (PAYMENT_INVALID_STATE)
+ */
+
+/**
+ * @swagger
+ * /payments/refund:
+ *   post:
+ *     summary: Rembourser tout ou partie d'une commande
+ *     description: >
+ *       Crée un paiement de type `refund` rattaché au paiement d'origine. Plusieurs remboursements successifs
+ *       sont possibles dans la limite du montant capturé et du total de la commande.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 description: Articles à rembourser (exclusif avec amount)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               amount:
+ *                 type: number
+ *                 description: Montant libre (tout le reste dû si ni items ni amount)
+ *               reason:
+ *                 type: string
+ *               restock:
+ *                 type: boolean
+ *                 description: Remettre en stock les articles remboursés
+ *             example:
+ *               orderId: "60d21b4667d0d8992e610c85"
+ *               items:
+ *                 - productId: "60d21b4667d0d8992e610c86"
+ *                   quantity: 1
+ *               reason: "Article endommagé"
+ *               restock: false
+ *     responses:
+ *       "200":
+ *         description: Remboursement effectué
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       "400":
+ *         description: >
+ *           Remboursement impossible : REFUND_PAYMENT_NOT_CAPTURED, REFUND_ITEM_NOT_IN_ORDER,
+ *           REFUND_QUANTITY_EXCEEDED ou REFUND_AMOUNT_EXCEEDED
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /payments/webhooks/{provider}:
+ *   post:
+ *     summary: Recevoir un événement d'un prestataire de paiement
+ *     description: >
+ *       Le corps brut est authentifié par une signature HMAC SHA-256 dans l'en-tête `X-Payment-Signature`.
+ *       Chaque événement est enregistré par identifiant ; un événement rejoué est acquitté sans être retraité.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nom du prestataire (ex. mock)
+ *       - in: header
+ *         name: X-Payment-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               id: "evt_123"
+ *               type: "payment.captured"
+ *               data:
+ *                 transactionId: "mock_txn_0123456789abcdef01234567"
+ *                 amount: 42.5
+ *     responses:
+ *       "200":
+ *         description: Événement acquitté (`duplicate` vaut true pour un rejeu)
+ *       "400":
+ *         description: Corps invalide (WEBHOOK_PAYLOAD_INVALID)
+ *       "401":
+ *         description: Signature invalide (WEBHOOK_SIGNATURE_INVALID)
+ *       "404":
+ *         description: Prestataire inconnu (PAYMENT_PROVIDER_UNKNOWN)
+ */
+
 /**
  * @swagger
  * /payments/stats:
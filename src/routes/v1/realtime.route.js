@@ -0,0 +1,52 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const realtimeValidation = require('../../validations/realtime.validation');
+const realtimeController = require('../../controllers/realtime.controller');
+
+const router = express.Router();
+
+// Les événements reçus dépendent des droits du rôle (voir realtime.service eventRights)
+router.route('/stream').get(auth(), validate(realtimeValidation.stream), realtimeController.stream); // Flux Server-Sent Events
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Realtime
+ *   description: Suivi en temps réel des commandes, des livraisons et des offres de course
+ */
+
+/**
+ * @swagger
+ * /realtime/stream:
+ *   get:
+ *     summary: Flux d'événements temps réel
+ *     description: |
+ *       Flux Server-Sent Events authentifié par le jeton d'accès (en-tête `Authorization: Bearer`).
+ *       Chaque événement n'est transmis que si le rôle possède le droit correspondant :
+ *       - `order.status` et `livreur.location` (`trackOrder`) : commande suivie via `orderId`, dont l'état courant est envoyé à l'ouverture ;
+ *       - `order.created` (`receiveOrderAlerts`) : nouvelles commandes du commerçant ;
+ *       - `dispatch.offer` (`respondToOffers`) : offres de course adressées au livreur.
+ *
+ *       Un commentaire `: ping` est envoyé périodiquement pour maintenir la connexion.
+ *     tags: [Realtime]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         description: Commande du client à suivre
+ *     responses:
+ *       "200":
+ *         description: Flux `text/event-stream`
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
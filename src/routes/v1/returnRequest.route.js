@@ -0,0 +1,277 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const returnRequestValidation = require('../../validations/returnRequest.validation');
+const returnRequestController = require('../../controllers/returnRequest.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(
+    auth('requestRefund'),
+    validate(returnRequestValidation.createReturnRequest),
+    returnRequestController.createReturnRequest
+  ) // Ouvrir une demande de retour
+  .get(auth('viewReturns'), validate(returnRequestValidation.getReturnRequests), returnRequestController.getReturnRequests); // Lister les demandes
+
+router
+  .route('/:returnRequestId')
+  .get(auth('viewReturns'), validate(returnRequestValidation.getReturnRequest), returnRequestController.getReturnRequest) // Détails d'une demande
+  .delete(
+    auth('requestRefund'),
+    validate(returnRequestValidation.getReturnRequest),
+    returnRequestController.cancelReturnRequest
+  ); // Annuler une demande
+
+router
+  .route('/:returnRequestId/decision')
+  .post(
+    auth('manageReturns'),
+    validate(returnRequestValidation.decideReturnRequest),
+    returnRequestController.decideReturnRequest
+  ); // Accepter, refuser ou contre-proposer
+
+router
+  .route('/:returnRequestId/counter-offer')
+  .post(
+    auth('requestRefund'),
+    validate(returnRequestValidation.respondToCounterOffer),
+    returnRequestController.respondToCounterOffer
+  ); // Réponse du client à la contre-proposition
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Returns
+ *   description: Demandes de retour et de remboursement des clients
+ */
+
+/**
+ * @swagger
+ * /returns:
+ *   post:
+ *     summary: Ouvrir une demande de retour
+ *     description: |
+ *       Réservé au client d'une commande livrée. Une seule demande ouverte par commande.
+ *       Le commerçant et le support sont notifiés ; la demande apparaît dans `Client.refunds` et `Merchant.returns`.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - reason
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               amount:
+ *                 type: number
+ *                 description: Montant demandé (à défaut, les articles ou le reste remboursable)
+ *             example:
+ *               orderId: "60d21b4667d0d8992e610c85"
+ *               reason: "Produit abîmé"
+ *               photos: ["https://cdn.example.com/returns/1.jpg"]
+ *     responses:
+ *       "201":
+ *         description: Demande créée
+ *       "400":
+ *         description: Commande non livrée, article absent ou montant trop élevé (`errorCode` RETURN_*)
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Une demande est déjà ouverte pour cette commande (RETURN_REQUEST_ALREADY_OPEN)
+ *   get:
+ *     summary: Lister les demandes de retour
+ *     description: Un client ne voit que ses demandes, un commerçant celles de ses commandes ; le support voit tout.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, countered, approved, rejected, cancelled]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: Liste paginée des demandes
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @swagger
+ * /returns/{returnRequestId}:
+ *   get:
+ *     summary: Obtenir une demande de retour
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnRequestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Détails de la demande et historique des décisions
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Annuler une demande de retour ouverte (client)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnRequestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Demande annulée
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: La demande n'est plus ouverte (RETURN_REQUEST_INVALID_STATE)
+ */
+
+/**
+ * @swagger
+ * /returns/{returnRequestId}/decision:
+ *   post:
+ *     summary: Accepter, refuser ou contre-proposer (commerçant ou support)
+ *     description: |
+ *       `accept` rembourse le paiement d'origine (montant demandé, articles ou reste remboursable).
+ *       `counter` propose un autre montant au client, qui l'accepte ou le refuse.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnRequestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, reject, counter]
+ *               amount:
+ *                 type: number
+ *                 description: Montant proposé (obligatoire pour `counter`)
+ *               note:
+ *                 type: string
+ *               restock:
+ *                 type: boolean
+ *             example:
+ *               action: counter
+ *               amount: 5
+ *               note: "Remboursement partiel : un seul article abîmé"
+ *     responses:
+ *       "200":
+ *         description: Demande mise à jour
+ *       "400":
+ *         $ref: '#/components/responses/BadRequest'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Transition impossible depuis le statut courant (RETURN_REQUEST_INVALID_STATE)
+ */
+
+/**
+ * @swagger
+ * /returns/{returnRequestId}/counter-offer:
+ *   post:
+ *     summary: Répondre à une contre-proposition (client)
+ *     description: Un refus renvoie la demande en attente et prévient le support pour arbitrage.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnRequestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, decline]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       "200":
+ *         description: Demande mise à jour
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *       "409":
+ *         description: Aucune contre-proposition en attente (RETURN_REQUEST_INVALID_STATE)
+ */
@@ -0,0 +1,131 @@
+/**
+ * Migration des positions vers des points GeoJSON indexés en 2dsphere.
+ *
+ * Convertit les anciens objets `{latitude, longitude}` de Merchant.location, Livreur.location
+ * et Client.addresses[].coordinates, renseigne Delivery.pickupLocation à partir de la position du commerçant,
+ * puis crée les index 2dsphere (qui ne peuvent pas être construits tant que d'anciens documents subsistent).
+ * La migration est idempotente : les documents déjà convertis sont ignorés.
+ *
+ * Usage : yarn migrate:geo
+ */
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { Client, Delivery, Livreur, Merchant, Order } = require('../models');
+const { toPoint } = require('../utils/geo');
+
+const BATCH_SIZE = 500;
+
+const isLegacy = (value) =>
+  Boolean(value) && value.type !== 'Point' && typeof value.latitude === 'number' && typeof value.longitude === 'number';
+
+/**
+ * Parcourir une collection brute (sans passer par le schéma) et appliquer les mises à jour par lots.
+ * @param {Collection} collection
+ * @param {Object} filter
+ * @param {Function} toOperations - Lot de documents bruts -> opérations `updateOne` (async)
+ * @returns {Promise<Number>} - Nombre de documents modifiés
+ */
+const migrateCollection = async (collection, filter, toOperations) => {
+  const cursor = collection.find(filter).batchSize(BATCH_SIZE);
+  let migrated = 0;
+  let batch = [];
+  const flush = async () => {
+    const operations = batch.length ? await toOperations(batch) : [];
+    batch = [];
+    if (operations.length === 0) return;
+    const result = await collection.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+  };
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const doc of cursor) {
+    batch.push(doc);
+    // eslint-disable-next-line no-await-in-loop
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return migrated;
+};
+
+const updateOne = (doc, $set) => ({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+
+/**
+ * Convertir le champ `location` d'une collection (commerçants, livreurs).
+ * @param {Model} Model
+ * @returns {Promise<Number>}
+ */
+const migrateLocations = (Model) =>
+  migrateCollection(Model.collection, { 'location.latitude': { $exists: true } }, async (docs) =>
+    docs.filter((doc) => isLegacy(doc.location)).map((doc) => updateOne(doc, { location: toPoint(doc.location) }))
+  );
+
+/**
+ * Convertir les coordonnées des adresses clients. Une adresse aux coordonnées incomplètes est conservée sans position.
+ * @returns {Promise<Number>}
+ */
+const migrateClientAddresses = () =>
+  migrateCollection(Client.collection, { 'addresses.coordinates': { $exists: true } }, async (docs) =>
+    docs
+      .filter((doc) => doc.addresses.some((address) => address.coordinates && address.coordinates.type !== 'Point'))
+      .map((doc) =>
+        updateOne(doc, {
+          addresses: doc.addresses.map(({ coordinates, ...address }) => {
+            if (isLegacy(coordinates)) return { ...address, coordinates: toPoint(coordinates) };
+            return coordinates && coordinates.type === 'Point' ? { ...address, coordinates } : address;
+          }),
+        })
+      )
+  );
+
+/**
+ * Renseigner le point de retrait des livraisons à partir de la position du commerçant de la commande.
+ * @returns {Promise<Number>}
+ */
+const backfillPickupLocations = () =>
+  migrateCollection(Delivery.collection, { pickupLocation: { $exists: false } }, async (docs) => {
+    const orders = await Order.find({ _id: { $in: docs.map((doc) => doc.order) } }).select('merchant');
+    const merchants = await Merchant.collection
+      .find({ user: { $in: orders.map((order) => order.merchant) }, 'location.type': 'Point' })
+      .project({ user: 1, location: 1 })
+      .toArray();
+    const merchantByOrder = new Map(orders.map((order) => [String(order._id), String(order.merchant)]));
+    const locationByMerchant = new Map(merchants.map((merchant) => [String(merchant.user), merchant.location]));
+    return docs
+      .map((doc) => [doc, locationByMerchant.get(merchantByOrder.get(String(doc.order)))])
+      .filter(([, location]) => location)
+      .map(([doc, location]) => updateOne(doc, { pickupLocation: location }));
+  });
+
+/**
+ * Exécuter la migration complète puis construire les index 2dsphere.
+ * @returns {Promise<Object>} - Nombre de documents migrés par collection
+ */
+const migrateGeoLocations = async () => {
+  const result = {
+    merchants: await migrateLocations(Merchant),
+    livreurs: await migrateLocations(Livreur),
+    clients: await migrateClientAddresses(),
+    deliveries: await backfillPickupLocations(),
+  };
+  await Promise.all([Merchant, Livreur, Client, Delivery].map((Model) => Model.createIndexes()));
+  return result;
+};
+
+if (require.main === module) {
+  mongoose
+    .connect(config.mongoose.url, config.mongoose.options)
+    .then(migrateGeoLocations)
+    .then((result) => {
+      logger.info(
+        `Migration GeoJSON terminée : Merchants=${result.merchants}, Livreurs=${result.livreurs}, Clients=${result.clients}, Deliveries=${result.deliveries}`
+      );
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      logger.error(`Échec de la migration GeoJSON : ${error.message}`);
+      process.exitCode = 1;
+      return mongoose.disconnect();
+    });
+}
+
+module.exports = migrateGeoLocations;
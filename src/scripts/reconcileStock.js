@@ -0,0 +1,52 @@
+/**
+ * Réconciliation du stock : l'inventaire (et son journal de mouvements) fait référence, `Product.stock` en est la projection.
+ *
+ * Signale les produits sans inventaire, les inventaires dont la quantité ne correspond pas à la somme de leurs mouvements
+ * ou dont le stock réservé ne correspond pas aux réservations actives, et les produits dont le stock diffère de l'inventaire. Sans option, le script se contente du rapport.
+ *
+ * Usage : yarn stock:reconcile [--fix] [--source=product]
+ *   --fix             appliquer les corrections
+ *   --source=product  en cas d'écart, retenir Product.stock et ajuster l'inventaire (par défaut : l'inventaire fait foi)
+ */
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { Inventory, StockMovement } = require('../models');
+const { reconcileStock } = require('../services/inventory.service');
+
+const args = process.argv.slice(2);
+const fix = args.includes('--fix');
+const source = args.includes('--source=product') ? 'product' : 'inventory';
+
+if (require.main === module) {
+  mongoose
+    .connect(config.mongoose.url, config.mongoose.options)
+    .then(() => reconcileStock({ fix, source }))
+    .then(async (report) => {
+      [
+        ...report.missingInventory,
+        ...report.ledgerMismatches,
+        ...report.reservationMismatches,
+        ...report.stockMismatches,
+      ].forEach((entry) => logger.info(`Écart de stock : ${JSON.stringify(entry)}`));
+      report.duplicates.forEach((entry) =>
+        logger.warn(`Inventaires en double, à fusionner manuellement : ${JSON.stringify(entry)}`)
+      );
+      logger.info(
+        `Réconciliation du stock ${fix ? 'appliquée' : '(rapport seul)'} : Products=${report.products}, ` +
+          `MissingInventory=${report.missingInventory.length}, LedgerMismatches=${report.ledgerMismatches.length}, ` +
+          `ReservationMismatches=${report.reservationMismatches.length}, ` +
+          `StockMismatches=${report.stockMismatches.length}, Duplicates=${report.duplicates.length}`
+      );
+      // Index uniques : constructibles une fois les doublons résolus
+      if (fix && report.duplicates.length === 0) {
+        await Promise.all([Inventory, StockMovement].map((Model) => Model.createIndexes()));
+      }
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      logger.error(`Échec de la réconciliation du stock : ${error.message}`);
+      process.exitCode = 1;
+      return mongoose.disconnect();
+    });
+}
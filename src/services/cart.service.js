@@ -1,6 +1,13 @@
-const { Cart, Product } = require('../models');
+const { Cart, Product, Promotion } = require('../models');
 const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
+const withTransaction = require('../utils/withTransaction');
+const config = require('../config/config');
+const { assertPromotionApplicable, priceLines, getAddressRegions } = require('../utils/pricing');
+const orderService = require('./order.service');
+const promotionService = require('./promotion.service');
+const etaService = require('./eta.service');
+const inventoryService = require('./inventory.service');
 
 /**
  * Obtenir le panier d'un utilisateur
@@ -16,7 +23,27 @@ const getCartDetails = async (clientId) => {
 };
 
 /**
- * Ajouter un produit au panier
+ * Ajuster la réservation de stock d'une ligne du panier, si la réservation dès l'ajout au panier est activée.
+ * Une hausse réserve seulement la différence : la quantité déjà retenue n'est jamais perdue en cas de rupture.
+ * @param {ObjectId} clientId - L'ID de l'utilisateur
+ * @param {ObjectId} productId - L'ID du produit
+ * @param {Number} quantity - Quantité de la ligne (0 : ligne retirée)
+ * @returns {Promise<void>}
+ */
+const holdCartItem = async (clientId, productId, quantity) => {
+  if (!config.stockReservations.reserveOnAddToCart) return;
+  const filter = { client: clientId, product: productId, order: null };
+  const held = await inventoryService.getReservedQuantity(filter);
+  if (quantity > held) {
+    await inventoryService.reserveStock(productId, { quantity: quantity - held, client: clientId });
+  } else if (quantity < held) {
+    await inventoryService.releaseReservations(filter, 'Panier modifié');
+    if (quantity > 0) await inventoryService.reserveStock(productId, { quantity, client: clientId });
+  }
+};
+
+/**
+ * Ajouter un produit au panier. Le stock disponible tient compte des réservations des autres clients.
  * @param {ObjectId} clientId - L'ID de l'utilisateur
  * @param {Object} itemData - Données de l'article (productId, quantity)
  * @returns {Promise<Cart>}
@@ -29,7 +56,8 @@ const addToCart = async (clientId, itemData) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Product not found');
   }
 
-  if (quantity > product.stock) {
+  const held = await inventoryService.getReservedQuantity({ client: clientId, product: productId, order: null });
+  if (quantity > product.availableStock + held) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Insufficient product stock');
   }
 
@@ -39,6 +67,8 @@ const addToCart = async (clientId, itemData) => {
     cart = await Cart.create({ client: clientId });
   }
 
+  const existingItem = cart.items.find((item) => item.product.toString() === productId.toString());
+  await holdCartItem(clientId, productId, (existingItem ? existingItem.quantity : 0) + quantity);
   await cart.addItem(productId, quantity);
   return cart;
 };
@@ -57,6 +87,9 @@ const updateCartItem = async (clientId, productId, quantity) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Cart not found');
   }
 
+  if (cart.containsProduct(productId)) {
+    await holdCartItem(clientId, productId, Math.max(quantity, 0));
+  }
   await cart.updateItemQuantity(productId, quantity);
   return cart;
 };
@@ -75,6 +108,7 @@ const removeFromCart = async (clientId, productId) => {
   }
 
   await cart.removeItem(productId);
+  await inventoryService.releaseReservations({ client: clientId, product: productId, order: null }, 'Retiré du panier');
   return cart;
 };
 
@@ -91,6 +125,7 @@ const clearCart = async (clientId) => {
   }
 
   await cart.clearCart();
+  await inventoryService.releaseReservations({ client: clientId, order: null }, 'Panier vidé');
   return cart;
 };
 
@@ -110,6 +145,141 @@ const containsProduct = async (clientId, productId) => {
   return cart.containsProduct(productId);
 };
 
+/**
+ * Valoriser les articles du panier au prix catalogue actuel.
+ * @param {Cart} cart
+ * @returns {Promise<Array<{productId: ObjectId, quantity: Number, price: Number, merchant: ObjectId}>>}
+ */
+const getCartLines = async (cart) => {
+  await cart.populate('items.product').execPopulate();
+  return cart.items
+    .filter((item) => item.product)
+    .map((item) => ({
+      productId: item.product._id,
+      quantity: item.quantity,
+      price: item.product.price,
+      merchant: item.product.merchant,
+    }));
+};
+
+/**
+ * Calculer les totaux du panier avec la promotion attachée, et suggérer la meilleure promotion disponible.
+ * @param {Cart} cart
+ * @param {ObjectId} clientId - L'ID de l'utilisateur
+ * @param {Array<string>} regions - Régions de livraison
+ * @returns {Promise<Object>}
+ */
+const getCartPricing = async (cart, clientId, regions) => {
+  const lines = await getCartLines(cart);
+  const promotion = cart.promotion ? await Promotion.findById(cart.promotion) : null;
+  const pricing = priceLines(lines, promotion);
+
+  const best = await promotionService.findBestPromotion(clientId, lines, { regions });
+  const suggestedPromotion =
+    best && (!promotion || best.id !== promotion.id) && priceLines(lines, best).discount > pricing.discount
+      ? { id: best.id, code: best.code, discount: priceLines(lines, best).discount }
+      : null;
+
+  return {
+    cart,
+    promotion: promotion ? { id: promotion.id, code: promotion.code } : null,
+    pricing,
+    suggestedPromotion,
+  };
+};
+
+/**
+ * Récupérer le panier d'un client en exigeant qu'il contienne des articles.
+ * @param {ObjectId} clientId - L'ID de l'utilisateur
+ * @returns {Promise<Cart>}
+ */
+const getNonEmptyCart = async (clientId) => {
+  const cart = await Cart.findOne({ client: clientId });
+  if (!cart || cart.items.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Cart is empty').withCode('CART_EMPTY');
+  }
+  return cart;
+};
+
+/**
+ * Attacher un code promotionnel au panier.
+ * Le code est refusé avec un motif précis (expiré, limite atteinte, mauvais commerçant, région, produits)
+ * s'il ne s'applique pas au contenu actuel du panier.
+ * @param {ObjectId} clientId - L'ID de l'utilisateur
+ * @param {Object} promotionData - Code et adresse de livraison éventuelle
+ * @returns {Promise<Object>} - Panier, totaux remisés et promotion suggérée
+ */
+const applyPromotionCode = async (clientId, { code, deliveryAddress }) => {
+  const cart = await getNonEmptyCart(clientId);
+  const promotion = await Promotion.findOne({ code });
+  if (!promotion) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Promotion not found').withCode('PROMOTION_NOT_FOUND');
+  }
+
+  const regions = getAddressRegions(deliveryAddress);
+  assertPromotionApplicable(promotion, { lines: await getCartLines(cart), userId: clientId, regions });
+
+  cart.promotion = promotion._id;
+  cart.lastUpdated = Date.now();
+  await cart.save();
+  return getCartPricing(cart, clientId, regions);
+};
+
+/**
+ * Retirer le code promotionnel du panier.
+ * @param {ObjectId} clientId - L'ID de l'utilisateur
+ * @returns {Promise<Object>} - Panier, totaux et promotion suggérée
+ */
+const removePromotionCode = async (clientId) => {
+  const cart = await Cart.findOne({ client: clientId });
+  if (!cart) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Cart not found');
+  }
+
+  cart.promotion = undefined;
+  cart.lastUpdated = Date.now();
+  await cart.save();
+  return getCartPricing(cart, clientId, []);
+};
+
+/**
+ * Transformer le panier en commandes de manière atomique.
+ * Lecture du panier, re-valorisation au prix catalogue, réservation du stock jusqu'au paiement
+ * (les réservations du panier sont remplacées par celles des commandes), création d'une sous-commande
+ * par commerçant et vidage du panier sont exécutés dans une même transaction : le moindre échec annule l'ensemble.
+ * Chaque sous-commande reçoit ensuite son heure de livraison estimée.
+ * @param {ObjectId} clientId - L'ID de l'utilisateur
+ * @param {Object} checkoutData - Informations de commande (deliveryAddress, notes, deliverySlot)
+ * @returns {Promise<{checkoutGroup: CheckoutGroup, orders: Array<Order>}>}
+ */
+const checkout = async (clientId, { deliveryAddress, notes, deliverySlot } = {}) => {
+  const result = await withTransaction(async (session) => {
+    const cart = await Cart.findOne({ client: clientId }).session(session);
+    if (!cart || cart.items.length === 0) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Cart is empty').withCode('CART_EMPTY');
+    }
+
+    const items = cart.items.map((item) => ({ productId: item.product, quantity: item.quantity }));
+    await inventoryService.releaseReservations({ client: clientId, order: null }, 'Checkout', session);
+    const checkoutResult = await orderService.createOrdersWithSession(
+      clientId,
+      items,
+      { deliveryAddress, notes, deliverySlot, promotion: cart.promotion },
+      session
+    );
+
+    cart.items = [];
+    cart.promotion = undefined;
+    cart.totalPrice = 0;
+    cart.lastUpdated = Date.now();
+    await cart.save({ session });
+
+    return checkoutResult;
+  });
+  await Promise.all(result.orders.map((order) => etaService.refreshOrderEta(order, 'checkout')));
+  return result;
+};
+
 module.exports = {
   getCartDetails,
   addToCart,
@@ -117,4 +287,7 @@ module.exports = {
   removeFromCart,
   clearCart,
   containsProduct,
+  applyPromotionCode,
+  removePromotionCode,
+  checkout,
 };
@@ -0,0 +1,244 @@
+const httpStatus = require('http-status');
+const { CashCollection, CashReconciliation, Livreur, Order, Payment } = require('../models');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const paymentService = require('./payment.service');
+const notificationService = require('./notification.service');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Récupérer le profil livreur d'un utilisateur.
+ * @param {ObjectId} userId
+ * @returns {Promise<Livreur>}
+ */
+const getLivreurByUser = async (userId) => {
+  const livreur = await Livreur.findOne({ user: userId });
+  if (!livreur) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Livreur not found');
+  }
+  return livreur;
+};
+
+/**
+ * Paiement client d'une commande : celui de la commande, sinon celui de son groupe de checkout.
+ * @param {Order} order
+ * @returns {Promise<Payment|null>}
+ */
+const findOrderPayment = async (order) => {
+  if (order.payment) {
+    return Payment.findById(order.payment);
+  }
+  const owners = [{ order: order._id }];
+  if (order.checkoutGroup) owners.push({ checkoutGroup: order.checkoutGroup });
+  return Payment.findOne({ $or: owners, type: 'payment' }).sort({ createdAt: -1 });
+};
+
+/**
+ * Enregistrer les espèces à encaisser pour une livraison qui vient d'être livrée.
+ * Sans effet si la commande n'est pas payée en espèces ou si la collecte existe déjà.
+ * @param {Delivery} delivery
+ * @returns {Promise<CashCollection|null>}
+ */
+const recordCashCollection = async (delivery) => {
+  if (!delivery.livreur) return null;
+  const order = await Order.findById(delivery.order);
+  if (!order) return null;
+  const payment = await findOrderPayment(order);
+  if (!payment || payment.method !== 'cash' || payment.status !== 'pending') return null;
+
+  let collection;
+  try {
+    collection = await CashCollection.create({
+      delivery: delivery._id,
+      order: order._id,
+      payment: payment._id,
+      livreur: delivery.livreur,
+      amount: order.totalPrice,
+    });
+  } catch (error) {
+    // Livraison déjà comptabilisée (statut `delivered` renvoyé deux fois)
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await Livreur.updateOne({ _id: delivery.livreur }, { $inc: { cashBalance: collection.amount } });
+  logger.info(
+    `Espèces à encaisser : CollectionID=${collection.id}, LivreurID=${delivery.livreur}, Amount=${collection.amount}`
+  );
+  return collection;
+};
+
+/**
+ * Encaisser les paiements dont toutes les commandes livrées ont été rapprochées.
+ * @param {Array<CashCollection>} collections - Collectes qui viennent d'être rapprochées
+ * @returns {Promise<void>}
+ */
+const settleReconciledPayments = async (collections) => {
+  const paymentIds = [...new Set(collections.map((collection) => String(collection.payment)))];
+  await Promise.all(
+    paymentIds.map(async (paymentId) => {
+      const payment = await Payment.findById(paymentId);
+      if (!payment || payment.status !== 'pending') return;
+      const orderFilter = payment.checkoutGroup ? { checkoutGroup: payment.checkoutGroup } : { _id: payment.order };
+      const [ordersToCollect, reconciled] = await Promise.all([
+        Order.countDocuments({ ...orderFilter, status: { $ne: 'cancelled' } }),
+        CashCollection.countDocuments({ payment: payment._id, status: 'reconciled' }),
+      ]);
+      if (reconciled >= ordersToCollect) {
+        await paymentService.settleCashPayment(payment._id);
+      }
+    })
+  );
+};
+
+/**
+ * Solde d'espèces d'un livreur et collectes qu'il détient encore.
+ * @param {ObjectId} userId - Utilisateur livreur
+ * @returns {Promise<Object>}
+ */
+const getCashBalance = async (userId) => {
+  const livreur = await getLivreurByUser(userId);
+  const collections = await CashCollection.find({ livreur: livreur._id, status: 'held' }).sort({ collectedAt: 1 });
+  return { cashBalance: roundAmount(livreur.cashBalance), collections };
+};
+
+/**
+ * Rapprochement de fin de service : le livreur déclare les espèces remises.
+ * Sans écart, les collectes sont rapprochées et les paiements correspondants encaissés ;
+ * en cas d'écart, elles restent en litige jusqu'à la décision du support.
+ * Le solde du livreur n'est décompté que si ce rapprochement a bien pris toutes les collectes déclarées.
+ * @param {ObjectId} userId - Utilisateur livreur
+ * @param {Object} body
+ * @param {Number} body.declaredAmount - Espèces remises
+ * @param {string} [body.note]
+ * @returns {Promise<CashReconciliation>}
+ * @throws {ApiError} - 409 CASH_RECONCILIATION_CONFLICT si un autre rapprochement ou une collecte est intervenu entre-temps
+ */
+const reconcileCash = async (userId, { declaredAmount, note }) => {
+  const livreur = await getLivreurByUser(userId);
+  const collections = await CashCollection.find({ livreur: livreur._id, status: 'held' });
+  const expectedAmount = roundAmount(livreur.cashBalance);
+  if (collections.length === 0 && expectedAmount === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'No cash to reconcile').withCode('CASH_NOTHING_TO_RECONCILE');
+  }
+
+  const difference = roundAmount(declaredAmount - expectedAmount);
+  const balanced = difference === 0;
+  const reconciliation = new CashReconciliation({
+    livreur: livreur._id,
+    collections: collections.map((collection) => collection._id),
+    expectedAmount,
+    declaredAmount,
+    difference,
+    status: balanced ? 'balanced' : 'discrepancy',
+    note,
+  });
+
+  // Les collectes ne sont rapprochées qu'une fois : un rapprochement concurrent qui en a pris une
+  // ne doit pas décompter une seconde fois les mêmes espèces du solde du livreur
+  const claimed = await CashCollection.updateMany(
+    { _id: { $in: reconciliation.collections }, status: 'held' },
+    { status: balanced ? 'reconciled' : 'disputed', reconciliation: reconciliation._id }
+  );
+  // Le solde n'est décompté que s'il n'a pas bougé depuis sa lecture (collecte ou rapprochement concurrent)
+  const debited =
+    claimed.nModified === collections.length
+      ? await Livreur.updateOne(
+          { _id: livreur._id, cashBalance: livreur.cashBalance },
+          { $inc: { cashBalance: -declaredAmount } }
+        )
+      : { n: 0 };
+  if (debited.n !== 1) {
+    await CashCollection.updateMany(
+      { reconciliation: reconciliation._id },
+      { status: 'held', $unset: { reconciliation: 1 } }
+    );
+    throw new ApiError(httpStatus.CONFLICT, 'Cash balance changed during reconciliation, please retry').withCode(
+      'CASH_RECONCILIATION_CONFLICT'
+    );
+  }
+  await reconciliation.save();
+
+  if (balanced) {
+    await settleReconciledPayments(collections);
+  } else {
+    await notificationService.notifySupport(
+      `Écart de caisse de ${difference} pour le livreur ${livreur.id} (attendu ${expectedAmount}, remis ${declaredAmount})`,
+      { priority: 'high' }
+    );
+  }
+
+  logger.info(
+    `Rapprochement espèces : ReconciliationID=${reconciliation.id}, LivreurID=${livreur.id}, Difference=${difference}`
+  );
+  return reconciliation;
+};
+
+/**
+ * Lister les rapprochements (un livreur ne voit que les siens).
+ * @param {Object} filter - Filtres (status, livreur)
+ * @param {Object} options - Options de pagination
+ * @param {Object} user - Utilisateur authentifié
+ * @returns {Promise<QueryResult>}
+ */
+const queryReconciliations = async (filter, options, user) => {
+  const scopedFilter = { ...filter };
+  if (user.role === 'livreur') {
+    const livreur = await getLivreurByUser(user.id);
+    scopedFilter.livreur = livreur._id;
+  }
+  return CashReconciliation.paginate(scopedFilter, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Clore un écart de caisse (support).
+ * Les collectes en litige sont rapprochées et leurs paiements encaissés ; le montant abandonné
+ * éventuel est déduit du solde du livreur, le reste de l'écart y demeure.
+ * @param {ObjectId} reconciliationId
+ * @param {Object} body
+ * @param {string} body.note - Justification de la décision
+ * @param {Number} [body.writeOff] - Montant abandonné
+ * @param {Object} user - Agent authentifié
+ * @returns {Promise<CashReconciliation>}
+ */
+const resolveReconciliation = async (reconciliationId, { note, writeOff = 0 }, user) => {
+  const reconciliation = await CashReconciliation.findOneAndUpdate(
+    { _id: reconciliationId, status: 'discrepancy' },
+    { status: 'resolved', resolution: { actor: user.id, note, writeOff, resolvedAt: new Date() } },
+    { new: true }
+  );
+  if (!reconciliation) {
+    if (!(await CashReconciliation.findById(reconciliationId))) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Reconciliation not found');
+    }
+    throw new ApiError(httpStatus.CONFLICT, 'Only discrepancies can be resolved').withCode(
+      'CASH_RECONCILIATION_INVALID_STATE'
+    );
+  }
+
+  const collections = await CashCollection.find({ reconciliation: reconciliation._id, status: 'disputed' });
+  await CashCollection.updateMany({ _id: { $in: collections.map((c) => c._id) } }, { status: 'reconciled' });
+  if (writeOff) {
+    await Livreur.updateOne({ _id: reconciliation.livreur }, { $inc: { cashBalance: -writeOff } });
+  }
+  await settleReconciledPayments(collections);
+
+  const livreur = await Livreur.findById(reconciliation.livreur);
+  if (livreur) {
+    await notificationService.notifyLivreur(
+      livreur.user,
+      `L'écart de caisse du ${reconciliation.createdAt.toISOString().slice(0, 10)} a été traité par le support : ${note}`
+    );
+  }
+  logger.info(`Écart de caisse résolu : ReconciliationID=${reconciliation.id}, WriteOff=${writeOff}`);
+  return reconciliation;
+};
+
+module.exports = {
+  recordCashCollection,
+  getCashBalance,
+  reconcileCash,
+  queryReconciliations,
+  resolveReconciliation,
+};
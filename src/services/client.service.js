@@ -1,7 +1,9 @@
 const httpStatus = require('http-status');
-const { Client, Order, Refund, Rating } = require('../models');
+const { Client, Order, Product } = require('../models');
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger');
+const etaService = require('./eta.service');
+const orderService = require('./order.service');
 
 /**
  * Créer un client.
@@ -115,9 +117,14 @@ const placeOrder = async (userId, orderBody) => {
   if (!client) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Client not found');
   }
+  const merchantIds = await Product.distinct('merchant', {
+    _id: { $in: (orderBody.items || []).map((item) => item.productId) },
+  });
+  await orderService.assertMerchantsAcceptingOrders(merchantIds);
   const order = await Order.create({ ...orderBody, client: client.id });
   client.orders.push(order.id);
   await client.save();
+  await etaService.refreshOrderEta(order, 'checkout');
   logger.info(`Commande passée pour ClientID=${client.id}`);
   return order;
 };
@@ -137,12 +144,12 @@ const cancelOrder = async (userId, orderId) => {
   if (orderIndex === -1) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
   }
-  const order = await Order.findById(orderId);
-  if (order.status !== 'pending') {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Only pending orders can be canceled');
-  }
-  order.status = 'canceled';
-  await order.save();
+  // Même parcours que toute annulation : stock, créneau et remboursement
+  const order = await orderService.cancelOrder(orderId, {
+    actor: userId,
+    role: 'client',
+    reason: 'Annulée par le client',
+  });
   client.orders.splice(orderIndex, 1);
   await client.save();
   logger.info(`Commande annulée pour OrderID=${orderId}`);
@@ -172,56 +179,47 @@ const getOrderHistory = async (userId, filters) => {
 };
 
 /**
- * Demander un remboursement.
+ * Vérifier si un client a déjà évalué une commande.
  * @param {ObjectId} userId
- * @param {Object} refundBody
- * @returns {Promise<Refund>}
+ * @param {ObjectId} orderId
+ * @returns {Promise<Boolean>}
  */
-const requestRefund = async (userId, refundBody) => {
-  const client = await Client.findOne({ user: userId });
-  if (!client) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Client not found');
-  }
-  if (client.hasRequestedRefund(refundBody.orderId)) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Refund already requested for this order');
-  }
-  const refund = await Refund.create({ ...refundBody, client: client.id });
-  client.refunds.push(refund.id);
-  await client.save();
-  logger.info(`Demande de remboursement effectuée pour ClientID=${client.id}`);
-  return refund;
+const hasRated = async (userId, orderId) => {
+  return (await Client.countDocuments({ user: userId, 'ratings.orderId': orderId })) > 0;
 };
 
 /**
- * Ajouter une évaluation.
+ * Ajouter une évaluation d'une commande du client.
  * @param {ObjectId} userId
- * @param {Object} ratingBody
- * @returns {Promise<Rating>}
+ * @param {Object} ratingBody - `orderId`, `rating` et `comment`
+ * @returns {Promise<Object>} - Évaluation ajoutée
  */
-const addRating = async (userId, ratingBody) => {
+const addRating = async (userId, { orderId, rating, comment }) => {
   const client = await Client.findOne({ user: userId });
   if (!client) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Client not found');
   }
-  const rating = await Rating.create({ ...ratingBody, client: client.id });
-  client.ratings.push(rating.id);
-  await client.save();
+  const order = await Order.findOne({ _id: orderId, client: userId });
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  }
+  await client.addRating(orderId, rating, comment);
   logger.info(`Évaluation ajoutée pour ClientID=${client.id}`);
-  return rating;
+  return client.ratings[client.ratings.length - 1];
 };
 
 /**
  * Obtenir les évaluations d’un client.
  * @param {ObjectId} userId
- * @returns {Promise<Array<Rating>>}
+ * @returns {Promise<Array<Object>>}
  */
 const getRatings = async (userId) => {
-  const client = await Client.findOne({ user: userId }).populate('ratings');
+  const client = await Client.findOne({ user: userId });
   if (!client) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Client not found');
   }
   logger.info(`Évaluations récupérées pour ClientID=${client.id}`);
-  return client.ratings;
+  return client.getRatings();
 };
 
 module.exports = {
@@ -234,7 +232,7 @@ module.exports = {
   placeOrder,
   cancelOrder,
   getOrderHistory,
-  requestRefund,
+  hasRated,
   addRating,
   getRatings,
 };
@@ -1,8 +1,18 @@
 const httpStatus = require('http-status');
 const { Delivery, Order, Livreur } = require('../models');
 const ApiError = require('../utils/ApiError');
-const redis = require('../config/redis'); // Ajout de Redis pour le cache
-const notificationQueue = require('../utils/queues/notificationQueue'); // Pour notifications en arrière-plan
+const { generatePin, generatePickupCode, matchesPickupCode, parseImageDataUri } = require('../utils/deliveryProof');
+const { getDistanceKm, withinRadius } = require('../utils/geo');
+const { assertTransition } = require('../utils/orderStateMachine');
+const config = require('../config/config');
+const { activeDeliveryStatuses } = require('../config/deliveryStatuses');
+const logger = require('../config/logger');
+const notificationService = require('./notification.service');
+const cashService = require('./cash.service');
+const ledgerService = require('./ledger.service');
+const etaService = require('./eta.service');
+const realtimeService = require('./realtime.service');
+const paymentService = require('./payment.service');
 
 /**
  * Validation des coordonnées géographiques.
@@ -29,71 +39,394 @@ const validateCoordinates = (coords) => {
  * @returns {Promise<Delivery>}
  */
 const createDelivery = async (deliveryData) => {
-  const delivery = await Delivery.create(deliveryData);
+  const delivery = await Delivery.create({ ...deliveryData, proof: { pin: generatePin() } });
 
-  // Notification en arrière-plan pour le livreur
+  // Notification pour le livreur
   if (delivery.livreur) {
-    await notificationQueue.add({
-      userId: delivery.livreur,
-      message: `Vous avez une nouvelle livraison assignée : LivraisonID=${delivery._id}`,
-      type: 'delivery',
-    });
+    await notificationService.notifyLivreur(
+      delivery.livreur,
+      `Vous avez une nouvelle livraison assignée : LivraisonID=${delivery._id}`
+    );
   }
 
   return delivery;
 };
 
 /**
- * Récupérer une livraison par ID avec cache.
+ * Récupérer une livraison par ID.
  * @param {ObjectId} deliveryId - ID de la livraison.
  * @returns {Promise<Delivery>}
  */
 const getDeliveryById = async (deliveryId) => {
-  const cachedDelivery = await redis.get(`delivery:${deliveryId}`);
-  if (cachedDelivery) {
-    return JSON.parse(cachedDelivery);
-  }
-
   const delivery = await Delivery.findById(deliveryId).populate('order livreur');
   if (!delivery) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Delivery not found');
   }
-
-  // Mise en cache
-  await redis.set(`delivery:${deliveryId}`, JSON.stringify(delivery), 'EX', 3600); // Expire après 1 heure
   return delivery;
 };
 
+/**
+ * Décoder une image de preuve (photo ou signature) et vérifier sa taille.
+ * @param {string} dataUri
+ * @param {string} kind - `photo` ou `signature`
+ * @returns {Object} - `contentType`, `data`, `size`
+ */
+const decodeProofImage = (dataUri, kind) => {
+  const image = parseImageDataUri(dataUri);
+  if (!image) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid ${kind} image`).withCode('PROOF_IMAGE_INVALID');
+  }
+  if (image.size > config.proofOfDelivery.maxImageKb * 1024) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `The ${kind} exceeds ${config.proofOfDelivery.maxImageKb} KB`).withCode(
+      'PROOF_IMAGE_TOO_LARGE'
+    );
+  }
+  return image;
+};
+
+/**
+ * Vérifier la preuve de livraison et la consigner sur la livraison (sans l'enregistrer).
+ * Les contrôles sans effet de bord (pièces requises, zone de livraison) précèdent la vérification du PIN,
+ * afin qu'une demande incomplète ne consomme pas de tentative.
+ * @param {Delivery} delivery
+ * @param {Object} proof
+ * @param {string} [proof.pin] - Code communiqué par le client
+ * @param {string} [proof.photo] - Photo en data URI
+ * @param {string} [proof.signature] - Signature en data URI
+ * @returns {Promise<void>}
+ */
+const verifyProofOfDelivery = async (delivery, { pin, photo, signature }) => {
+  const settings = config.proofOfDelivery;
+  if (!activeDeliveryStatuses.includes(delivery.status)) {
+    throw new ApiError(httpStatus.CONFLICT, 'Only a delivery in progress can be delivered').withCode(
+      'DELIVERY_NOT_IN_PROGRESS'
+    );
+  }
+  const livreur = delivery.livreur && (await Livreur.findById(delivery.livreur));
+  if (!livreur) {
+    throw new ApiError(httpStatus.CONFLICT, 'Delivery has no livreur').withCode('DELIVERY_NOT_IN_PROGRESS');
+  }
+
+  if (settings.photoRequired && !photo) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A photo is required').withCode('DELIVERY_PHOTO_REQUIRED');
+  }
+  if (settings.signatureRequired && !signature) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A signature is required').withCode('DELIVERY_SIGNATURE_REQUIRED');
+  }
+  const images = {
+    photo: photo && decodeProofImage(photo, 'photo'),
+    signature: signature && decodeProofImage(signature, 'signature'),
+  };
+
+  // Zone de livraison : sans adresse géolocalisée, la distance n'est pas vérifiable
+  const order = await Order.findById(delivery.order);
+  const dropoff = order && (await etaService.getDropoff(order));
+  const distanceMeters = dropoff ? Math.round(getDistanceKm(livreur.location, dropoff) * 1000) : null;
+  if (distanceMeters === null) {
+    logger.warn(`Zone de livraison non vérifiée, adresse non géolocalisée : DeliveryID=${delivery.id}`);
+  } else if (settings.geofenceMeters > 0 && distanceMeters > settings.geofenceMeters) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Livreur is ${distanceMeters} m away from the delivery address (maximum ${settings.geofenceMeters} m)`
+    ).withCode('DELIVERY_OUTSIDE_GEOFENCE');
+  }
+
+  // Les livraisons créées avant l'introduction du PIN n'en ont pas
+  if (settings.pinRequired && delivery.proof.pin) {
+    if (delivery.proof.pinAttempts >= settings.pinMaxAttempts) {
+      throw new ApiError(httpStatus.CONFLICT, 'Too many wrong PIN entries, contact support').withCode('DELIVERY_PIN_LOCKED');
+    }
+    if (!pin) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'The delivery PIN is required').withCode('DELIVERY_PIN_REQUIRED');
+    }
+    if (pin !== delivery.proof.pin) {
+      const { proof } = await Delivery.findByIdAndUpdate(delivery._id, { $inc: { 'proof.pinAttempts': 1 } }, { new: true });
+      const remaining = Math.max(0, settings.pinMaxAttempts - proof.pinAttempts);
+      if (!remaining) {
+        logger.warn(`PIN de livraison bloqué : DeliveryID=${delivery.id}`);
+        await notificationService.notifySupport(`PIN de livraison bloqué pour la commande ${delivery.order}`, {
+          priority: 'high',
+        });
+      }
+      throw new ApiError(httpStatus.BAD_REQUEST, `Wrong delivery PIN, ${remaining} attempt(s) left`).withCode(
+        'DELIVERY_PIN_INVALID'
+      );
+    }
+    delivery.set('proof.pinVerifiedAt', new Date());
+  }
+
+  Object.entries(images)
+    .filter(([, image]) => image)
+    .forEach(([kind, image]) => delivery.set(`proof.${kind}`, image));
+  delivery.set('proof.location', livreur.location);
+  delivery.set('proof.distanceMeters', distanceMeters);
+};
+
+// Statuts atteignables par mise à jour directe du livreur : la remise seulement. La prise en charge passe par
+// l'acceptation de l'offre (dispatch), le retrait (`picked_up`) par confirmPickup et l'annulation par celle de la
+// commande, qui tiennent la commande et l'affectation du livreur à jour.
+const deliveryStatusTransitions = {
+  pending: [],
+  in_progress: [],
+  picked_up: ['delivered'],
+  delivered: ['delivered'],
+  cancelled: [],
+};
+
+/**
+ * Clôturer la commande d'une livraison remise par la machine à états (rôle `system`) et la comptabiliser.
+ * Une commande déjà clôturée n'est pas modifiée ; sa comptabilisation est idempotente.
+ * @param {Order} order
+ * @returns {Promise<void>}
+ */
+const completeDeliveredOrder = async (order) => {
+  if (order.status !== 'completed') {
+    await order.updateStatus('completed', { role: 'system', reason: 'Livraison remise au client' });
+    realtimeService.publishOrderStatus(order);
+    await etaService.refreshOrderEta(order, 'status');
+  }
+  // Répartition commerçant / commission / frais : alimente les virements du commerçant
+  await ledgerService.recordOrderCompletion(order);
+};
+
 /**
  * Mettre à jour le statut de la livraison.
+ * Le passage à `delivered` exige une preuve de livraison (voir `config.proofOfDelivery`) et clôture la commande.
  * @param {ObjectId} deliveryId - ID de la livraison.
  * @param {String} newStatus - Nouveau statut.
+ * @param {Object} [proof] - Preuve de livraison : `pin`, `photo`, `signature`
  * @returns {Promise<Delivery>}
+ * @throws {ApiError} - 409 DELIVERY_INVALID_TRANSITION si la livraison ne peut pas passer au statut demandé
+ *   (une livraison n'est remise qu'une fois retirée)
+ * @throws {ApiError} - 409 ORDER_INVALID_TRANSITION si la commande ne peut pas être clôturée
  */
-const updateDeliveryStatus = async (deliveryId, newStatus) => {
+const updateDeliveryStatus = async (deliveryId, newStatus, proof = {}) => {
   const delivery = await Delivery.findById(deliveryId);
   if (!delivery) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Delivery not found');
   }
+  if (!(deliveryStatusTransitions[delivery.status] || []).includes(newStatus)) {
+    throw new ApiError(httpStatus.CONFLICT, `Cannot move a delivery from ${delivery.status} to ${newStatus}`).withCode(
+      'DELIVERY_INVALID_TRANSITION'
+    );
+  }
+  const order = newStatus === 'delivered' ? await Order.findById(delivery.order) : null;
+  const firstHandOver = newStatus === 'delivered' && delivery.status !== 'delivered';
+  // Une livraison déjà remise n'est pas re-vérifiée : la comptabilisation est idempotente
+  if (firstHandOver) {
+    await verifyProofOfDelivery(delivery, proof);
+    // Vérifier la clôture de la commande avant de consigner la remise
+    if (order && order.status !== 'completed') {
+      assertTransition(order.status, 'completed', 'system');
+    }
+  }
 
   // Met à jour le statut
   await delivery.updateStatus(newStatus);
 
-  // Notification pour l'utilisateur ou le livreur
+  // Paiement à la livraison : le livreur détient désormais les espèces de la commande
   if (newStatus === 'delivered') {
-    await notificationQueue.add({
-      userId: delivery.livreur,
-      message: `Votre livraison : LivraisonID=${deliveryId} a été complétée.`,
-      type: 'delivery',
-    });
+    await cashService.recordCashCollection(delivery);
+    await ledgerService.recordDeliveryPay(delivery);
+    if (order) {
+      await completeDeliveredOrder(order);
+    }
+    // Le temps de course du livreur n'est compté qu'à la première remise
+    if (firstHandOver) {
+      await etaService.recordActualDelivery(delivery);
+    }
+  }
+
+  // Notification pour l'utilisateur ou le livreur
+  if (newStatus === 'delivered' && delivery.livreur) {
+    await notificationService.notifyLivreur(
+      delivery.livreur,
+      `Votre livraison : LivraisonID=${deliveryId} a été complétée.`
+    );
+  }
+
+  return delivery;
+};
+
+/**
+ * Signaler une commande prête au retrait. Un code de retrait est généré à la première demande
+ * et renvoyé au commerçant, qui l'affiche au livreur ; les demandes suivantes renvoient le même code.
+ * @param {ObjectId} orderId
+ * @param {ObjectId} merchantId - Utilisateur commerçant
+ * @returns {Promise<{orderId: ObjectId, readyAt: Date, pickupCode: string}>}
+ */
+const markReadyForPickup = async (orderId, merchantId) => {
+  const order = await Order.findOne({ _id: orderId, merchant: merchantId });
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  }
+  if (!['accepted', 'in_progress'].includes(order.status)) {
+    throw new ApiError(httpStatus.CONFLICT, `An order ${order.status} cannot be handed over`).withCode('PICKUP_NOT_ALLOWED');
+  }
+  const current = await Delivery.findOne({ order: order._id });
+  if (!current) {
+    throw new ApiError(httpStatus.CONFLICT, 'The order has not been dispatched yet').withCode('PICKUP_NOT_ALLOWED');
+  }
+
+  const updated = await Delivery.findOneAndUpdate(
+    { _id: current._id, 'pickup.readyAt': null },
+    { 'pickup.readyAt': new Date(), 'pickup.code': generatePickupCode() },
+    { new: true }
+  );
+  const delivery = updated || current;
+  if (updated) {
+    const livreur = delivery.livreur && (await Livreur.findById(delivery.livreur));
+    if (livreur) {
+      await notificationService.notifyLivreur(livreur.user, `La commande ${order.id} est prête au retrait.`, {
+        priority: 'high',
+      });
+    }
+    logger.info(`Commande prête au retrait : OrderID=${order.id}`);
+  }
+  return { orderId: order._id, readyAt: delivery.pickup.readyAt, pickupCode: delivery.pickup.code };
+};
+
+/**
+ * Noter l'arrivée d'un livreur au point de retrait de ses courses, d'après sa position.
+ * L'attente au point de retrait est mesurée à partir de cette arrivée.
+ * @param {Livreur} livreur
+ * @returns {Promise<void>}
+ */
+const recordPickupArrival = async (livreur) => {
+  await Delivery.updateMany(
+    {
+      livreur: livreur._id,
+      status: 'in_progress',
+      'pickup.arrivedAt': null,
+      pickupLocation: withinRadius(livreur.location, config.pickup.arrivalMeters / 1000),
+    },
+    { 'pickup.arrivedAt': new Date() }
+  );
+};
+
+/**
+ * Confirmer le retrait d'une commande chez le commerçant avec son code de retrait.
+ * La livraison passe à `picked_up` avec l'attente mesurée depuis l'arrivée du livreur,
+ * la commande suit, le client et le commerçant sont prévenus.
+ * @param {Delivery} delivery
+ * @param {string} code - Code saisi ou scanné par le livreur
+ * @param {ObjectId} actor - Utilisateur livreur
+ * @returns {Promise<Delivery>}
+ */
+const confirmPickup = async (delivery, code, actor) => {
+  if (delivery.status !== 'in_progress') {
+    throw new ApiError(httpStatus.CONFLICT, `A delivery ${delivery.status} cannot be picked up`).withCode(
+      'DELIVERY_NOT_IN_PROGRESS'
+    );
+  }
+  if (!delivery.pickup.readyAt) {
+    throw new ApiError(httpStatus.CONFLICT, 'The order is not ready for pickup yet').withCode('PICKUP_NOT_READY');
+  }
+  if (!matchesPickupCode(code, delivery.pickup.code)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Wrong pickup code').withCode('PICKUP_CODE_INVALID');
   }
 
-  // Supprime le cache
-  await redis.del(`delivery:${deliveryId}`);
+  const pickedUpAt = new Date();
+  const arrivedAt = delivery.pickup.arrivedAt || pickedUpAt;
+  delivery.set({
+    'pickup.pickedUpAt': pickedUpAt,
+    waitTime: Math.round(((pickedUpAt - arrivedAt) / 60000) * 10) / 10,
+  });
+  await delivery.updateStatus('picked_up');
 
+  const order = await Order.findById(delivery.order);
+  if (order) {
+    await order.updateStatus('picked_up', { actor, role: 'livreur', reason: 'Commande retirée chez le commerçant' });
+    realtimeService.publishOrderStatus(order);
+    await etaService.refreshOrderEta(order, 'status');
+    await notificationService.notifyClient(order.client, `Votre commande ${order.id} est en route.`);
+    await notificationService.notifyMerchant(order.merchant, `La commande ${order.id} a été remise au livreur.`);
+  }
+  logger.info(`Commande retirée : DeliveryID=${delivery.id}, WaitTime=${delivery.waitTime} min`);
   return delivery;
 };
 
+/**
+ * Code PIN de livraison d'une commande, consultable par son client.
+ * @param {ObjectId} orderId
+ * @param {ObjectId} clientId - Utilisateur client
+ * @returns {Promise<{pin: string}>}
+ */
+const getDeliveryPin = async (orderId, clientId) => {
+  const order = await Order.findOne({ _id: orderId, client: clientId });
+  const delivery = order && (await Delivery.findOne({ order: order._id }));
+  if (!delivery || !delivery.proof.pin) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Delivery PIN not found');
+  }
+  return { pin: delivery.proof.pin };
+};
+
+/**
+ * Image de preuve d'une livraison.
+ * @param {ObjectId} deliveryId
+ * @param {string} kind - `photo` ou `signature`
+ * @returns {Promise<{contentType: string, data: Buffer}>}
+ */
+const getProofImage = async (deliveryId, kind) => {
+  const delivery = await Delivery.findById(deliveryId).select(`proof.${kind}`);
+  const image = delivery && delivery.proof[kind];
+  if (!image || !image.data) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Proof not found');
+  }
+  return { contentType: image.contentType, data: image.data };
+};
+
+/**
+ * Laisser un pourboire au livreur (une seule fois par livraison).
+ * Le pourboire est débité au client (paiement de type `tip`) et n'est comptabilisé qu'une fois capturé ;
+ * s'il est laissé avant la livraison, il l'est avec la rémunération de la course.
+ * @param {ObjectId} deliveryId - ID de la livraison.
+ * @param {ObjectId} clientId - Utilisateur client à l'origine de la commande.
+ * @param {Object} tipBody
+ * @param {Number} tipBody.amount - Montant du pourboire.
+ * @param {string} [tipBody.method] - Moyen de paiement (carte par défaut).
+ * @param {string} [tipBody.source] - Jeton du moyen de paiement.
+ * @returns {Promise<Delivery>}
+ */
+const tipDelivery = async (deliveryId, clientId, { amount, method = 'credit_card', source }) => {
+  const delivery = await Delivery.findById(deliveryId).populate('order');
+  if (!delivery || !delivery.order || String(delivery.order.client) !== String(clientId)) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Delivery not found');
+  }
+  if (delivery.status === 'cancelled' || !delivery.livreur) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'This delivery cannot be tipped').withCode('DELIVERY_NOT_TIPPABLE');
+  }
+
+  // Réserver le pourboire avant de débiter le client : deux demandes concurrentes ne le débitent qu'une fois
+  const reserved = await Delivery.findOneAndUpdate({ _id: deliveryId, tip: 0 }, { tip: amount }, { new: true });
+  if (!reserved) {
+    throw new ApiError(httpStatus.CONFLICT, 'This delivery has already been tipped').withCode('DELIVERY_ALREADY_TIPPED');
+  }
+
+  let payment;
+  try {
+    payment = await paymentService.makePayment({ order: delivery.order._id, amount, method, source, type: 'tip' });
+  } catch (error) {
+    await Delivery.updateOne({ _id: deliveryId, tip: amount, tipPayment: null }, { tip: 0 });
+    throw error;
+  }
+
+  // Relire la livraison : elle a pu être livrée pendant le paiement
+  const tipped = await Delivery.findByIdAndUpdate(deliveryId, { tipPayment: payment._id }, { new: true });
+  if (tipped.status === 'delivered') {
+    await ledgerService.recordDeliveryTip(tipped);
+  }
+
+  const livreur = await Livreur.findById(tipped.livreur);
+  if (livreur) {
+    await notificationService.notifyLivreur(
+      livreur.user,
+      `Vous avez reçu un pourboire de ${amount} pour la livraison ${tipped.id}.`
+    );
+  }
+  return tipped;
+};
+
 /**
  * Supprimer une livraison avec transaction.
  * @param {ObjectId} deliveryId - ID de la livraison.
@@ -116,9 +449,6 @@ const deleteDelivery = async (deliveryId) => {
 
     await delivery.remove({ session });
     await session.commitTransaction();
-
-    // Supprime le cache
-    await redis.del(`delivery:${deliveryId}`);
     return delivery;
   } catch (error) {
     await session.abortTransaction();
@@ -128,6 +458,18 @@ const deleteDelivery = async (deliveryId) => {
   }
 };
 
+/**
+ * Calculer la distance à vol d'oiseau entre deux points.
+ * @param {Object} startCoords - Coordonnées de départ.
+ * @param {Object} endCoords - Coordonnées de destination.
+ * @returns {Number} - Distance en kilomètres.
+ */
+const calculateDistance = (startCoords, endCoords) => {
+  validateCoordinates(startCoords);
+  validateCoordinates(endCoords);
+  return getDistanceKm(startCoords, endCoords);
+};
+
 /**
  * Calculer la distance d'une livraison.
  * @param {ObjectId} deliveryId - ID de la livraison.
@@ -149,12 +491,30 @@ const calculateDeliveryDistance = async (deliveryId, startCoords, endCoords) =>
   delivery.distance = distance;
   await delivery.save();
 
-  // Supprime le cache pour éviter des données obsolètes
-  await redis.del(`delivery:${deliveryId}`);
-
   return distance;
 };
 
+/**
+ * Historique paginé des livraisons d'un livreur, filtrable par statut et par période de création.
+ * @param {ObjectId} userId - Utilisateur livreur.
+ * @param {Object} filters - `status`, `startDate`, `endDate`, et options de pagination `page`, `limit`.
+ * @returns {Promise<QueryResult>}
+ */
+const getDeliveryHistory = async (userId, { status, startDate, endDate, ...options }) => {
+  const livreur = await Livreur.findOne({ user: userId });
+  if (!livreur) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Livreur not found');
+  }
+  const filter = { livreur: livreur._id };
+  if (status) filter.status = status;
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = startDate;
+    if (endDate) filter.createdAt.$lte = endDate;
+  }
+  return Delivery.paginate(filter, { sortBy: 'createdAt:desc', ...options });
+};
+
 /**
  * Récupérer des statistiques de livraisons.
  * @param {ObjectId} [livreurId] - Optionnel : ID du livreur.
@@ -183,7 +543,15 @@ module.exports = {
   createDelivery,
   getDeliveryById,
   updateDeliveryStatus,
+  getDeliveryPin,
+  getProofImage,
+  markReadyForPickup,
+  recordPickupArrival,
+  confirmPickup,
+  tipDelivery,
   deleteDelivery,
+  calculateDistance,
   calculateDeliveryDistance,
+  getDeliveryHistory,
   getDeliveryStats,
 };
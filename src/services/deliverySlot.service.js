@@ -0,0 +1,179 @@
+const httpStatus = require('http-status');
+const { Merchant, Order, DeliverySlotBooking } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { getDeliverySlots } = require('../utils/openingHours');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Nombre de commandes programmées qu'un commerçant accepte par créneau.
+ * @param {Merchant} merchant
+ * @returns {Number}
+ */
+const getSlotCapacity = (merchant) => merchant.slotCapacity || config.scheduledOrders.slotCapacity;
+
+/**
+ * Créneaux réservables d'un commerçant : dans ses horaires d'ouverture, au-delà du délai de transmission
+ * (la commande doit pouvoir être transmise avant son créneau) et dans l'horizon de réservation.
+ * @param {Merchant} merchant
+ * @param {Date} now
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+const getBookableSlots = (merchant, now) => {
+  const { maxDaysAhead, slotMinutes, releaseLeadMinutes } = config.scheduledOrders;
+  return getDeliverySlots(merchant, {
+    from: new Date(now.getTime() + releaseLeadMinutes * 60000),
+    to: new Date(now.getTime() + maxDaysAhead * DAY_MS),
+    slotMinutes,
+  });
+};
+
+/**
+ * Compter les commandes programmées (non annulées) par début de créneau.
+ * @param {ObjectId} merchantUserId - Utilisateur commerçant
+ * @param {Array<Date>} starts - Débuts de créneau
+ * @param {ClientSession} [session]
+ * @returns {Promise<Map<Number, Number>>} - Timestamp du début -> nombre de commandes
+ */
+const countBookings = async (merchantUserId, starts, session = null) => {
+  const counts = await Order.aggregate([
+    {
+      $match: {
+        merchant: merchantUserId,
+        status: { $ne: 'cancelled' },
+        'deliverySlot.start': { $in: starts },
+      },
+    },
+    { $group: { _id: '$deliverySlot.start', count: { $sum: 1 } } },
+  ]).session(session);
+  return new Map(counts.map(({ _id, count }) => [_id.getTime(), count]));
+};
+
+/**
+ * Réserver une place sur le créneau d'un commerçant : le compteur du créneau n'est incrémenté
+ * que s'il reste de la capacité (mise à jour conditionnelle, comme pour les réservations de stock).
+ * Le compteur est créé au premier usage à partir des commandes déjà programmées sur le créneau.
+ * @param {Merchant} merchant
+ * @param {Date} start - Début du créneau
+ * @param {ClientSession} [session]
+ * @returns {Promise<Boolean>} - false si le créneau est complet
+ */
+const incrementBooking = async (merchant, start, session = null) => {
+  const filter = { merchant: merchant.user, start };
+  if (!(await DeliverySlotBooking.findOne(filter))) {
+    const bookings = await countBookings(merchant.user, [start], session);
+    try {
+      // Hors transaction : le compteur doit exister pour que les checkouts concurrents se disputent le même document
+      await DeliverySlotBooking.updateOne(
+        filter,
+        { $setOnInsert: { count: bookings.get(start.getTime()) || 0 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Compteur créé entre-temps par un checkout concurrent
+      if (error.code !== 11000) throw error;
+    }
+  }
+  const booked = await DeliverySlotBooking.findOneAndUpdate(
+    { ...filter, count: { $lt: getSlotCapacity(merchant) } },
+    { $inc: { count: 1 } },
+    { new: true, session }
+  );
+  return Boolean(booked);
+};
+
+/**
+ * Lister les créneaux de livraison d'un commerçant avec leur capacité restante.
+ * @param {ObjectId} merchantId - ID du profil commerçant
+ * @param {Object} [options]
+ * @param {Number} [options.days] - Limiter aux N prochains jours
+ * @returns {Promise<Array<{start: Date, end: Date, capacity: Number, remaining: Number}>>}
+ */
+const getMerchantSlots = async (merchantId, { days } = {}) => {
+  const merchant = await Merchant.findById(merchantId);
+  if (!merchant) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Merchant not found');
+  }
+  const now = new Date();
+  const limit = days ? now.getTime() + days * DAY_MS : Infinity;
+  const slots = getBookableSlots(merchant, now).filter((slot) => slot.start.getTime() <= limit);
+  const bookings = await countBookings(
+    merchant.user,
+    slots.map((slot) => slot.start)
+  );
+  const capacity = getSlotCapacity(merchant);
+  return slots.map((slot) => ({
+    ...slot,
+    capacity,
+    remaining: Math.max(capacity - (bookings.get(slot.start.getTime()) || 0), 0),
+  }));
+};
+
+/**
+ * Réserver un créneau chez chacun des commerçants d'un checkout et calculer l'heure de transmission
+ * des commandes. Les réservations ont lieu dans la transaction du checkout : elles sont annulées avec elle.
+ * @param {Array<ObjectId>} merchantUserIds - Utilisateurs commerçants
+ * @param {Date} slotStart - Début du créneau choisi
+ * @param {ClientSession} [session] - Session de la transaction en cours
+ * @returns {Promise<{start: Date, end: Date, releaseAt: Date}>}
+ * @throws {ApiError} - 400 DELIVERY_SLOT_INVALID ou 409 DELIVERY_SLOT_FULL
+ */
+const reserveSlot = async (merchantUserIds, slotStart, session = null) => {
+  const { maxDaysAhead, slotMinutes, releaseLeadMinutes } = config.scheduledOrders;
+  const start = new Date(slotStart);
+  const now = new Date();
+  if (
+    start.getTime() < now.getTime() + releaseLeadMinutes * 60000 ||
+    start.getTime() > now.getTime() + maxDaysAhead * DAY_MS
+  ) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Créneau hors de la période réservable : ${start.toISOString()}`).withCode(
+      'DELIVERY_SLOT_INVALID'
+    );
+  }
+  const merchants = await Merchant.find({ user: { $in: merchantUserIds } }).session(session);
+  let slot;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const merchant of merchants) {
+    slot = getBookableSlots(merchant, now).find((bookable) => bookable.start.getTime() === start.getTime());
+    if (!slot) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `${merchant.storeName} ne livre pas sur le créneau ${start.toISOString()}`
+      ).withCode('DELIVERY_SLOT_INVALID');
+    }
+    // eslint-disable-next-line no-await-in-loop
+    if (!(await incrementBooking(merchant, start, session))) {
+      throw new ApiError(
+        httpStatus.CONFLICT,
+        `Le créneau ${start.toISOString()} est complet chez ${merchant.storeName}`
+      ).withCode('DELIVERY_SLOT_FULL');
+    }
+  }
+  return {
+    start,
+    end: slot ? slot.end : new Date(start.getTime() + slotMinutes * 60000),
+    releaseAt: new Date(start.getTime() - releaseLeadMinutes * 60000),
+  };
+};
+
+/**
+ * Libérer la place d'une commande programmée annulée sur son créneau.
+ * @param {Order} order
+ * @param {ClientSession} [session]
+ * @returns {Promise<void>}
+ */
+const releaseSlot = async (order, session = null) => {
+  if (!order.deliverySlot || !order.deliverySlot.start) return;
+  await DeliverySlotBooking.updateOne(
+    { merchant: order.merchant, start: order.deliverySlot.start, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+};
+
+module.exports = {
+  getMerchantSlots,
+  reserveSlot,
+  releaseSlot,
+};
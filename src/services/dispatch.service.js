@@ -0,0 +1,296 @@
+const httpStatus = require('http-status');
+const { Delivery, DeliveryOffer, Livreur, Merchant, Order } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { rankCandidates } = require('../utils/dispatchScore');
+const { generatePin } = require('../utils/deliveryProof');
+const config = require('../config/config');
+const { activeDeliveryStatuses } = require('../config/deliveryStatuses');
+const logger = require('../config/logger');
+const notificationService = require('./notification.service');
+const livreurService = require('./livreur.service');
+const realtimeService = require('./realtime.service');
+const etaService = require('./eta.service');
+
+/**
+ * Récupérer le profil livreur d'un utilisateur.
+ * @param {ObjectId} userId
+ * @returns {Promise<Livreur>}
+ */
+const getLivreurByUser = async (userId) => {
+  const livreur = await Livreur.findOne({ user: userId });
+  if (!livreur) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Livreur not found');
+  }
+  return livreur;
+};
+
+/**
+ * Livreurs éligibles pour une livraison, classés du meilleur au moins bon.
+ * Seuls les livreurs disponibles dans le rayon de dispatch sont considérés (requête `$near`) ;
+ * sont écartés ceux qui ont déjà une offre en attente et ceux à qui cette course a été proposée
+ * depuis moins de `DISPATCH_REOFFER_COOLDOWN_SECONDS` : passé ce délai, elle peut leur être reproposée.
+ * @param {Delivery} delivery
+ * @param {Object} pickup - Position du commerçant (point GeoJSON)
+ * @param {Date} now
+ * @returns {Promise<Array<Object>>}
+ */
+const findCandidates = async (delivery, pickup, now) => {
+  const cooldownStart = new Date(now.getTime() - config.dispatch.reofferCooldownSeconds * 1000);
+  const [recentlyOffered, busy] = await Promise.all([
+    DeliveryOffer.distinct('livreur', { delivery: delivery._id, updatedAt: { $gt: cooldownStart } }),
+    DeliveryOffer.distinct('livreur', { status: 'pending' }),
+  ]);
+  const livreurs = await livreurService.getAvailableLivreursNear(pickup, config.dispatch.maxDistanceKm, [
+    ...recentlyOffered,
+    ...busy,
+  ]);
+  if (livreurs.length === 0) return [];
+
+  // Charge actuelle : courses assignées encore en cours
+  const loads = await Delivery.aggregate([
+    {
+      $match: {
+        _id: { $in: livreurs.flatMap((livreur) => livreur.deliveriesAssigned) },
+        status: { $in: activeDeliveryStatuses },
+      },
+    },
+    { $group: { _id: '$livreur', count: { $sum: 1 } } },
+  ]);
+  const loadByLivreur = new Map(loads.map((load) => [String(load._id), load.count]));
+
+  return rankCandidates(
+    livreurs.map((livreur) => ({
+      livreur,
+      distance: livreur.calculateDistance(pickup),
+      activeDeliveries: loadByLivreur.get(String(livreur._id)) || 0,
+      performance: livreur.performance,
+    })),
+    config.dispatch
+  );
+};
+
+/**
+ * Proposer la course au meilleur candidat qui ne l'a pas eue récemment.
+ * Sans candidat, la livraison passe à `unassigned` (le support est prévenu à chaque passage à ce statut)
+ * et sera reproposée aux passages suivants du dispatcher, y compris aux livreurs qui l'ont refusée
+ * ou laissée expirer une fois leur délai de carence écoulé.
+ * @param {Delivery} delivery
+ * @param {Date} [now]
+ * @returns {Promise<DeliveryOffer|null>}
+ */
+const offerNextCandidate = async (delivery, now = new Date()) => {
+  const order = await Order.findById(delivery.order);
+  if (!order || order.status !== 'accepted') return null;
+  const merchant = await Merchant.findOne({ user: order.merchant });
+  if (!merchant) {
+    logger.warn(`Dispatch impossible sans position du commerçant : OrderID=${order.id}`);
+    return null;
+  }
+  if (!delivery.pickupLocation) {
+    // Point de retrait utilisé pour proposer la course aux livreurs à proximité
+    await Delivery.updateOne({ _id: delivery._id }, { pickupLocation: merchant.location });
+  }
+
+  const [best] = await findCandidates(delivery, merchant.location, now);
+  if (!best) {
+    const { nModified } = await Delivery.updateOne(
+      { _id: delivery._id, dispatchStatus: { $nin: ['assigned', 'unassigned'] } },
+      { dispatchStatus: 'unassigned' }
+    );
+    if (nModified) {
+      logger.warn(`Aucun livreur disponible : DeliveryID=${delivery.id}`);
+      await notificationService.notifySupport(`Aucun livreur disponible pour la commande ${order.id}`, { priority: 'high' });
+    }
+    return null;
+  }
+
+  let offer;
+  try {
+    offer = await DeliveryOffer.create({
+      delivery: delivery._id,
+      order: order._id,
+      livreur: best.livreur._id,
+      score: best.score,
+      distance: Math.round(best.distance * 100) / 100,
+      expiresAt: new Date(Date.now() + config.dispatch.offerTimeoutSeconds * 1000),
+    });
+  } catch (error) {
+    // Une offre est déjà en attente pour cette livraison
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  await Delivery.updateOne({ _id: delivery._id }, { dispatchStatus: 'offered' });
+  realtimeService.publishDispatchOffer(best.livreur.user, offer);
+
+  await notificationService.notifyLivreur(
+    best.livreur.user,
+    `Nouvelle course à ${offer.distance} km : répondez dans les ${config.dispatch.offerTimeoutSeconds} secondes.`,
+    { priority: 'high' }
+  );
+  logger.info(`Course proposée : DeliveryID=${delivery.id}, LivreurID=${best.livreur.id}, Score=${best.score}`);
+  return offer;
+};
+
+/**
+ * Lancer le dispatch d'une commande acceptée : créer sa livraison si besoin et la proposer à un livreur.
+ * À la création, un code PIN est remis au client : le livreur devra le saisir à la remise.
+ * @param {Order} order
+ * @returns {Promise<Delivery>}
+ */
+const dispatchOrder = async (order) => {
+  let delivery = order.delivery ? await Delivery.findById(order.delivery) : null;
+  if (delivery && delivery.livreur) return delivery;
+  if (!delivery) {
+    delivery = await Delivery.create({
+      order: order._id,
+      status: 'pending',
+      dispatchStatus: 'searching',
+      proof: { pin: generatePin() },
+    });
+    await Order.updateOne({ _id: order._id }, { delivery: delivery._id });
+    await notificationService.notifyClient(
+      order.client,
+      `Code de livraison de la commande ${order.id} : ${delivery.proof.pin}. Communiquez-le au livreur à la remise.`
+    );
+  }
+  await offerNextCandidate(delivery);
+  return delivery;
+};
+
+/**
+ * Répondre à une offre de course.
+ * En cas d'acceptation, la livraison est assignée au livreur et la commande passe en cours ;
+ * en cas de refus, la course est proposée au candidat suivant.
+ * @param {ObjectId} userId - Utilisateur livreur
+ * @param {ObjectId} offerId
+ * @param {Object} body
+ * @param {string} body.action - `accept` ou `decline`
+ * @param {string} [body.reason] - Motif du refus
+ * @returns {Promise<DeliveryOffer>}
+ */
+const respondToOffer = async (userId, offerId, { action, reason }) => {
+  const livreur = await getLivreurByUser(userId);
+  const offer = await DeliveryOffer.findOneAndUpdate(
+    { _id: offerId, livreur: livreur._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    { status: action === 'accept' ? 'accepted' : 'declined', respondedAt: new Date(), reason },
+    { new: true }
+  );
+  if (!offer) {
+    if (!(await DeliveryOffer.findOne({ _id: offerId, livreur: livreur._id }))) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Offer not found');
+    }
+    throw new ApiError(httpStatus.CONFLICT, 'Offer is no longer pending').withCode('DISPATCH_OFFER_CLOSED');
+  }
+
+  if (action === 'decline') {
+    logger.info(`Course refusée : OfferID=${offer.id}, LivreurID=${livreur.id}`);
+    await offerNextCandidate(await Delivery.findById(offer.delivery));
+    return offer;
+  }
+
+  const order = await Order.findById(offer.order);
+  const delivery =
+    order && order.status === 'accepted'
+      ? await Delivery.findOneAndUpdate(
+          { _id: offer.delivery, livreur: null, status: 'pending' },
+          {
+            livreur: livreur._id,
+            status: 'in_progress',
+            dispatchStatus: 'assigned',
+            $push: { statusHistory: { status: 'in_progress' } },
+          },
+          { new: true }
+        )
+      : null;
+  if (!delivery) {
+    await DeliveryOffer.updateOne({ _id: offer._id }, { status: 'cancelled' });
+    throw new ApiError(httpStatus.CONFLICT, 'Delivery is no longer available').withCode('DISPATCH_DELIVERY_UNAVAILABLE');
+  }
+
+  await Livreur.updateOne({ _id: livreur._id }, { $push: { deliveriesAssigned: delivery._id } });
+  await order.updateStatus('in_progress', { actor: userId, role: 'livreur', reason: 'Course acceptée par le livreur' });
+  realtimeService.publishOrderStatus(order);
+  await etaService.refreshOrderEta(order, 'status');
+  await notificationService.notifyMerchant(order.merchant, `Un livreur a accepté la course de la commande ${order.id}.`);
+  logger.info(`Course acceptée : DeliveryID=${delivery.id}, LivreurID=${livreur.id}`);
+  return offer;
+};
+
+/**
+ * Annuler les offres en attente d'une commande (commande annulée).
+ * @param {Order} order
+ * @returns {Promise<void>}
+ */
+const cancelDispatch = async (order) => {
+  await DeliveryOffer.updateMany({ order: order._id, status: 'pending' }, { status: 'cancelled' });
+};
+
+/**
+ * Passage périodique du dispatcher : expirer les offres sans réponse et reproposer leurs courses,
+ * puis retenter les livraisons restées sans livreur (reproposées aux livreurs dont le délai de carence est écoulé).
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{expired: Number, retried: Number}>}
+ */
+const runDispatchSweep = async ({ now = new Date() } = {}) => {
+  const overdue = await DeliveryOffer.find({ status: 'pending', expiresAt: { $lte: now } });
+  const unassigned = await Delivery.find({ dispatchStatus: 'unassigned', status: 'pending' });
+
+  let expired = 0;
+  // Traitement séquentiel : chaque course ne doit être proposée qu'à un livreur à la fois
+  // eslint-disable-next-line no-restricted-syntax
+  for (const candidate of overdue) {
+    // eslint-disable-next-line no-await-in-loop
+    const offer = await DeliveryOffer.findOneAndUpdate({ _id: candidate._id, status: 'pending' }, { status: 'expired' });
+    if (offer) {
+      expired += 1;
+      // eslint-disable-next-line no-await-in-loop
+      const delivery = await Delivery.findById(offer.delivery);
+      // eslint-disable-next-line no-await-in-loop
+      if (delivery) await offerNextCandidate(delivery, now);
+    }
+  }
+  // eslint-disable-next-line no-restricted-syntax
+  for (const delivery of unassigned) {
+    // eslint-disable-next-line no-await-in-loop
+    await offerNextCandidate(delivery, now);
+  }
+
+  if (expired || unassigned.length) {
+    logger.info(`Passage du dispatcher : Expired=${expired}, Retried=${unassigned.length}`);
+  }
+  return { expired, retried: unassigned.length };
+};
+
+/**
+ * Offres reçues par un livreur.
+ * @param {ObjectId} userId - Utilisateur livreur
+ * @param {Object} filter - Filtre (status)
+ * @param {Object} options - Options de pagination
+ * @returns {Promise<QueryResult>}
+ */
+const queryLivreurOffers = async (userId, filter, options) => {
+  const livreur = await getLivreurByUser(userId);
+  return DeliveryOffer.paginate({ ...filter, livreur: livreur._id }, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Historique du dispatch d'une livraison (offres, refus, expirations).
+ * @param {ObjectId} deliveryId
+ * @returns {Promise<Array<DeliveryOffer>>}
+ */
+const getDispatchHistory = async (deliveryId) => {
+  if (!(await Delivery.findById(deliveryId))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Delivery not found');
+  }
+  return DeliveryOffer.find({ delivery: deliveryId }).sort({ createdAt: 1 });
+};
+
+module.exports = {
+  dispatchOrder,
+  respondToOffer,
+  cancelDispatch,
+  runDispatchSweep,
+  queryLivreurOffers,
+  getDispatchHistory,
+};
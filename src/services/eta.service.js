@@ -0,0 +1,212 @@
+const { Client, Delivery, EtaPrediction, Livreur, Merchant, Order } = require('../models');
+const { estimateEta } = require('../utils/eta');
+const { getDistanceKm } = require('../utils/geo');
+const config = require('../config/config');
+const { activeDeliveryStatuses } = require('../config/deliveryStatuses');
+const logger = require('../config/logger');
+const realtimeService = require('./realtime.service');
+
+// Statuts pour lesquels une heure de livraison reste à estimer
+const openStatuses = ['pending', 'accepted', 'in_progress', 'picked_up'];
+
+const etaOptions = () => ({
+  ...config.eta,
+  peakHours: config.courierPay.peakHours,
+  timezone: config.courierPay.timezone,
+});
+
+/**
+ * Temps de préparation restant : la préparation démarre à l'acceptation de la commande.
+ * @param {Order} order
+ * @param {Merchant} merchant
+ * @param {Date} now
+ * @returns {Number} - Minutes
+ */
+const getRemainingPreparation = (order, merchant, now) => {
+  const settings = (merchant && merchant.customSettings) || {};
+  const total =
+    typeof settings.preparationMinutes === 'number' ? settings.preparationMinutes : config.eta.preparationMinutes;
+  const accepted = order.statusHistory.find((step) => step.status === 'accepted');
+  if (!accepted) return total;
+  return Math.max(0, total - (now - accepted.changedAt) / 60000);
+};
+
+/**
+ * Point de livraison : coordonnées de l'adresse de la commande, à défaut première adresse géolocalisée du client.
+ * @param {Order} order
+ * @returns {Promise<Object|null>}
+ */
+const getDropoff = async (order) => {
+  if (order.deliveryAddress && order.deliveryAddress.coordinates) return order.deliveryAddress.coordinates;
+  const client = await Client.findOne({ user: order.client });
+  const address = client && client.addresses.find((addr) => addr.coordinates);
+  return address ? address.coordinates : null;
+};
+
+/**
+ * Estimer l'heure de livraison d'une commande dans son état courant.
+ * @param {Order} order
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object|null>} - Estimation (voir utils/eta) et livraison associée, null pour une commande close
+ */
+const estimateOrder = async (order, { now = new Date() } = {}) => {
+  if (!openStatuses.includes(order.status)) return null;
+  const [merchant, dropoff, delivery] = await Promise.all([
+    Merchant.findOne({ user: order.merchant }),
+    getDropoff(order),
+    Delivery.findOne({ order: order._id }),
+  ]);
+  const livreur = delivery && delivery.livreur ? await Livreur.findById(delivery.livreur) : null;
+  const pickup = merchant && merchant.location;
+
+  // Après le retrait, il ne reste que le trajet du livreur jusqu'au client
+  const pickedUp = order.status === 'picked_up' && livreur;
+  const origin = pickedUp ? livreur.location : pickup;
+  let toDropoffKm = config.eta.defaultDropoffKm;
+  if (origin && dropoff) toDropoffKm = getDistanceKm(origin, dropoff);
+  let toPickupKm = livreur && pickup ? getDistanceKm(livreur.location, pickup) : null;
+  if (pickedUp) toPickupKm = 0;
+
+  const estimate = estimateEta(
+    {
+      now,
+      preparationMinutes: pickedUp ? 0 : getRemainingPreparation(order, merchant, now),
+      toPickupKm,
+      toDropoffKm,
+      performance: livreur && livreur.performance,
+    },
+    etaOptions()
+  );
+  return { ...estimate, delivery, livreur };
+};
+
+/**
+ * Recalculer l'heure de livraison d'une commande, la mémoriser, l'historiser et la pousser au client.
+ * Une estimation impossible n'interrompt jamais le traitement appelant : l'erreur est journalisée.
+ * @param {Order} order
+ * @param {string} trigger - `checkout`, `status` ou `location`
+ * @returns {Promise<Object|null>}
+ */
+const refreshOrderEta = async (order, trigger) => {
+  try {
+    const estimate = await estimateOrder(order);
+    if (!estimate) return null;
+    const { delivery, livreur } = estimate;
+
+    // eslint-disable-next-line no-param-reassign
+    order.estimatedDeliveryAt = estimate.estimatedAt;
+    await Order.updateOne({ _id: order._id }, { estimatedDeliveryAt: estimate.estimatedAt });
+    if (delivery) {
+      await Delivery.updateOne({ _id: delivery._id }, { deliveryTime: estimate.estimatedAt });
+    }
+    // Les positions arrivent en continu : seules les estimations au checkout et aux changements de statut sont historisées
+    if (trigger !== 'location') {
+      await EtaPrediction.create({
+        order: order._id,
+        delivery: delivery && delivery._id,
+        livreur: livreur && livreur._id,
+        trigger,
+        orderStatus: order.status,
+        estimatedAt: estimate.estimatedAt,
+        minutes: estimate.minutes,
+        breakdown: estimate.breakdown,
+      });
+    }
+    realtimeService.publishOrderEta(order, estimate);
+    return estimate;
+  } catch (error) {
+    logger.error(`Échec de l'estimation de livraison : OrderID=${order.id} - ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Recalculer l'heure de livraison des commandes en cours d'un livreur (nouvelle position).
+ * @param {Livreur} livreur
+ * @returns {Promise<void>}
+ */
+const refreshLivreurEtas = async (livreur) => {
+  const deliveries = await Delivery.find({ livreur: livreur._id, status: { $in: activeDeliveryStatuses } }).populate(
+    'order'
+  );
+  await Promise.all(
+    deliveries.filter((delivery) => delivery.order).map((delivery) => refreshOrderEta(delivery.order, 'location'))
+  );
+};
+
+/**
+ * Enregistrer l'heure réelle de livraison : écart sur chaque estimation de la commande
+ * et mise à jour du temps moyen de course du livreur (de la prise en charge à la livraison).
+ * À n'appeler qu'une fois par livraison : chaque appel compte une course de plus au livreur.
+ * Une estimation déjà close n'est pas réécrite.
+ * @param {Delivery} delivery
+ * @param {Object} [options]
+ * @param {Date} [options.deliveredAt]
+ * @returns {Promise<void>}
+ */
+const recordActualDelivery = async (delivery, { deliveredAt = new Date() } = {}) => {
+  const predictions = await EtaPrediction.find({ order: delivery.order, deliveredAt: null });
+  if (predictions.length) {
+    await EtaPrediction.bulkWrite(
+      predictions.map((prediction) => ({
+        updateOne: {
+          filter: { _id: prediction._id, deliveredAt: null },
+          update: {
+            deliveredAt,
+            errorMinutes: Math.round(((deliveredAt - prediction.estimatedAt) / 60000) * 10) / 10,
+          },
+        },
+      }))
+    );
+  }
+
+  const started = delivery.statusHistory.find((step) => step.status === 'in_progress');
+  const livreur = delivery.livreur && (await Livreur.findById(delivery.livreur));
+  if (started && livreur) {
+    await livreur.updatePerformance((deliveredAt - started.updatedAt) / 60000);
+  }
+};
+
+/**
+ * Précision des estimations livrées, par déclencheur.
+ * @param {Object} [filter]
+ * @param {Date} [filter.from] - Livraisons à partir de
+ * @param {Date} [filter.to] - Livraisons jusqu'à
+ * @returns {Promise<Array<Object>>} - `trigger`, `count`, `meanErrorMinutes` (biais), `meanAbsoluteErrorMinutes`, `withinFiveMinutesRate`
+ */
+const getAccuracyStats = async ({ from, to } = {}) => {
+  const deliveredAt = { $ne: null };
+  if (from) deliveredAt.$gte = new Date(from);
+  if (to) deliveredAt.$lte = new Date(to);
+  const stats = await EtaPrediction.aggregate([
+    { $match: { deliveredAt } },
+    {
+      $group: {
+        _id: '$trigger',
+        count: { $sum: 1 },
+        meanError: { $avg: '$errorMinutes' },
+        meanAbsoluteError: { $avg: { $abs: '$errorMinutes' } },
+        withinFiveMinutes: { $sum: { $cond: [{ $lte: [{ $abs: '$errorMinutes' }, 5] }, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  const round1 = (value) => Math.round(value * 10) / 10;
+  return stats.map((stat) => ({
+    trigger: stat._id,
+    count: stat.count,
+    meanErrorMinutes: round1(stat.meanError),
+    meanAbsoluteErrorMinutes: round1(stat.meanAbsoluteError),
+    withinFiveMinutesRate: Math.round((stat.withinFiveMinutes / stat.count) * 100) / 100,
+  }));
+};
+
+module.exports = {
+  getDropoff,
+  estimateOrder,
+  refreshOrderEta,
+  refreshLivreurEtas,
+  recordActualDelivery,
+  getAccuracyStats,
+};
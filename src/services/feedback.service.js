@@ -1,5 +1,5 @@
 const httpStatus = require('http-status');
-const { Feedback, User } = require('../models');
+const { Feedback } = require('../models');
 const ApiError = require('../utils/ApiError');
 
 /**
@@ -13,6 +13,19 @@ const createFeedback = async (userId, feedbackData) => {
   return feedback;
 };
 
+/**
+ * Récupérer un feedback par son ID.
+ * @param {ObjectId} feedbackId - ID du feedback.
+ * @returns {Promise<Feedback>}
+ */
+const getFeedbackById = async (feedbackId) => {
+  const feedback = await Feedback.findById(feedbackId);
+  if (!feedback) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Feedback not found');
+  }
+  return feedback;
+};
+
 /**
  * Mettre à jour un feedback.
  * @param {ObjectId} userId - ID de l'utilisateur.
@@ -102,6 +115,7 @@ const getFeedbacksByStatus = async (status) => {
 
 module.exports = {
   createFeedback,
+  getFeedbackById,
   updateFeedback,
   deleteFeedback,
   getUserFeedbacks,
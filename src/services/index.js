@@ -2,3 +2,26 @@ module.exports.authService = require('./auth.service');
 module.exports.emailService = require('./email.service');
 module.exports.tokenService = require('./token.service');
 module.exports.userService = require('./user.service');
+module.exports.adminService = require('./admin.service');
+module.exports.cartService = require('./cart.service');
+module.exports.cashService = require('./cash.service');
+module.exports.clientService = require('./client.service');
+module.exports.deliveryService = require('./delivery.service');
+module.exports.deliverySlotService = require('./deliverySlot.service');
+module.exports.dispatchService = require('./dispatch.service');
+module.exports.etaService = require('./eta.service');
+module.exports.feedbackService = require('./feedback.service');
+module.exports.inventoryService = require('./inventory.service');
+module.exports.ledgerService = require('./ledger.service');
+module.exports.livreurService = require('./livreur.service');
+module.exports.merchantService = require('./merchant.service');
+module.exports.notificationService = require('./notification.service');
+module.exports.orderService = require('./order.service');
+module.exports.paymentService = require('./payment.service');
+module.exports.productService = require('./product.service');
+module.exports.promotionService = require('./promotion.service');
+module.exports.realtimeService = require('./realtime.service');
+module.exports.returnRequestService = require('./returnRequest.service');
+module.exports.reviewService = require('./review.service');
+module.exports.supportService = require('./support.service');
+module.exports.ticketService = require('./ticket.service');
@@ -1,6 +1,298 @@
-const { Inventory, Product, Merchant } = require('../models');
-const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
+const { Inventory, Product, StockMovement, StockReservation } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { afterCommit } = require('../utils/withTransaction');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { stockAlertLevels } = require('../config/stockMovements');
+const notificationService = require('./notification.service');
+
+/**
+ * L'inventaire est la référence du stock de chaque produit : toute variation passe par `recordMovement`,
+ * qui l'inscrit au journal des mouvements (StockMovement) et répercute la quantité sur `Product.stock`,
+ * projection en lecture seule utilisée par le catalogue et le panier.
+ * Les réservations (StockReservation) retiennent une partie du stock en attendant un paiement :
+ * `Inventory.reserved` en fait le total, projeté sur `Product.reservedStock`.
+ */
+
+/**
+ * Condition de disponibilité : stock en main moins réservations actives au moins égal à la quantité.
+ * @param {Number} quantity
+ * @returns {Object} - Expression de filtre
+ */
+const availableAtLeast = (quantity) => ({
+  $expr: { $gte: [{ $subtract: ['$quantity', { $ifNull: ['$reserved', 0] }] }, quantity] },
+});
+
+/**
+ * Charger l'inventaire d'un produit. Un produit antérieur au journal des mouvements reçoit son inventaire
+ * à partir de `Product.stock`, avec un mouvement d'ouverture.
+ * @param {ObjectId} productId - ID du produit
+ * @param {ClientSession} [session] - Session de la transaction en cours
+ * @returns {Promise<Inventory>}
+ */
+const getOrCreateInventory = async (productId, session = null) => {
+  const existing = await Inventory.findOne({ product: productId }).session(session);
+  if (existing) return existing;
+
+  const product = await Product.findById(productId).session(session);
+  if (!product) {
+    throw new ApiError(httpStatus.NOT_FOUND, `Produit introuvable : ID=${productId}`).withCode('PRODUCT_NOT_FOUND');
+  }
+  const [inventory] = await Inventory.create(
+    [{ product: product._id, merchant: product.merchant, quantity: product.stock }],
+    {
+      session,
+    }
+  );
+  if (inventory.quantity !== 0) {
+    await StockMovement.create(
+      [
+        {
+          inventory: inventory._id,
+          product: product._id,
+          merchant: product.merchant,
+          type: 'adjustment',
+          quantity: inventory.quantity,
+          balance: inventory.quantity,
+          reason: "Solde d'ouverture (stock produit)",
+        },
+      ],
+      { session }
+    );
+  }
+  return inventory;
+};
+
+/**
+ * Alerter le commerçant, in-app et par e-mail, quand le stock d'un produit passe sous son seuil ou en rupture.
+ * Le niveau atteint est mémorisé sur l'inventaire : une alerte n'est émise qu'au passage à un niveau plus critique,
+ * et un réapprovisionnement au-dessus du seuil la réarme. Un échec d'envoi de l'e-mail est consigné sur la notification.
+ * @param {Inventory} inventory
+ * @returns {Promise<Notification|null>} - Notification émise, le cas échéant
+ */
+const checkStockAlert = async (inventory) => {
+  const level = inventory.getStockLevel();
+  const lessCritical = stockAlertLevels.slice(0, stockAlertLevels.indexOf(level));
+  // Passage conditionnel au niveau supérieur : deux mouvements concurrents n'émettent qu'une alerte
+  const escalated =
+    lessCritical.length > 0 &&
+    (await Inventory.findOneAndUpdate(
+      { _id: inventory._id, alertLevel: { $in: [...lessCritical, null] } },
+      { alertLevel: level, lastAlertAt: new Date() }
+    ));
+  if (!escalated) {
+    await Inventory.updateOne({ _id: inventory._id, alertLevel: { $ne: level } }, { alertLevel: level });
+    return null;
+  }
+
+  const product = await Product.findById(inventory.product).select('name');
+  const name = product ? product.name : `ProductID=${inventory.product}`;
+  const subject = level === 'out' ? 'Rupture de stock' : 'Stock faible';
+  const message =
+    level === 'out'
+      ? `${subject} : ${name} n'est plus disponible à la vente`
+      : `${subject} : ${name}, ${inventory.quantity} en stock (seuil : ${inventory.lowStockThreshold})`;
+  const notification = await notificationService.notifyMerchant(inventory.merchant, message, {
+    type: 'stock_alert',
+    channels: ['in_app', 'email'],
+    priority: level === 'out' ? 'high' : 'medium',
+    groupId: `stock:${inventory.product}`,
+  });
+  logger.info(`[ALERTE STOCK] Level=${level}, ProductID=${inventory.product}, Quantity=${inventory.quantity}`);
+
+  return notificationService.sendNotificationEmail(notification, subject);
+};
+
+/**
+ * Enregistrer un mouvement de stock : variation atomique de l'inventaire, ajout au journal
+ * puis mise à jour de la projection `Product.stock`. Une sortie n'a lieu que si le stock disponible suffit
+ * (réservations des autres clients déduites), ce qui empêche deux commandes concurrentes de survendre.
+ * Le niveau d'alerte du produit est ensuite réévalué (voir checkStockAlert), après le commit dans une transaction.
+ * @param {ObjectId} productId - ID du produit
+ * @param {Object} movement
+ * @param {string} movement.type - `sale`, `cancel`, `restock`, `adjustment` ou `return`
+ * @param {Number} movement.quantity - Variation signée (négative pour une sortie)
+ * @param {Number} [movement.reserved] - Quantité réservée convertie en sortie (consommation d'une réservation)
+ * @param {ObjectId} [movement.order] - Commande à l'origine du mouvement
+ * @param {ObjectId} [movement.actor] - Utilisateur à l'origine du mouvement
+ * @param {string} [movement.reason]
+ * @param {ClientSession} [session] - Session de la transaction en cours
+ * @returns {Promise<Inventory>}
+ * @throws {ApiError} - 409 OUT_OF_STOCK si le stock est insuffisant
+ */
+const recordMovement = async (productId, { type, quantity, reserved = 0, order, actor, reason }, session = null) => {
+  const inventory = await getOrCreateInventory(productId, session);
+  const updated = await Inventory.findOneAndUpdate(
+    { _id: inventory._id, ...(quantity < 0 && availableAtLeast(-quantity - reserved)) },
+    { $inc: { quantity, reserved: -reserved }, lastUpdated: new Date() },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new ApiError(httpStatus.CONFLICT, `Stock insuffisant pour le produit : ID=${productId}`).withCode('OUT_OF_STOCK');
+  }
+  await StockMovement.create(
+    [
+      {
+        inventory: updated._id,
+        product: updated.product,
+        merchant: updated.merchant,
+        type,
+        quantity,
+        balance: updated.quantity,
+        order,
+        actor,
+        reason,
+      },
+    ],
+    { session }
+  );
+  await Product.updateOne(
+    { _id: updated.product },
+    { stock: updated.quantity, reservedStock: updated.reserved },
+    { session }
+  );
+  // Dans une transaction, l'alerte attend le commit et porte sur l'inventaire relu hors session
+  await afterCommit(session, () =>
+    (session ? Inventory.findById(updated._id) : Promise.resolve(updated))
+      .then((committed) => committed && checkStockAlert(committed))
+      .catch((error) => logger.error(`Échec de l'alerte de stock : ProductID=${updated.product} - ${error.message}`))
+  );
+  return updated;
+};
+
+/**
+ * Réserver du stock jusqu'à une échéance. La quantité reste en stock mais n'est plus disponible à la vente.
+ * @param {ObjectId} productId - ID du produit
+ * @param {Object} reservation
+ * @param {Number} reservation.quantity - Quantité à retenir
+ * @param {ObjectId} [reservation.client] - Client bénéficiaire
+ * @param {ObjectId} [reservation.order] - Sous-commande en attente de paiement (absente pour un panier)
+ * @param {Date} [reservation.expiresAt] - Échéance (durée configurée par défaut)
+ * @param {ClientSession} [session] - Session de la transaction en cours
+ * @returns {Promise<StockReservation>}
+ * @throws {ApiError} - 409 OUT_OF_STOCK si le stock disponible est insuffisant
+ */
+const reserveStock = async (productId, { quantity, client, order, expiresAt }, session = null) => {
+  const inventory = await getOrCreateInventory(productId, session);
+  const updated = await Inventory.findOneAndUpdate(
+    { _id: inventory._id, ...availableAtLeast(quantity) },
+    { $inc: { reserved: quantity } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new ApiError(httpStatus.CONFLICT, `Stock insuffisant pour le produit : ID=${productId}`).withCode('OUT_OF_STOCK');
+  }
+  const [reservation] = await StockReservation.create(
+    [
+      {
+        inventory: updated._id,
+        product: updated.product,
+        merchant: updated.merchant,
+        client,
+        order,
+        quantity,
+        expiresAt: expiresAt || new Date(Date.now() + config.stockReservations.ttlMinutes * 60 * 1000),
+      },
+    ],
+    { session }
+  );
+  await Product.updateOne({ _id: updated.product }, { reservedStock: updated.reserved }, { session });
+  return reservation;
+};
+
+/**
+ * Clore les réservations actives correspondant à un filtre : consommées (sortie `sale` du stock réservé)
+ * ou libérées (stock de nouveau disponible). Chaque réservation n'est close qu'une fois,
+ * même si le paiement et le balayage des échéances la traitent en même temps.
+ * @param {Object} filter - Filtre sur les réservations (ex. `{ order: { $in: orderIds } }`)
+ * @param {string} status - `consumed` ou `released`
+ * @param {string} [reason]
+ * @param {ClientSession} [session] - Session de la transaction en cours
+ * @returns {Promise<Array<StockReservation>>} - Réservations closes
+ */
+const settleReservations = async (filter, status, reason, session = null) => {
+  const candidates = await StockReservation.find({ ...filter, status: 'active' }).session(session);
+  const settled = [];
+  // Les opérations d'une même session doivent être exécutées séquentiellement
+  // eslint-disable-next-line no-restricted-syntax
+  for (const candidate of candidates) {
+    // eslint-disable-next-line no-await-in-loop
+    const reservation = await StockReservation.findOneAndUpdate(
+      { _id: candidate._id, status: 'active' },
+      { status, reason, settledAt: new Date() },
+      { new: true, session }
+    );
+    if (reservation && status === 'consumed') {
+      // eslint-disable-next-line no-await-in-loop
+      await recordMovement(
+        reservation.product,
+        { type: 'sale', quantity: -reservation.quantity, reserved: reservation.quantity, order: reservation.order },
+        session
+      );
+    } else if (reservation) {
+      // eslint-disable-next-line no-await-in-loop
+      const inventory = await Inventory.findOneAndUpdate(
+        { _id: reservation.inventory },
+        { $inc: { reserved: -reservation.quantity } },
+        { new: true, session }
+      );
+      // eslint-disable-next-line no-await-in-loop
+      await Product.updateOne({ _id: reservation.product }, { reservedStock: inventory.reserved }, { session });
+    }
+    if (reservation) settled.push(reservation);
+  }
+  return settled;
+};
+
+/**
+ * Consommer des réservations : le stock retenu sort définitivement de l'inventaire (paiement abouti).
+ * @param {Object} filter - Filtre sur les réservations
+ * @param {ClientSession} [session] - Session de la transaction en cours
+ * @returns {Promise<Array<StockReservation>>}
+ */
+const consumeReservations = (filter, session = null) => settleReservations(filter, 'consumed', undefined, session);
+
+/**
+ * Libérer des réservations : le stock retenu redevient disponible.
+ * @param {Object} filter - Filtre sur les réservations
+ * @param {string} reason - Motif (échéance, paiement échoué, annulation…)
+ * @param {ClientSession} [session] - Session de la transaction en cours
+ * @returns {Promise<Array<StockReservation>>}
+ */
+const releaseReservations = (filter, reason, session = null) => settleReservations(filter, 'released', reason, session);
+
+/**
+ * Quantité retenue par les réservations actives correspondant à un filtre.
+ * @param {Object} filter - Filtre sur les réservations
+ * @returns {Promise<Number>}
+ */
+const getReservedQuantity = async (filter) => {
+  const reservations = await StockReservation.find({ ...filter, status: 'active' }).select('quantity');
+  return reservations.reduce((acc, reservation) => acc + reservation.quantity, 0);
+};
+
+/**
+ * Créer l'inventaire d'un nouveau produit avec son stock initial.
+ * @param {Product} product
+ * @param {Number} quantity - Stock initial
+ * @param {ObjectId} [actor]
+ * @returns {Promise<Inventory>}
+ */
+const initializeInventory = async (product, quantity, actor) => {
+  const inventory = await getOrCreateInventory(product._id);
+  if (!quantity) return inventory;
+  return recordMovement(product._id, { type: 'restock', quantity, actor, reason: 'Stock initial' });
+};
+
+/**
+ * Vérifier qu'un produit appartient au commerçant.
+ * @param {ObjectId} merchantId - ID du commerçant
+ * @param {ObjectId} productId - ID du produit
+ * @returns {Promise<Boolean>}
+ */
+const isAuthorized = async (merchantId, productId) =>
+  (await Product.countDocuments({ _id: productId, merchant: merchantId })) > 0;
 
 /**
  * Ajouter un produit à l'inventaire
@@ -10,30 +302,28 @@ const httpStatus = require('http-status');
  */
 const addProduct = async (merchantId, productData) => {
   // Vérifier si le produit existe
-  const product = await Product.findById(productData.productId);
+  const product = await Product.findOne({ _id: productData.productId, merchant: merchantId });
   if (!product) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Produit introuvable');
   }
 
   // Vérifier si le produit appartient déjà à l'inventaire du commerçant
-  const existingInventory = await Inventory.findOne({ merchant: merchantId, product: product.id });
+  const existingInventory = await Inventory.findOne({ product: product.id });
   if (existingInventory) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Ce produit est déjà dans l’inventaire');
   }
 
-  // Créer un nouvel inventaire pour le produit
-  const inventory = await Inventory.create({
-    product: product.id,
-    merchant: merchantId,
-    quantity: productData.quantity || 0,
-    lowStockThreshold: productData.lowStockThreshold || 5,
-  });
-
-  return inventory;
+  // Créer un nouvel inventaire pour le produit : la quantité transmise remplace le stock produit
+  const inventory = await getOrCreateInventory(product._id);
+  inventory.set('lowStockThreshold', productData.lowStockThreshold || 5);
+  await inventory.save();
+  const quantity = (productData.quantity || 0) - inventory.quantity;
+  if (quantity === 0) return inventory;
+  return recordMovement(product._id, { type: 'adjustment', quantity, actor: merchantId, reason: "Ajout à l'inventaire" });
 };
 
 /**
- * Mettre à jour un produit dans l'inventaire
+ * Mettre à jour un produit dans l'inventaire (seuil d'alerte ; la quantité ne change que par des mouvements)
  * @param {ObjectId} merchantId - ID du commerçant
  * @param {ObjectId} productId - ID du produit
  * @param {Object} updateData - Données de mise à jour
@@ -48,6 +338,8 @@ const updateProduct = async (merchantId, productId, updateData) => {
   // Appliquer les mises à jour
   Object.assign(inventory, updateData);
   await inventory.save();
+  // Un nouveau seuil peut faire entrer le produit en stock faible, ou l'en faire sortir
+  await checkStockAlert(inventory);
 
   return inventory;
 };
@@ -57,26 +349,26 @@ const updateProduct = async (merchantId, productId, updateData) => {
  * @param {ObjectId} merchantId - ID du commerçant
  * @param {ObjectId} productId - ID du produit
  * @param {Number} quantity - Quantité à ajouter/retirer
+ * @param {Object} [options]
+ * @param {string} [options.type] - `restock` ou `adjustment` (par défaut selon le signe de la quantité)
+ * @param {string} [options.reason]
  * @returns {Promise<Inventory>}
  */
-const updateStock = async (merchantId, productId, quantity) => {
-  const inventory = await Inventory.findOne({ merchant: merchantId, product: productId });
-  if (!inventory) {
+const updateStock = async (merchantId, productId, quantity, { type, reason } = {}) => {
+  if (!(await isAuthorized(merchantId, productId))) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Produit non trouvé dans l’inventaire');
   }
-
-  await inventory.updateQuantity(quantity);
-
-  // Déclencher une alerte si le stock est faible
-  if (inventory.isLowStock()) {
-    // Logique pour notifier le commerçant (intégration avec notificationService)
-  }
-
-  return inventory;
+  return recordMovement(productId, {
+    type: type || (quantity > 0 ? 'restock' : 'adjustment'),
+    quantity,
+    actor: merchantId,
+    reason,
+  });
 };
 
 /**
- * Supprimer un produit de l'inventaire
+ * Supprimer un produit de l'inventaire : les réservations actives sont libérées,
+ * puis le stock restant est sorti par un mouvement d'ajustement
  * @param {ObjectId} merchantId - ID du commerçant
  * @param {ObjectId} productId - ID du produit
  * @returns {Promise<Inventory>}
@@ -87,11 +379,34 @@ const deleteProduct = async (merchantId, productId) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Produit non trouvé dans l’inventaire');
   }
 
+  await releaseReservations({ product: productId }, "Retrait de l'inventaire");
+  if (inventory.quantity !== 0) {
+    await recordMovement(productId, {
+      type: 'adjustment',
+      quantity: -inventory.quantity,
+      actor: merchantId,
+      reason: "Retrait de l'inventaire",
+    });
+  }
   await inventory.remove();
 
   return inventory;
 };
 
+/**
+ * Journal des mouvements de stock d'un produit, du plus récent au plus ancien
+ * @param {ObjectId} merchantId - ID du commerçant
+ * @param {ObjectId} productId - ID du produit
+ * @param {Object} options - Options de pagination
+ * @returns {Promise<QueryResult>}
+ */
+const getMovements = async (merchantId, productId, options) => {
+  if (!(await isAuthorized(merchantId, productId))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Produit non trouvé dans l’inventaire');
+  }
+  return StockMovement.paginate({ product: productId }, { sortBy: 'createdAt:desc,_id:desc', ...options });
+};
+
 /**
  * Obtenir l'inventaire complet d'un commerçant avec filtres et pagination
  * @param {ObjectId} merchantId - ID du commerçant
@@ -119,23 +434,155 @@ const getInventory = async (merchantId, filters = {}) => {
  * @returns {Promise<Object>}
  */
 const getInventoryStats = async (merchantId) => {
-  const totalItems = await Inventory.countDocuments({ merchant: merchantId });
-  const lowStockItems = await Inventory.countDocuments({
-    merchant: merchantId,
-    quantity: { $lt: mongoose.Types.Decimal128(lowStockThreshold) },
-  });
+  const [totalItems, lowStockItems, outOfStockItems] = await Promise.all([
+    Inventory.countDocuments({ merchant: merchantId }),
+    Inventory.countDocuments({ merchant: merchantId, $expr: { $lt: ['$quantity', '$lowStockThreshold'] } }),
+    Inventory.countDocuments({ merchant: merchantId, quantity: { $lte: 0 } }),
+  ]);
 
   return {
     totalItems,
     lowStockItems,
+    outOfStockItems,
   };
 };
 
+/**
+ * Rapport des produits d'un commerçant sous leur seuil de stock, ruptures comprises, du stock le plus bas au plus haut
+ * @param {ObjectId} merchantId - ID du commerçant
+ * @param {Object} [filters]
+ * @param {string} [filters.level] - `low` (sous le seuil, hors rupture) ou `out` (rupture seule)
+ * @returns {Promise<Array<Object>>}
+ */
+const getLowStockReport = async (merchantId, { level } = {}) => {
+  const filter = { merchant: merchantId, $expr: { $lt: ['$quantity', '$lowStockThreshold'] } };
+  if (level === 'out') filter.quantity = { $lte: 0 };
+  if (level === 'low') filter.quantity = { $gt: 0 };
+
+  const inventories = await Inventory.find(filter).sort({ quantity: 1 }).populate('product', 'name price isActive');
+  return inventories.map((inventory) => ({
+    product: inventory.product,
+    quantity: inventory.quantity,
+    reserved: inventory.reserved || 0,
+    available: inventory.getAvailableQuantity(),
+    lowStockThreshold: inventory.lowStockThreshold,
+    level: inventory.getStockLevel(),
+    lastAlertAt: inventory.lastAlertAt || null,
+  }));
+};
+
+/**
+ * Comparer l'inventaire, son journal de mouvements et la projection `Product.stock`, et corriger les écarts.
+ * - Produit sans inventaire : inventaire créé à partir de `Product.stock` ;
+ * - Journal incomplet (mouvements antérieurs au journal) : mouvement d'ajustement sans effet sur la quantité ;
+ * - `Inventory.reserved` différent du total des réservations actives : total recalculé ;
+ * - `Product.stock` différent de l'inventaire : projection réécrite, ou inventaire aligné sur le produit (`source: 'product'`).
+ * Les inventaires en double pour un même produit sont seulement signalés.
+ * @param {Object} [options]
+ * @param {Boolean} [options.fix] - Appliquer les corrections (sinon simple rapport)
+ * @param {string} [options.source] - Référence en cas d'écart avec le produit : `inventory` (défaut) ou `product`
+ * @returns {Promise<Object>} - Rapport des écarts constatés
+ */
+const reconcileStock = async ({ fix = false, source = 'inventory' } = {}) => {
+  const report = {
+    fix,
+    source,
+    products: 0,
+    missingInventory: [],
+    ledgerMismatches: [],
+    reservationMismatches: [],
+    stockMismatches: [],
+    duplicates: [],
+  };
+  const totals = await StockMovement.aggregate([{ $group: { _id: '$inventory', total: { $sum: '$quantity' } } }]);
+  const logged = new Map(totals.map(({ _id, total }) => [String(_id), total]));
+  const holds = await StockReservation.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$inventory', total: { $sum: '$quantity' } } },
+  ]);
+  const held = new Map(holds.map(({ _id, total }) => [String(_id), total]));
+
+  const cursor = Product.find().select('merchant stock').cursor();
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const product of cursor) {
+    report.products += 1;
+    // eslint-disable-next-line no-await-in-loop
+    const inventories = await Inventory.find({ product: product._id });
+    const [inventory] = inventories;
+
+    if (inventories.length > 1) {
+      report.duplicates.push({ product: product.id, inventories: inventories.map((doc) => doc.id) });
+    } else if (!inventory) {
+      report.missingInventory.push({ product: product.id, stock: product.stock });
+      // eslint-disable-next-line no-await-in-loop
+      if (fix) await getOrCreateInventory(product._id);
+    } else {
+      const total = logged.get(inventory.id) || 0;
+      if (total !== inventory.quantity) {
+        report.ledgerMismatches.push({ product: product.id, quantity: inventory.quantity, logged: total });
+        if (fix) {
+          // eslint-disable-next-line no-await-in-loop
+          await StockMovement.create({
+            inventory: inventory._id,
+            product: product._id,
+            merchant: inventory.merchant,
+            type: 'adjustment',
+            quantity: inventory.quantity - total,
+            balance: inventory.quantity,
+            reason: 'Réconciliation : reprise du solde non journalisé',
+          });
+        }
+      }
+      const active = held.get(inventory.id) || 0;
+      if ((inventory.reserved || 0) !== active) {
+        report.reservationMismatches.push({ product: product.id, reserved: inventory.reserved || 0, active });
+        if (fix) {
+          // eslint-disable-next-line no-await-in-loop
+          await Inventory.updateOne({ _id: inventory._id }, { reserved: active });
+          // eslint-disable-next-line no-await-in-loop
+          await Product.updateOne({ _id: product._id }, { reservedStock: active });
+        }
+      }
+      if (product.stock !== inventory.quantity) {
+        report.stockMismatches.push({
+          product: product.id,
+          productStock: product.stock,
+          inventoryQuantity: inventory.quantity,
+        });
+        if (fix && source === 'product') {
+          // eslint-disable-next-line no-await-in-loop
+          await recordMovement(product._id, {
+            type: 'adjustment',
+            quantity: product.stock - inventory.quantity,
+            reason: 'Réconciliation : stock produit retenu',
+          });
+        } else if (fix) {
+          // eslint-disable-next-line no-await-in-loop
+          await Product.updateOne({ _id: product._id }, { stock: inventory.quantity });
+        }
+      }
+    }
+  }
+  return report;
+};
+
 module.exports = {
+  getOrCreateInventory,
+  recordMovement,
+  reserveStock,
+  consumeReservations,
+  releaseReservations,
+  getReservedQuantity,
+  initializeInventory,
+  isAuthorized,
   addProduct,
   updateProduct,
   updateStock,
   deleteProduct,
+  getMovements,
   getInventory,
   getInventoryStats,
+  getLowStockReport,
+  checkStockAlert,
+  reconcileStock,
 };
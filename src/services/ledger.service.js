@@ -0,0 +1,500 @@
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { LedgerEntry, Payout, Merchant, Delivery, Livreur, Payment } = require('../models');
+const ApiError = require('../utils/ApiError');
+const withTransaction = require('../utils/withTransaction');
+const { computeCourierPay } = require('../utils/courierPay');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Comptes de tiers réglés par virement, et champ du virement désignant le bénéficiaire
+const payableAccounts = {
+  merchant_payable: 'merchant',
+  courier_payable: 'livreur',
+};
+
+const partyFilter = (account, party) => ({ lines: { $elemMatch: { account, party } } });
+
+/**
+ * Mouvement net (crédit - débit, en centimes) d'une écriture sur le compte d'un tiers.
+ * @param {LedgerEntry} entry
+ * @param {string} account
+ * @param {ObjectId} party
+ * @returns {Number}
+ */
+const partyCents = (entry, account, party) =>
+  entry.lines
+    .filter((line) => line.account === account && String(line.party) === String(party))
+    .reduce((sum, line) => sum + toCents(line.credit) - toCents(line.debit), 0);
+
+/**
+ * Enregistrer une écriture, sans effet si elle existe déjà (même type, même référence).
+ * @param {Object} entryBody
+ * @returns {Promise<LedgerEntry|null>}
+ */
+const postEntry = async (entryBody) => {
+  try {
+    return await LedgerEntry.create({ currency: config.payment.currency, ...entryBody });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Répartir le montant d'une commande livrée entre commerçant, plateforme et prestataire de paiement.
+ * Les frais de paiement sont à la charge du commerçant, sauf si la plateforme les absorbe ;
+ * les frais de livraison lui sont facturés par la plateforme, dans la limite de sa part.
+ * La rémunération du livreur fait l'objet d'une écriture distincte (voir `recordDeliveryPay`).
+ * @param {Object} params
+ * @param {Number} params.total - Montant payé par le client pour la commande
+ * @param {Number} params.commissionRate - Commission de la plateforme, en pourcentage
+ * @param {Number} [params.paymentFees] - Frais de paiement imputables à la commande
+ * @param {Boolean} [params.absorbPaymentFees] - La plateforme prend les frais de paiement à sa charge
+ * @param {Number} [params.deliveryFee] - Frais de livraison facturés au commerçant
+ * @returns {{merchantShare: Number, commission: Number, paymentFees: Number, deliveryFee: Number}}
+ */
+const computeOrderSplit = ({ total, commissionRate, paymentFees = 0, absorbPaymentFees = false, deliveryFee = 0 }) => {
+  const totalCents = toCents(total);
+  const feesCents = Math.min(toCents(paymentFees), totalCents);
+  const merchantFeesCents = absorbPaymentFees ? 0 : feesCents;
+  const commissionCents = Math.min(Math.round((totalCents * commissionRate) / 100), totalCents - merchantFeesCents);
+  const deliveryFeeCents = Math.min(toCents(deliveryFee), totalCents - commissionCents - merchantFeesCents);
+  return {
+    merchantShare: fromCents(totalCents - commissionCents - merchantFeesCents - deliveryFeeCents),
+    commission: fromCents(commissionCents),
+    paymentFees: fromCents(feesCents),
+    deliveryFee: fromCents(deliveryFeeCents),
+  };
+};
+
+/**
+ * Lignes de l'écriture de clôture d'une commande.
+ * @param {Object} split - Résultat de `computeOrderSplit`
+ * @param {Object} params
+ * @param {Number} params.total
+ * @param {ObjectId} params.merchant - Utilisateur commerçant
+ * @param {Boolean} [params.absorbPaymentFees]
+ * @returns {Array<Object>}
+ */
+const buildOrderLines = (split, { total, merchant, absorbPaymentFees = false }) => {
+  const lines = [
+    { account: 'payments_clearing', debit: total },
+    { account: 'merchant_payable', party: merchant, credit: split.merchantShare },
+    { account: 'commission_revenue', credit: split.commission },
+    { account: 'delivery_fee_revenue', credit: split.deliveryFee },
+  ];
+  if (split.paymentFees) {
+    lines.push({ account: 'payment_fees_payable', credit: split.paymentFees });
+    if (absorbPaymentFees) lines.push({ account: 'payment_fees_expense', debit: split.paymentFees });
+  }
+  return lines.filter((line) => line.debit || line.credit);
+};
+
+/**
+ * Montant encaissé pour une commande, net des remboursements déjà effectués, et frais de paiement imputables.
+ * Pour un paiement de groupe, capturé et frais sont répartis au prorata du montant de la commande.
+ * @param {Order} order
+ * @param {Payment} payment - Paiement capturé de la commande
+ * @returns {Promise<{net: Number, paymentFees: Number}>}
+ */
+const getOrderSettlement = async (order, payment) => {
+  const orderCents = toCents(order.totalPrice);
+  const amountCents = toCents(payment.amount);
+  const prorata = (cents) => (amountCents ? Math.round((cents * orderCents) / amountCents) : 0);
+  const refunds = await Payment.find({ parentPayment: payment._id, order: order._id, type: 'refund', status: 'completed' });
+  const refundedCents = refunds.reduce((acc, refund) => acc + toCents(refund.amount), 0);
+  return {
+    net: fromCents(Math.max(Math.min(prorata(toCents(payment.getCapturedAmount())), orderCents) - refundedCents, 0)),
+    paymentFees: fromCents(prorata(toCents(payment.fees))),
+  };
+};
+
+/**
+ * Comptabiliser une commande livrée (sans effet si elle l'est déjà).
+ * Seule une commande dont le paiement est encaissé est comptabilisée, sur son montant net des remboursements ;
+ * un paiement encaissé après la livraison (espèces) la comptabilise à son tour.
+ * Les frais de livraison ne sont facturés que si la commande a été remise par un livreur.
+ * @param {Order} order
+ * @returns {Promise<LedgerEntry|null>}
+ */
+const recordOrderCompletion = async (order) => {
+  const payment = order.payment && (await Payment.findById(order.payment._id || order.payment));
+  if (!payment || payment.status !== 'completed') {
+    logger.info(`Commande non comptabilisée, paiement non encaissé : OrderID=${order.id}`);
+    return null;
+  }
+  const [merchant, settlement, delivered] = await Promise.all([
+    Merchant.findOne({ user: order.merchant }),
+    getOrderSettlement(order, payment),
+    Delivery.countDocuments({ order: order._id, status: 'delivered' }),
+  ]);
+  if (!settlement.net) {
+    logger.info(`Commande non comptabilisée, entièrement remboursée : OrderID=${order.id}`);
+    return null;
+  }
+  const settings = (merchant && merchant.customSettings) || {};
+  const commissionRate = settings.commissionRate !== undefined ? settings.commissionRate : config.ledger.commissionRate;
+  const absorbPaymentFees = Boolean(settings.absorbPaymentFees);
+  const deliveryFee = settings.deliveryFee !== undefined ? settings.deliveryFee : config.ledger.deliveryFee;
+
+  const split = computeOrderSplit({
+    total: settlement.net,
+    commissionRate,
+    paymentFees: settlement.paymentFees,
+    absorbPaymentFees,
+    deliveryFee: delivered ? deliveryFee : 0,
+  });
+
+  const entry = await postEntry({
+    type: 'order_completed',
+    reference: order._id,
+    description: `Commande ${order.id}`,
+    lines: buildOrderLines(split, { total: settlement.net, merchant: order.merchant, absorbPaymentFees }),
+  });
+  if (entry) {
+    logger.info(`Commande comptabilisée : OrderID=${order.id}, MerchantShare=${split.merchantShare}`);
+  }
+  return entry;
+};
+
+/**
+ * Comptabiliser un remboursement client (sans effet s'il l'est déjà) : la part commerçant est débitée
+ * et la commission extournée au prorata du montant remboursé. Les frais de paiement et de livraison restent acquis.
+ * Une commande encore non comptabilisée n'a rien crédité au commerçant : aucune écriture
+ * (sa comptabilisation portera sur le montant net des remboursements).
+ * @param {Payment} refund - Paiement de type `refund`
+ * @param {Order} order
+ * @returns {Promise<LedgerEntry|null>}
+ */
+const recordRefund = async (refund, order) => {
+  const completion = await LedgerEntry.findOne({ type: 'order_completed', reference: order._id });
+  if (!completion) return null;
+
+  const totalCents = completion.lines
+    .filter((line) => line.account === 'payments_clearing')
+    .reduce((acc, line) => acc + toCents(line.debit), 0);
+  const commissionCents = completion.lines
+    .filter((line) => line.account === 'commission_revenue')
+    .reduce((acc, line) => acc + toCents(line.credit), 0);
+  const refundCents = toCents(refund.amount);
+  const reversedCents = totalCents ? Math.round((commissionCents * refundCents) / totalCents) : 0;
+
+  const lines = [
+    { account: 'merchant_payable', party: order.merchant, debit: fromCents(refundCents - reversedCents) },
+    { account: 'payments_clearing', credit: fromCents(refundCents) },
+  ];
+  if (reversedCents) lines.push({ account: 'commission_revenue', debit: fromCents(reversedCents) });
+
+  const entry = await postEntry({
+    type: 'refund',
+    reference: refund._id,
+    description: `Remboursement commande ${order.id}`,
+    lines,
+  });
+  if (entry) {
+    logger.info(`Remboursement comptabilisé : RefundID=${refund.id}, OrderID=${order.id}, Amount=${refund.amount}`);
+  }
+  return entry;
+};
+
+/**
+ * Comptabiliser le pourboire d'une livraison livrée (sans effet s'il l'est déjà).
+ * Le pourboire est intégralement dû au livreur.
+ * @param {Delivery} delivery
+ * @returns {Promise<LedgerEntry|null>}
+ */
+const recordDeliveryTip = async (delivery) => {
+  // Seul un pourboire encaissé est dû au livreur
+  if (!delivery.livreur || !delivery.tip || !delivery.tipPayment) return null;
+  const entry = await postEntry({
+    type: 'delivery_tip',
+    reference: delivery._id,
+    description: `Pourboire livraison ${delivery.id}`,
+    lines: [
+      { account: 'tips_clearing', debit: delivery.tip },
+      { account: 'courier_payable', party: delivery.livreur, credit: delivery.tip },
+    ],
+  });
+  if (entry) {
+    await Livreur.updateOne({ _id: delivery.livreur }, { $inc: { totalEarnings: delivery.tip } });
+    logger.info(`Pourboire comptabilisé : DeliveryID=${delivery.id}, Tip=${delivery.tip}`);
+  }
+  return entry;
+};
+
+/**
+ * Calculer et comptabiliser la rémunération du livreur pour une livraison livrée (sans effet si c'est déjà fait).
+ * Le détail est figé sur la livraison ; un pourboire déjà laissé est comptabilisé à part.
+ * @param {Delivery} delivery
+ * @returns {Promise<LedgerEntry|null>}
+ */
+const recordDeliveryPay = async (delivery) => {
+  if (!delivery.livreur) return null;
+  const delivered = [...delivery.statusHistory].reverse().find((step) => step.status === 'delivered');
+  const pay = computeCourierPay(
+    { distance: delivery.distance, waitTime: delivery.waitTime, deliveredAt: delivered ? delivered.updatedAt : new Date() },
+    config.courierPay
+  );
+
+  const entry = await postEntry({
+    type: 'delivery_completed',
+    reference: delivery._id,
+    description: `Livraison ${delivery.id}`,
+    lines: [
+      { account: 'delivery_expense', debit: pay.total },
+      { account: 'courier_payable', party: delivery.livreur, credit: pay.total },
+    ],
+  });
+  if (!entry) return null;
+
+  // Relire la livraison : un pourboire a pu être laissé pendant la comptabilisation
+  const current = await Delivery.findByIdAndUpdate(delivery._id, { pay, payment: pay.total }, { new: true });
+  await Livreur.updateOne({ _id: delivery.livreur }, { $inc: { totalEarnings: pay.total } });
+  if (current) {
+    await recordDeliveryTip(current);
+  }
+  logger.info(`Course comptabilisée : DeliveryID=${delivery.id}, Pay=${pay.total}`);
+  return entry;
+};
+
+/**
+ * Solde du compte d'un commerçant : montant qui lui reste dû.
+ * @param {ObjectId} merchantId - Utilisateur commerçant
+ * @param {Object} [filter] - Filtre supplémentaire sur les écritures
+ * @returns {Promise<Number>}
+ */
+const getMerchantBalance = async (merchantId, filter = {}) => {
+  const entries = await LedgerEntry.find({ ...filter, ...partyFilter('merchant_payable', merchantId) });
+  return fromCents(entries.reduce((acc, entry) => acc + partyCents(entry, 'merchant_payable', merchantId), 0));
+};
+
+/**
+ * Verser son solde à un commerçant ou à un livreur.
+ * Les écritures soldées sont marquées par le virement de manière conditionnelle, dans la même transaction :
+ * deux lots concurrents ne peuvent pas verser deux fois la même écriture.
+ * @param {string} account - `merchant_payable` ou `courier_payable`
+ * @param {ObjectId} party - Commerçant (utilisateur) ou livreur
+ * @param {Date} periodEnd - Seules les écritures antérieures sont versées
+ * @returns {Promise<Payout|null>}
+ */
+const payParty = async (account, party, periodEnd) =>
+  withTransaction(async (session) => {
+    const entries = await LedgerEntry.find({
+      ...partyFilter(account, party),
+      settledBy: null,
+      postedAt: { $lte: periodEnd },
+    }).session(session);
+    const amountCents = entries.reduce((acc, entry) => acc + partyCents(entry, account, party), 0);
+    if (amountCents <= 0 || amountCents < toCents(config.payouts.minimumAmount)) return null;
+
+    const payout = new Payout({
+      [payableAccounts[account]]: party,
+      amount: fromCents(amountCents),
+      currency: config.payment.currency,
+      status: 'paid',
+      entries: entries.map((entry) => entry._id),
+      periodEnd,
+      paidAt: new Date(),
+    });
+    const { nModified } = await LedgerEntry.updateMany(
+      { _id: { $in: payout.entries }, settledBy: null },
+      { settledBy: payout._id },
+      { session }
+    );
+    if (nModified !== entries.length) {
+      throw new ApiError(httpStatus.CONFLICT, 'Ledger entries already settled').withCode('PAYOUT_CONFLICT');
+    }
+    await payout.save({ session });
+    await new LedgerEntry({
+      type: 'payout',
+      reference: payout._id,
+      description: `Virement ${payout.id}`,
+      currency: payout.currency,
+      settledBy: payout._id,
+      lines: [
+        { account, party, debit: payout.amount },
+        { account: 'payouts_clearing', credit: payout.amount },
+      ],
+    }).save({ session });
+    return payout;
+  });
+
+/**
+ * Lot de règlement : verser à chaque commerçant et à chaque livreur son solde non réglé s'il atteint le minimum.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{payouts: Array<Payout>, failures: Number}>}
+ */
+const runPayoutBatch = async ({ now = new Date() } = {}) => {
+  const accounts = Object.keys(payableAccounts);
+  const parties = await LedgerEntry.aggregate([
+    { $match: { settledBy: null, postedAt: { $lte: now }, 'lines.account': { $in: accounts } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': { $in: accounts } } },
+    { $group: { _id: { account: '$lines.account', party: '$lines.party' } } },
+  ]);
+
+  const payouts = [];
+  let failures = 0;
+  // Un bénéficiaire à la fois : chaque virement a sa propre transaction
+  // eslint-disable-next-line no-restricted-syntax
+  for (const { _id: beneficiary } of parties) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const payout = await payParty(beneficiary.account, beneficiary.party, now);
+      if (payout) payouts.push(payout);
+    } catch (error) {
+      failures += 1;
+      logger.error(`Échec du virement ${beneficiary.account} pour ID=${beneficiary.party} : ${error.message}`);
+    }
+  }
+  logger.info(`Lot de règlement terminé : Payouts=${payouts.length}, Failures=${failures}`);
+  return { payouts, failures };
+};
+
+/**
+ * Relevé du compte d'un commerçant sur une période, avec solde d'ouverture et solde courant.
+ * @param {ObjectId} merchantId
+ * @param {Object} [period]
+ * @param {Date} [period.from]
+ * @param {Date} [period.to]
+ * @returns {Promise<Object>}
+ */
+const getMerchantStatement = async (merchantId, { from, to } = {}) => {
+  const postedAt = {};
+  if (from) postedAt.$gte = new Date(from);
+  if (to) postedAt.$lte = new Date(to);
+
+  const openingBalance = from ? await getMerchantBalance(merchantId, { postedAt: { $lt: new Date(from) } }) : 0;
+  const entries = await LedgerEntry.find({
+    ...partyFilter('merchant_payable', merchantId),
+    ...(from || to ? { postedAt } : {}),
+  }).sort({ postedAt: 1 });
+
+  let balanceCents = toCents(openingBalance);
+  const lines = entries.map((entry) => {
+    const movementCents = partyCents(entry, 'merchant_payable', merchantId);
+    balanceCents += movementCents;
+    return {
+      date: entry.postedAt,
+      type: entry.type,
+      reference: entry.reference,
+      description: entry.description,
+      debit: movementCents < 0 ? fromCents(-movementCents) : 0,
+      credit: movementCents > 0 ? fromCents(movementCents) : 0,
+      balance: fromCents(balanceCents),
+    };
+  });
+
+  return { merchant: merchantId, from, to, openingBalance, closingBalance: fromCents(balanceCents), lines };
+};
+
+/**
+ * Relevé au format CSV.
+ * @param {Object} statement - Résultat de `getMerchantStatement`
+ * @returns {string}
+ */
+const formatStatementCsv = (statement) => {
+  const escape = (value) => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+  const rows = statement.lines.map((line) =>
+    [line.date.toISOString(), line.type, line.reference, line.description, line.debit, line.credit, line.balance]
+      .map(escape)
+      .join(',')
+  );
+  return ['date,type,reference,description,debit,credit,balance', ...rows].join('\n');
+};
+
+/**
+ * Virements reçus par un commerçant.
+ * @param {ObjectId} merchantId
+ * @param {Object} options - Options de pagination
+ * @returns {Promise<QueryResult>}
+ */
+const getMerchantPayouts = async (merchantId, options) =>
+  Payout.paginate({ merchant: merchantId }, { sortBy: 'createdAt:desc', ...options });
+
+const earningsPeriodFormats = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+/**
+ * Gains d'un livreur regroupés par jour, semaine ou mois, avec la part déjà versée et la part en attente.
+ * @param {ObjectId} livreurId
+ * @param {Object} [query]
+ * @param {string} [query.period] - `day`, `week` ou `month`
+ * @param {Date} [query.from]
+ * @param {Date} [query.to]
+ * @returns {Promise<Object>}
+ */
+const getCourierEarnings = async (livreurId, { period = 'day', from, to } = {}) => {
+  const party = mongoose.Types.ObjectId(String(livreurId));
+  const match = {
+    type: { $in: ['delivery_completed', 'delivery_tip'] },
+    ...partyFilter('courier_payable', party),
+  };
+  if (from || to) {
+    match.postedAt = {};
+    if (from) match.postedAt.$gte = new Date(from);
+    if (to) match.postedAt.$lte = new Date(to);
+  }
+  const isPay = { $eq: ['$type', 'delivery_completed'] };
+  const isPaid = { $ne: ['$settledBy', null] };
+  const groups = await LedgerEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': 'courier_payable', 'lines.party': party } },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: earningsPeriodFormats[period], date: '$postedAt', timezone: config.courierPay.timezone },
+        },
+        deliveries: { $sum: { $cond: [isPay, 1, 0] } },
+        pay: { $sum: { $cond: [isPay, '$lines.credit', 0] } },
+        tips: { $sum: { $cond: [isPay, 0, '$lines.credit'] } },
+        paid: { $sum: { $cond: [isPaid, '$lines.credit', 0] } },
+        pending: { $sum: { $cond: [isPaid, 0, '$lines.credit'] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const round = (amount) => fromCents(toCents(amount));
+  const buckets = groups.map((group) => ({
+    period: group._id,
+    deliveries: group.deliveries,
+    pay: round(group.pay),
+    tips: round(group.tips),
+    total: round(group.pay + group.tips),
+    paid: round(group.paid),
+    pending: round(group.pending),
+  }));
+  const totals = buckets.reduce(
+    (acc, bucket) =>
+      ['deliveries', 'pay', 'tips', 'total', 'paid', 'pending'].reduce(
+        (sum, key) => ({ ...sum, [key]: round(acc[key] + bucket[key]) }),
+        {}
+      ),
+    { deliveries: 0, pay: 0, tips: 0, total: 0, paid: 0, pending: 0 }
+  );
+  return { period, from, to, buckets, totals };
+};
+
+module.exports = {
+  computeOrderSplit,
+  recordOrderCompletion,
+  recordRefund,
+  recordDeliveryPay,
+  recordDeliveryTip,
+  getCourierEarnings,
+  getMerchantBalance,
+  runPayoutBatch,
+  getMerchantStatement,
+  formatStatementCsv,
+  getMerchantPayouts,
+};
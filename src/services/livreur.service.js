@@ -1,63 +1,48 @@
-const { Livreur, Delivery, Client } = require('../models');
+const { Livreur, Delivery } = require('../models');
 const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
+const { near } = require('../utils/geo');
+const config = require('../config/config');
+const ledgerService = require('./ledger.service');
+const realtimeService = require('./realtime.service');
+const etaService = require('./eta.service');
+const deliveryService = require('./delivery.service');
 
 /**
- * Récupérer les livraisons disponibles pour un livreur.
- * @param {ObjectId} livreurId - ID du livreur.
+ * Livreurs disponibles autour d'un point, du plus proche au plus lointain.
+ * @param {Object} point - Point GeoJSON ou coordonnées `{latitude, longitude}`
+ * @param {Number} maxDistanceKm - Rayon de recherche
+ * @param {Array<ObjectId>} [excludedIds] - Livreurs à écarter
+ * @returns {Promise<Array<Livreur>>}
+ */
+const getAvailableLivreursNear = async (point, maxDistanceKm, excludedIds = []) =>
+  Livreur.find({ isAvailable: true, _id: { $nin: excludedIds }, location: near(point, maxDistanceKm) });
+
+/**
+ * Récupérer les livraisons en attente autour d'un livreur, de la plus proche à la plus lointaine.
+ * La distance est mesurée jusqu'au point de retrait, c'est-à-dire la position du commerçant.
+ * @param {ObjectId} userId - Utilisateur livreur.
+ * @param {Object} [options]
+ * @param {Number} [options.maxDistance] - Rayon de recherche en kilomètres.
  * @returns {Promise<Array>}
  */
-const getAvailableDeliveries = async (livreurId) => {
-  const livreur = await Livreur.findById(livreurId);
+const getAvailableDeliveries = async (userId, { maxDistance = config.dispatch.maxDistanceKm } = {}) => {
+  const livreur = await Livreur.findOne({ user: userId });
   if (!livreur) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Livreur not found');
   }
 
-  const deliveries = await Delivery.find({ status: 'pending' });
+  const deliveries = await Delivery.find({
+    status: 'pending',
+    livreur: null,
+    pickupLocation: near(livreur.location, maxDistance),
+  });
   return deliveries.map((delivery) => ({
     ...delivery.toObject(),
-    distanceFromLivreur: livreur.calculateDistance(delivery.startLocation, livreur.location),
+    distanceFromLivreur: Math.round(livreur.calculateDistance(delivery.pickupLocation) * 100) / 100,
   }));
 };
 
-/**
- * Vérifier si une livraison est disponible.
- * @param {ObjectId} deliveryId - ID de la livraison.
- * @returns {Promise<Boolean>}
- */
-const isDeliveryAvailable = async (deliveryId) => {
-  const delivery = await Delivery.findById(deliveryId);
-  return delivery && delivery.status === 'pending';
-};
-
-/**
- * Accepter une livraison pour un livreur.
- * @param {ObjectId} livreurId - ID du livreur.
- * @param {ObjectId} deliveryId - ID de la livraison.
- * @returns {Promise<Delivery>}
- */
-const acceptDelivery = async (livreurId, deliveryId) => {
-  const livreur = await Livreur.findById(livreurId);
-  const delivery = await Delivery.findById(deliveryId);
-
-  if (!livreur || !delivery) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Livreur or Delivery not found');
-  }
-
-  if (delivery.status !== 'pending') {
-    throw new ApiError(httpStatus.CONFLICT, 'Delivery is no longer available');
-  }
-
-  delivery.status = 'in_progress';
-  delivery.livreur = livreurId;
-  livreur.deliveriesAssigned.push(deliveryId);
-
-  await delivery.save();
-  await livreur.save();
-
-  return delivery;
-};
-
 /**
  * Obtenir les livraisons assignées à un livreur.
  * @param {ObjectId} livreurId - ID du livreur.
@@ -72,50 +57,54 @@ const getAssignedDeliveries = async (livreurId) => {
 };
 
 /**
- * Mettre à jour le statut d'une livraison.
- * @param {ObjectId} livreurId - ID du livreur.
+ * Mettre à jour le statut d'une livraison assignée au livreur.
+ * Le passage à `delivered` exige la preuve de livraison (PIN du client, photo, signature, zone de livraison).
+ * @param {ObjectId} userId - Utilisateur livreur.
  * @param {ObjectId} deliveryId - ID de la livraison.
- * @param {String} newStatus - Nouveau statut de la livraison.
+ * @param {Object} body - Nouveau statut (`status`) et preuve de livraison (`pin`, `photo`, `signature`).
  * @returns {Promise<Delivery>}
  */
-const updateDeliveryStatus = async (livreurId, deliveryId, { newStatus }) => {
-  const livreur = await Livreur.findById(livreurId);
-  const delivery = await Delivery.findById(deliveryId);
-
-  if (!livreur || !delivery) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Livreur or Delivery not found');
-  }
-
-  if (!['in_progress', 'delivered', 'cancelled'].includes(newStatus)) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid delivery status');
+const updateDeliveryStatus = async (userId, deliveryId, { status, ...proof }) => {
+  const livreur = await Livreur.findOne({ user: userId });
+  const delivery = livreur && (await Delivery.findOne({ _id: deliveryId, livreur: livreur._id }));
+  if (!delivery) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Delivery not found');
   }
 
-  delivery.status = newStatus;
+  return deliveryService.updateDeliveryStatus(delivery._id, status, proof);
+};
 
-  if (newStatus === 'delivered') {
-    livreur.performance.deliveriesCompleted += 1;
-    await livreur.updatePerformance(delivery.timeTaken);
+/**
+ * Confirmer le retrait d'une course du livreur chez le commerçant.
+ * @param {ObjectId} userId - Utilisateur livreur.
+ * @param {ObjectId} deliveryId - ID de la livraison.
+ * @param {string} code - Code de retrait saisi ou scanné.
+ * @returns {Promise<Delivery>}
+ */
+const confirmPickup = async (userId, deliveryId, code) => {
+  const livreur = await Livreur.findOne({ user: userId });
+  const delivery = livreur && (await Delivery.findOne({ _id: deliveryId, livreur: livreur._id }));
+  if (!delivery) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Delivery not found');
   }
 
-  await delivery.save();
-  await livreur.save();
-
-  return delivery;
+  return deliveryService.confirmPickup(delivery, code, userId);
 };
 
 /**
- * Calculer les gains totaux d'un livreur.
- * @param {ObjectId} livreurId - ID du livreur.
- * @returns {Promise<Number>}
+ * Gains d'un livreur par jour, semaine ou mois, distinguant les montants versés et en attente.
+ * @param {ObjectId} userId - Utilisateur livreur.
+ * @param {Object} query - Période de regroupement (`day`, `week`, `month`) et bornes `from` / `to`.
+ * @returns {Promise<Object>}
  */
-const calculateEarnings = async (livreurId) => {
-  const livreur = await Livreur.findById(livreurId);
+const getEarnings = async (userId, query) => {
+  const livreur = await Livreur.findOne({ user: userId });
   if (!livreur) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Livreur not found');
   }
 
-  const totalEarnings = await livreur.calculateTotalEarnings();
-  return { total: totalEarnings };
+  const earnings = await ledgerService.getCourierEarnings(livreur._id, query);
+  return { ...earnings, totalEarnings: livreur.totalEarnings };
 };
 
 /**
@@ -135,18 +124,21 @@ const setAvailability = async (livreurId, availability) => {
 };
 
 /**
- * Mettre à jour la localisation d'un livreur.
- * @param {ObjectId} livreurId - ID du livreur.
+ * Mettre à jour la localisation d'un livreur et la diffuser aux clients dont il livre la commande.
+ * @param {ObjectId} userId - Utilisateur livreur.
  * @param {Object} coordinates - Nouvelle localisation (latitude, longitude).
  * @returns {Promise<Livreur>}
  */
-const updateLocation = async (livreurId, coordinates) => {
-  const livreur = await Livreur.findById(livreurId);
+const updateLocation = async (userId, coordinates) => {
+  const livreur = await Livreur.findOne({ user: userId });
   if (!livreur) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Livreur not found');
   }
 
   await livreur.updateLocation(coordinates);
+  await deliveryService.recordPickupArrival(livreur);
+  await realtimeService.publishLivreurLocation(livreur);
+  await etaService.refreshLivreurEtas(livreur);
   return livreur;
 };
 
@@ -183,12 +175,12 @@ const getDeliveryHistory = async (livreurId) => {
 };
 
 module.exports = {
+  getAvailableLivreursNear,
   getAvailableDeliveries,
-  isDeliveryAvailable,
-  acceptDelivery,
   getAssignedDeliveries,
   updateDeliveryStatus,
-  calculateEarnings,
+  confirmPickup,
+  getEarnings,
   setAvailability,
   updateLocation,
   rateClient,
@@ -1,6 +1,10 @@
 const httpStatus = require('http-status');
-const { Product, Order, Promotion, Merchant } = require('../models');
+const { Product, Order, Promotion, Merchant, Client } = require('../models');
 const ApiError = require('../utils/ApiError');
+const { near, getDistanceKm } = require('../utils/geo');
+const { isValidTimeZone } = require('../utils/openingHours');
+const orderService = require('./order.service');
+const inventoryService = require('./inventory.service');
 
 /**
  * Ajouter un produit pour un commerçant.
@@ -11,7 +15,10 @@ const addProduct = async (merchantId, productData) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Merchant not found');
   }
 
-  const product = await Product.create({ ...productData, merchant: merchantId });
+  // Le stock transmis devient le stock initial de l'inventaire
+  const product = await Product.create({ ...productData, stock: 0, merchant: merchantId });
+  const inventory = await inventoryService.initializeInventory(product, productData.stock, merchantId);
+  product.set('stock', inventory.quantity);
   merchant.products.push(product.id);
   await merchant.save();
 
@@ -67,9 +74,10 @@ const deactivateProduct = async (merchantId, productId) => {
 const getPendingOrders = async (merchantId, filters) => {
   const { priority, status } = filters;
 
+  // Filtrer par commerçant : pour un checkout multi-commerçants, seule sa sous-commande est visible
   const query = {
     merchant: merchantId,
-    status: { $in: ['pending', 'processing'] },
+    status: { $in: ['pending', 'accepted'] },
   };
 
   if (priority) {
@@ -84,7 +92,7 @@ const getPendingOrders = async (merchantId, filters) => {
 };
 
 /**
- * Traiter une commande.
+ * Traiter une commande (transition de statut par le commerçant).
  */
 const processOrder = async (merchantId, orderId, updateData) => {
   const order = await Order.findOne({ _id: orderId, merchant: merchantId });
@@ -92,10 +100,12 @@ const processOrder = async (merchantId, orderId, updateData) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Order not found or not owned by merchant');
   }
 
-  Object.assign(order, updateData);
-  await order.save();
-
-  return order;
+  // Passer par le service des commandes : l'acceptation déclenche le dispatch des livreurs
+  return orderService.updateOrderStatus(order._id, updateData.status, {
+    actor: merchantId,
+    role: 'merchant',
+    reason: updateData.reason,
+  });
 };
 
 /**
@@ -180,6 +190,145 @@ const getRealTimeDashboard = async (merchantId) => {
   };
 };
 
+/**
+ * Commerçants autour d'une adresse du client, du plus proche au plus lointain.
+ * @param {ObjectId} userId - Utilisateur client
+ * @param {Object} options
+ * @param {ObjectId} [options.addressId] - Adresse de référence (par défaut, la première adresse géolocalisée)
+ * @param {Number} options.maxDistance - Rayon de recherche en kilomètres
+ * @param {Number} options.limit - Nombre maximal de commerçants
+ * @returns {Promise<Array<Object>>}
+ */
+const getMerchantsNearClient = async (userId, { addressId, maxDistance, limit }) => {
+  const client = await Client.findOne({ user: userId });
+  if (!client) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Client not found');
+  }
+  const address = addressId
+    ? client.addresses.find((addr) => addr.id.toString() === addressId.toString())
+    : client.addresses.find((addr) => addr.coordinates);
+  if (addressId && !address) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Address not found');
+  }
+  if (!address || !address.coordinates) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A geolocated address is required').withCode('ADDRESS_NOT_GEOLOCATED');
+  }
+
+  const merchants = await Merchant.find({ location: near(address.coordinates, maxDistance) })
+    .select('storeName location averageRating timezone openingHours closures ordersPaused')
+    .limit(limit);
+  const now = new Date();
+  return merchants.map((merchant) => {
+    const { isOpen, closesAt, nextOpeningAt } = merchant.getAvailability(now);
+    const { timezone, openingHours, closures, ordersPaused, ...summary } = merchant.toJSON();
+    return {
+      ...summary,
+      distance: Math.round(getDistanceKm(address.coordinates, merchant.location) * 100) / 100,
+      isOpen,
+      closesAt,
+      nextOpeningAt,
+    };
+  });
+};
+
+/**
+ * Charger le profil commerçant d'un utilisateur.
+ * @param {ObjectId} userId
+ * @returns {Promise<Merchant>}
+ */
+const getMerchantProfile = async (userId) => {
+  const merchant = await Merchant.findOne({ user: userId });
+  if (!merchant) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Merchant not found');
+  }
+  return merchant;
+};
+
+/**
+ * Horaires du commerçant et état d'ouverture courant.
+ * @param {Merchant} merchant
+ * @returns {Object}
+ */
+const formatSchedule = (merchant) => ({
+  timezone: merchant.timezone,
+  openingHours: merchant.openingHours,
+  closures: merchant.closures,
+  ordersPaused: merchant.ordersPaused,
+  slotCapacity: merchant.slotCapacity,
+  availability: merchant.getAvailability(),
+});
+
+/**
+ * Consulter les horaires d'ouverture du commerçant.
+ * @param {ObjectId} userId - ID utilisateur du commerçant
+ * @returns {Promise<Object>}
+ */
+const getSchedule = async (userId) => formatSchedule(await getMerchantProfile(userId));
+
+/**
+ * Remplacer le fuseau horaire, les créneaux hebdomadaires et/ou la capacité des créneaux de livraison.
+ * @param {ObjectId} userId - ID utilisateur du commerçant
+ * @param {Object} scheduleBody
+ * @param {string} [scheduleBody.timezone] - Fuseau IANA
+ * @param {Array<{day: Number, open: string, close: string}>} [scheduleBody.openingHours] - Liste vide : ouvert en permanence
+ * @param {Number} [scheduleBody.slotCapacity] - Commandes programmées acceptées par créneau
+ * @returns {Promise<Object>}
+ */
+const updateSchedule = async (userId, { timezone, openingHours, slotCapacity }) => {
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Unknown time zone').withCode('INVALID_TIMEZONE');
+  }
+  const merchant = await getMerchantProfile(userId);
+  if (timezone) merchant.set('timezone', timezone);
+  if (openingHours) merchant.set('openingHours', openingHours);
+  if (slotCapacity) merchant.set('slotCapacity', slotCapacity);
+  await merchant.save();
+  return formatSchedule(merchant);
+};
+
+/**
+ * Ajouter une fermeture exceptionnelle (congés, jour férié...).
+ * @param {ObjectId} userId - ID utilisateur du commerçant
+ * @param {{from: Date, to: Date, reason: string}} closure
+ * @returns {Promise<Object>}
+ */
+const addClosure = async (userId, closure) => {
+  const merchant = await getMerchantProfile(userId);
+  merchant.closures.push(closure);
+  await merchant.save();
+  return formatSchedule(merchant);
+};
+
+/**
+ * Supprimer une fermeture exceptionnelle.
+ * @param {ObjectId} userId - ID utilisateur du commerçant
+ * @param {ObjectId} closureId
+ * @returns {Promise<Object>}
+ */
+const removeClosure = async (userId, closureId) => {
+  const merchant = await getMerchantProfile(userId);
+  const closure = merchant.closures.id(closureId);
+  if (!closure) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Closure not found');
+  }
+  closure.remove();
+  await merchant.save();
+  return formatSchedule(merchant);
+};
+
+/**
+ * Suspendre ou reprendre la prise de commandes (rush, rupture, imprévu).
+ * @param {ObjectId} userId - ID utilisateur du commerçant
+ * @param {Boolean} paused
+ * @returns {Promise<Object>}
+ */
+const setOrdersPaused = async (userId, paused) => {
+  const merchant = await getMerchantProfile(userId);
+  merchant.set('ordersPaused', paused);
+  await merchant.save();
+  return formatSchedule(merchant);
+};
+
 module.exports = {
   addProduct,
   updateProduct,
@@ -191,4 +340,10 @@ module.exports = {
   generateFinancialReport,
   getSalesStats,
   getRealTimeDashboard,
+  getMerchantsNearClient,
+  getSchedule,
+  updateSchedule,
+  addClosure,
+  removeClosure,
+  setOrdersPaused,
 };
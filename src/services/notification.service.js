@@ -1,7 +1,10 @@
 const httpStatus = require('http-status');
 const mongoose = require('mongoose');
-const { Notification } = require('../models');
+const { Notification, User } = require('../models');
 const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const emailService = require('./email.service');
+const realtimeService = require('./realtime.service');
 
 /**
  * Créer une notification
@@ -155,8 +158,108 @@ const archiveNotification = async (notificationId) => {
   return notification;
 };
 
+/**
+ * Envoyer une notification par e-mail à son destinataire et consigner le résultat sur le canal `email`.
+ * Un échec d'envoi est consigné sur la notification sans être propagé.
+ * @param {Notification} notification
+ * @param {string} subject - Objet de l'e-mail
+ * @returns {Promise<Notification>}
+ */
+const sendNotificationEmail = async (notification, subject) => {
+  const user = await User.findById(notification.user).select('email');
+  try {
+    if (!user || !user.email) throw new Error('Adresse e-mail du destinataire inconnue');
+    await emailService.sendEmail(user.email, subject, notification.message);
+    await notification.updateDeliveryStatus('email', 'sent');
+  } catch (error) {
+    logger.error(`Échec de l'envoi de la notification par e-mail : NotificationID=${notification.id} - ${error.message}`);
+    await notification.updateDeliveryStatus('email', 'failed', error.message);
+  }
+  return notification;
+};
+
+/**
+ * Pousser une notification en temps réel à son destinataire et consigner l'envoi sur le canal `push`.
+ * @param {Notification} notification
+ * @returns {Promise<Notification>}
+ */
+const sendPushNotification = async (notification) => {
+  realtimeService.publishNotification(notification);
+  await notification.updateDeliveryStatus('push', 'sent');
+  return notification;
+};
+
+/**
+ * Notifier un utilisateur (canal in-app par défaut)
+ * @param {ObjectId} userId - ID de l'utilisateur destinataire
+ * @param {string} message - Contenu de la notification
+ * @param {Object} [options] - Champs supplémentaires (type, priority, channels, groupId...)
+ * @returns {Promise<Notification>}
+ */
+const notifyUser = async (userId, message, options = {}) => {
+  return createNotification({ type: 'system', ...options, user: userId, message });
+};
+
+/**
+ * Notifier un client d'un événement lié à ses commandes
+ * @param {ObjectId} clientId - ID du client
+ * @param {string} message - Contenu de la notification
+ * @param {Object} [options] - Champs supplémentaires
+ * @returns {Promise<Notification>}
+ */
+const notifyClient = async (clientId, message, options = {}) =>
+  notifyUser(clientId, message, { type: 'order_update', ...options });
+
+/**
+ * Notifier un commerçant
+ * @param {ObjectId} merchantId - ID du commerçant
+ * @param {string} message - Contenu de la notification
+ * @param {Object} [options] - Champs supplémentaires
+ * @returns {Promise<Notification>}
+ */
+const notifyMerchant = async (merchantId, message, options = {}) =>
+  notifyUser(merchantId, message, { type: 'order_update', ...options });
+
+/**
+ * Notifier un livreur
+ * @param {ObjectId} livreurId - ID du livreur
+ * @param {string} message - Contenu de la notification
+ * @param {Object} [options] - Champs supplémentaires
+ * @returns {Promise<Notification>}
+ */
+const notifyLivreur = async (livreurId, message, options = {}) =>
+  notifyUser(livreurId, message, { type: 'order_update', ...options });
+
+/**
+ * Notifier un agent de support
+ * @param {ObjectId} agentId - ID de l'agent
+ * @param {string} message - Contenu de la notification
+ * @param {Object} [options] - Champs supplémentaires
+ * @returns {Promise<Notification>}
+ */
+const notifySupportAgent = async (agentId, message, options = {}) => notifyUser(agentId, message, options);
+
+/**
+ * Notifier l'ensemble des agents de support actifs
+ * @param {string} message - Contenu de la notification
+ * @param {Object} [options] - Champs supplémentaires
+ * @returns {Promise<Array<Notification>>}
+ */
+const notifySupport = async (message, options = {}) => {
+  const agents = await User.find({ role: 'support', isActive: true }).select('_id');
+  return Promise.all(agents.map((agent) => notifyUser(agent._id, message, options)));
+};
+
 module.exports = {
   createNotification,
+  sendNotificationEmail,
+  sendPushNotification,
+  notifyUser,
+  notifyClient,
+  notifyMerchant,
+  notifyLivreur,
+  notifySupportAgent,
+  notifySupport,
   getUserNotifications,
   markAsRead,
   markAllAsRead,
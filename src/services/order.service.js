@@ -1,55 +1,267 @@
-const { Order, Product, Promotion } = require('../models');
-const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const {
+  Order,
+  Product,
+  Promotion,
+  Client,
+  CheckoutGroup,
+  Merchant,
+  StockReservation,
+  Delivery,
+  Livreur,
+  Payment,
+} = require('../models');
+const ApiError = require('../utils/ApiError');
+const withTransaction = require('../utils/withTransaction');
+const { assertPromotionApplicable, priceLines, getAddressRegions } = require('../utils/pricing');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const ledgerService = require('./ledger.service');
+const dispatchService = require('./dispatch.service');
+const realtimeService = require('./realtime.service');
+const etaService = require('./eta.service');
+const notificationService = require('./notification.service');
+const deliverySlotService = require('./deliverySlot.service');
+const inventoryService = require('./inventory.service');
+const paymentService = require('./payment.service');
 
 /**
- * Créer une commande.
+ * Valoriser des lignes de commande au prix catalogue et réserver leurs articles jusqu'au paiement.
+ * La réservation n'a lieu que si le stock disponible suffit : deux commandes concurrentes ne peuvent pas survendre.
+ * Les articles ne sortent de l'inventaire (mouvements `sale`) qu'une fois le paiement abouti ;
+ * sans paiement avant l'échéance, la réservation est libérée (voir releaseExpiredReservations).
+ * L'ID de la sous-commande de chaque commerçant est attribué ici pour rattacher les réservations à leur commande.
  * @param {ObjectId} clientId - ID du client
- * @param {Object} orderBody - Détails de la commande
- * @returns {Promise<Order>}
+ * @param {Array<{productId: ObjectId, quantity: Number}>} items - Lignes demandées
+ * @param {Date} expiresAt - Échéance des réservations
+ * @param {ClientSession} session - Session de la transaction en cours
+ * @returns {Promise<Array<{productId: ObjectId, quantity: Number, price: Number, merchant: ObjectId, order: ObjectId}>>}
  */
-const createOrder = async (clientId, orderBody) => {
-  // Vérifier la disponibilité des produits
-  for (const item of orderBody.products) {
-    const product = await Product.findById(item.productId);
+const reserveOrderItems = async (clientId, items, expiresAt, session) => {
+  const lines = [];
+  const orderIds = new Map();
+  // Les opérations d'une même session doivent être exécutées séquentiellement
+  // eslint-disable-next-line no-restricted-syntax
+  for (const item of items) {
+    // eslint-disable-next-line no-await-in-loop
+    const product = await Product.findOne({ _id: item.productId, isActive: true }).session(session);
     if (!product) {
-      throw new ApiError(httpStatus.NOT_FOUND, `Produit introuvable : ID=${item.productId}`);
-    }
-    if (product.stock < item.quantity) {
-      throw new ApiError(httpStatus.BAD_REQUEST, `Stock insuffisant pour le produit : ID=${item.productId}`);
+      throw new ApiError(httpStatus.NOT_FOUND, `Produit introuvable : ID=${item.productId}`).withCode('PRODUCT_NOT_FOUND');
     }
+    const merchant = product.merchant.toString();
+    if (!orderIds.has(merchant)) orderIds.set(merchant, mongoose.Types.ObjectId());
+    // eslint-disable-next-line no-await-in-loop
+    await inventoryService.reserveStock(
+      product._id,
+      { quantity: item.quantity, client: clientId, order: orderIds.get(merchant), expiresAt },
+      session
+    );
+    lines.push({
+      productId: product._id,
+      quantity: item.quantity,
+      price: product.price,
+      merchant: product.merchant,
+      order: orderIds.get(merchant),
+    });
   }
+  return lines;
+};
 
-  // Appliquer une promotion si présente
-  if (orderBody.promotion) {
-    const promotion = await Promotion.findById(orderBody.promotion);
-    if (!promotion) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Promotion introuvable');
-    }
-    if (!promotion.isValid()) {
-      throw new ApiError(httpStatus.BAD_REQUEST, 'Promotion expirée ou non valide');
-    }
-    orderBody.totalPrice -= (orderBody.totalPrice * promotion.discountValue) / 100;
+/**
+ * Rendre le stock d'une commande annulée : les réservations encore actives sont libérées,
+ * les articles déjà sortis de l'inventaire sont remis en stock (mouvements `cancel`).
+ * Une commande antérieure aux réservations a vu tous ses articles sortir du stock à sa création.
+ * @param {Order} order
+ * @param {Object} [context] - Acteur et motif de l'annulation
+ * @returns {Promise<void>}
+ */
+const restockOrderItems = async (order, { actor, reason } = {}) => {
+  const reservations = await StockReservation.find({ order: order._id });
+  await inventoryService.releaseReservations({ order: order._id }, reason || 'Commande annulée');
+  const soldItems = reservations.length
+    ? reservations
+        .filter((reservation) => reservation.status === 'consumed')
+        .map((reservation) => ({ productId: reservation.product, quantity: reservation.quantity }))
+    : order.products;
+  // Un produit supprimé depuis la commande n'a plus d'inventaire à réapprovisionner
+  const existing = await Product.find({ _id: { $in: soldItems.map((item) => item.productId) } }).select('_id');
+  const known = new Set(existing.map((product) => product.id));
+  // eslint-disable-next-line no-restricted-syntax
+  for (const item of soldItems.filter(({ productId }) => known.has(productId.toString()))) {
+    // eslint-disable-next-line no-await-in-loop
+    await inventoryService.recordMovement(item.productId, {
+      type: 'cancel',
+      quantity: item.quantity,
+      order: order._id,
+      actor,
+      reason,
+    });
   }
+};
 
-  // Calculer le prix total
-  const totalPrice = orderBody.products.reduce((acc, item) => acc + item.quantity * item.price, 0);
-  orderBody.totalPrice = totalPrice;
+/**
+ * Rembourser le reste dû d'une commande annulée dont le paiement a été encaissé.
+ * @param {Order} order
+ * @param {Object} [context] - Motif de l'annulation
+ * @returns {Promise<void>}
+ */
+const refundCancelledOrder = async (order, { reason } = {}) => {
+  const payment = order.payment && (await Payment.findById(order.payment));
+  if (!payment || payment.status !== 'completed') return;
+  await paymentService.initiateRefund(order.id, { reason: reason || 'Commande annulée' });
+  logger.info(`Remboursement initié pour la commande annulée : OrderID=${order.id}`);
+};
+
+/**
+ * Regrouper des lignes valorisées par commerçant.
+ * @param {Array<Object>} lines - Lignes issues de `reserveOrderItems`
+ * @returns {Map<string, Array<Object>>} - Lignes indexées par ID de commerçant
+ */
+const groupLinesByMerchant = (lines) =>
+  lines.reduce((acc, line) => {
+    const key = line.merchant.toString();
+    acc.set(key, [...(acc.get(key) || []), line]);
+    return acc;
+  }, new Map());
 
-  // Créer la commande
-  const order = await Order.create({
-    client: clientId,
-    ...orderBody,
+const closedReasons = {
+  paused: 'commandes suspendues',
+  closure: 'fermeture exceptionnelle',
+  outside_hours: "hors des horaires d'ouverture",
+};
+
+/**
+ * Vérifier que des commerçants prennent des commandes maintenant (horaires, fermetures, pause).
+ * Les commerçants sans profil ne sont pas contrôlés.
+ * @param {Array<ObjectId>} merchantIds - Utilisateurs commerçants
+ * @param {ClientSession} [session] - Session de la transaction en cours
+ * @throws {ApiError} - 409 MERCHANT_CLOSED, avec la prochaine ouverture dans le message
+ */
+const assertMerchantsAcceptingOrders = async (merchantIds, session = null) => {
+  const merchants = await Merchant.find({ user: { $in: merchantIds } }).session(session);
+  const now = new Date();
+  merchants.forEach((merchant) => {
+    const { isOpen, reason, nextOpeningAt } = merchant.getAvailability(now);
+    if (isOpen) return;
+    const nextOpening = nextOpeningAt ? `, prochaine ouverture : ${nextOpeningAt.toISOString()}` : '';
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `${merchant.storeName} ne prend pas de commandes (${closedReasons[reason]})${nextOpening}`
+    ).withCode('MERCHANT_CLOSED');
   });
+};
 
-  // Réduire le stock des produits
-  for (const item of order.products) {
-    await Product.findByIdAndUpdate(item.productId, {
-      $inc: { stock: -item.quantity },
-    });
+/**
+ * Charger une promotion dans la transaction en cours.
+ * @param {ObjectId} promotionId - ID de la promotion
+ * @param {ClientSession} session - Session de la transaction en cours
+ * @returns {Promise<Promotion>}
+ */
+const getPromotionWithSession = async (promotionId, session) => {
+  const promotion = await Promotion.findById(promotionId).session(session);
+  if (!promotion) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Promotion introuvable').withCode('PROMOTION_NOT_FOUND');
   }
+  return promotion;
+};
 
-  return order;
+/**
+ * Créer les commandes d'un checkout dans une transaction existante : re-valorisation, réservation du stock
+ * jusqu'à l'échéance de paiement (`paymentDueAt` du groupe), puis une sous-commande par commerçant,
+ * toutes rattachées au même groupe de checkout et au client.
+ * Une promotion ne s'applique qu'à la sous-commande de son commerçant ; son utilisation est comptabilisée
+ * dans la même transaction. Le checkout immédiat est refusé si l'un des commerçants ne prend pas de commandes.
+ * Avec un créneau de livraison, les commandes sont programmées (`scheduled`) : leur stock est réservé comme pour
+ * une commande immédiate et elles sont transmises aux commerçants peu avant le créneau (voir releaseScheduledOrders).
+ * @param {ObjectId} clientId - ID du client
+ * @param {Array<{productId: ObjectId, quantity: Number}>} items - Lignes demandées
+ * @param {Object} details - Champs complémentaires (promotion, notes, deliveryAddress, deliverySlot)
+ * @param {ClientSession} session - Session de la transaction en cours
+ * @returns {Promise<{checkoutGroup: CheckoutGroup, orders: Array<Order>}>}
+ */
+const createOrdersWithSession = async (clientId, items, { deliverySlot, ...details }, session) => {
+  const paymentDueAt = new Date(Date.now() + config.stockReservations.ttlMinutes * 60 * 1000);
+  const lines = await reserveOrderItems(clientId, items, paymentDueAt, session);
+  const linesByMerchant = groupLinesByMerchant(lines);
+  let scheduling = {};
+  if (deliverySlot) {
+    const { start, end, releaseAt } = await deliverySlotService.reserveSlot(
+      [...linesByMerchant.keys()],
+      deliverySlot,
+      session
+    );
+    scheduling = { status: 'scheduled', deliverySlot: { start, end }, releaseAt };
+  } else {
+    await assertMerchantsAcceptingOrders([...linesByMerchant.keys()], session);
+  }
+  const checkoutGroup = new CheckoutGroup({ client: clientId, paymentDueAt });
+
+  const promotion = details.promotion ? await getPromotionWithSession(details.promotion, session) : null;
+  if (promotion) {
+    assertPromotionApplicable(promotion, { lines, userId: clientId, regions: getAddressRegions(details.deliveryAddress) });
+  }
+
+  const orderDocs = [...linesByMerchant].map(([merchant, merchantLines]) => {
+    const applied = promotion && promotion.merchant.toString() === merchant ? promotion : null;
+    const pricing = priceLines(merchantLines, applied);
+    return {
+      ...details,
+      ...scheduling,
+      _id: merchantLines[0].order,
+      client: clientId,
+      merchant,
+      checkoutGroup: checkoutGroup._id,
+      promotion: applied ? applied._id : undefined,
+      products: pricing.lines.map(({ productId, quantity, price, subtotal, discount, total }) => ({
+        productId,
+        quantity,
+        price,
+        subtotal,
+        discount,
+        total,
+      })),
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      totalPrice: pricing.total,
+    };
+  });
+  const orders = [];
+  // Model.create sauvegarde en parallèle : on enchaîne les écritures de la transaction une à une
+  // eslint-disable-next-line no-restricted-syntax
+  for (const doc of orderDocs) {
+    // eslint-disable-next-line no-await-in-loop
+    orders.push(await new Order(doc).save({ session }));
+  }
+
+  const promotedOrder = orders.find((order) => order.promotion);
+  if (promotedOrder) {
+    await promotion.applyPromotion(clientId, promotedOrder._id);
+  }
+
+  checkoutGroup.orders = orders.map((order) => order._id);
+  checkoutGroup.totalPrice = Math.round(orders.reduce((acc, order) => acc + order.totalPrice, 0) * 100) / 100;
+  await checkoutGroup.save({ session });
+
+  await Client.updateOne({ user: clientId }, { $push: { orders: { $each: checkoutGroup.orders } } }, { session });
+  return { checkoutGroup, orders };
+};
+
+/**
+ * Créer une commande (scindée en sous-commandes si plusieurs commerçants sont concernés).
+ * Les prix envoyés par le client sont ignorés : chaque ligne est re-valorisée au prix catalogue.
+ * Chaque sous-commande immédiate reçoit son heure de livraison estimée (`estimatedDeliveryAt`).
+ * @param {ObjectId} clientId - ID du client
+ * @param {Object} orderBody - Détails de la commande (`deliverySlot` : début du créneau pour une commande programmée)
+ * @returns {Promise<{checkoutGroup: CheckoutGroup, orders: Array<Order>}>}
+ */
+const createOrder = async (clientId, orderBody) => {
+  const { products, promotion, notes, deliveryAddress, deliverySlot } = orderBody;
+  const result = await withTransaction((session) =>
+    createOrdersWithSession(clientId, products, { promotion, notes, deliveryAddress, deliverySlot }, session)
+  );
+  await Promise.all(result.orders.map((order) => etaService.refreshOrderEta(order, 'checkout')));
+  return result;
 };
 
 /**
@@ -66,47 +278,160 @@ const getOrderById = async (orderId) => {
 };
 
 /**
- * Mettre à jour le statut d'une commande.
+ * Vérifier qu'un acteur est partie prenante d'une commande : son commerçant, son client
+ * ou le livreur de sa livraison. Les rôles d'administration et le système ne sont pas restreints.
+ * @param {Order} order
+ * @param {Object} context
+ * @param {ObjectId} [context.actor] - Utilisateur à l'origine du changement
+ * @param {String} [context.role]
+ * @returns {Promise<Boolean>}
+ */
+const isOrderParticipant = async (order, { actor, role } = {}) => {
+  if (role === 'merchant') return String(order.merchant) === String(actor);
+  if (role === 'client') return String(order.client) === String(actor);
+  if (role === 'livreur') {
+    const [livreur, delivery] = await Promise.all([
+      Livreur.findOne({ user: actor }),
+      Delivery.findOne({ order: order._id }),
+    ]);
+    return Boolean(livreur && delivery && delivery.livreur && delivery.livreur.equals(livreur._id));
+  }
+  return true;
+};
+
+/**
+ * Mettre à jour le statut d'une commande via la machine à états.
  * @param {ObjectId} orderId - ID de la commande
  * @param {String} newStatus - Nouveau statut de la commande
+ * @param {Object} [context] - Acteur, rôle et motif du changement (voir Order.updateStatus)
  * @returns {Promise<Order>}
  */
-const updateOrderStatus = async (orderId, newStatus) => {
+const updateOrderStatus = async (orderId, newStatus, context = {}) => {
   const order = await Order.findById(orderId);
-  if (!order) {
+  if (!order || !(await isOrderParticipant(order, context))) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Commande non trouvée');
   }
-  if (!['pending', 'accepted', 'in_progress', 'completed', 'cancelled'].includes(newStatus)) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Statut de commande invalide');
+  await order.updateStatus(newStatus, context);
+  realtimeService.publishOrderStatus(order);
+  if (newStatus === 'accepted') {
+    // L'acceptation est acquise même si le dispatch échoue : la commande reste à assigner
+    try {
+      await dispatchService.dispatchOrder(order);
+    } catch (error) {
+      logger.error(`Échec du dispatch : OrderID=${order.id} - ${error.message}`);
+    }
   }
-  order.status = newStatus;
-  await order.save();
+  if (newStatus === 'cancelled') {
+    await dispatchService.cancelDispatch(order);
+    await restockOrderItems(order, context);
+    await deliverySlotService.releaseSlot(order);
+    await refundCancelledOrder(order, context);
+  }
+  if (newStatus === 'completed') {
+    // Répartition commerçant / commission / frais dans le grand livre
+    await ledgerService.recordOrderCompletion(order);
+  }
+  await etaService.refreshOrderEta(order, 'status');
   return order;
 };
 
 /**
  * Annuler une commande.
  * @param {ObjectId} orderId - ID de la commande
+ * @param {Object} [context] - Acteur, rôle et motif de l'annulation
  * @returns {Promise<Order>}
  */
-const cancelOrder = async (orderId) => {
-  const order = await getOrderById(orderId);
-  if (order.status === 'completed' || order.status === 'cancelled') {
-    throw new ApiError(httpStatus.BAD_REQUEST, "Impossible d'annuler une commande terminée ou déjà annulée");
+const cancelOrder = async (orderId, context = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Commande non trouvée');
   }
-  order.status = 'cancelled';
+  await order.updateStatus('cancelled', context);
+  realtimeService.publishOrderStatus(order);
+  await dispatchService.cancelDispatch(order);
 
-  // Réapprovisionner les stocks des produits
-  for (const item of order.products) {
-    await Product.findByIdAndUpdate(item.productId, {
-      $inc: { stock: item.quantity },
-    });
-  }
+  // Réapprovisionner les stocks des produits et libérer le créneau d'une commande programmée
+  await restockOrderItems(order, context);
+  await deliverySlotService.releaseSlot(order);
+  // Rembourser le client si la commande était payée
+  await refundCancelledOrder(order, context);
 
-  await order.save();
   return order;
 };
 
+/**
+ * Transmettre aux commerçants les commandes programmées dont l'heure de transmission est atteinte :
+ * elles passent en `pending` et suivent ensuite le parcours d'une commande immédiate.
+ * Une commande en échec n'empêche pas la transmission des suivantes.
+ * @param {Date} [now]
+ * @returns {Promise<{released: Number}>}
+ */
+const releaseScheduledOrders = async (now = new Date()) => {
+  const orders = await Order.find({ status: 'scheduled', releaseAt: { $lte: now } }).sort({ releaseAt: 1 });
+  let released = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const order of orders) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await order.updateStatus('pending', { role: 'system', reason: 'Transmission avant le créneau de livraison' });
+      realtimeService.publishOrderStatus(order);
+      realtimeService.publishNewOrder(order);
+      // eslint-disable-next-line no-await-in-loop
+      await notificationService.notifyMerchant(
+        order.merchant,
+        `Commande programmée à préparer : OrderID=${
+          order.id
+        }, livraison à partir de ${order.deliverySlot.start.toISOString()}`
+      );
+      // eslint-disable-next-line no-await-in-loop
+      await etaService.refreshOrderEta(order, 'status');
+      released += 1;
+    } catch (error) {
+      logger.error(`Échec de la transmission de la commande programmée : OrderID=${order.id} - ${error.message}`);
+    }
+  }
+  if (released > 0) {
+    logger.info(`Commandes programmées transmises : ${released}`);
+  }
+  return { released };
+};
+
+/**
+ * Traiter les réservations de stock arrivées à échéance sans paiement.
+ * Une sous-commande encore en attente (`scheduled` ou `pending`) est annulée, ce qui libère ses réservations ;
+ * une sous-commande déjà prise en charge par le commerçant est en préparation : ses réservations sont consommées.
+ * Les autres réservations échues (paniers, commandes annulées) sont libérées.
+ * @param {Date} [now]
+ * @returns {Promise<{cancelled: Number, released: Number}>}
+ */
+const releaseExpiredReservations = async (now = new Date()) => {
+  const expired = { status: 'active', expiresAt: { $lte: now } };
+  const orders = await Order.find({ _id: { $in: await StockReservation.distinct('order', expired) } });
+  let cancelled = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const order of orders) {
+    try {
+      if (['scheduled', 'pending'].includes(order.status)) {
+        // eslint-disable-next-line no-await-in-loop
+        await cancelOrder(order.id, { role: 'system', reason: 'Réservation de stock expirée sans paiement' });
+        cancelled += 1;
+      } else if (order.status !== 'cancelled') {
+        // eslint-disable-next-line no-await-in-loop
+        await inventoryService.consumeReservations({ order: order._id });
+      }
+    } catch (error) {
+      logger.error(`Échec du traitement de la réservation expirée : OrderID=${order.id} - ${error.message}`);
+    }
+  }
+  const released = await inventoryService.releaseReservations(expired, 'Réservation expirée');
+  if (cancelled > 0 || released.length > 0) {
+    logger.info(
+      `Réservations de stock expirées : commandes annulées=${cancelled}, réservations libérées=${released.length}`
+    );
+  }
+  return { cancelled, released: released.length };
+};
+
 /**
  * Calculer le total d'une commande en fonction des produits et quantités.
  * @param {Array} products - Liste des produits avec quantité et prix
@@ -127,6 +452,29 @@ const generateReceipt = async (orderId) => {
   return order.generateReceipt();
 };
 
+/**
+ * Générer le reçu combiné d'un groupe de checkout (toutes les sous-commandes).
+ * @param {ObjectId} checkoutGroupId - ID du groupe de checkout
+ * @param {ObjectId} [clientId] - Restreindre au groupe de ce client
+ * @returns {Promise<Object>}
+ */
+const generateCheckoutGroupReceipt = async (checkoutGroupId, clientId) => {
+  const filter = { _id: checkoutGroupId };
+  if (clientId) filter.client = clientId;
+  const checkoutGroup = await CheckoutGroup.findOne(filter).populate('orders');
+  if (!checkoutGroup) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Groupe de commandes introuvable');
+  }
+  return {
+    checkoutGroupId: checkoutGroup._id,
+    client: checkoutGroup.client,
+    payment: checkoutGroup.payment,
+    orders: checkoutGroup.orders.map((order) => order.generateReceipt()),
+    totalPrice: checkoutGroup.totalPrice,
+    createdAt: checkoutGroup.createdAt,
+  };
+};
+
 /**
  * Obtenir l'historique des commandes pour un utilisateur.
  * @param {ObjectId} userId - ID de l'utilisateur
@@ -139,43 +487,46 @@ const getOrderHistory = async (userId, options) => {
 };
 
 /**
- * Vérifier si une commande est disponible pour un livreur.
- * @param {ObjectId} orderId - ID de la commande
- * @returns {Promise<Boolean>}
+ * Obtenir les commandes d'un commerçant en attente de sa réponse.
+ * @param {ObjectId} merchantId - Utilisateur commerçant
+ * @param {Object} options - Options de pagination
+ * @returns {Promise<QueryResult>}
  */
-const isOrderAvailable = async (orderId) => {
-  const order = await Order.findById(orderId);
-  if (!order || order.status !== 'pending') {
-    return false;
-  }
-  return true;
+const getMerchantPendingOrders = async (merchantId, options) => {
+  return Order.paginate({ merchant: merchantId, status: 'pending' }, { sortBy: 'createdAt:asc', ...options });
 };
 
 /**
- * Assigner une commande à un livreur.
+ * Ajouter une note aux instructions d'une commande, à la suite des notes existantes.
  * @param {ObjectId} orderId - ID de la commande
- * @param {ObjectId} livreurId - ID du livreur
+ * @param {string} note - Texte de la note
+ * @param {Object} [context] - Auteur (`actor`) et rôle de la note ; seuls les participants de la commande l'annotent
  * @returns {Promise<Order>}
  */
-const assignOrderToLivreur = async (orderId, livreurId) => {
-  const order = await getOrderById(orderId);
-  if (order.status !== 'pending') {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Commande non disponible pour assignation');
+const addOrderNote = async (orderId, note, context = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order || !(await isOrderParticipant(order, context))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Commande non trouvée');
   }
-  order.delivery = livreurId;
-  order.status = 'in_progress';
+  order.notes = order.notes ? `${order.notes}\n${note}` : note;
   await order.save();
   return order;
 };
 
 module.exports = {
+  reserveOrderItems,
+  assertMerchantsAcceptingOrders,
+  createOrdersWithSession,
   createOrder,
   getOrderById,
   updateOrderStatus,
   cancelOrder,
   calculateOrderTotal,
   generateReceipt,
+  generateCheckoutGroupReceipt,
   getOrderHistory,
-  isOrderAvailable,
-  assignOrderToLivreur,
+  getMerchantPendingOrders,
+  addOrderNote,
+  releaseScheduledOrders,
+  releaseExpiredReservations,
 };
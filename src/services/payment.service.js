@@ -1,43 +1,264 @@
 const httpStatus = require('http-status');
-const { Payment, Order } = require('../models');
+const { Payment, PaymentEvent, Order, CheckoutGroup, Client } = require('../models');
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger');
+const config = require('../config/config');
+const paymentProviders = require('./paymentProviders');
+const inventoryService = require('./inventory.service');
+const ledgerService = require('./ledger.service');
+const notificationService = require('./notification.service');
+
+// Chargé à l'usage : le service des commandes dépend lui-même, indirectement, des paiements
+// eslint-disable-next-line global-require
+const getOrderService = () => require('./order.service');
+
+/**
+ * Vérifier qu'un paiement de groupe couvre exactement le total de ses sous-commandes.
+ * @param {ObjectId} checkoutGroupId - ID du groupe de checkout.
+ * @param {Number} amount - Montant du paiement.
+ * @param {Object} [payer] - Utilisateur à l'origine du paiement ; un client ne paie que ses propres groupes
+ * @returns {Promise<CheckoutGroup>}
+ */
+const getPayableCheckoutGroup = async (checkoutGroupId, amount, payer) => {
+  const checkoutGroup = await CheckoutGroup.findById(checkoutGroupId);
+  if (!checkoutGroup || (payer && payer.role !== 'admin' && String(checkoutGroup.client) !== String(payer.id))) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Checkout group not found');
+  }
+  // Comparaison au centime près pour absorber les arrondis flottants
+  if (Math.round(amount * 100) !== Math.round(checkoutGroup.totalPrice * 100)) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Payment amount ${amount} does not match checkout group total ${checkoutGroup.totalPrice}`
+    ).withCode('PAYMENT_AMOUNT_MISMATCH');
+  }
+  return checkoutGroup;
+};
+
+/**
+ * Rattacher un paiement aux commandes qu'il règle, à condition qu'aucune ne soit déjà rattachée à un autre paiement.
+ * Le rattachement précède l'appel au prestataire : deux paiements concurrents d'une même commande ne peuvent pas aboutir.
+ * @param {Array<Order>} orders - Commandes réglées
+ * @param {Payment} payment
+ * @returns {Promise<void>}
+ * @throws {ApiError} - 409 ORDER_ALREADY_PAID
+ */
+const linkPaidOrders = async (orders, payment) => {
+  const orderIds = orders.map((order) => order._id);
+  const linked = await Order.updateMany({ _id: { $in: orderIds }, payment: null }, { payment: payment._id });
+  if (linked.nModified !== orderIds.length) {
+    await Order.updateMany({ _id: { $in: orderIds }, payment: payment._id }, { $unset: { payment: 1 } });
+    throw new ApiError(httpStatus.CONFLICT, 'Order already paid').withCode('ORDER_ALREADY_PAID');
+  }
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Commandes couvertes par un paiement : sous-commandes du groupe de checkout, ou commande unique.
+ * @param {Object} payment - `checkoutGroup` ou `order`
+ * @returns {Promise<Array<Order>>}
+ */
+const getPaidOrders = (payment) =>
+  Order.find(payment.checkoutGroup ? { checkoutGroup: payment.checkoutGroup } : { _id: payment.order });
+
+/**
+ * Appeler une opération du prestataire en convertissant ses erreurs en ApiError.
+ * @param {Object} provider - Adaptateur de paiement.
+ * @param {string} operation - authorize, capture, void ou refund.
+ * @param {Object} params - Paramètres de l'opération.
+ * @returns {Promise<Object>}
+ */
+const callProvider = async (provider, operation, params) => {
+  try {
+    return await provider[operation](params);
+  } catch (error) {
+    logger.error(`[PAYMENT] ${provider.name}.${operation} a échoué : ${error.message}`);
+    throw new ApiError(httpStatus.BAD_GATEWAY, `Payment provider error: ${error.message}`).withCode(
+      'PAYMENT_PROVIDER_ERROR'
+    );
+  }
+};
 
 /**
- * Créer un nouveau paiement.
+ * Créer un nouveau paiement, pour une commande ou pour un groupe de checkout.
+ * Le paiement est autorisé auprès du prestataire associé à son moyen de paiement, puis capturé
+ * sauf si `capture` vaut `false`. Les espèces restent en attente jusqu'à leur encaissement.
+ * Le paiement d'une commande doit couvrir exactement son total (sauf pourboire) ; un client ne paie que ses commandes.
+ * Un paiement de type `payment` accepté (capturé, autorisé ou espèces en attente) consomme les réservations de stock
+ * des commandes ; les autres types (pourboire) ne règlent pas la commande et laissent ses réservations intactes ;
+ * une commande annulée, notamment après l'échéance de sa réservation, ne peut plus être payée.
+ * Le paiement est rattaché à ses commandes dès avant l'appel au prestataire, et détaché s'il échoue :
+ * une commande déjà rattachée à un paiement ne peut pas être payée une seconde fois.
  * @param {Object} paymentData - Données pour le paiement.
+ * @param {Object} [payer] - Utilisateur à l'origine du paiement (`id`, `role`) ; sans restriction pour un admin
  * @returns {Promise<Payment>}
+ * @throws {ApiError} - 409 ORDER_ALREADY_PAID si une commande est déjà rattachée à un paiement
  */
-const makePayment = async (paymentData) => {
-  const { order, amount, fees, method, transactionId, type } = paymentData;
+const makePayment = async (paymentData, payer) => {
+  const { order, checkoutGroup, amount, fees, method, type = 'payment', source, capture = true } = paymentData;
 
-  // Vérifier si la commande existe
-  const existingOrder = await Order.findById(order);
-  if (!existingOrder) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  // Vérifier si la commande (ou le groupe) existe
+  let payableGroup;
+  if (checkoutGroup) {
+    payableGroup = await getPayableCheckoutGroup(checkoutGroup, amount, payer);
+  } else {
+    const payableOrder = await Order.findById(order);
+    if (!payableOrder || (payer && payer.role !== 'admin' && String(payableOrder.client) !== String(payer.id))) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+    }
+    // Comparaison au centime près pour absorber les arrondis flottants
+    if (type === 'payment' && Math.round(amount * 100) !== Math.round(payableOrder.totalPrice * 100)) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Payment amount ${amount} does not match order total ${payableOrder.totalPrice}`
+      ).withCode('PAYMENT_AMOUNT_MISMATCH');
+    }
   }
-
-  // Vérifier les doublons de transactionId
-  if (transactionId && (await isTransactionIdTaken(transactionId))) {
-    throw new ApiError(httpStatus.CONFLICT, `Transaction ID already exists: ${transactionId}`);
+  const paidOrders = await getPaidOrders({ order, checkoutGroup });
+  if (paidOrders.some((paidOrder) => paidOrder.status === 'cancelled')) {
+    throw new ApiError(httpStatus.CONFLICT, 'Cannot pay a cancelled order').withCode('ORDER_CANCELLED');
   }
 
-  // Créer le paiement
+  const provider = paymentProviders.getProvider(method);
   const payment = new Payment({
     order,
+    checkoutGroup,
     amount,
     fees,
     method,
-    transactionId,
     type,
+    provider: provider.name,
+    currency: config.payment.currency,
   });
 
   // Calculer les revenus nets
   payment.metadata.netRevenue = payment.calculateNetRevenue();
 
-  // Sauvegarder et retourner
-  await payment.save();
-  logger.info(`Paiement créé avec succès : PaymentID=${payment.id}`);
+  // Seul un paiement de type 'payment' règle la commande (ou le groupe) : les autres types ne la rattachent pas
+  if (type === 'payment') {
+    await linkPaidOrders(paidOrders, payment);
+  }
+
+  try {
+    const authorization = await callProvider(provider, 'authorize', {
+      amount,
+      currency: payment.currency,
+      reference: payment.id,
+      source,
+    });
+    payment.transactionId = authorization.transactionId;
+
+    if (authorization.status === 'declined') {
+      payment.metadata.declineCode = authorization.declineCode;
+      await payment.updateStatus('failed');
+      logger.warn(`Paiement refusé : PaymentID=${payment.id}, Reason=${authorization.declineCode}`);
+      throw new ApiError(httpStatus.PAYMENT_REQUIRED, `Payment declined: ${authorization.declineCode}`).withCode(
+        'PAYMENT_DECLINED'
+      );
+    }
+
+    if (authorization.status === 'authorized' && capture) {
+      await callProvider(provider, 'capture', { transactionId: payment.transactionId });
+      payment.capturedAmount = amount;
+      await payment.updateStatus('completed');
+    } else if (authorization.status === 'authorized') {
+      await payment.updateStatus('authorized');
+    } else {
+      await payment.save();
+    }
+  } catch (error) {
+    // Paiement refusé ou prestataire en erreur : la commande peut être payée à nouveau
+    await Order.updateMany({ payment: payment._id }, { $unset: { payment: 1 } });
+    throw error;
+  }
+
+  if (type === 'payment') {
+    if (payableGroup) {
+      payableGroup.payment = payment._id;
+      await payableGroup.save();
+    }
+    await inventoryService.consumeReservations({ order: { $in: paidOrders.map((paidOrder) => paidOrder._id) } });
+  }
+  logger.info(`Paiement créé avec succès : PaymentID=${payment.id}, Status=${payment.status}`);
+  return payment;
+};
+
+// Statuts définitifs : un événement arrivé en retard ne doit pas les faire régresser
+const finalPaymentStatuses = ['completed', 'failed', 'voided'];
+
+// Statuts d'une commande encore annulable faute de paiement : tant que le livreur ne l'a pas retirée
+const unpaidCancellableStatuses = ['scheduled', 'pending', 'accepted', 'in_progress'];
+
+/**
+ * Répercuter un nouveau statut de paiement sur le paiement et ses commandes.
+ * Un paiement autorisé ou réussi consomme les réservations de stock des commandes. Un paiement réussi
+ * est rattaché à chaque commande et le commerçant est prévenu qu'il peut la préparer ; une commande déjà livrée
+ * (espèces encaissées ou capture après la livraison) est alors comptabilisée ;
+ * un paiement refusé ou annulé annule par la machine à états (rôle `system`) les commandes pas encore retirées,
+ * ce qui libère leurs réservations et leur livreur.
+ * @param {Payment} payment
+ * @param {string} status
+ * @returns {Promise<void>}
+ */
+const applyPaymentStatus = async (payment, status) => {
+  await payment.updateStatus(status);
+
+  // Un pourboire n'a aucun effet sur la commande
+  const orders = payment.type === 'payment' ? await getPaidOrders(payment) : [];
+  if (status === 'completed' || status === 'authorized') {
+    await inventoryService.consumeReservations({ order: { $in: orders.map((order) => order._id) } });
+  }
+  if (status === 'completed') {
+    await Promise.all(
+      orders.map(async (order) => {
+        order.set('payment', payment._id);
+        await order.save();
+        if (['scheduled', 'pending'].includes(order.status)) {
+          await notificationService.notifyMerchant(order.merchant, `Paiement reçu pour la commande : OrderID=${order.id}`);
+        }
+        if (order.status === 'completed') {
+          await ledgerService.recordOrderCompletion(order);
+        }
+      })
+    );
+  } else if (status === 'failed' || status === 'voided') {
+    const reason = status === 'failed' ? 'Paiement refusé' : 'Paiement annulé';
+    await Promise.all(
+      orders
+        .filter((order) => unpaidCancellableStatuses.includes(order.status))
+        .map((order) => getOrderService().cancelOrder(order.id, { role: 'system', reason }))
+    );
+  }
+};
+
+/**
+ * Capturer un paiement préalablement autorisé. Le montant capturé est consigné : il borne les remboursements.
+ * @param {ObjectId} paymentId - ID du paiement.
+ * @param {Number} [amount] - Montant à capturer (totalité de l'autorisation par défaut).
+ * @returns {Promise<Payment>}
+ * @throws {ApiError} - 400 CAPTURE_AMOUNT_EXCEEDED si le montant dépasse l'autorisation
+ */
+const capturePayment = async (paymentId, amount) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Payment not found');
+  }
+  if (payment.status !== 'authorized') {
+    throw new ApiError(httpStatus.CONFLICT, `Cannot capture a ${payment.status} payment`).withCode('PAYMENT_INVALID_STATE');
+  }
+  const capturedAmount = amount === undefined ? payment.amount : roundAmount(amount);
+  if (capturedAmount > payment.amount) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Capture amount ${capturedAmount} exceeds the authorized amount ${payment.amount}`
+    ).withCode('CAPTURE_AMOUNT_EXCEEDED');
+  }
+
+  const provider = paymentProviders.getProviderByName(payment.provider);
+  await callProvider(provider, 'capture', { transactionId: payment.transactionId, amount: capturedAmount });
+  payment.capturedAmount = capturedAmount;
+  await applyPaymentStatus(payment, 'completed');
+  logger.info(`Paiement capturé : PaymentID=${payment.id}`);
   return payment;
 };
 
@@ -97,43 +318,282 @@ const cancelPayment = async (paymentId) => {
   if (payment.status === 'completed') {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot cancel a completed payment');
   }
+  if (['failed', 'voided'].includes(payment.status)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Payment already cancelled');
+  }
 
-  payment.updateStatus('failed');
+  // Libérer l'autorisation chez le prestataire
+  if (payment.provider && payment.transactionId) {
+    const provider = paymentProviders.getProviderByName(payment.provider);
+    await callProvider(provider, 'void', { transactionId: payment.transactionId });
+  }
+  await payment.updateStatus('voided');
   logger.info(`Paiement annulé : PaymentID=${payment.id}`);
   return payment;
 };
 
 /**
- * Initier un remboursement pour une commande.
+ * Calculer le montant d'un remboursement par articles, au prix réellement payé (remise déduite).
+ * Chaque article ne peut être remboursé qu'à hauteur de la quantité commandée, remboursements précédents compris.
+ * @param {Order} order - Commande concernée.
+ * @param {Array<{productId: ObjectId, quantity: Number}>} items - Articles à rembourser.
+ * @param {Array<Payment>} previousRefunds - Remboursements déjà émis pour la commande.
+ * @returns {Array<{productId: ObjectId, quantity: Number, amount: Number}>}
+ */
+const priceRefundItems = (order, items, previousRefunds) =>
+  items.map(({ productId, quantity }) => {
+    const line = order.products.find((product) => product.productId.toString() === productId.toString());
+    if (!line) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Product ${productId} is not part of this order`).withCode(
+        'REFUND_ITEM_NOT_IN_ORDER'
+      );
+    }
+    const alreadyRefunded = previousRefunds
+      .flatMap((refund) => refund.refundItems)
+      .filter((item) => item.productId.toString() === productId.toString())
+      .reduce((acc, item) => acc + item.quantity, 0);
+    if (alreadyRefunded + quantity > line.quantity) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Cannot refund ${quantity} x ${productId}: ${line.quantity - alreadyRefunded} left`
+      ).withCode('REFUND_QUANTITY_EXCEEDED');
+    }
+    const paidLineTotal = line.total !== undefined ? line.total : line.price * line.quantity;
+    return { productId: line.productId, quantity, amount: roundAmount((paidLineTotal * quantity) / line.quantity) };
+  });
+
+/**
+ * Rembourser tout ou partie d'une commande payée.
+ * Chaque remboursement est un paiement distinct de type `refund` rattaché au paiement d'origine ;
+ * plusieurs remboursements successifs sont possibles tant que le total ne dépasse ni le montant capturé
+ * ni le montant de la commande.
  * @param {ObjectId} orderId - ID de la commande à rembourser.
+ * @param {Object} [options]
+ * @param {Array<{productId: ObjectId, quantity: Number}>} [options.items] - Articles à rembourser.
+ * @param {Number} [options.amount] - Montant libre (à défaut d'articles ; tout le reste dû par défaut).
+ * @param {String} [options.reason] - Motif du remboursement.
+ * @param {Boolean} [options.restock] - Remettre en stock les articles remboursés.
+ * @param {ObjectId} [options.returnRequest] - Demande de retour à l'origine du remboursement.
  * @returns {Promise<Payment>}
  */
-const initiateRefund = async (orderId) => {
-  const order = await Order.findById(orderId);
+const initiateRefund = async (orderId, { items, amount, reason, restock = false, returnRequest } = {}) => {
+  const order = await Order.findById(orderId).populate('payment');
   if (!order) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
   }
 
-  if (!order.payment || order.payment.status !== 'completed') {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot refund an incomplete payment');
+  const parent = order.payment;
+  if (!parent || parent.status !== 'completed') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot refund an incomplete payment').withCode(
+      'REFUND_PAYMENT_NOT_CAPTURED'
+    );
+  }
+
+  const previousRefunds = await Payment.find({
+    parentPayment: parent._id,
+    order: order._id,
+    type: 'refund',
+    status: 'completed',
+  });
+  const refundedForOrder = previousRefunds.reduce((acc, refund) => acc + refund.amount, 0);
+  const orderRemaining = roundAmount(Math.min(order.totalPrice - refundedForOrder, parent.getRefundableAmount()));
+
+  const refundItems = items && items.length ? priceRefundItems(order, items, previousRefunds) : [];
+  let refundAmount = orderRemaining;
+  if (refundItems.length) {
+    refundAmount = roundAmount(refundItems.reduce((acc, item) => acc + item.amount, 0));
+  } else if (amount !== undefined) {
+    refundAmount = roundAmount(amount);
+  }
+
+  if (refundAmount <= 0 || refundAmount > orderRemaining) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Refund amount ${refundAmount} exceeds the refundable amount ${orderRemaining}`
+    ).withCode('REFUND_AMOUNT_EXCEEDED');
+  }
+
+  // Réserver le montant sur le paiement d'origine : deux remboursements concurrents ne peuvent pas dépasser le capturé
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: parent._id,
+      status: 'completed',
+      refundedAmount: { $lte: roundAmount(parent.getCapturedAmount() - refundAmount) },
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new ApiError(httpStatus.CONFLICT, 'Refund exceeds the captured amount').withCode('REFUND_AMOUNT_EXCEEDED');
   }
 
-  // Créer un remboursement
   const refund = new Payment({
-    order: order.id,
-    amount: order.payment.amount,
+    order: order._id,
+    amount: refundAmount,
     fees: 0,
-    method: order.payment.method,
-    transactionId: `REFUND-${order.payment.transactionId}`,
+    method: parent.method,
     type: 'refund',
-    status: 'completed',
+    parentPayment: parent._id,
+    provider: parent.provider,
+    currency: parent.currency,
+    refundItems,
+    reason,
   });
 
-  await refund.save();
-  logger.info(`Remboursement initié avec succès : RefundID=${refund.id}`);
+  try {
+    const provider = paymentProviders.getProviderByName(parent.provider);
+    const result = await callProvider(provider, 'refund', {
+      transactionId: parent.transactionId,
+      amount: refundAmount,
+      reference: refund.id,
+    });
+    refund.transactionId = result.refundId;
+    await refund.updateStatus('completed');
+  } catch (error) {
+    await Payment.updateOne({ _id: parent._id }, { $inc: { refundedAmount: -refundAmount } });
+    await refund.updateStatus('failed');
+    throw error;
+  }
+
+  // La part commerçant déjà comptabilisée diminue d'autant : les virements suivants en tiennent compte
+  await ledgerService.recordRefund(refund, order);
+
+  if (restock) {
+    // Mouvements enchaînés : l'inventaire d'un produit peut être créé au premier mouvement
+    // eslint-disable-next-line no-restricted-syntax
+    for (const item of refundItems) {
+      // eslint-disable-next-line no-await-in-loop
+      await inventoryService.recordMovement(item.productId, {
+        type: 'return',
+        quantity: item.quantity,
+        order: order._id,
+        reason: 'Remboursement',
+      });
+    }
+  }
+
+  const client = await Client.findOne({ user: order.client });
+  if (client) {
+    await client.recordRefund(order._id, { amount: refundAmount, payment: refund._id, reason, returnRequest });
+  }
+
+  logger.info(`Remboursement effectué : RefundID=${refund.id}, OrderID=${order.id}, Amount=${refundAmount}`);
   return refund;
 };
 
+// Statut de paiement correspondant à chaque type d'événement normalisé
+const webhookPaymentStatuses = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'completed',
+  'payment.failed': 'failed',
+  'payment.voided': 'voided',
+};
+
+/**
+ * Encaisser un paiement en espèces une fois les fonds remis par le livreur et rapprochés.
+ * @param {ObjectId} paymentId - ID du paiement.
+ * @returns {Promise<Payment>}
+ */
+const settleCashPayment = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Payment not found');
+  }
+  if (payment.method !== 'cash' || payment.status !== 'pending') {
+    throw new ApiError(httpStatus.CONFLICT, `Cannot settle a ${payment.status} ${payment.method} payment`).withCode(
+      'PAYMENT_INVALID_STATE'
+    );
+  }
+
+  const provider = paymentProviders.getProviderByName(payment.provider);
+  await callProvider(provider, 'capture', { transactionId: payment.transactionId, amount: payment.amount });
+  payment.capturedAmount = payment.amount;
+  await applyPaymentStatus(payment, 'completed');
+  logger.info(`Paiement en espèces encaissé : PaymentID=${payment.id}`);
+  return payment;
+};
+
+/**
+ * Traiter un webhook de prestataire de paiement.
+ * La signature HMAC est vérifiée sur le corps brut ; chaque événement est enregistré par identifiant
+ * prestataire pour que les rejeux soient ignorés (un événement en échec peut être retraité).
+ * @param {string} providerName - Nom du prestataire (paramètre d'URL).
+ * @param {Buffer} rawBody - Corps brut de la requête.
+ * @param {string} signature - Signature transmise par le prestataire.
+ * @returns {Promise<Object>}
+ */
+const handleWebhook = async (providerName, rawBody, signature) => {
+  const provider = paymentProviders.getProviderByName(providerName);
+  if (!provider) {
+    throw new ApiError(httpStatus.NOT_FOUND, `Unknown payment provider: ${providerName}`).withCode(
+      'PAYMENT_PROVIDER_UNKNOWN'
+    );
+  }
+  if (!rawBody || !provider.verifyWebhook(rawBody, signature)) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, 'Invalid webhook signature').withCode('WEBHOOK_SIGNATURE_INVALID');
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString());
+  } catch (error) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid webhook payload').withCode('WEBHOOK_PAYLOAD_INVALID');
+  }
+  const event = provider.parseWebhookEvent(body);
+  if (!event.eventId || !event.type) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid webhook payload').withCode('WEBHOOK_PAYLOAD_INVALID');
+  }
+
+  let record;
+  try {
+    record = await PaymentEvent.create({ provider: provider.name, eventId: event.eventId, type: event.type, payload: body });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    record = await PaymentEvent.findOne({ provider: provider.name, eventId: event.eventId });
+    if (record.status !== 'failed') {
+      logger.info(`[WEBHOOK] Événement déjà reçu, ignoré : Provider=${provider.name}, EventID=${event.eventId}`);
+      return { received: true, duplicate: true, status: record.status };
+    }
+  }
+
+  try {
+    const payment = event.transactionId
+      ? await Payment.findOne({ provider: provider.name, transactionId: event.transactionId })
+      : null;
+    const status = webhookPaymentStatuses[event.type];
+
+    record.payment = payment ? payment._id : undefined;
+    if (!payment) {
+      record.status = 'ignored';
+      record.error = 'Unknown transaction';
+    } else if (!status) {
+      record.status = 'ignored';
+      record.error = `Unsupported event type: ${event.type}`;
+    } else if (payment.status === status || finalPaymentStatuses.includes(payment.status)) {
+      record.status = 'ignored';
+      record.error = `Payment already ${payment.status}`;
+    } else {
+      if (status === 'completed') {
+        // Capture partielle possible côté prestataire : le montant notifié borne les remboursements
+        payment.capturedAmount = event.amount === undefined ? payment.amount : Math.min(event.amount, payment.amount);
+      }
+      await applyPaymentStatus(payment, status);
+      record.status = 'processed';
+      record.error = undefined;
+    }
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+
+  record.processedAt = new Date();
+  await record.save();
+  logger.info(`[WEBHOOK] Événement traité : Provider=${provider.name}, EventID=${event.eventId}, Status=${record.status}`);
+  return { received: true, duplicate: false, status: record.status };
+};
+
 /**
  * Obtenir les statistiques des transactions.
  * @returns {Promise<Object>}
@@ -153,10 +613,13 @@ const getTransactionStats = async () => {
 
 module.exports = {
   makePayment,
+  capturePayment,
   getPaymentDetails,
   isTransactionIdTaken,
   getUserPaymentHistory,
   cancelPayment,
   initiateRefund,
+  settleCashPayment,
   getTransactionStats,
+  handleWebhook,
 };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+/**
+ * Paiement en espèces à la livraison : aucun prestataire externe.
+ * L'autorisation laisse le paiement en attente ; la capture correspond à l'encaissement
+ * effectif des espèces remises par le livreur.
+ * @returns {Object} - Adaptateur conforme à l'interface des prestataires de paiement
+ */
+const createCashProvider = () => {
+  const transactionId = (reference) => `cash_${crypto.createHash('sha256').update(reference).digest('hex').slice(0, 24)}`;
+
+  return {
+    name: 'cash',
+
+    async authorize({ amount, reference }) {
+      return { transactionId: transactionId(`authorize:${reference}`), status: 'pending', amount };
+    },
+
+    async capture({ transactionId: id, amount }) {
+      return { transactionId: id, status: 'captured', amount };
+    },
+
+    async void({ transactionId: id }) {
+      return { transactionId: id, status: 'voided' };
+    },
+
+    async refund({ transactionId: id, amount, reference }) {
+      return { refundId: transactionId(`refund:${id}:${reference}`), status: 'refunded', amount };
+    },
+
+    // Aucun webhook pour les espèces
+    verifyWebhook() {
+      return false;
+    },
+
+    parseWebhookEvent() {
+      throw new Error('Cash payments do not emit webhooks');
+    },
+  };
+};
+
+module.exports = createCashProvider;
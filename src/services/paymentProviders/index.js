@@ -0,0 +1,65 @@
+const config = require('../../config/config');
+const createMockProvider = require('./mock.provider');
+const createCashProvider = require('./cash.provider');
+
+/**
+ * Interface commune des prestataires de paiement. Chaque adaptateur expose :
+ * - `name` : identifiant du prestataire (utilisé dans l'URL des webhooks) ;
+ * - `authorize({ amount, currency, reference, source })` -> `{ transactionId, status: 'authorized'|'pending'|'declined', declineCode? }` ;
+ * - `capture({ transactionId, amount? })` -> `{ transactionId, status: 'captured', amount }` ;
+ * - `void({ transactionId })` -> `{ transactionId, status: 'voided' }` ;
+ * - `refund({ transactionId, amount, reference })` -> `{ refundId, status: 'refunded', amount }` ;
+ * - `verifyWebhook(rawBody, signature)` -> `boolean` ;
+ * - `parseWebhookEvent(body)` -> `{ eventId, type, transactionId, amount }`, où `type` vaut
+ *   `payment.authorized`, `payment.captured`, `payment.failed` ou `payment.voided`.
+ * Les opérations asynchrones rejettent leur promesse en cas d'erreur du prestataire.
+ */
+
+const factories = {
+  mock: () => createMockProvider({ webhookSecret: config.payment.webhookSecret }),
+  cash: createCashProvider,
+};
+
+const instances = new Map();
+
+/**
+ * Récupérer un prestataire par son nom (instancié une seule fois).
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+const getProviderByName = (name) => {
+  if (!instances.has(name) && factories[name]) {
+    instances.set(name, factories[name]());
+  }
+  return instances.get(name);
+};
+
+/**
+ * Récupérer l'adaptateur associé à un moyen de paiement (`Payment.method`).
+ * @param {string} method - credit_card, paypal ou cash
+ * @returns {Object}
+ */
+const getProvider = (method) => {
+  const name = config.payment.providers[method];
+  const provider = name && getProviderByName(name);
+  if (!provider) {
+    throw new Error(`No payment provider configured for method: ${method}`);
+  }
+  return provider;
+};
+
+/**
+ * Enregistrer un adaptateur supplémentaire (prestataire réel, double de test...).
+ * @param {string} name
+ * @param {Function} factory - Fonction renvoyant l'adaptateur
+ */
+const registerProvider = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+module.exports = {
+  getProvider,
+  getProviderByName,
+  registerProvider,
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+/**
+ * Passerelle de paiement simulée, exécutée en mémoire et sans réseau.
+ * Ses réponses sont déterministes pour permettre de dérouler tout le parcours de paiement en test et en dev :
+ * - les identifiants de transaction sont dérivés de la référence fournie ;
+ * - `source: 'mock_declined'` (ou `mock_insufficient_funds`) provoque un refus d'autorisation ;
+ * - les montants capturés et remboursés sont contrôlés comme chez un vrai prestataire.
+ */
+
+const declineSources = {
+  mock_declined: 'card_declined',
+  mock_insufficient_funds: 'insufficient_funds',
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 24);
+
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Créer une instance de la passerelle simulée.
+ * @param {Object} options
+ * @param {string} options.webhookSecret - Secret de signature des webhooks (HMAC SHA-256)
+ * @returns {Object} - Adaptateur conforme à l'interface des prestataires de paiement
+ */
+const createMockProvider = ({ webhookSecret }) => {
+  const transactions = new Map();
+
+  const getTransaction = (transactionId) => {
+    const transaction = transactions.get(transactionId);
+    if (!transaction) {
+      throw new Error(`Unknown mock transaction: ${transactionId}`);
+    }
+    return transaction;
+  };
+
+  /**
+   * Signer un corps de webhook comme le ferait le prestataire.
+   * @param {string|Buffer} payload
+   * @returns {string}
+   */
+  const signWebhook = (payload) => crypto.createHmac('sha256', webhookSecret).update(payload).digest('hex');
+
+  return {
+    name: 'mock',
+
+    async authorize({ amount, reference, source = 'mock_ok' }) {
+      const transactionId = `mock_txn_${hash(`authorize:${reference}`)}`;
+      const declineCode = declineSources[source];
+      if (declineCode) {
+        return { transactionId, status: 'declined', declineCode };
+      }
+      transactions.set(transactionId, { authorized: toCents(amount), captured: 0, refunded: 0, status: 'authorized' });
+      return { transactionId, status: 'authorized', amount };
+    },
+
+    async capture({ transactionId, amount }) {
+      const transaction = getTransaction(transactionId);
+      const cents = amount === undefined ? transaction.authorized : toCents(amount);
+      if (transaction.status !== 'authorized' || cents > transaction.authorized) {
+        throw new Error(`Mock transaction ${transactionId} cannot be captured`);
+      }
+      transaction.captured = cents;
+      transaction.status = 'captured';
+      return { transactionId, status: 'captured', amount: cents / 100 };
+    },
+
+    async void({ transactionId }) {
+      const transaction = getTransaction(transactionId);
+      if (transaction.status !== 'authorized') {
+        throw new Error(`Mock transaction ${transactionId} cannot be voided`);
+      }
+      transaction.status = 'voided';
+      return { transactionId, status: 'voided' };
+    },
+
+    async refund({ transactionId, amount, reference }) {
+      const transaction = getTransaction(transactionId);
+      const cents = toCents(amount);
+      if (transaction.status !== 'captured' || transaction.refunded + cents > transaction.captured) {
+        throw new Error(`Mock transaction ${transactionId} cannot be refunded for ${amount}`);
+      }
+      transaction.refunded += cents;
+      return { refundId: `mock_rfd_${hash(`refund:${transactionId}:${reference}`)}`, status: 'refunded', amount };
+    },
+
+    verifyWebhook(payload, signature) {
+      if (!signature || !webhookSecret) return false;
+      const expected = Buffer.from(signWebhook(payload));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    /**
+     * Normaliser un événement au format `{ id, type, data: { transactionId, amount } }`.
+     * @param {Object} body - Corps JSON du webhook
+     * @returns {{eventId: string, type: string, transactionId: string, amount: Number}}
+     */
+    parseWebhookEvent(body) {
+      const data = body.data || {};
+      return { eventId: body.id, type: body.type, transactionId: data.transactionId, amount: data.amount };
+    },
+
+    signWebhook,
+  };
+};
+
+module.exports = createMockProvider;
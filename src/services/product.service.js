@@ -1,143 +1,411 @@
+const Joi = require('joi');
 const httpStatus = require('http-status');
-const catchAsync = require('../utils/catchAsync');
+const config = require('../config/config');
+const { Product, Merchant, Category, Inventory } = require('../models');
+const productValidation = require('../validations/product.validation');
 const ApiError = require('../utils/ApiError');
-const { productService, notificationService } = require('../services');
-const logger = require('../config/logger');
+const { parseCsv, formatCsvLine } = require('../utils/csv');
+const inventoryService = require('./inventory.service');
+
+// Colonnes des imports et exports de catalogue ; `images` : URLs séparées par `|` en CSV
+const catalogueColumns = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'category',
+  'stock',
+  'images',
+  'isActive',
+  'metaTitle',
+  'metaDescription',
+];
+
+// Une ligne d'import crée un produit (schéma createProduct) ou met à jour celui du même SKU (schéma updateProduct)
+const importRowSchemas = {
+  create: productValidation.createProduct.body.keys({
+    sku: Joi.string().trim().max(64).required(),
+    isActive: Joi.boolean().optional(),
+  }),
+  update: productValidation.updateProduct.body.keys({
+    sku: Joi.string().trim().max(64).required(),
+    stock: Joi.number().integer().min(0).optional(),
+  }),
+};
 
 /**
- * Suivi des performances pour mesurer le temps d'exécution des méthodes.
- * @param {Function} fn - Méthode à exécuter.
- * @param {string} action - Nom de l'action à loguer.
+ * Récupérer un produit appartenant à un commerçant.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {ObjectId} productId - ID du produit.
+ * @returns {Promise<Product>}
  */
-const trackPerformance = async (fn, action) => {
-  const startTime = Date.now();
-  const result = await fn();
-  const endTime = Date.now();
-  logger.info(`[PERFORMANCE] Action=${action} - ExecutionTime=${endTime - startTime}ms`);
-  return result;
+const getOwnedProduct = async (merchantId, productId) => {
+  const product = await Product.findOne({ _id: productId, merchant: merchantId });
+  if (!product) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Product not found or not owned by merchant');
+  }
+  return product;
 };
 
 /**
- * Créer un produit.
+ * Vérifier qu'un SKU n'est pas déjà utilisé dans le catalogue du commerçant.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {string} [sku]
+ * @param {ObjectId} [productId] - Produit mis à jour, exclu de la vérification.
+ * @returns {Promise<void>}
+ * @throws {ApiError} - 409 SKU_TAKEN
  */
-const createProduct = catchAsync(async (req, res) => {
-  logger.info(`Création d'un produit pour le commerçant : MerchantID=${req.user.id}`);
-  const product = await trackPerformance(() => productService.createProduct(req.user.id, req.body), 'createProduct');
+const assertSkuAvailable = async (merchantId, sku, productId) => {
+  if (!sku) return;
+  const filter = { merchant: merchantId, sku, ...(productId && { _id: { $ne: productId } }) };
+  if ((await Product.countDocuments(filter)) > 0) {
+    throw new ApiError(httpStatus.CONFLICT, `SKU already used in the catalogue: ${sku}`).withCode('SKU_TAKEN');
+  }
+};
 
-  // Notification au commerçant
-  await notificationService.notifyMerchant(req.user.id, `Produit créé avec succès : ${product.name}`);
-  logger.info(`Produit créé avec succès : ProductID=${product.id}`);
-  res.status(httpStatus.CREATED).send(product);
-});
+/**
+ * Créer un produit et son inventaire.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {Object} productData - Données du produit (`stock` : stock initial de l'inventaire).
+ * @returns {Promise<Product>}
+ */
+const createProduct = async (merchantId, productData) => {
+  await assertSkuAvailable(merchantId, productData.sku);
+  const product = await Product.create({ ...productData, stock: 0, merchant: merchantId });
+  const inventory = await inventoryService.initializeInventory(product, productData.stock, merchantId);
+  product.set('stock', inventory.quantity);
+  await Merchant.findByIdAndUpdate(merchantId, { $addToSet: { products: product._id } });
+  return product;
+};
 
 /**
  * Mettre à jour un produit.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {ObjectId} productId - ID du produit.
+ * @param {Object} updateData - Données de mise à jour.
+ * @returns {Promise<Product>}
  */
-const updateProduct = catchAsync(async (req, res) => {
-  logger.info(`Mise à jour du produit : ProductID=${req.params.productId}, MerchantID=${req.user.id}`);
-  const updatedProduct = await trackPerformance(
-    () => productService.updateProduct(req.user.id, req.params.productId, req.body),
-    'updateProduct'
-  );
-
-  logger.info(`Produit mis à jour avec succès : ProductID=${req.params.productId}`);
-  res.status(httpStatus.OK).send(updatedProduct);
-});
+const updateProduct = async (merchantId, productId, updateData) => {
+  const product = await getOwnedProduct(merchantId, productId);
+  await assertSkuAvailable(merchantId, updateData.sku, product._id);
+  Object.assign(product, updateData);
+  await product.save();
+  return product;
+};
 
 /**
- * Supprimer un produit.
+ * Supprimer un produit : ses réservations actives sont libérées et son inventaire retiré.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {ObjectId} productId - ID du produit.
+ * @returns {Promise<Product>}
  */
-const deleteProduct = catchAsync(async (req, res) => {
-  logger.info(`Suppression du produit : ProductID=${req.params.productId}, MerchantID=${req.user.id}`);
-  await trackPerformance(() => productService.deleteProduct(req.user.id, req.params.productId), 'deleteProduct');
-
-  logger.info(`Produit supprimé avec succès : ProductID=${req.params.productId}`);
-  res.status(httpStatus.NO_CONTENT).send();
-});
+const deleteProduct = async (merchantId, productId) => {
+  const product = await getOwnedProduct(merchantId, productId);
+  if ((await Inventory.countDocuments({ product: product._id })) > 0) {
+    await inventoryService.deleteProduct(merchantId, product._id);
+  }
+  await product.remove();
+  await Merchant.findByIdAndUpdate(merchantId, { $pull: { products: productId } });
+  return product;
+};
 
 /**
- * Obtenir les détails d'un produit.
+ * Récupérer un produit par ID.
+ * @param {ObjectId} productId - ID du produit.
+ * @returns {Promise<Product>}
  */
-const getProductDetails = catchAsync(async (req, res) => {
-  logger.info(`Récupération des détails du produit : ProductID=${req.params.productId}`);
-  const product = await trackPerformance(() => productService.getProductById(req.params.productId), 'getProductDetails');
+const getProductById = async (productId) => {
+  const product = await Product.findById(productId).populate('category');
   if (!product) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'Produit non trouvé');
+    throw new ApiError(httpStatus.NOT_FOUND, 'Product not found');
   }
-
-  logger.info(`Détails du produit récupérés : ProductID=${req.params.productId}`);
-  res.status(httpStatus.OK).send(product);
-});
+  return product;
+};
 
 /**
  * Rechercher des produits avec filtres et pagination.
+ * @param {Object} filters - Filtres de recherche (page, limit, category, minPrice, maxPrice, search).
+ * @returns {Promise<QueryResult>}
  */
-const searchProducts = catchAsync(async (req, res) => {
-  const { page = 1, limit = 10, category, minPrice, maxPrice, search } = req.query;
-  logger.info(`Recherche de produits avec les paramètres : ${JSON.stringify(req.query)}`);
-
-  const products = await trackPerformance(
-    () =>
-      productService.searchProducts({
-        page,
-        limit,
-        category,
-        minPrice,
-        maxPrice,
-        search,
-      }),
-    'searchProducts'
-  );
+const searchProducts = async ({ page, limit, category, minPrice, maxPrice, search }) => {
+  const filter = { isActive: true };
+  if (category) filter.category = category;
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+  if (search) {
+    // eslint-disable-next-line security/detect-non-literal-regexp
+    filter.name = { $regex: new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') };
+  }
+  return Product.paginate(filter, { page, limit, sortBy: 'createdAt:desc' });
+};
 
-  logger.info(`Produits trouvés : Total=${products.totalResults}`);
-  res.status(httpStatus.OK).send(products);
-});
+/**
+ * Mettre à jour le stock d'un produit du commerçant par un mouvement d'inventaire.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {ObjectId} productId - ID du produit.
+ * @param {Number} quantity - Quantité à ajouter (positive) ou retirer (négative).
+ * @param {String} [reason] - Raison de la modification.
+ * @returns {Promise<Product>}
+ */
+const updateStock = async (merchantId, productId, quantity, reason) => {
+  const inventory = await inventoryService.updateStock(merchantId, productId, quantity, { reason });
+  const product = await getProductById(productId);
+  product.set('stock', inventory.quantity);
+  return product;
+};
 
 /**
- * Mettre à jour le stock d'un produit.
+ * Récupérer les statistiques globales des produits.
+ * @returns {Promise<Object>}
  */
-const updateStock = catchAsync(async (req, res) => {
-  logger.info(`Mise à jour du stock pour le produit : ProductID=${req.params.productId}, Quantité=${req.body.quantity}`);
-  const updatedProduct = await trackPerformance(
-    () => productService.updateStock(req.params.productId, req.body.quantity, req.body.reason),
-    'updateStock'
-  );
+const getProductStats = async () => {
+  return Product.getProductStats();
+};
 
-  logger.info(`Stock mis à jour avec succès : ProductID=${req.params.productId}`);
-  res.status(httpStatus.OK).send(updatedProduct);
-});
+/**
+ * Ajouter ou mettre à jour les images d'un produit.
+ * @param {ObjectId} productId - ID du produit.
+ * @param {Array} images - Liste des images.
+ * @returns {Promise<Product>}
+ */
+const addOrUpdateImages = async (productId, images) => {
+  const product = await getProductById(productId);
+  await product.addOrUpdateImages(images);
+  return product;
+};
 
 /**
- * Récupérer les statistiques globales des produits.
+ * Modifier la visibilité d'un produit.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {ObjectId} productId - ID du produit.
+ * @param {Boolean} isActive - Visible ou masqué.
+ * @returns {Promise<Product>}
+ */
+const updateVisibility = async (merchantId, productId, isActive) => {
+  const product = await getOwnedProduct(merchantId, productId);
+  product.isActive = isActive;
+  await product.save();
+  return product;
+};
+
+/**
+ * Vérifier qu'un produit est disponible dans la quantité demandée (réservations actives déduites).
+ * @param {ObjectId} productId - ID du produit.
+ * @param {Number} quantity - Quantité souhaitée.
+ * @returns {Promise<Boolean>}
  */
-const getProductStats = catchAsync(async (req, res) => {
-  logger.info(`Récupération des statistiques globales des produits`);
-  const stats = await trackPerformance(() => productService.getProductStats(), 'getProductStats');
-  logger.info(`Statistiques globales récupérées avec succès`);
-  res.status(httpStatus.OK).send(stats);
-});
+const checkAvailability = async (productId, quantity) => {
+  const product = await Product.findById(productId);
+  return !!product && product.isActive && product.availableStock >= quantity;
+};
 
 /**
- * Ajouter ou mettre à jour des images pour un produit.
+ * Lire le corps d'un import de catalogue.
+ * @param {string} text - Fichier CSV avec en-tête, ou un objet JSON par ligne
+ * @param {string} format - `csv` ou `jsonl`
+ * @returns {Array<{line: Number, data: Object|null, error: string|undefined}>}
+ * @throws {ApiError} - 400 IMPORT_INVALID_FILE si le fichier est illisible ou a des colonnes inconnues
  */
-const addOrUpdateImages = catchAsync(async (req, res) => {
-  logger.info(`Mise à jour des images pour le produit : ProductID=${req.params.productId}`);
-  const updatedProduct = await trackPerformance(
-    () => productService.addOrUpdateImages(req.params.productId, req.body.images),
-    'addOrUpdateImages'
+const parseCatalogueImport = (text, format) => {
+  if (format === 'jsonl') {
+    return text.split(/\r?\n/).reduce((rows, content, index) => {
+      if (!content.trim()) return rows;
+      try {
+        const data = JSON.parse(content);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          return [...rows, { line: index + 1, data: null, error: 'La ligne doit être un objet JSON' }];
+        }
+        return [...rows, { line: index + 1, data }];
+      } catch (error) {
+        return [...rows, { line: index + 1, data: null, error: `JSON invalide : ${error.message}` }];
+      }
+    }, []);
+  }
+
+  let csv;
+  try {
+    csv = parseCsv(text);
+  } catch (error) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid CSV file: ${error.message}`).withCode('IMPORT_INVALID_FILE');
+  }
+  const unknown = csv.columns.filter((column) => !catalogueColumns.includes(column));
+  if (unknown.length > 0 || !csv.columns.includes('sku')) {
+    const detail = unknown.length > 0 ? `unknown columns ${unknown.join(', ')}` : 'missing sku column';
+    throw new ApiError(httpStatus.BAD_REQUEST, `Invalid CSV header: ${detail}`).withCode('IMPORT_INVALID_FILE');
+  }
+  return csv.rows;
+};
+
+/**
+ * Mettre une ligne d'import au format des schémas produit : images en liste d'objets `{url}`.
+ * @param {Object} data
+ * @returns {Object}
+ */
+const normalizeImportRow = (data) => {
+  const { images } = data;
+  if (typeof images === 'string') {
+    return {
+      ...data,
+      images: images
+        .split('|')
+        .map((url) => url.trim())
+        .filter(Boolean)
+        .map((url) => ({ url })),
+    };
+  }
+  if (Array.isArray(images)) {
+    return { ...data, images: images.map((image) => (typeof image === 'string' ? { url: image } : image)) };
+  }
+  return data;
+};
+
+/**
+ * Importer un catalogue : chaque ligne crée le produit de son SKU ou met à jour le produit existant
+ * (le stock importé devient le stock de l'inventaire par un mouvement d'ajustement).
+ * Les lignes valides sont appliquées même si d'autres sont rejetées ; le mode simulation n'écrit rien.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {string} text - Contenu importé.
+ * @param {Object} options
+ * @param {string} options.format - `csv` ou `jsonl`
+ * @param {Boolean} [options.dryRun] - Valider sans enregistrer
+ * @returns {Promise<{dryRun: Boolean, total: Number, created: Number, updated: Number, failed: Number,
+ *   errors: Array<{line: Number, sku: string|null, messages: string[]}>}>}
+ * @throws {ApiError} - 400 IMPORT_INVALID_FILE, 413 IMPORT_TOO_LARGE
+ */
+const importCatalogue = async (merchantId, text, { format, dryRun = false }) => {
+  const rows = parseCatalogueImport(text || '', format);
+  if (rows.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The import contains no product').withCode('IMPORT_INVALID_FILE');
+  }
+  if (rows.length > config.catalogueImport.maxRows) {
+    throw new ApiError(
+      httpStatus.REQUEST_ENTITY_TOO_LARGE,
+      `An import is limited to ${config.catalogueImport.maxRows} products`
+    ).withCode('IMPORT_TOO_LARGE');
+  }
+
+  const parsed = rows.filter((row) => row.data);
+  const skus = parsed.map((row) => row.data.sku).filter((sku) => typeof sku === 'string');
+  const existing = new Map(
+    (await Product.find({ merchant: merchantId, sku: { $in: skus.map((sku) => sku.trim()) } })).map((product) => [
+      product.sku,
+      product,
+    ])
   );
+  // Catégories désignées par leur nom plutôt que par leur ID
+  const categoryNames = parsed
+    .map((row) => row.data.category)
+    .filter((category) => typeof category === 'string' && !/^[0-9a-fA-F]{24}$/.test(category));
+  const categories = new Map(
+    (await Category.find({ name: { $in: categoryNames } })).map((category) => [category.name, category.id])
+  );
+
+  const report = { dryRun, total: rows.length, created: 0, updated: 0, failed: 0, errors: [] };
+  const seen = new Map();
+  const operations = [];
+  rows.forEach(({ line, data, error }) => {
+    const sku = data && typeof data.sku === 'string' ? data.sku.trim() : null;
+    const fail = (messages) => {
+      report.failed += 1;
+      report.errors.push({ line, sku, messages });
+    };
+    if (!data) return fail([error]);
+
+    const product = sku && existing.get(sku);
+    const row = normalizeImportRow(data);
+    if (categoryNames.includes(row.category)) {
+      if (!categories.has(row.category)) return fail([`Catégorie inconnue : ${row.category}`]);
+      row.category = categories.get(row.category);
+    }
+    const { value, error: validationError } = importRowSchemas[product ? 'update' : 'create']
+      .prefs({ errors: { label: 'key' }, abortEarly: false })
+      .validate(row);
+    if (validationError) return fail(validationError.details.map((details) => details.message));
+    if (seen.has(value.sku)) return fail([`SKU en double : déjà présent ligne ${seen.get(value.sku)}`]);
+
+    seen.set(value.sku, line);
+    operations.push({ line, product, value });
+  });
 
-  logger.info(`Images mises à jour avec succès pour le produit : ProductID=${req.params.productId}`);
-  res.status(httpStatus.OK).send(updatedProduct);
-});
+  // eslint-disable-next-line no-restricted-syntax
+  for (const { line, product, value } of operations) {
+    try {
+      if (!dryRun && product) {
+        const { sku, stock, ...fields } = value;
+        product.set(fields);
+        // eslint-disable-next-line no-await-in-loop
+        await product.save();
+        if (stock !== undefined) {
+          // eslint-disable-next-line no-await-in-loop
+          const inventory = await inventoryService.getOrCreateInventory(product._id);
+          const quantity = stock - inventory.quantity;
+          if (quantity !== 0) {
+            // eslint-disable-next-line no-await-in-loop
+            await inventoryService.recordMovement(product._id, {
+              type: quantity > 0 ? 'restock' : 'adjustment',
+              quantity,
+              actor: merchantId,
+              reason: 'Import du catalogue',
+            });
+          }
+        }
+      } else if (!dryRun) {
+        // eslint-disable-next-line no-await-in-loop
+        await createProduct(merchantId, value);
+      }
+      report[product ? 'updated' : 'created'] += 1;
+    } catch (error) {
+      report.failed += 1;
+      report.errors.push({ line, sku: value.sku, messages: [error.message] });
+    }
+  }
+
+  report.errors.sort((a, b) => a.line - b.line);
+  return report;
+};
+
+/**
+ * Exporter tout le catalogue d'un commerçant, produit par produit, dans le format des imports.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @param {string} format - `csv` ou `jsonl`
+ * @returns {AsyncGenerator<string>} - Lignes du fichier (en-tête compris en CSV)
+ */
+async function* exportCatalogue(merchantId, format) {
+  if (format === 'csv') yield formatCsvLine(catalogueColumns);
+
+  const cursor = Product.find({ merchant: merchantId }).sort({ _id: 1 }).lean().cursor();
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const product of cursor) {
+    const images = (product.images || []).map(({ url, altText, width, height }) => ({ url, altText, width, height }));
+    const row = {
+      ...catalogueColumns.reduce((data, column) => ({ ...data, [column]: product[column] }), {}),
+      category: product.category && product.category.toString(),
+      images,
+    };
+    if (format === 'csv') {
+      yield formatCsvLine(
+        catalogueColumns.map((column) => (column === 'images' ? images.map(({ url }) => url).join('|') : row[column]))
+      );
+    } else {
+      yield `${JSON.stringify(row)}\n`;
+    }
+  }
+}
 
 module.exports = {
   createProduct,
   updateProduct,
   deleteProduct,
-  getProductDetails,
+  getProductById,
   searchProducts,
   updateStock,
   getProductStats,
   addOrUpdateImages,
+  updateVisibility,
+  checkAvailability,
+  importCatalogue,
+  exportCatalogue,
 };
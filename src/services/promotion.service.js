@@ -1,7 +1,8 @@
 const httpStatus = require('http-status');
-const { Promotion } = require('../models');
-const Campaign = require('../models/campaign.model');
+const { Promotion, Campaign } = require('../models');
 const ApiError = require('../utils/ApiError');
+const { getPromotionRejection, priceLines } = require('../utils/pricing');
+const notificationService = require('./notification.service');
 
 /**
  * Créer une promotion.
@@ -109,6 +110,23 @@ const getPromotionStats = async (promotionId) => {
   return promotion.getPerformanceStats();
 };
 
+/**
+ * Récupérer les statistiques de l'ensemble des promotions d'un commerçant.
+ * @param {ObjectId} merchantId - ID du commerçant.
+ * @returns {Promise<Object>}
+ */
+const getGlobalPromotionStats = async (merchantId) => {
+  const promotions = await Promotion.find({ merchant: merchantId });
+  const now = new Date();
+
+  return {
+    totalPromotions: promotions.length,
+    activePromotions: promotions.filter((promotion) => promotion.isValid()).length,
+    expiredPromotions: promotions.filter((promotion) => promotion.expirationDate && promotion.expirationDate < now).length,
+    totalRedemptions: promotions.reduce((acc, promotion) => acc + promotion.usedCount, 0),
+  };
+};
+
 /**
  * Récupérer les promotions expirant bientôt.
  * @param {Number} days - Nombre de jours avant expiration.
@@ -171,34 +189,27 @@ const addPromotionToCampaign = async (campaignId, promotionId) => {
 
 /**
  * Trouver la meilleure promotion applicable.
+ * Seules les promotions des commerçants du panier, utilisables par ce client, sont comparées
+ * sur la remise réellement obtenue (plafonds et produits éligibles compris).
  * @param {ObjectId} userId - ID de l'utilisateur.
- * @param {Array} products - Liste des produits de la commande.
+ * @param {Array} lines - Lignes valorisées `{ productId, quantity, price, merchant }`.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.regions] - Régions de livraison.
  * @returns {Promise<Promotion>}
  */
-const findBestPromotion = async (userId, products) => {
-  const applicablePromotions = await Promotion.find({
-    isActive: true,
-    applicableProducts: { $in: products.map((p) => p.productId) },
-  });
-
-  let bestPromotion = null;
-  let maxDiscount = 0;
-
-  for (const promo of applicablePromotions) {
-    let discount = 0;
-    if (promo.discountType === 'percentage') {
-      discount = (products.reduce((sum, p) => sum + p.price * p.quantity, 0) * promo.discountValue) / 100;
-    } else if (promo.discountType === 'fixed') {
-      discount = promo.discountValue;
-    }
-
-    if (discount > maxDiscount) {
-      maxDiscount = discount;
-      bestPromotion = promo;
-    }
-  }
-
-  return bestPromotion;
+const findBestPromotion = async (userId, lines, { regions } = {}) => {
+  const merchants = [...new Set(lines.map((line) => line.merchant.toString()))];
+  const candidates = await Promotion.find({ isActive: true, merchant: { $in: merchants } });
+
+  return candidates
+    .filter((promotion) => promotion.isValid() && !getPromotionRejection(promotion, { lines, userId, regions }))
+    .reduce(
+      (best, promotion) => {
+        const { discount } = priceLines(lines, promotion);
+        return discount > best.discount ? { promotion, discount } : best;
+      },
+      { promotion: null, discount: 0 }
+    ).promotion;
 };
 
 /**
@@ -225,6 +236,7 @@ module.exports = {
   getActivePromotions,
   getPromotionHistory,
   getPromotionStats,
+  getGlobalPromotionStats,
   getExpiringPromotions,
   notifyExpiringPromotions,
   createCampaign,
@@ -0,0 +1,209 @@
+const { EventEmitter } = require('events');
+const httpStatus = require('http-status');
+const { Delivery, Livreur, Order } = require('../models');
+const { roleRights } = require('../config/roles');
+const { activeDeliveryStatuses } = require('../config/deliveryStatuses');
+const ApiError = require('../utils/ApiError');
+const { toLatLng } = require('../utils/geo');
+
+/**
+ * Droit requis (voir config/roles) pour recevoir chaque type d'événement temps réel.
+ */
+const eventRights = {
+  'order.status': 'trackOrder',
+  'order.eta': 'trackOrder',
+  'livreur.location': 'trackOrder',
+  'order.created': 'receiveOrderAlerts',
+  'dispatch.offer': 'respondToOffers',
+  notification: 'viewNotifications',
+};
+
+// Les abonnements sont conservés en mémoire : l'API tourne sur une seule instance (ecosystem.config.json)
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+let lastEventId = 0;
+
+const userChannel = (userId) => `user:${userId}`;
+const orderChannel = (orderId) => `order:${orderId}`;
+
+/**
+ * Vérifier qu'un utilisateur peut recevoir un type d'événement.
+ * @param {User} user
+ * @param {string} type
+ * @returns {boolean}
+ */
+const canReceive = (user, type) => (roleRights.get(user.role) || []).includes(eventRights[type]);
+
+/**
+ * Construire un événement horodaté et numéroté.
+ * @param {string} type
+ * @param {Object} data
+ * @returns {{id: Number, type: string, data: Object}}
+ */
+const createEvent = (type, data) => {
+  lastEventId += 1;
+  return { id: lastEventId, type, data: { ...data, at: new Date().toISOString() } };
+};
+
+/**
+ * Publier un événement sur un canal.
+ * @param {string} channel
+ * @param {string} type
+ * @param {Object} data
+ */
+const publish = (channel, type, data) => {
+  hub.emit(channel, createEvent(type, data));
+};
+
+/**
+ * Abonner un utilisateur à des canaux. Seuls les événements autorisés pour son rôle lui sont transmis.
+ * @param {User} user
+ * @param {Array<string>} channels
+ * @param {Function} listener - Reçoit chaque événement
+ * @returns {Function} - Désabonnement
+ */
+const subscribe = (user, channels, listener) => {
+  const handler = (event) => {
+    if (canReceive(user, event.type)) listener(event);
+  };
+  channels.forEach((channel) => hub.on(channel, handler));
+  return () => channels.forEach((channel) => hub.off(channel, handler));
+};
+
+/**
+ * Sérialiser un événement au format Server-Sent Events.
+ * @param {{id: Number, type: string, data: Object}} event
+ * @returns {string}
+ */
+const formatServerSentEvent = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const orderStatusData = (order) => ({ orderId: order.id, status: order.status });
+
+const livreurLocationData = (order, livreur) => ({
+  orderId: order.id,
+  livreurId: livreur.id,
+  coordinates: toLatLng(livreur.location),
+});
+
+/**
+ * Publier le changement de statut d'une commande à ses abonnés.
+ * @param {Order} order
+ */
+const publishOrderStatus = (order) => {
+  publish(orderChannel(order.id), 'order.status', orderStatusData(order));
+};
+
+const orderEtaData = (order, estimatedAt, minutes) => ({ orderId: order.id, estimatedAt, minutes });
+
+/**
+ * Publier la nouvelle heure de livraison estimée d'une commande.
+ * @param {Order} order
+ * @param {{estimatedAt: Date, minutes: Number}} estimate
+ */
+const publishOrderEta = (order, { estimatedAt, minutes }) => {
+  publish(orderChannel(order.id), 'order.eta', orderEtaData(order, estimatedAt, minutes));
+};
+
+/**
+ * Publier une nouvelle commande au commerçant concerné.
+ * @param {Order} order
+ */
+const publishNewOrder = (order) => {
+  publish(userChannel(order.merchant), 'order.created', {
+    orderId: order.id,
+    status: order.status,
+    totalPrice: order.totalPrice,
+    items: order.products.length,
+  });
+};
+
+/**
+ * Publier une offre de course au livreur concerné.
+ * @param {ObjectId} userId - Utilisateur livreur
+ * @param {DeliveryOffer} offer
+ */
+const publishDispatchOffer = (userId, offer) => {
+  publish(userChannel(userId), 'dispatch.offer', {
+    offerId: offer.id,
+    deliveryId: String(offer.delivery),
+    orderId: String(offer.order),
+    distance: offer.distance,
+    expiresAt: offer.expiresAt,
+  });
+};
+
+/**
+ * Pousser une notification à son destinataire connecté.
+ * @param {Notification} notification
+ */
+const publishNotification = (notification) => {
+  publish(userChannel(notification.user), 'notification', {
+    notificationId: notification.id,
+    type: notification.type,
+    priority: notification.priority,
+    message: notification.message,
+  });
+};
+
+/**
+ * Publier la position d'un livreur aux clients dont il livre la commande.
+ * @param {Livreur} livreur
+ * @returns {Promise<void>}
+ */
+const publishLivreurLocation = async (livreur) => {
+  const deliveries = await Delivery.find({ livreur: livreur._id, status: { $in: activeDeliveryStatuses } }).populate(
+    'order'
+  );
+  deliveries
+    .filter((delivery) => delivery.order)
+    .forEach((delivery) =>
+      publish(orderChannel(delivery.order.id), 'livreur.location', livreurLocationData(delivery.order, livreur))
+    );
+};
+
+/**
+ * Vérifier qu'un utilisateur peut suivre une commande et renvoyer son état courant
+ * (statut, heure de livraison estimée et, si une course est en cours, position du livreur).
+ * @param {User} user
+ * @param {ObjectId} orderId
+ * @returns {Promise<Array<Object>>} - Événements initiaux
+ */
+const getOrderSnapshot = async (user, orderId) => {
+  if (!canReceive(user, 'order.status')) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Forbidden');
+  }
+  const order = await Order.findById(orderId);
+  if (!order || String(order.client) !== user.id) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  }
+
+  const events = [createEvent('order.status', orderStatusData(order))];
+  if (order.estimatedDeliveryAt && ['pending', 'accepted', 'in_progress', 'picked_up'].includes(order.status)) {
+    const minutes = Math.max(0, Math.round((order.estimatedDeliveryAt - Date.now()) / 6000) / 10);
+    events.push(createEvent('order.eta', orderEtaData(order, order.estimatedDeliveryAt, minutes)));
+  }
+  const delivery = order.delivery ? await Delivery.findById(order.delivery) : null;
+  if (delivery && delivery.livreur && activeDeliveryStatuses.includes(delivery.status)) {
+    const livreur = await Livreur.findById(delivery.livreur);
+    if (livreur) events.push(createEvent('livreur.location', livreurLocationData(order, livreur)));
+  }
+  return events;
+};
+
+module.exports = {
+  eventRights,
+  userChannel,
+  orderChannel,
+  canReceive,
+  subscribe,
+  publish,
+  formatServerSentEvent,
+  publishOrderStatus,
+  publishOrderEta,
+  publishNewOrder,
+  publishDispatchOffer,
+  publishNotification,
+  publishLivreurLocation,
+  getOrderSnapshot,
+};
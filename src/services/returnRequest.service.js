@@ -0,0 +1,326 @@
+const httpStatus = require('http-status');
+const { ReturnRequest, Order, Client, Merchant } = require('../models');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const paymentService = require('./payment.service');
+const notificationService = require('./notification.service');
+
+// Statuts dans lesquels une demande attend encore une décision
+const openStatuses = ['pending', 'countered'];
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Vérifier qu'un utilisateur peut consulter une demande : le client, le commerçant concerné, le support ou un admin.
+ * @param {ReturnRequest} returnRequest
+ * @param {Object} user - Utilisateur authentifié
+ * @returns {boolean}
+ */
+const canAccess = (returnRequest, user) =>
+  ['support', 'admin'].includes(user.role) ||
+  sameId(returnRequest.client, user.id) ||
+  sameId(returnRequest.merchant, user.id);
+
+/**
+ * Répercuter le statut d'une demande sur les vues `Client.refunds` et `Merchant.returns`.
+ * @param {ReturnRequest} returnRequest
+ * @returns {Promise<void>}
+ */
+const syncViews = async (returnRequest) => {
+  const merchantView = { 'returns.$.status': returnRequest.status };
+  if (returnRequest.refundedAmount !== undefined) {
+    merchantView['returns.$.amount'] = returnRequest.refundedAmount;
+  }
+  await Promise.all([
+    Client.updateOne(
+      { user: returnRequest.client, 'refunds.returnRequest': returnRequest._id },
+      { $set: { 'refunds.$.status': returnRequest.status } }
+    ),
+    Merchant.updateOne({ user: returnRequest.merchant, 'returns.returnRequest': returnRequest._id }, { $set: merchantView }),
+  ]);
+};
+
+/**
+ * Faire passer une demande d'un statut à un autre.
+ * La mise à jour est conditionnée au statut lu : deux décisions concurrentes ne peuvent pas aboutir toutes les deux.
+ * @param {ReturnRequest} returnRequest - Demande telle que lue
+ * @param {Array<string>} fromStatuses - Statuts depuis lesquels la transition est permise
+ * @param {string} status - Statut cible
+ * @param {Object} context - `{ actor, role, note }`
+ * @param {Object} [update] - Champs à modifier en même temps
+ * @returns {Promise<ReturnRequest>}
+ */
+const transition = async (returnRequest, fromStatuses, status, { actor, role, note }, update = {}) => {
+  const updated = fromStatuses.includes(returnRequest.status)
+    ? await ReturnRequest.findOneAndUpdate(
+        { _id: returnRequest._id, status: returnRequest.status },
+        {
+          $set: { ...update, status },
+          $push: { history: { from: returnRequest.status, status, actor, role, note } },
+        },
+        { new: true }
+      )
+    : null;
+  if (!updated) {
+    throw new ApiError(httpStatus.CONFLICT, `Return request cannot move from ${returnRequest.status} to ${status}`).withCode(
+      'RETURN_REQUEST_INVALID_STATE'
+    );
+  }
+  await syncViews(updated);
+  logger.info(`Demande de retour ${updated.id} : ${returnRequest.status} -> ${status} (Role=${role})`);
+  return updated;
+};
+
+/**
+ * Accepter une demande et rembourser le paiement d'origine.
+ * Si le remboursement échoue, la demande revient à son statut précédent pour une nouvelle décision.
+ * @param {ReturnRequest} returnRequest
+ * @param {Number} [amount] - Montant à rembourser (à défaut : articles demandés ou reste remboursable)
+ * @param {Object} context - `{ actor, role, note }`
+ * @param {Object} [update] - Champs à modifier en même temps
+ * @returns {Promise<ReturnRequest>}
+ */
+const approve = async (returnRequest, amount, context, update = {}) => {
+  const approved = await transition(returnRequest, openStatuses, 'approved', context, update);
+
+  let refund;
+  try {
+    refund = await paymentService.initiateRefund(approved.order, {
+      items: amount === undefined ? approved.items : undefined,
+      amount,
+      reason: approved.reason,
+      restock: approved.restock,
+      returnRequest: approved._id,
+    });
+  } catch (error) {
+    await ReturnRequest.updateOne(
+      { _id: approved._id, status: 'approved' },
+      { $set: { status: returnRequest.status }, $pop: { history: 1 } }
+    );
+    await syncViews(returnRequest);
+    throw error;
+  }
+
+  approved.refund = refund._id;
+  approved.refundedAmount = refund.amount;
+  await approved.save();
+  await syncViews(approved);
+
+  await notificationService.notifyClient(
+    approved.client,
+    `Votre demande de retour pour la commande ${approved.order} est acceptée : ${refund.amount} remboursés`
+  );
+  if (['support', 'admin'].includes(context.role)) {
+    await notificationService.notifyMerchant(
+      approved.merchant,
+      `Le retour de la commande ${approved.order} a été accepté par le support : ${refund.amount} remboursés`
+    );
+  }
+  return approved;
+};
+
+/**
+ * Ouvrir une demande de retour / remboursement sur une commande livrée.
+ * @param {ObjectId} clientId - Utilisateur client
+ * @param {Object} requestBody
+ * @param {ObjectId} requestBody.orderId
+ * @param {string} requestBody.reason
+ * @param {Array<string>} [requestBody.photos] - URLs des photos
+ * @param {Array<{productId: ObjectId, quantity: Number}>} [requestBody.items] - Articles retournés
+ * @param {Number} [requestBody.amount] - Montant demandé
+ * @returns {Promise<ReturnRequest>}
+ */
+const createReturnRequest = async (clientId, { orderId, reason, photos = [], items = [], amount }) => {
+  const order = await Order.findById(orderId);
+  if (!order || !sameId(order.client, clientId)) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Order not found');
+  }
+  if (order.status !== 'completed') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only delivered orders can be returned').withCode(
+      'RETURN_ORDER_NOT_COMPLETED'
+    );
+  }
+  items.forEach((item) => {
+    const line = order.products.find((product) => sameId(product.productId, item.productId));
+    if (!line || item.quantity > line.quantity) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Product ${item.productId} cannot be returned in this quantity`).withCode(
+        'RETURN_ITEM_NOT_IN_ORDER'
+      );
+    }
+  });
+  if (amount !== undefined && amount > order.totalPrice) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Requested amount exceeds the order total').withCode(
+      'RETURN_AMOUNT_EXCEEDED'
+    );
+  }
+  const openRequest = await ReturnRequest.findOne({ order: order._id, status: { $in: openStatuses } });
+  if (openRequest) {
+    throw new ApiError(httpStatus.CONFLICT, 'A return request is already open for this order').withCode(
+      'RETURN_REQUEST_ALREADY_OPEN'
+    );
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    order: order._id,
+    client: order.client,
+    merchant: order.merchant,
+    reason,
+    photos,
+    items,
+    requestedAmount: amount,
+  });
+
+  const client = await Client.findOne({ user: order.client });
+  if (client) {
+    await client.requestRefund(order._id, reason, returnRequest._id);
+  }
+  await Merchant.updateOne(
+    { user: order.merchant },
+    { $push: { returns: { orderId: order._id, returnRequest: returnRequest._id, reason } } }
+  );
+
+  await notificationService.notifyMerchant(
+    order.merchant,
+    `Nouvelle demande de retour pour la commande ${order.id} : ${reason}`
+  );
+  await notificationService.notifySupport(`Nouvelle demande de retour ${returnRequest.id} pour la commande ${order.id}`);
+
+  logger.info(`Demande de retour créée : ReturnRequestID=${returnRequest.id}, OrderID=${order.id}`);
+  return returnRequest;
+};
+
+/**
+ * Lister les demandes de retour visibles par un utilisateur.
+ * @param {Object} filter - Filtres (status, order)
+ * @param {Object} options - Options de pagination
+ * @param {Object} user - Utilisateur authentifié
+ * @returns {Promise<QueryResult>}
+ */
+const queryReturnRequests = async (filter, options, user) => {
+  const scopedFilter = { ...filter };
+  if (user.role === 'client') scopedFilter.client = user.id;
+  if (user.role === 'merchant') scopedFilter.merchant = user.id;
+  return ReturnRequest.paginate(scopedFilter, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Obtenir une demande de retour.
+ * @param {ObjectId} returnRequestId
+ * @param {Object} user - Utilisateur authentifié
+ * @returns {Promise<ReturnRequest>}
+ */
+const getReturnRequestById = async (returnRequestId, user) => {
+  const returnRequest = await ReturnRequest.findById(returnRequestId);
+  if (!returnRequest || !canAccess(returnRequest, user)) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Return request not found');
+  }
+  return returnRequest;
+};
+
+/**
+ * Décision du commerçant ou du support : accepter, refuser ou faire une contre-proposition.
+ * @param {ObjectId} returnRequestId
+ * @param {Object} decision
+ * @param {string} decision.action - `accept`, `reject` ou `counter`
+ * @param {Number} [decision.amount] - Montant de la contre-proposition
+ * @param {string} [decision.note] - Commentaire transmis au client
+ * @param {Boolean} [decision.restock] - Remettre en stock les articles à l'acceptation
+ * @param {Object} user - Utilisateur authentifié
+ * @returns {Promise<ReturnRequest>}
+ */
+const decideReturnRequest = async (returnRequestId, { action, amount, note, restock }, user) => {
+  const returnRequest = await getReturnRequestById(returnRequestId, user);
+  const context = { actor: user.id, role: user.role, note };
+
+  if (action === 'accept') {
+    const update = restock === undefined ? {} : { restock };
+    return approve(returnRequest, returnRequest.requestedAmount, context, update);
+  }
+
+  if (action === 'reject') {
+    const rejected = await transition(returnRequest, openStatuses, 'rejected', context);
+    await notificationService.notifyClient(
+      rejected.client,
+      `Votre demande de retour pour la commande ${rejected.order} est refusée${note ? ` : ${note}` : ''}`
+    );
+    return rejected;
+  }
+
+  const countered = await transition(returnRequest, ['pending'], 'countered', context, {
+    counterOffer: { amount, note, actor: user.id, role: user.role, createdAt: new Date() },
+  });
+  await notificationService.notifyClient(
+    countered.client,
+    `Contre-proposition pour votre retour sur la commande ${countered.order} : ${amount} remboursés${
+      note ? ` (${note})` : ''
+    }`
+  );
+  return countered;
+};
+
+/**
+ * Réponse du client à une contre-proposition.
+ * Un refus renvoie la demande en attente : le support est alors prévenu pour arbitrer.
+ * @param {ObjectId} returnRequestId
+ * @param {Object} response
+ * @param {string} response.action - `accept` ou `decline`
+ * @param {string} [response.note]
+ * @param {Object} user - Client authentifié
+ * @returns {Promise<ReturnRequest>}
+ */
+const respondToCounterOffer = async (returnRequestId, { action, note }, user) => {
+  const returnRequest = await getReturnRequestById(returnRequestId, user);
+  if (!sameId(returnRequest.client, user.id) || returnRequest.status !== 'countered') {
+    throw new ApiError(httpStatus.CONFLICT, 'No counter-offer awaiting your answer').withCode(
+      'RETURN_REQUEST_INVALID_STATE'
+    );
+  }
+  const context = { actor: user.id, role: user.role, note };
+
+  if (action === 'accept') {
+    const approved = await approve(returnRequest, returnRequest.counterOffer.amount, context);
+    await notificationService.notifyMerchant(
+      approved.merchant,
+      `Le client a accepté votre contre-proposition pour la commande ${approved.order}`
+    );
+    return approved;
+  }
+
+  const declined = await transition(returnRequest, ['countered'], 'pending', context);
+  await notificationService.notifyMerchant(
+    declined.merchant,
+    `Le client a refusé votre contre-proposition pour la commande ${declined.order}`
+  );
+  await notificationService.notifySupport(
+    `Contre-proposition refusée sur la demande de retour ${declined.id} : arbitrage nécessaire`
+  );
+  return declined;
+};
+
+/**
+ * Annuler une demande de retour encore ouverte (client).
+ * @param {ObjectId} returnRequestId
+ * @param {Object} user - Client authentifié
+ * @returns {Promise<ReturnRequest>}
+ */
+const cancelReturnRequest = async (returnRequestId, user) => {
+  const returnRequest = await getReturnRequestById(returnRequestId, user);
+  if (!sameId(returnRequest.client, user.id)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Only the client can cancel a return request');
+  }
+  const cancelled = await transition(returnRequest, openStatuses, 'cancelled', { actor: user.id, role: user.role });
+  await notificationService.notifyMerchant(
+    cancelled.merchant,
+    `La demande de retour pour la commande ${cancelled.order} a été annulée par le client`
+  );
+  return cancelled;
+};
+
+module.exports = {
+  createReturnRequest,
+  queryReturnRequests,
+  getReturnRequestById,
+  decideReturnRequest,
+  respondToCounterOffer,
+  cancelReturnRequest,
+};
@@ -69,6 +69,9 @@ const assignTicket = async (ticketId, agentId) => {
   if (!ticket) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Ticket non trouvé');
   }
+  if (ticket.assignedTo && String(ticket.assignedTo) !== String(agentId)) {
+    throw new ApiError(httpStatus.CONFLICT, 'Le ticket est déjà assigné à un autre agent');
+  }
 
   ticket.assignedTo = agentId;
   ticket.status = 'assigned';
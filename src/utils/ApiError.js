@@ -9,6 +9,16 @@ class ApiError extends Error {
       Error.captureStackTrace(this, this.constructor);
     }
   }
+
+  /**
+   * Attach a machine-readable error code (e.g. ORDER_INVALID_TRANSITION) sent back to the client
+   * @param {string} errorCode
+   * @returns {ApiError}
+   */
+  withCode(errorCode) {
+    this.errorCode = errorCode;
+    return this;
+  }
 }
 
 module.exports = ApiError;
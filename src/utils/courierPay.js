@@ -0,0 +1,54 @@
+/**
+ * Rémunération d'un livreur pour une course, à la charge de la plateforme.
+ * Les pourboires s'y ajoutent et sont comptabilisés séparément.
+ * Les montants sont calculés en centimes, puis arrondis au centime.
+ */
+
+const toCents = (amount) => Math.round((amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Heure locale (0-23) d'une date dans un fuseau horaire.
+ * @param {Date} date
+ * @param {string} timeZone - Fuseau IANA (ex. `Europe/Paris`)
+ * @returns {Number}
+ */
+const getLocalHour = (date, timeZone) =>
+  Number(new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date));
+
+/**
+ * La course a-t-elle été livrée pendant une plage de pointe ?
+ * @param {Date} date
+ * @param {Array<Array<Number>>} peakHours - Plages `[début, fin)` en heures locales
+ * @param {string} timeZone
+ * @returns {Boolean}
+ */
+const isPeakTime = (date, peakHours, timeZone) => {
+  const hour = getLocalHour(date, timeZone);
+  return peakHours.some(([start, end]) => hour >= start && hour < end);
+};
+
+/**
+ * Calculer la rémunération d'une course.
+ * @param {Object} delivery
+ * @param {Number} [delivery.distance] - Distance parcourue, en kilomètres
+ * @param {Number} [delivery.waitTime] - Attente au point de retrait, en minutes
+ * @param {Date} delivery.deliveredAt
+ * @param {Object} rates - Barème (voir `config.courierPay`)
+ * @returns {{baseFee: Number, distanceFee: Number, waitBonus: Number, peakBonus: Number, total: Number}}
+ */
+const computeCourierPay = ({ distance = 0, waitTime = 0, deliveredAt }, rates) => {
+  const pay = {
+    baseFee: toCents(rates.baseFee),
+    distanceFee: toCents((distance || 0) * rates.perKmRate),
+    waitBonus: toCents(Math.max(0, (waitTime || 0) - rates.waitGraceMinutes) * rates.waitRatePerMinute),
+    peakBonus: isPeakTime(deliveredAt, rates.peakHours, rates.timezone) ? toCents(rates.peakBonus) : 0,
+  };
+  const total = Object.values(pay).reduce((acc, cents) => acc + cents, 0);
+  return Object.entries({ ...pay, total }).reduce((acc, [key, cents]) => ({ ...acc, [key]: fromCents(cents) }), {});
+};
+
+module.exports = {
+  isPeakTime,
+  computeCourierPay,
+};
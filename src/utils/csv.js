@@ -0,0 +1,114 @@
+/**
+ * Lecture et écriture CSV (RFC 4180) : champs entre guillemets, guillemets doublés,
+ * retours à la ligne dans les champs. Le séparateur `;` des tableurs français est détecté sur l'en-tête.
+ */
+
+/**
+ * Séparateur d'un fichier CSV, déduit de sa première ligne.
+ * @param {string} text
+ * @returns {string} - `,` ou `;`
+ */
+const detectDelimiter = (text) => {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return header.split(';').length > header.split(',').length ? ';' : ',';
+};
+
+/**
+ * Découper un texte CSV en enregistrements.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Détecté sur l'en-tête par défaut
+ * @returns {Array<{line: Number, values: string[]}>} - `line` : ligne (à partir de 1) où commence l'enregistrement ;
+ *   les lignes vides sont ignorées
+ * @throws {Error} - Guillemet non fermé
+ */
+const parseRecords = (text, { delimiter } = {}) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const separator = delimiter || detectDelimiter(input);
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0] !== '') records.push({ line: start, values });
+    values = [];
+    value = '';
+    start = line;
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === separator) {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      line += 1;
+      endRecord();
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Guillemet non fermé (ligne ${start})`);
+  }
+  endRecord();
+  return records;
+};
+
+/**
+ * Lire un CSV avec en-tête en objets indexés par les noms de colonnes.
+ * Les cellules vides sont omises ; les colonnes en trop d'une ligne sont ignorées.
+ * @param {string} text
+ * @param {Object} [options] - Voir parseRecords
+ * @returns {{columns: string[], rows: Array<{line: Number, data: Object}>}}
+ */
+const parseCsv = (text, options) => {
+  const [header, ...records] = parseRecords(text, options);
+  const columns = header ? header.values.map((column) => column.trim()) : [];
+  const rows = records.map(({ line, values }) => ({
+    line,
+    data: columns.reduce((data, column, index) => {
+      const cell = values[index] === undefined ? '' : values[index].trim();
+      return column && cell !== '' ? { ...data, [column]: cell } : data;
+    }, {}),
+  }));
+  return { columns, rows };
+};
+
+/**
+ * Écrire une ligne CSV (terminée par CRLF).
+ * @param {Array<*>} values - `null` et `undefined` donnent une cellule vide
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+const formatCsvLine = (values, delimiter = ',') =>
+  `${values
+    .map((value) => {
+      const cell = value === null || value === undefined ? '' : String(value);
+      return /[",;\r\n]/.test(cell) || cell !== cell.trim() ? `"${cell.replace(/"/g, '""')}"` : cell;
+    })
+    .join(delimiter)}\r\n`;
+
+module.exports = {
+  detectDelimiter,
+  parseRecords,
+  parseCsv,
+  formatCsvLine,
+};
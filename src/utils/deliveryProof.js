@@ -0,0 +1,55 @@
+/**
+ * Preuves de remise : code de retrait chez le commerçant, code PIN remis au client,
+ * photo et signature transmises en data URI.
+ */
+const crypto = require('crypto');
+
+const imageTypes = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Sans caractères ambigus à la saisie (0/O, 1/I)
+const pickupCodeAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Générer un code PIN de livraison à 4 chiffres.
+ * @returns {string}
+ */
+const generatePin = () => String(crypto.randomInt(0, 10000)).padStart(4, '0');
+
+/**
+ * Générer un code de retrait de 6 caractères, affiché par le commerçant (ou imprimé en QR code).
+ * @returns {string}
+ */
+const generatePickupCode = () =>
+  Array.from({ length: 6 }, () => pickupCodeAlphabet[crypto.randomInt(0, pickupCodeAlphabet.length)]).join('');
+
+/**
+ * Comparer un code de retrait saisi au code attendu, sans tenir compte de la casse ni des espaces.
+ * @param {string} input
+ * @param {string} expected
+ * @returns {boolean}
+ */
+const matchesPickupCode = (input, expected) =>
+  Boolean(expected) &&
+  String(input || '')
+    .replace(/\s/g, '')
+    .toUpperCase() === expected;
+
+/**
+ * Décoder une image transmise en data URI base64 (`data:image/png;base64,...`).
+ * @param {string} dataUri
+ * @returns {{contentType: string, data: Buffer, size: Number}|null} - null si le format ou le type n'est pas accepté
+ */
+const parseImageDataUri = (dataUri) => {
+  const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/]+={0,2})$/.exec(dataUri || '');
+  if (!match || !imageTypes.includes(match[1])) return null;
+  const data = Buffer.from(match[2], 'base64');
+  return { contentType: match[1], data, size: data.length };
+};
+
+module.exports = {
+  imageTypes,
+  generatePin,
+  generatePickupCode,
+  matchesPickupCode,
+  parseImageDataUri,
+};
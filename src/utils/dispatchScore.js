@@ -0,0 +1,60 @@
+/**
+ * Classement des livreurs candidats à une course.
+ * Chaque critère est ramené entre 0 et 1 puis pondéré : le score final est compris entre 0 et 1.
+ */
+
+const dispatchWeights = {
+  proximity: 0.5, // Distance au point de retrait
+  availability: 0.25, // Courses déjà en cours
+  speed: 0.15, // Temps moyen de livraison
+  experience: 0.1, // Courses déjà effectuées
+};
+
+// Temps moyen de livraison (minutes) en deçà duquel le critère de rapidité est plein
+const REFERENCE_DELIVERY_TIME = 30;
+// Nombre de courses à partir duquel l'expérience est pleine
+const EXPERIENCED_DELIVERIES = 50;
+
+/**
+ * Scorer un candidat.
+ * @param {Object} candidate
+ * @param {Number} candidate.distance - Distance au point de retrait, en kilomètres
+ * @param {Number} candidate.activeDeliveries - Courses en cours
+ * @param {Object} [candidate.performance] - `deliveriesCompleted` et `averageDeliveryTime` (minutes)
+ * @param {Object} limits
+ * @param {Number} limits.maxDistanceKm
+ * @param {Number} limits.maxActiveDeliveries
+ * @returns {Number|null} - `null` si le candidat est trop loin ou trop chargé
+ */
+const scoreCandidate = ({ distance, activeDeliveries = 0, performance = {} }, { maxDistanceKm, maxActiveDeliveries }) => {
+  if (distance > maxDistanceKm || activeDeliveries >= maxActiveDeliveries) return null;
+
+  const { deliveriesCompleted = 0, averageDeliveryTime = 0 } = performance;
+  const criteria = {
+    proximity: 1 - distance / maxDistanceKm,
+    availability: 1 / (1 + activeDeliveries),
+    // Sans historique, le livreur n'est ni favorisé ni pénalisé
+    speed: averageDeliveryTime > 0 ? Math.min(1, REFERENCE_DELIVERY_TIME / averageDeliveryTime) : 0.5,
+    experience: Math.min(deliveriesCompleted, EXPERIENCED_DELIVERIES) / EXPERIENCED_DELIVERIES,
+  };
+  const score = Object.entries(dispatchWeights).reduce((acc, [criterion, weight]) => acc + criteria[criterion] * weight, 0);
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Classer les candidats éligibles, du meilleur au moins bon (à score égal, le plus proche d'abord).
+ * @param {Array<Object>} candidates - Voir `scoreCandidate`
+ * @param {Object} limits
+ * @returns {Array<Object>} - Candidats éligibles enrichis de leur `score`
+ */
+const rankCandidates = (candidates, limits) =>
+  candidates
+    .map((candidate) => ({ ...candidate, score: scoreCandidate(candidate, limits) }))
+    .filter((candidate) => candidate.score !== null)
+    .sort((a, b) => b.score - a.score || a.distance - b.distance);
+
+module.exports = {
+  dispatchWeights,
+  scoreCandidate,
+  rankCandidates,
+};
@@ -0,0 +1,61 @@
+/**
+ * Estimation de l'heure de livraison.
+ * Une commande est prête après sa préparation ; le livreur la retire dès qu'il est arrivé chez le commerçant
+ * et qu'elle est prête, puis rejoint le client. Les trajets sont estimés à partir de la distance et du profil de vitesse,
+ * corrigés par l'historique du livreur.
+ */
+const { isPeakTime } = require('./courierPay');
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Vitesse moyenne applicable à une date (heures de pointe ou non).
+ * @param {Date} date
+ * @param {Object} profile - `speedKmh`, `peakSpeedKmh`, `peakHours`, `timezone`
+ * @returns {Number} - Vitesse en km/h
+ */
+const getSpeedKmh = (date, { speedKmh, peakSpeedKmh, peakHours, timezone }) =>
+  isPeakTime(date, peakHours, timezone) ? peakSpeedKmh : speedKmh;
+
+/**
+ * Coefficient appliqué aux trajets d'un livreur selon son temps moyen de course.
+ * Un livreur plus lent que la référence voit ses trajets allongés, dans la limite de [0,5 ; 2].
+ * @param {Object} [performance] - `deliveriesCompleted` et `averageDeliveryTime` (minutes)
+ * @param {Object} options - `referenceDeliveryMinutes`, `historyWeight` (0 à 1)
+ * @returns {Number}
+ */
+const getHistoryFactor = (performance, { referenceDeliveryMinutes, historyWeight }) => {
+  const { deliveriesCompleted = 0, averageDeliveryTime = 0 } = performance || {};
+  if (!deliveriesCompleted || !(averageDeliveryTime > 0)) return 1;
+  const ratio = Math.min(2, Math.max(0.5, averageDeliveryTime / referenceDeliveryMinutes));
+  return 1 + historyWeight * (ratio - 1);
+};
+
+/**
+ * Estimer l'heure de livraison.
+ * @param {Object} input
+ * @param {Date} input.now
+ * @param {Number} input.preparationMinutes - Préparation restante
+ * @param {Number|null} input.toPickupKm - Distance livreur -> commerçant (null : pas encore de livreur)
+ * @param {Number} input.toDropoffKm - Distance restante jusqu'au client
+ * @param {Object} [input.performance] - Historique du livreur
+ * @param {Object} options - Profil de vitesse et paramètres (voir `config.eta`)
+ * @returns {{estimatedAt: Date, minutes: Number, breakdown: {preparation: Number, toPickup: Number, toDropoff: Number}}}
+ */
+const estimateEta = ({ now, preparationMinutes, toPickupKm, toDropoffKm, performance }, options) => {
+  const minutesPerKm = (60 / getSpeedKmh(now, options)) * getHistoryFactor(performance, options);
+  const toPickup = toPickupKm === null ? options.assignmentMinutes : toPickupKm * minutesPerKm;
+  const toDropoff = toDropoffKm * minutesPerKm;
+  const minutes = round1(Math.max(preparationMinutes, toPickup) + toDropoff);
+  return {
+    estimatedAt: new Date(now.getTime() + minutes * 60 * 1000),
+    minutes,
+    breakdown: { preparation: round1(preparationMinutes), toPickup: round1(toPickup), toDropoff: round1(toDropoff) },
+  };
+};
+
+module.exports = {
+  getSpeedKmh,
+  getHistoryFactor,
+  estimateEta,
+};
@@ -0,0 +1,77 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (value) => (value * Math.PI) / 180;
+
+const isPoint = (value) => Boolean(value) && value.type === 'Point' && Array.isArray(value.coordinates);
+
+/**
+ * Convertir des coordonnées `{latitude, longitude}` en point GeoJSON.
+ * Un point GeoJSON est renvoyé tel quel.
+ * @param {{latitude: Number, longitude: Number}|{type: string, coordinates: Array<Number>}} value
+ * @returns {{type: string, coordinates: Array<Number>}} - Coordonnées dans l'ordre GeoJSON [longitude, latitude]
+ */
+const toPoint = (value) => {
+  if (!value || isPoint(value)) return value;
+  return { type: 'Point', coordinates: [value.longitude, value.latitude] };
+};
+
+/**
+ * Convertir un point GeoJSON en coordonnées `{latitude, longitude}`.
+ * @param {{type: string, coordinates: Array<Number>}|{latitude: Number, longitude: Number}} value
+ * @returns {{latitude: Number, longitude: Number}}
+ */
+const toLatLng = (value) => {
+  if (!isPoint(value)) return value;
+  const [longitude, latitude] = value.coordinates;
+  return { latitude, longitude };
+};
+
+/**
+ * Distance à vol d'oiseau entre deux points (formule de haversine).
+ * Accepte indifféremment des coordonnées `{latitude, longitude}` ou des points GeoJSON.
+ * @param {Object} origin
+ * @param {Object} destination
+ * @returns {Number} - Distance en kilomètres
+ */
+const getDistanceKm = (origin, destination) => {
+  const from = toLatLng(origin);
+  const to = toLatLng(destination);
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLon = toRad(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Condition `$near` sur un champ indexé en 2dsphere : résultats triés du plus proche au plus lointain.
+ * @param {Object} point - Point de référence
+ * @param {Number} [maxDistanceKm] - Rayon maximal
+ * @returns {Object}
+ */
+const near = (point, maxDistanceKm) => ({
+  $near: {
+    $geometry: toPoint(point),
+    ...(maxDistanceKm !== undefined && { $maxDistance: maxDistanceKm * 1000 }),
+  },
+});
+
+/**
+ * Condition `$geoWithin` : points situés dans un cercle, sans tri.
+ * Contrairement à `$near`, elle est utilisable dans les filtres de mise à jour et n'exige pas d'index.
+ * @param {Object} point - Centre du cercle
+ * @param {Number} radiusKm - Rayon
+ * @returns {Object}
+ */
+const withinRadius = (point, radiusKm) => ({
+  $geoWithin: { $centerSphere: [toPoint(point).coordinates, radiusKm / EARTH_RADIUS_KM] },
+});
+
+module.exports = {
+  toPoint,
+  toLatLng,
+  getDistanceKm,
+  near,
+  withinRadius,
+};
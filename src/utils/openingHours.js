@@ -0,0 +1,239 @@
+/**
+ * Horaires d'ouverture d'un commerçant : créneaux hebdomadaires en heure locale (fuseau IANA),
+ * fermetures exceptionnelles et pause manuelle des commandes.
+ * Un commerçant sans créneau hebdomadaire est considéré ouvert en permanence.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Horizon de recherche de la prochaine ouverture
+const HORIZON_DAYS = 14;
+
+const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Formateurs par fuseau : leur création est coûteuse
+const formatters = new Map();
+
+/**
+ * Vérifier qu'un fuseau horaire IANA est connu.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Convertir une heure `HH:mm` en minutes depuis minuit.
+ * @param {string} time
+ * @returns {Number}
+ */
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Date et heure locales d'un instant dans un fuseau horaire.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: Number, month: Number, day: Number, weekday: Number, minutes: Number}} - `weekday` : 0 = dimanche
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short',
+        hourCycle: 'h23',
+      })
+    );
+  }
+  const parts = formatters
+    .get(timeZone)
+    .formatToParts(date)
+    .reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: weekdays[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Décalage (minutes) entre l'heure locale d'un fuseau et UTC à un instant donné.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Number}
+ */
+const getOffsetMinutes = (date, timeZone) => {
+  const { year, month, day, minutes } = getZonedParts(date, timeZone);
+  const local = Date.UTC(year, month - 1, day, 0, minutes);
+  return Math.round((local - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+};
+
+/**
+ * Instant correspondant à une heure locale dans un fuseau (changements d'heure compris).
+ * @param {{year: Number, month: Number, day: Number}} date - Date locale
+ * @param {Number} minutes - Minutes depuis minuit (au-delà de 1440 : jours suivants)
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day }, minutes, timeZone) => {
+  const local = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = local - getOffsetMinutes(new Date(local), timeZone) * 60000;
+  return new Date(local - getOffsetMinutes(new Date(guess), timeZone) * 60000);
+};
+
+/**
+ * Retirer les fermetures exceptionnelles d'une liste d'intervalles.
+ * @param {Array<{start: Date, end: Date}>} intervals
+ * @param {Array<{from: Date, to: Date}>} closures
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+const subtractClosures = (intervals, closures) =>
+  closures.reduce(
+    (remaining, closure) =>
+      remaining.flatMap(({ start, end }) => {
+        if (closure.to <= start || closure.from >= end) return [{ start, end }];
+        return [
+          ...(closure.from > start ? [{ start, end: new Date(closure.from) }] : []),
+          ...(closure.to < end ? [{ start: new Date(closure.to), end }] : []),
+        ];
+      }),
+    intervals
+  );
+
+/**
+ * Périodes d'ouverture autour d'un instant (de la veille à l'horizon de recherche), fermetures déduites.
+ * @param {Object} schedule - `timezone`, `openingHours`, `closures`
+ * @param {Date} now
+ * @returns {Array<{start: Date, end: Date}>} - Triées et fusionnées
+ */
+const getOpeningIntervals = ({ timezone, openingHours = [], closures = [] }, now) => {
+  let intervals;
+  if (openingHours.length === 0) {
+    intervals = [{ start: new Date(now.getTime() - DAY_MS), end: new Date(now.getTime() + HORIZON_DAYS * DAY_MS) }];
+  } else {
+    const today = getZonedParts(now, timezone);
+    intervals = [];
+    for (let offset = -1; offset <= HORIZON_DAYS; offset += 1) {
+      const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      const date = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+      openingHours
+        .filter((slot) => slot.day === day.getUTCDay())
+        .forEach(({ open, close }) => {
+          const opening = parseTime(open);
+          const closing = parseTime(close);
+          // Une fermeture antérieure ou égale à l'ouverture se situe le lendemain (ex. 18:00-02:00)
+          intervals.push({
+            start: zonedTimeToUtc(date, opening, timezone),
+            end: zonedTimeToUtc(date, closing <= opening ? closing + 1440 : closing, timezone),
+          });
+        });
+    }
+  }
+
+  return subtractClosures(
+    intervals.sort((a, b) => a.start - b.start),
+    closures.map((closure) => ({ from: new Date(closure.from), to: new Date(closure.to) }))
+  ).reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+      return merged;
+    }
+    return [...merged, { ...interval }];
+  }, []);
+};
+
+/**
+ * État d'ouverture d'un commerçant à un instant donné.
+ * @param {Object} schedule
+ * @param {string} schedule.timezone - Fuseau IANA des horaires
+ * @param {Array<{day: Number, open: string, close: string}>} [schedule.openingHours] - Créneaux hebdomadaires (0 = dimanche)
+ * @param {Array<{from: Date, to: Date}>} [schedule.closures] - Fermetures exceptionnelles
+ * @param {Boolean} [schedule.ordersPaused] - Commandes suspendues manuellement
+ * @param {Date} [now]
+ * @returns {{isOpen: Boolean, reason: string|null, closesAt: Date|null, nextOpeningAt: Date|null}}
+ *   `reason` : `paused`, `closure` ou `outside_hours` ; `nextOpeningAt` est null en pause ou au-delà de l'horizon
+ */
+const getAvailability = (schedule, now = new Date()) => {
+  const intervals = getOpeningIntervals(schedule, now);
+  const current = intervals.find((interval) => interval.start <= now && interval.end > now);
+  const next = intervals.find((interval) => interval.start > now);
+  const horizon = now.getTime() + HORIZON_DAYS * DAY_MS;
+
+  if (schedule.ordersPaused) {
+    return { isOpen: false, reason: 'paused', closesAt: null, nextOpeningAt: null };
+  }
+  if (current) {
+    return {
+      isOpen: true,
+      reason: null,
+      closesAt: current.end.getTime() < horizon ? current.end : null,
+      nextOpeningAt: null,
+    };
+  }
+  const inClosure = (schedule.closures || []).some((closure) => new Date(closure.from) <= now && new Date(closure.to) > now);
+  return {
+    isOpen: false,
+    reason: inClosure ? 'closure' : 'outside_hours',
+    closesAt: null,
+    nextOpeningAt: next ? next.start : null,
+  };
+};
+
+/**
+ * Le commerçant est-il ouvert à un instant donné (pause manuelle ignorée) ?
+ * @param {Object} schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+const isOpenAt = (schedule, date) =>
+  getOpeningIntervals(schedule, date).some((interval) => interval.start <= date && interval.end > date);
+
+/**
+ * Créneaux de livraison contenus dans les périodes d'ouverture (pause manuelle ignorée).
+ * Les créneaux sont alignés sur des multiples de leur durée.
+ * @param {Object} schedule
+ * @param {Object} options
+ * @param {Date} options.from - Début au plus tôt du premier créneau
+ * @param {Date} options.to - Début au plus tard du dernier créneau (dans l'horizon de recherche)
+ * @param {Number} options.slotMinutes - Durée d'un créneau
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+const getDeliverySlots = (schedule, { from, to, slotMinutes }) => {
+  const slotMs = slotMinutes * 60000;
+  return getOpeningIntervals(schedule, from).flatMap((interval) => {
+    const slots = [];
+    let start = Math.ceil(Math.max(interval.start.getTime(), from.getTime()) / slotMs) * slotMs;
+    while (start + slotMs <= interval.end.getTime() && start <= to.getTime()) {
+      slots.push({ start: new Date(start), end: new Date(start + slotMs) });
+      start += slotMs;
+    }
+    return slots;
+  });
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  getOpeningIntervals,
+  getAvailability,
+  isOpenAt,
+  getDeliverySlots,
+};
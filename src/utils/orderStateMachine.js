@@ -0,0 +1,93 @@
+const httpStatus = require('http-status');
+const ApiError = require('./ApiError');
+
+const orderStatuses = ['scheduled', 'pending', 'accepted', 'in_progress', 'picked_up', 'completed', 'cancelled'];
+
+/**
+ * Transitions autorisées : statut courant -> statut cible -> rôles habilités.
+ * Le rôle `system` désigne les transitions déclenchées par la plateforme elle-même
+ * (webhooks de paiement, fin de livraison, tâches planifiées...).
+ */
+const orderTransitions = {
+  // Commande programmée : transmise au commerçant (`pending`) peu avant son créneau de livraison
+  scheduled: {
+    pending: ['admin', 'system'],
+    cancelled: ['client', 'merchant', 'admin', 'system'],
+  },
+  pending: {
+    accepted: ['merchant', 'admin'],
+    cancelled: ['client', 'merchant', 'admin', 'system'],
+  },
+  // `in_progress` signifie qu'un livreur a pris la course : seule l'affectation de la livraison y mène
+  accepted: {
+    in_progress: ['livreur', 'admin', 'system'],
+    cancelled: ['merchant', 'admin', 'system'],
+  },
+  // La commande n'est remise au client qu'après son retrait chez le commerçant
+  in_progress: {
+    picked_up: ['livreur', 'admin', 'system'],
+    cancelled: ['admin', 'system'],
+  },
+  picked_up: {
+    completed: ['livreur', 'admin', 'system'],
+    cancelled: ['admin', 'system'],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+/**
+ * Statuts atteignables depuis un statut donné.
+ * @param {string} from - Statut courant
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (from) => Object.keys(orderTransitions[from] || {});
+
+/**
+ * Vérifier qu'une transition existe dans la machine à états.
+ * @param {string} from - Statut courant
+ * @param {string} to - Statut cible
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Vérifier qu'un rôle peut déclencher une transition.
+ * @param {string} from - Statut courant
+ * @param {string} to - Statut cible
+ * @param {string} role - Rôle de l'acteur
+ * @returns {boolean}
+ */
+const canRoleTransition = (from, to, role) => canTransition(from, to) && orderTransitions[from][to].includes(role);
+
+/**
+ * Lever une ApiError si la transition est invalide ou interdite pour ce rôle.
+ * @param {string} from - Statut courant
+ * @param {string} to - Statut cible
+ * @param {string} role - Rôle de l'acteur
+ * @throws {ApiError} - 400 ORDER_INVALID_STATUS, 409 ORDER_INVALID_TRANSITION ou 403 ORDER_TRANSITION_FORBIDDEN
+ */
+const assertTransition = (from, to, role) => {
+  if (!orderStatuses.includes(to)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Statut de commande invalide : ${to}`).withCode('ORDER_INVALID_STATUS');
+  }
+  if (!canTransition(from, to)) {
+    throw new ApiError(httpStatus.CONFLICT, `Transition de commande invalide : ${from} -> ${to}`).withCode(
+      'ORDER_INVALID_TRANSITION'
+    );
+  }
+  if (!canRoleTransition(from, to, role)) {
+    throw new ApiError(httpStatus.FORBIDDEN, `Le rôle ${role} ne peut pas passer une commande de ${from} à ${to}`).withCode(
+      'ORDER_TRANSITION_FORBIDDEN'
+    );
+  }
+};
+
+module.exports = {
+  orderStatuses,
+  orderTransitions,
+  getAllowedTransitions,
+  canTransition,
+  canRoleTransition,
+  assertTransition,
+};
@@ -0,0 +1,179 @@
+const httpStatus = require('http-status');
+const ApiError = require('./ApiError');
+
+/**
+ * Moteur de tarification commun aux paniers et aux commandes.
+ * Les montants sont calculés en centimes pour que la somme des remises par ligne
+ * soit toujours égale à la remise globale.
+ *
+ * Une ligne a la forme `{ productId, quantity, price, merchant }` (prix unitaire catalogue).
+ */
+
+const promotionRejectionMessages = {
+  PROMOTION_INACTIVE: 'Cette promotion n’est plus active',
+  PROMOTION_EXPIRED: 'Cette promotion a expiré',
+  PROMOTION_USAGE_LIMIT_REACHED: 'Cette promotion a atteint sa limite d’utilisation',
+  PROMOTION_USER_LIMIT_REACHED: 'Vous avez déjà utilisé cette promotion le nombre de fois autorisé',
+  PROMOTION_WRONG_MERCHANT: 'Cette promotion ne concerne aucun commerçant de votre commande',
+  PROMOTION_REGION_MISMATCH: 'Cette promotion n’est pas valable dans votre région',
+  PROMOTION_NO_APPLICABLE_PRODUCTS: 'Aucun produit de votre commande n’est concerné par cette promotion',
+  PROMOTION_MIN_BASKET_NOT_REACHED: 'Le montant minimum de commande pour cette promotion n’est pas atteint',
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Lignes de la commande concernées par une promotion (bon commerçant et, si précisé, bons produits).
+ * @param {Object} promotion
+ * @param {Array<Object>} lines
+ * @returns {Array<Object>}
+ */
+const getEligibleLines = (promotion, lines) =>
+  lines.filter(
+    (line) =>
+      sameId(line.merchant, promotion.merchant) &&
+      (!promotion.applicableProducts ||
+        promotion.applicableProducts.length === 0 ||
+        promotion.applicableProducts.some((productId) => sameId(productId, line.productId)))
+  );
+
+/**
+ * Nombre d'utilisations d'une promotion par un utilisateur.
+ * @param {Object} promotion
+ * @param {ObjectId} userId
+ * @returns {Number}
+ */
+const countUserRedemptions = (promotion, userId) =>
+  (promotion.redemptionHistory || []).filter((redemption) => sameId(redemption.userId, userId)).length;
+
+/**
+ * Déterminer pourquoi une promotion ne peut pas s'appliquer.
+ * @param {Object} promotion
+ * @param {Object} context
+ * @param {Array<Object>} context.lines - Lignes valorisées
+ * @param {ObjectId} [context.userId] - Utilisateur qui commande
+ * @param {Array<string>} [context.regions] - Régions de livraison (ville, code postal, pays...)
+ * @param {Date} [context.now]
+ * @returns {string|null} - Code de rejet, ou `null` si la promotion s'applique
+ */
+const getPromotionRejection = (promotion, { lines, userId, regions = [], now = new Date() }) => {
+  if (!promotion.isActive) return 'PROMOTION_INACTIVE';
+  if (promotion.expirationDate && now > promotion.expirationDate) return 'PROMOTION_EXPIRED';
+  if (promotion.usageLimit <= promotion.usedCount) return 'PROMOTION_USAGE_LIMIT_REACHED';
+  if (promotion.usageLimitPerUser && userId && countUserRedemptions(promotion, userId) >= promotion.usageLimitPerUser) {
+    return 'PROMOTION_USER_LIMIT_REACHED';
+  }
+
+  const merchantLines = lines.filter((line) => sameId(line.merchant, promotion.merchant));
+  if (merchantLines.length === 0) return 'PROMOTION_WRONG_MERCHANT';
+
+  if (promotion.applicableRegions && promotion.applicableRegions.length > 0) {
+    const wanted = promotion.applicableRegions.map((region) => region.toLowerCase());
+    if (!regions.some((region) => region && wanted.includes(String(region).toLowerCase()))) {
+      return 'PROMOTION_REGION_MISMATCH';
+    }
+  }
+
+  if (getEligibleLines(promotion, merchantLines).length === 0) return 'PROMOTION_NO_APPLICABLE_PRODUCTS';
+
+  const merchantSubtotal = merchantLines.reduce((acc, line) => acc + toCents(line.price) * line.quantity, 0);
+  if (promotion.minBasketValue && merchantSubtotal < toCents(promotion.minBasketValue)) {
+    return 'PROMOTION_MIN_BASKET_NOT_REACHED';
+  }
+  return null;
+};
+
+/**
+ * Lever une ApiError 400 si la promotion ne peut pas s'appliquer.
+ * @param {Object} promotion
+ * @param {Object} context - Voir `getPromotionRejection`
+ * @throws {ApiError}
+ */
+const assertPromotionApplicable = (promotion, context) => {
+  const rejection = getPromotionRejection(promotion, context);
+  if (rejection) {
+    throw new ApiError(httpStatus.BAD_REQUEST, promotionRejectionMessages[rejection]).withCode(rejection);
+  }
+};
+
+/**
+ * Montant de remise (en centimes) pour un sous-total éligible, plafonné par `maxDiscount` et par le sous-total.
+ * @param {Object} promotion
+ * @param {Number} eligibleCents
+ * @returns {Number}
+ */
+const computeDiscountCents = (promotion, eligibleCents) => {
+  let discount =
+    promotion.discountType === 'percentage'
+      ? Math.round((eligibleCents * promotion.discountValue) / 100)
+      : toCents(promotion.discountValue);
+  if (promotion.maxDiscount) {
+    discount = Math.min(discount, toCents(promotion.maxDiscount));
+  }
+  return Math.min(discount, eligibleCents);
+};
+
+/**
+ * Valoriser des lignes et répartir la remise d'une promotion au prorata des lignes éligibles.
+ * L'éligibilité (dates, limites, panier minimum...) doit avoir été vérifiée au préalable.
+ * @param {Array<Object>} lines - Lignes valorisées
+ * @param {Object} [promotion] - Promotion à appliquer
+ * @returns {{lines: Array<Object>, subtotal: Number, discount: Number, total: Number}}
+ */
+const priceLines = (lines, promotion) => {
+  const subtotals = lines.map((line) => toCents(line.price) * line.quantity);
+  const eligible = promotion ? getEligibleLines(promotion, lines) : [];
+  const eligibleIndexes = lines.map((line, index) => (eligible.includes(line) ? index : -1)).filter((i) => i !== -1);
+  const eligibleCents = eligibleIndexes.reduce((acc, index) => acc + subtotals[index], 0);
+  const discountCents = promotion && eligibleCents > 0 ? computeDiscountCents(promotion, eligibleCents) : 0;
+
+  // Répartition au prorata (méthode du plus fort reste) : les centimes d'arrondi vont aux plus grandes fractions
+  const discounts = lines.map(() => 0);
+  const shares = eligibleIndexes.map((index) => {
+    const exact = eligibleCents ? (discountCents * subtotals[index]) / eligibleCents : 0;
+    discounts[index] = Math.floor(exact);
+    return { index, fraction: exact - Math.floor(exact) };
+  });
+  let remaining = discountCents - discounts.reduce((acc, value) => acc + value, 0);
+  shares
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        discounts[index] += 1;
+        remaining -= 1;
+      }
+    });
+
+  const subtotal = subtotals.reduce((acc, value) => acc + value, 0);
+  return {
+    lines: lines.map((line, index) => ({
+      ...line,
+      subtotal: fromCents(subtotals[index]),
+      discount: fromCents(discounts[index]),
+      total: fromCents(subtotals[index] - discounts[index]),
+    })),
+    subtotal: fromCents(subtotal),
+    discount: fromCents(discountCents),
+    total: fromCents(subtotal - discountCents),
+  };
+};
+
+/**
+ * Régions candidates d'une adresse de livraison, pour la comparaison avec `applicableRegions`.
+ * @param {Object} [address]
+ * @returns {Array<string>}
+ */
+const getAddressRegions = (address) => (address ? [address.city, address.postalCode, address.country].filter(Boolean) : []);
+
+module.exports = {
+  promotionRejectionMessages,
+  getEligibleLines,
+  countUserRedemptions,
+  getPromotionRejection,
+  assertPromotionApplicable,
+  priceLines,
+  getAddressRegions,
+};
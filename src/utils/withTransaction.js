@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Actions différées au commit, par session ouverte par `withTransaction`
+const commitCallbacks = new WeakMap();
+
+/**
+ * Exécuter `fn` dans une transaction MongoDB : commit si tout réussit, rollback à la moindre erreur.
+ * Le pilote rejoue toute la transaction sur une erreur `TransientTransactionError` (conflit d'écriture,
+ * élection...) et le seul commit sur `UnknownTransactionCommitResult`, dans la limite de 120 secondes :
+ * `fn` peut donc être exécutée plusieurs fois et ne doit agir qu'au travers de la session.
+ * Les actions différées par `afterCommit` sont exécutées après le commit, et abandonnées avec leur tentative.
+ * Nécessite une base déployée en replica set.
+ * @param {Function} fn - Reçoit la session à propager à chaque opération
+ * @returns {Promise<*>} - Valeur retournée par `fn` lors de la tentative validée
+ */
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  let callbacks = [];
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      callbacks = [];
+      commitCallbacks.set(session, callbacks);
+      result = await fn(session);
+    });
+  } finally {
+    commitCallbacks.delete(session);
+    session.endSession();
+  }
+  await Promise.all(callbacks.map((callback) => callback()));
+  return result;
+};
+
+/**
+ * Différer une action après le commit de la transaction de `session` ; sans session, elle est exécutée aussitôt.
+ * L'action ne doit pas utiliser la session, terminée au moment de son exécution.
+ * @param {ClientSession} [session]
+ * @param {Function} callback
+ * @returns {Promise<*>} - Résultat de l'action exécutée aussitôt, `undefined` si elle est différée
+ */
+const afterCommit = async (session, callback) => {
+  const callbacks = session && commitCallbacks.get(session);
+  if (!callbacks) return callback();
+  callbacks.push(callback);
+};
+
+module.exports = withTransaction;
+module.exports.afterCommit = afterCommit;
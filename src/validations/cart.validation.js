@@ -48,10 +48,52 @@ const getCartDetails = {
   // Aucune donnée spécifique nécessaire pour récupérer les détails du panier
 };
 
+const applyPromotion = {
+  body: Joi.object().keys({
+    code: Joi.string().trim().required().messages({
+      'string.empty': 'Le code promotionnel est requis',
+      'any.required': 'Le code promotionnel est requis',
+    }),
+    // Nécessaire pour les promotions limitées à certaines régions
+    deliveryAddress: Joi.object().keys({
+      street: Joi.string(),
+      city: Joi.string(),
+      postalCode: Joi.string(),
+      country: Joi.string(),
+    }),
+  }),
+};
+
+const removePromotion = {
+  // Aucune donnée spécifique nécessaire pour retirer le code promotionnel
+};
+
+const checkout = {
+  body: Joi.object().keys({
+    deliveryAddress: Joi.object().keys({
+      street: Joi.string().required(),
+      city: Joi.string().required(),
+      postalCode: Joi.string().required(),
+      country: Joi.string().required(),
+      coordinates: Joi.object().keys({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required(),
+      }),
+    }),
+    notes: Joi.string().max(500).messages({
+      'string.max': 'Les instructions ne doivent pas dépasser 500 caractères',
+    }),
+    deliverySlot: Joi.date().iso(),
+  }),
+};
+
 module.exports = {
   addToCart,
   updateCartItem,
   removeFromCart,
   clearCart,
   getCartDetails,
+  applyPromotion,
+  removePromotion,
+  checkout,
 };
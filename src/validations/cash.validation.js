@@ -0,0 +1,38 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+// Validation pour le rapprochement de fin de service
+const reconcileCash = {
+  body: Joi.object().keys({
+    declaredAmount: Joi.number().min(0).precision(2).required().description('Espèces remises par le livreur'),
+    note: Joi.string().trim().max(500).description('Commentaire du livreur'),
+  }),
+};
+
+// Validation pour lister les rapprochements
+const getReconciliations = {
+  query: Joi.object().keys({
+    status: Joi.string().valid('balanced', 'discrepancy', 'resolved'),
+    livreur: Joi.string().custom(objectId),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+// Validation pour résoudre un écart de caisse
+const resolveReconciliation = {
+  params: Joi.object().keys({
+    reconciliationId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    note: Joi.string().trim().required().description('Justification de la décision'),
+    writeOff: Joi.number().min(0).precision(2).description('Montant abandonné, déduit du solde du livreur'),
+  }),
+};
+
+module.exports = {
+  reconcileCash,
+  getReconciliations,
+  resolveReconciliation,
+};
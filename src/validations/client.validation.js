@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validation');
+const { returnRequestBody } = require('./returnRequest.validation');
 
 const createClient = {
   body: Joi.object().keys({
@@ -138,10 +139,7 @@ const requestRefund = {
   params: Joi.object().keys({
     clientId: Joi.string().required().custom(objectId),
   }),
-  body: Joi.object().keys({
-    orderId: Joi.string().required().custom(objectId),
-    reason: Joi.string().required(),
-  }),
+  body: Joi.object().keys(returnRequestBody),
 };
 
 const addRating = {
@@ -28,6 +28,15 @@ const getDeliveryById = {
   }),
 };
 
+// Preuve de livraison, exigée pour le passage à `delivered`
+const proofOfDelivery = {
+  pin: Joi.string()
+    .pattern(/^\d{4}$/)
+    .description('Code à 4 chiffres communiqué par le client'),
+  photo: Joi.string().dataUri().description('Photo de la remise (data URI base64 : jpeg, png ou webp)'),
+  signature: Joi.string().dataUri().description('Signature du client (data URI base64 : jpeg, png ou webp)'),
+};
+
 // Validation pour mettre à jour le statut d'une livraison
 const updateDeliveryStatus = {
   params: Joi.object().keys({
@@ -35,10 +44,8 @@ const updateDeliveryStatus = {
   }),
   body: Joi.object()
     .keys({
-      status: Joi.string()
-        .valid('pending', 'in_progress', 'delivered', 'cancelled')
-        .required()
-        .description('Nouveau statut de la livraison'),
+      status: Joi.string().valid('delivered').required().description('Nouveau statut de la livraison'),
+      ...proofOfDelivery,
     })
     .required(),
 };
@@ -50,18 +57,6 @@ const deleteDelivery = {
   }),
 };
 
-// Validation pour assigner une livraison à un livreur
-const assignDelivery = {
-  params: Joi.object().keys({
-    deliveryId: Joi.string().custom(objectId).required().description('ID de la livraison'),
-  }),
-  body: Joi.object()
-    .keys({
-      livreurId: Joi.string().custom(objectId).required().description('ID du livreur à assigner'),
-    })
-    .required(),
-};
-
 // Validation pour obtenir les statistiques des livraisons
 const getDeliveryStats = {
   query: Joi.object().keys({
@@ -103,12 +98,53 @@ const getDeliveryHistory = {
   }),
 };
 
+// Validation pour laisser un pourboire au livreur
+const tipDelivery = {
+  params: Joi.object().keys({
+    deliveryId: Joi.string().custom(objectId).required().description('ID de la livraison'),
+  }),
+  body: Joi.object()
+    .keys({
+      amount: Joi.number().positive().precision(2).max(100).required().description('Montant du pourboire'),
+      method: Joi.string().valid('credit_card', 'paypal').default('credit_card').description('Moyen de paiement'),
+      source: Joi.string().description('Jeton du moyen de paiement transmis au prestataire'),
+    })
+    .required(),
+};
+
+// Validation pour consulter l'historique du dispatch d'une livraison
+const getDeliveryOffers = {
+  params: Joi.object().keys({
+    deliveryId: Joi.string().custom(objectId).required().description('ID de la livraison'),
+  }),
+};
+
+// Validation pour mesurer la précision des heures de livraison estimées
+const getEtaAccuracy = {
+  query: Joi.object().keys({
+    from: Joi.date().iso().description('Livraisons à partir de'),
+    to: Joi.date().iso().min(Joi.ref('from')).description('Livraisons jusqu’à'),
+  }),
+};
+
+// Validation pour consulter une pièce de la preuve de livraison
+const getDeliveryProof = {
+  params: Joi.object().keys({
+    deliveryId: Joi.string().custom(objectId).required().description('ID de la livraison'),
+    kind: Joi.string().valid('photo', 'signature').required(),
+  }),
+};
+
 module.exports = {
+  proofOfDelivery,
   createDelivery,
   getDeliveryById,
   updateDeliveryStatus,
+  getDeliveryProof,
+  tipDelivery,
+  getDeliveryOffers,
+  getEtaAccuracy,
   deleteDelivery,
-  assignDelivery,
   getDeliveryStats,
   calculateDeliveryDistance,
   getDeliveryHistory,
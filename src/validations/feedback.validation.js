@@ -71,9 +71,44 @@ const deleteFeedback = {
   }),
 };
 
+const getUserFeedbacks = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId).optional(),
+  }),
+  query: Joi.object().keys({
+    sortBy: Joi.string().optional(),
+    order: Joi.string().valid('asc', 'desc').optional(),
+    page: Joi.number().integer().min(1).optional().messages({
+      'number.min': 'Le numéro de page doit être au moins de 1',
+    }),
+    limit: Joi.number().integer().min(1).optional().messages({
+      'number.min': 'La limite doit être au moins de 1',
+    }),
+  }),
+};
+
+const getFeedbacksByPriority = {
+  params: Joi.object().keys({
+    priority: Joi.string().valid('low', 'medium', 'high').required().messages({
+      'any.only': 'La priorité doit être low, medium ou high',
+    }),
+  }),
+};
+
+const getFeedbacksByStatus = {
+  params: Joi.object().keys({
+    status: Joi.string().valid('pending', 'in_progress', 'resolved').required().messages({
+      'any.only': 'Le statut doit être pending, in_progress ou resolved',
+    }),
+  }),
+};
+
 module.exports = {
   createFeedback,
   getFeedbacks,
+  getUserFeedbacks,
+  getFeedbacksByPriority,
+  getFeedbacksByStatus,
   getFeedbackById,
   updateFeedback,
   deleteFeedback,
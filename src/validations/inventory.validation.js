@@ -45,10 +45,27 @@ const updateStock = {
     }),
   }),
   body: Joi.object().keys({
-    quantity: Joi.number().integer().required().messages({
+    quantity: Joi.number().integer().invalid(0).required().messages({
       'number.base': 'La quantité doit être un nombre',
+      'any.invalid': 'La quantité ne peut pas être nulle',
       'any.required': 'La quantité est obligatoire',
     }),
+    type: Joi.string().valid('restock', 'adjustment').optional(),
+    reason: Joi.string().max(200).optional(),
+  }),
+};
+
+// Validation pour consulter le journal des mouvements de stock
+const getMovements = {
+  params: Joi.object().keys({
+    productId: Joi.string().custom(objectId).required().messages({
+      'string.empty': "L'ID du produit est obligatoire",
+      'any.required': "L'ID du produit est requis",
+    }),
+  }),
+  query: Joi.object().keys({
+    limit: Joi.number().integer().min(1),
+    page: Joi.number().integer().min(1),
   }),
 };
 
@@ -83,10 +100,21 @@ const getInventory = {
   }),
 };
 
+// Validation pour le rapport de stock faible
+const getLowStockReport = {
+  query: Joi.object().keys({
+    level: Joi.string().valid('low', 'out').optional().messages({
+      'any.only': 'Le niveau doit être "low" ou "out"',
+    }),
+  }),
+};
+
 module.exports = {
   addProduct,
   updateProduct,
   updateStock,
+  getMovements,
   deleteProduct,
   getInventory,
+  getLowStockReport,
 };
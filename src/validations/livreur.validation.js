@@ -0,0 +1,91 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { proofOfDelivery } = require('./delivery.validation');
+
+// Validation pour consulter les gains du livreur
+const getEarnings = {
+  query: Joi.object().keys({
+    period: Joi.string().valid('day', 'week', 'month').default('day').description('Regroupement des gains'),
+    from: Joi.date().iso().description('Début de la période'),
+    to: Joi.date().iso().min(Joi.ref('from')).description('Fin de la période'),
+  }),
+};
+
+// Validation pour rechercher les courses en attente à proximité
+const getAvailableDeliveries = {
+  query: Joi.object().keys({
+    maxDistance: Joi.number().positive().max(50).description('Rayon de recherche en kilomètres'),
+  }),
+};
+
+// Validation pour mettre à jour la position du livreur
+const updateLocation = {
+  body: Joi.object()
+    .keys({
+      coordinates: Joi.object()
+        .keys({
+          latitude: Joi.number().min(-90).max(90).required(),
+          longitude: Joi.number().min(-180).max(180).required(),
+        })
+        .required(),
+    })
+    .required(),
+};
+
+// Validation pour lister les offres de course reçues
+const getOffers = {
+  query: Joi.object().keys({
+    status: Joi.string().valid('pending', 'accepted', 'declined', 'expired', 'cancelled'),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+// Validation pour répondre à une offre de course
+const respondToOffer = {
+  params: Joi.object().keys({
+    offerId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      action: Joi.string().valid('accept', 'decline').required(),
+      reason: Joi.string().trim().max(500).description('Motif du refus'),
+    })
+    .required(),
+};
+
+// Validation pour mettre à jour le statut d'une livraison assignée
+const updateDeliveryStatus = {
+  params: Joi.object().keys({
+    deliveryId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      status: Joi.string().valid('delivered').required(),
+      ...proofOfDelivery,
+    })
+    .required(),
+};
+
+// Validation pour confirmer le retrait d'une commande chez le commerçant
+const confirmPickup = {
+  params: Joi.object().keys({
+    deliveryId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      code: Joi.string().trim().max(32).required().description('Code de retrait saisi ou scanné'),
+    })
+    .required(),
+};
+
+module.exports = {
+  getEarnings,
+  getAvailableDeliveries,
+  updateLocation,
+  getOffers,
+  respondToOffer,
+  updateDeliveryStatus,
+  confirmPickup,
+};
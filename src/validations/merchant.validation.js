@@ -20,7 +20,6 @@ const updateProduct = {
       name: Joi.string(),
       description: Joi.string(),
       price: Joi.number(),
-      stock: Joi.number().integer().min(0),
       category: Joi.string(),
     })
     .min(1),
@@ -50,7 +49,8 @@ const processOrder = {
     orderId: Joi.string().custom(objectId).required(),
   }),
   body: Joi.object().keys({
-    status: Joi.string().valid('processing', 'completed', 'cancelled').required(),
+    status: Joi.string().valid('accepted', 'cancelled').required(),
+    reason: Joi.string().max(500).optional(),
   }),
 };
 
@@ -82,6 +82,90 @@ const getRealTimeDashboard = {
   // Pas de paramètres nécessaires, mais maintenons la structure pour cohérence.
 };
 
+const getPayouts = {
+  query: Joi.object().keys({
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getStatement = {
+  query: Joi.object().keys({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    format: Joi.string().valid('json', 'csv').default('json'),
+  }),
+};
+
+const getNearbyMerchants = {
+  query: Joi.object().keys({
+    addressId: Joi.string().custom(objectId),
+    maxDistance: Joi.number().positive().max(50).default(5).description('Rayon de recherche en kilomètres'),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/, 'HH:mm');
+
+const updateSchedule = {
+  body: Joi.object()
+    .keys({
+      timezone: Joi.string(),
+      openingHours: Joi.array().items(
+        Joi.object().keys({
+          day: Joi.number().integer().min(0).max(6).required(),
+          open: timeOfDay.required(),
+          close: timeOfDay.required(),
+        })
+      ),
+      slotCapacity: Joi.number().integer().min(1),
+    })
+    .min(1),
+};
+
+const addClosure = {
+  body: Joi.object().keys({
+    from: Joi.date().iso().required(),
+    to: Joi.date().iso().greater(Joi.ref('from')).required(),
+    reason: Joi.string().max(200),
+  }),
+};
+
+const removeClosure = {
+  params: Joi.object().keys({
+    closureId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const setOrdersPaused = {
+  body: Joi.object().keys({
+    paused: Joi.boolean().required(),
+  }),
+};
+
+const getDeliverySlots = {
+  params: Joi.object().keys({
+    merchantId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    days: Joi.number().integer().min(1).max(14),
+  }),
+};
+
+const importCatalogue = {
+  query: Joi.object().keys({
+    format: Joi.string().valid('csv', 'jsonl'),
+    dryRun: Joi.boolean().default(false),
+  }),
+};
+
+const exportCatalogue = {
+  query: Joi.object().keys({
+    format: Joi.string().valid('csv', 'jsonl').default('csv'),
+  }),
+};
+
 module.exports = {
   addProduct,
   updateProduct,
@@ -93,4 +177,14 @@ module.exports = {
   generateFinancialReport,
   getSalesStats,
   getRealTimeDashboard,
+  getPayouts,
+  getStatement,
+  getNearbyMerchants,
+  updateSchedule,
+  addClosure,
+  removeClosure,
+  setOrdersPaused,
+  getDeliverySlots,
+  importCatalogue,
+  exportCatalogue,
 };
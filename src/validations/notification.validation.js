@@ -7,7 +7,7 @@ const createNotification = {
     message: Joi.string().required().description('Contenu de la notification'),
     type: Joi.string().required().valid('order_update', 'promotion', 'system', 'custom').description('Type de notification'),
     channels: Joi.array()
-      .items(Joi.string().valid('in_app', 'push', 'email', 'sms'))
+      .items(Joi.string().valid('in_app', 'push', 'email'))
       .default(['in_app'])
       .description('Liste des canaux d’envoi'),
     priority: Joi.string().valid('low', 'medium', 'high').default('medium').description('Priorité de la notification'),
@@ -21,7 +21,7 @@ const getUserNotifications = {
     page: Joi.number().integer().min(1).default(1).description('Numéro de page'),
     limit: Joi.number().integer().min(1).default(10).description('Nombre d’éléments par page'),
     type: Joi.string()
-      .valid('order_update', 'promotion', 'system', 'custom')
+      .valid('order_update', 'promotion', 'system', 'custom', 'stock_alert')
       .optional()
       .description('Filtrer par type de notification'),
     priority: Joi.string().valid('low', 'medium', 'high').optional().description('Priorité des notifications'),
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validation');
+const { orderStatuses } = require('../utils/orderStateMachine');
 
 /**
  * Validation pour la création d'une commande
@@ -11,7 +12,8 @@ const createOrder = {
         Joi.object().keys({
           productId: Joi.string().custom(objectId).required(),
           quantity: Joi.number().integer().min(1).required(),
-          price: Joi.number().precision(2).min(0).required(),
+          // Ignoré : le prix est toujours relu depuis le catalogue
+          price: Joi.number().precision(2).min(0),
         })
       )
       .required(),
@@ -22,9 +24,17 @@ const createOrder = {
         city: Joi.string().required(),
         postalCode: Joi.string().required(),
         country: Joi.string().required(),
+        coordinates: Joi.object().keys({
+          latitude: Joi.number().min(-90).max(90).required(),
+          longitude: Joi.number().min(-180).max(180).required(),
+        }),
       })
       .required(),
-    totalPrice: Joi.number().precision(2).min(0).required(),
+    notes: Joi.string().max(500),
+    // Début du créneau de livraison (GET /merchants/{merchantId}/delivery-slots) : commande programmée
+    deliverySlot: Joi.date().iso(),
+    // Ignoré : le total est recalculé côté serveur
+    totalPrice: Joi.number().precision(2).min(0),
   }),
 };
 
@@ -47,6 +57,24 @@ const getOrderById = {
   }),
 };
 
+/**
+ * Validation pour signaler une commande prête au retrait
+ */
+const markReadyForPickup = {
+  params: Joi.object().keys({
+    orderId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+/**
+ * Validation pour consulter le code PIN de livraison
+ */
+const getDeliveryPin = {
+  params: Joi.object().keys({
+    orderId: Joi.string().custom(objectId).required(),
+  }),
+};
+
 /**
  * Validation pour mettre à jour le statut d'une commande
  */
@@ -56,7 +84,10 @@ const updateOrderStatus = {
   }),
   body: Joi.object()
     .keys({
-      status: Joi.string().valid('pending', 'accepted', 'in_progress', 'completed', 'cancelled').required(),
+      status: Joi.string()
+        .valid(...orderStatuses)
+        .required(),
+      reason: Joi.string().max(500).optional(),
     })
     .required(),
 };
@@ -68,6 +99,9 @@ const cancelOrder = {
   params: Joi.object().keys({
     orderId: Joi.string().custom(objectId).required(),
   }),
+  body: Joi.object().keys({
+    reason: Joi.string().max(500).optional(),
+  }),
 };
 
 /**
@@ -79,6 +113,15 @@ const generateReceipt = {
   }),
 };
 
+/**
+ * Validation pour générer le reçu combiné d'un groupe de checkout
+ */
+const generateCheckoutGroupReceipt = {
+  params: Joi.object().keys({
+    checkoutGroupId: Joi.string().custom(objectId).required(),
+  }),
+};
+
 /**
  * Validation pour calculer le total d'une commande
  */
@@ -98,25 +141,6 @@ const calculateOrderTotal = {
     .required(),
 };
 
-/**
- * Validation pour récupérer les commandes disponibles pour les livreurs
- */
-const getAvailableOrdersForLivreur = {
-  query: Joi.object().keys({
-    latitude: Joi.number().min(-90).max(90).required(),
-    longitude: Joi.number().min(-180).max(180).required(),
-  }),
-};
-
-/**
- * Validation pour assigner une commande à un livreur
- */
-const assignOrderToLivreur = {
-  params: Joi.object().keys({
-    orderId: Joi.string().custom(objectId).required(),
-  }),
-};
-
 /**
  * Validation pour récupérer les commandes d'un client
  */
@@ -155,12 +179,13 @@ module.exports = {
   createOrder,
   getOrderHistory,
   getOrderById,
+  markReadyForPickup,
+  getDeliveryPin,
   updateOrderStatus,
   cancelOrder,
   generateReceipt,
+  generateCheckoutGroupReceipt,
   calculateOrderTotal,
-  getAvailableOrdersForLivreur,
-  assignOrderToLivreur,
   getClientOrders,
   getMerchantPendingOrders,
   addOrderNote,
@@ -3,13 +3,30 @@ const { objectId } = require('./custom.validation');
 
 // Validation pour effectuer un paiement
 const makePayment = {
+  body: Joi.object()
+    .keys({
+      order: Joi.string().custom(objectId).description('ID de la commande associée'),
+      checkoutGroup: Joi.string()
+        .custom(objectId)
+        .description('ID du groupe de checkout (paiement de toutes ses sous-commandes)'),
+      amount: Joi.number().positive().required().description('Montant du paiement (doit être supérieur à zéro)'),
+      fees: Joi.number().min(0).optional().description('Frais associés au paiement'),
+      method: Joi.string().valid('credit_card', 'paypal', 'cash').required().description('Méthode de paiement'),
+      // Les remboursements passent par `/refund` ; les pourboires par la livraison
+      type: Joi.string().valid('payment').default('payment').description('Type de transaction'),
+      source: Joi.string().optional().description('Jeton du moyen de paiement transmis au prestataire'),
+      capture: Joi.boolean().default(true).description('Capturer immédiatement après autorisation'),
+    })
+    .xor('order', 'checkoutGroup'),
+};
+
+// Validation pour capturer un paiement autorisé
+const capturePayment = {
+  params: Joi.object().keys({
+    paymentId: Joi.string().custom(objectId).required().description('ID du paiement'),
+  }),
   body: Joi.object().keys({
-    order: Joi.string().custom(objectId).required().description('ID de la commande associée'),
-    amount: Joi.number().positive().required().description('Montant du paiement (doit être supérieur à zéro)'),
-    fees: Joi.number().min(0).optional().description('Frais associés au paiement'),
-    method: Joi.string().valid('credit_card', 'paypal', 'cash').required().description('Méthode de paiement'),
-    type: Joi.string().valid('payment', 'refund', 'fee').required().description('Type de transaction'),
-    transactionId: Joi.string().optional().description('ID unique de la transaction'),
+    amount: Joi.number().positive().optional().description('Montant à capturer (totalité par défaut)'),
   }),
 };
 
@@ -26,7 +43,10 @@ const getUserPaymentHistory = {
     startDate: Joi.date().optional().description("Date de début pour filtrer l'historique"),
     endDate: Joi.date().optional().description("Date de fin pour filtrer l'historique"),
     method: Joi.string().valid('credit_card', 'paypal', 'cash').optional().description('Méthode de paiement'),
-    status: Joi.string().valid('pending', 'completed', 'failed').optional().description('Statut des paiements à filtrer'),
+    status: Joi.string()
+      .valid('pending', 'authorized', 'completed', 'failed', 'voided')
+      .optional()
+      .description('Statut des paiements à filtrer'),
   }),
 };
 
@@ -39,15 +59,38 @@ const cancelPayment = {
 
 // Validation pour initier un remboursement
 const initiateRefund = {
-  body: Joi.object().keys({
-    orderId: Joi.string().custom(objectId).required().description('ID de la commande à rembourser'),
+  body: Joi.object()
+    .keys({
+      orderId: Joi.string().custom(objectId).required().description('ID de la commande à rembourser'),
+      items: Joi.array()
+        .items(
+          Joi.object().keys({
+            productId: Joi.string().custom(objectId).required(),
+            quantity: Joi.number().integer().min(1).required(),
+          })
+        )
+        .min(1)
+        .description('Articles à rembourser'),
+      amount: Joi.number().positive().description('Montant libre à rembourser (tout le reste dû par défaut)'),
+      reason: Joi.string().max(500).description('Motif du remboursement'),
+      restock: Joi.boolean().default(false).description('Remettre en stock les articles remboursés'),
+    })
+    .oxor('items', 'amount'),
+};
+
+// Validation pour les webhooks des prestataires (le corps est vérifié par signature)
+const handleWebhook = {
+  params: Joi.object().keys({
+    provider: Joi.string().alphanum().required().description('Nom du prestataire de paiement'),
   }),
 };
 
 module.exports = {
   makePayment,
+  capturePayment,
   getPaymentDetails,
   getUserPaymentHistory,
   cancelPayment,
   initiateRefund,
+  handleWebhook,
 };
@@ -3,6 +3,7 @@ const { objectId } = require('./custom.validation');
 
 const createProduct = {
   body: Joi.object().keys({
+    sku: Joi.string().trim().max(64).optional(),
     name: Joi.string().required().min(3).max(100).messages({
       'string.empty': 'Le nom du produit est requis.',
       'string.min': 'Le nom du produit doit contenir au moins 3 caractères.',
@@ -42,11 +43,11 @@ const updateProduct = {
   }),
   body: Joi.object()
     .keys({
+      sku: Joi.string().trim().max(64).optional(),
       name: Joi.string().min(3).max(100).optional(),
       description: Joi.string().max(500).optional(),
       price: Joi.number().min(0).optional(),
       category: Joi.string().custom(objectId).optional(),
-      stock: Joi.number().integer().min(0).optional(),
       isActive: Joi.boolean().optional(),
       images: Joi.array()
         .items(
@@ -18,6 +18,15 @@ const createPromotion = {
     usageLimit: Joi.number().integer().positive().messages({
       'number.positive': 'La limite d’utilisation doit être un nombre positif.',
     }),
+    usageLimitPerUser: Joi.number().integer().positive().messages({
+      'number.positive': 'La limite d’utilisation par client doit être un nombre positif.',
+    }),
+    maxDiscount: Joi.number().positive().messages({
+      'number.positive': 'Le plafond de réduction doit être un nombre positif.',
+    }),
+    minBasketValue: Joi.number().min(0).messages({
+      'number.min': 'Le montant minimum du panier ne peut pas être négatif.',
+    }),
     applicableRegions: Joi.array().items(Joi.string()).messages({
       'array.base': 'Les régions applicables doivent être une liste de chaînes.',
     }),
@@ -44,6 +53,15 @@ const updatePromotion = {
     usageLimit: Joi.number().integer().positive().messages({
       'number.positive': 'La limite d’utilisation doit être un nombre positif.',
     }),
+    usageLimitPerUser: Joi.number().integer().positive().messages({
+      'number.positive': 'La limite d’utilisation par client doit être un nombre positif.',
+    }),
+    maxDiscount: Joi.number().positive().messages({
+      'number.positive': 'Le plafond de réduction doit être un nombre positif.',
+    }),
+    minBasketValue: Joi.number().min(0).messages({
+      'number.min': 'Le montant minimum du panier ne peut pas être négatif.',
+    }),
     isActive: Joi.boolean().messages({
       'boolean.base': 'Le statut actif doit être un booléen.',
     }),
@@ -0,0 +1,13 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+// Validation pour ouvrir le flux d'événements temps réel
+const stream = {
+  query: Joi.object().keys({
+    orderId: Joi.string().custom(objectId).description('Commande à suivre (clients)'),
+  }),
+};
+
+module.exports = {
+  stream,
+};
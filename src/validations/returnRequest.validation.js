@@ -0,0 +1,77 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+// Corps d'une demande de retour, partagé avec la route historique /clients/:clientId/refunds
+const returnRequestBody = {
+  orderId: Joi.string().custom(objectId).required().description('ID de la commande livrée'),
+  reason: Joi.string().trim().required().description('Motif du retour'),
+  photos: Joi.array().items(Joi.string().uri()).max(10).description('URLs des photos justificatives'),
+  items: Joi.array()
+    .items(
+      Joi.object().keys({
+        productId: Joi.string().custom(objectId).required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .description('Articles retournés (toute la commande par défaut)'),
+  amount: Joi.number().positive().description('Montant demandé'),
+};
+
+// Validation pour ouvrir une demande de retour
+const createReturnRequest = {
+  body: Joi.object().keys(returnRequestBody),
+};
+
+// Validation pour lister les demandes de retour
+const getReturnRequests = {
+  query: Joi.object().keys({
+    status: Joi.string().valid('pending', 'countered', 'approved', 'rejected', 'cancelled'),
+    order: Joi.string().custom(objectId),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+// Validation pour obtenir ou annuler une demande de retour
+const getReturnRequest = {
+  params: Joi.object().keys({
+    returnRequestId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+// Validation pour la décision du commerçant ou du support
+const decideReturnRequest = {
+  params: Joi.object().keys({
+    returnRequestId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    action: Joi.string().valid('accept', 'reject', 'counter').required().description('Décision'),
+    amount: Joi.number()
+      .positive()
+      .when('action', { is: 'counter', then: Joi.required(), otherwise: Joi.forbidden() })
+      .description('Montant proposé au client (contre-proposition)'),
+    note: Joi.string().trim().description('Commentaire transmis au client'),
+    restock: Joi.boolean().description("Remettre en stock les articles à l'acceptation"),
+  }),
+};
+
+// Validation pour la réponse du client à une contre-proposition
+const respondToCounterOffer = {
+  params: Joi.object().keys({
+    returnRequestId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    action: Joi.string().valid('accept', 'decline').required(),
+    note: Joi.string().trim(),
+  }),
+};
+
+module.exports = {
+  returnRequestBody,
+  createReturnRequest,
+  getReturnRequests,
+  getReturnRequest,
+  decideReturnRequest,
+  respondToCounterOffer,
+};
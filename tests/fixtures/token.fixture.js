@@ -2,13 +2,23 @@ const moment = require('moment');
 const config = require('../../src/config/config');
 const { tokenTypes } = require('../../src/config/tokens');
 const tokenService = require('../../src/services/token.service');
-const { userOne, admin } = require('./user.fixture');
+const { userOne, admin, client, merchant, livreur, livreurTwo, support } = require('./user.fixture');
 
 const accessTokenExpires = moment().add(config.jwt.accessExpirationMinutes, 'minutes');
 const userOneAccessToken = tokenService.generateToken(userOne._id, accessTokenExpires, tokenTypes.ACCESS);
 const adminAccessToken = tokenService.generateToken(admin._id, accessTokenExpires, tokenTypes.ACCESS);
+const clientAccessToken = tokenService.generateToken(client._id, accessTokenExpires, tokenTypes.ACCESS);
+const merchantAccessToken = tokenService.generateToken(merchant._id, accessTokenExpires, tokenTypes.ACCESS);
+const livreurAccessToken = tokenService.generateToken(livreur._id, accessTokenExpires, tokenTypes.ACCESS);
+const livreurTwoAccessToken = tokenService.generateToken(livreurTwo._id, accessTokenExpires, tokenTypes.ACCESS);
+const supportAccessToken = tokenService.generateToken(support._id, accessTokenExpires, tokenTypes.ACCESS);
 
 module.exports = {
   userOneAccessToken,
   adminAccessToken,
+  clientAccessToken,
+  merchantAccessToken,
+  livreurAccessToken,
+  livreurTwoAccessToken,
+  supportAccessToken,
 };
@@ -34,6 +34,51 @@ const admin = {
   isEmailVerified: false,
 };
 
+const client = {
+  _id: mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  role: 'client',
+  isEmailVerified: false,
+};
+
+const merchant = {
+  _id: mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  role: 'merchant',
+  isEmailVerified: false,
+};
+
+const livreur = {
+  _id: mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  role: 'livreur',
+  isEmailVerified: false,
+};
+
+const livreurTwo = {
+  _id: mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  role: 'livreur',
+  isEmailVerified: false,
+};
+
+const support = {
+  _id: mongoose.Types.ObjectId(),
+  name: faker.name.findName(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  role: 'support',
+  isEmailVerified: false,
+};
+
 const insertUsers = async (users) => {
   await User.insertMany(users.map((user) => ({ ...user, password: hashedPassword })));
 };
@@ -42,5 +87,10 @@ module.exports = {
   userOne,
   userTwo,
   admin,
+  client,
+  merchant,
+  livreur,
+  livreurTwo,
+  support,
   insertUsers,
 };
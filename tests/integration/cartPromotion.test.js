@@ -0,0 +1,132 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Cart, Product, Promotion } = require('../../src/models');
+const { client, merchant, insertUsers } = require('../fixtures/user.fixture');
+const { clientAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Cart promotion codes', () => {
+  let coffee;
+
+  beforeEach(async () => {
+    await insertUsers([client, merchant]);
+    coffee = await Product.create({
+      name: 'Café',
+      price: 10,
+      stock: 5,
+      merchant: merchant._id,
+      category: mongoose.Types.ObjectId(),
+    });
+    await Cart.create({ client: client._id, items: [{ product: coffee._id, quantity: 2, priceAtAddition: 10 }] });
+  });
+
+  const createPromotion = (fields = {}) =>
+    Promotion.create({ merchant: merchant._id, code: 'CAFE2', discountType: 'fixed', discountValue: 2, ...fields });
+
+  const applyCode = (code, body = {}) =>
+    request(app)
+      .post('/v1/cart/promotion')
+      .set('Authorization', `Bearer ${clientAccessToken}`)
+      .send({ code, ...body });
+
+  const removeCode = () => request(app).delete('/v1/cart/promotion').set('Authorization', `Bearer ${clientAccessToken}`);
+
+  describe('POST /v1/cart/promotion', () => {
+    test('should attach the code to the cart and return the discounted totals', async () => {
+      const promotion = await createPromotion();
+
+      const res = await applyCode('CAFE2').expect(httpStatus.OK);
+
+      expect(res.body.promotion).toEqual({ id: promotion.id, code: 'CAFE2' });
+      expect(res.body.pricing).toMatchObject({ subtotal: 20, discount: 2, total: 18 });
+      expect((await Cart.findOne({ client: client._id })).promotion.toString()).toBe(promotion.id);
+    });
+
+    test.each([
+      ['PROMOTION_INACTIVE', { isActive: false }],
+      ['PROMOTION_USAGE_LIMIT_REACHED', { usageLimit: 1, usedCount: 1 }],
+      [
+        'PROMOTION_USER_LIMIT_REACHED',
+        { usageLimit: 10, usageLimitPerUser: 1, redemptionHistory: [{ userId: client._id }] },
+      ],
+      ['PROMOTION_WRONG_MERCHANT', { merchant: mongoose.Types.ObjectId() }],
+      ['PROMOTION_REGION_MISMATCH', { applicableRegions: ['Lyon'] }],
+      ['PROMOTION_NO_APPLICABLE_PRODUCTS', { applicableProducts: [mongoose.Types.ObjectId()] }],
+      ['PROMOTION_MIN_BASKET_NOT_REACHED', { minBasketValue: 50 }],
+    ])('should reject the code with %s and leave the cart unchanged', async (errorCode, fields) => {
+      await createPromotion(fields);
+
+      const res = await applyCode('CAFE2', { deliveryAddress: { city: 'Paris', country: 'France' } }).expect(
+        httpStatus.BAD_REQUEST
+      );
+
+      expect(res.body.errorCode).toBe(errorCode);
+      expect((await Cart.findOne({ client: client._id })).promotion).toBeUndefined();
+    });
+
+    test('should reject an expired code with PROMOTION_EXPIRED', async () => {
+      const promotion = await createPromotion();
+      // Le modèle refuse une date d'expiration passée : on vieillit la promotion sans validation
+      await Promotion.updateOne({ _id: promotion._id }, { expirationDate: new Date(Date.now() - 1000) });
+
+      const res = await applyCode('CAFE2').expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('PROMOTION_EXPIRED');
+    });
+
+    test('should return 404 PROMOTION_NOT_FOUND for an unknown code', async () => {
+      const res = await applyCode('INCONNU').expect(httpStatus.NOT_FOUND);
+
+      expect(res.body.errorCode).toBe('PROMOTION_NOT_FOUND');
+    });
+
+    test('should return 400 CART_EMPTY if the cart has no items', async () => {
+      await createPromotion();
+      await Cart.updateOne({ client: client._id }, { items: [] });
+
+      const res = await applyCode('CAFE2').expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('CART_EMPTY');
+    });
+
+    test('should suggest a better promotion of the cart merchants, and none once the best one is applied', async () => {
+      await createPromotion();
+      const best = await createPromotion({ code: 'CAFE25', discountType: 'percentage', discountValue: 25 });
+      await createPromotion({ code: 'INACTIVE', discountValue: 8, isActive: false });
+      await createPromotion({ code: 'AILLEURS', discountValue: 8, merchant: mongoose.Types.ObjectId() });
+
+      const res = await applyCode('CAFE2').expect(httpStatus.OK);
+
+      expect(res.body.suggestedPromotion).toEqual({ id: best.id, code: 'CAFE25', discount: 5 });
+
+      const bestRes = await applyCode('CAFE25').expect(httpStatus.OK);
+
+      expect(bestRes.body.pricing).toMatchObject({ discount: 5, total: 15 });
+      expect(bestRes.body.suggestedPromotion).toBeNull();
+    });
+  });
+
+  describe('DELETE /v1/cart/promotion', () => {
+    test('should detach the code, restore the full totals and suggest the best promotion', async () => {
+      const promotion = await createPromotion();
+      await Cart.updateOne({ client: client._id }, { promotion: promotion._id });
+
+      const res = await removeCode().expect(httpStatus.OK);
+
+      expect(res.body.promotion).toBeNull();
+      expect(res.body.pricing).toMatchObject({ subtotal: 20, discount: 0, total: 20 });
+      expect(res.body.suggestedPromotion).toEqual({ id: promotion.id, code: 'CAFE2', discount: 2 });
+      expect((await Cart.findOne({ client: client._id })).promotion).toBeUndefined();
+    });
+
+    test('should return 404 if the client has no cart', async () => {
+      await Cart.deleteMany({ client: client._id });
+
+      await removeCode().expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
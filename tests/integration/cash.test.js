@@ -0,0 +1,142 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Order, Payment, Delivery, Livreur, CashCollection, CashReconciliation } = require('../../src/models');
+const { livreur, support, insertUsers } = require('../fixtures/user.fixture');
+const { livreurAccessToken, supportAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Cash on delivery routes', () => {
+  let livreurProfile;
+  let payment;
+  let delivery;
+
+  beforeEach(async () => {
+    await insertUsers([livreur, support]);
+    livreurProfile = await Livreur.create({ user: livreur._id, location: { latitude: 48.85, longitude: 2.35 } });
+
+    const order = await Order.create({
+      client: mongoose.Types.ObjectId(),
+      merchant: mongoose.Types.ObjectId(),
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 25 }],
+      totalPrice: 25,
+      status: 'picked_up',
+    });
+    payment = await Payment.create({
+      order: order._id,
+      amount: 25,
+      method: 'cash',
+      type: 'payment',
+      provider: 'cash',
+      transactionId: 'cash_test',
+      status: 'pending',
+    });
+    delivery = await Delivery.create({ order: order._id, livreur: livreurProfile._id, status: 'picked_up' });
+  });
+
+  const markDelivered = () =>
+    request(app)
+      .patch(`/v1/deliveries/${delivery.id}`)
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .send({ status: 'delivered' })
+      .expect(httpStatus.OK);
+
+  const reconcile = (body) =>
+    request(app).post('/v1/cash/reconciliations').set('Authorization', `Bearer ${livreurAccessToken}`).send(body);
+
+  test('should record the expected cash and credit the livreur balance once delivered', async () => {
+    await markDelivered();
+    await markDelivered();
+
+    const res = await request(app)
+      .get('/v1/cash/balance')
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .expect(httpStatus.OK);
+
+    expect(res.body.cashBalance).toBe(25);
+    expect(res.body.collections).toHaveLength(1);
+    expect(res.body.collections[0]).toMatchObject({ amount: 25, status: 'held' });
+    const dbPayment = await Payment.findById(payment._id);
+    expect(dbPayment.status).toBe('pending');
+  });
+
+  test('should complete the payment when the declared cash matches', async () => {
+    await markDelivered();
+
+    const res = await reconcile({ declaredAmount: 25 }).expect(httpStatus.CREATED);
+
+    expect(res.body).toMatchObject({ status: 'balanced', expectedAmount: 25, difference: 0 });
+    const dbPayment = await Payment.findById(payment._id);
+    expect(dbPayment.status).toBe('completed');
+    const dbLivreur = await Livreur.findById(livreurProfile._id);
+    expect(dbLivreur.cashBalance).toBe(0);
+  });
+
+  test('should keep the payment pending and flag a discrepancy until support resolves it', async () => {
+    await markDelivered();
+
+    const res = await reconcile({ declaredAmount: 20 }).expect(httpStatus.CREATED);
+
+    expect(res.body).toMatchObject({ status: 'discrepancy', difference: -5 });
+    await expect(Payment.findById(payment._id)).resolves.toMatchObject({ status: 'pending' });
+    await expect(CashCollection.findOne({ delivery: delivery._id })).resolves.toMatchObject({ status: 'disputed' });
+
+    const list = await request(app)
+      .get('/v1/cash/reconciliations')
+      .query({ status: 'discrepancy' })
+      .set('Authorization', `Bearer ${supportAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(list.body.results).toHaveLength(1);
+
+    await request(app)
+      .post(`/v1/cash/reconciliations/${res.body.id}/resolve`)
+      .set('Authorization', `Bearer ${supportAccessToken}`)
+      .send({ note: 'Monnaie rendue en trop', writeOff: 5 })
+      .expect(httpStatus.OK);
+
+    await expect(Payment.findById(payment._id)).resolves.toMatchObject({ status: 'completed' });
+    await expect(CashReconciliation.findById(res.body.id)).resolves.toMatchObject({ status: 'resolved' });
+    const dbLivreur = await Livreur.findById(livreurProfile._id);
+    expect(dbLivreur.cashBalance).toBe(0);
+  });
+
+  test('should debit the cash balance only once under concurrent reconciliations', async () => {
+    await markDelivered();
+
+    const results = await Promise.all([reconcile({ declaredAmount: 25 }), reconcile({ declaredAmount: 25 })]);
+
+    expect(results.filter((res) => res.status === httpStatus.CREATED)).toHaveLength(1);
+    // Le second rapprochement échoue en conflit, ou ne trouve plus rien à rapprocher s'il arrive après le premier
+    const rejected = results.find((res) => res.status !== httpStatus.CREATED);
+    expect(['CASH_RECONCILIATION_CONFLICT', 'CASH_NOTHING_TO_RECONCILE']).toContain(rejected.body.errorCode);
+    expect((await Livreur.findById(livreurProfile._id)).cashBalance).toBe(0);
+    expect(await CashReconciliation.countDocuments()).toBe(1);
+    const reconciliation = await CashReconciliation.findOne();
+    expect(await CashCollection.findOne({ payment: payment._id })).toMatchObject({
+      status: 'reconciled',
+      reconciliation: reconciliation._id,
+    });
+  });
+
+  test('should not debit the balance for collections another reconciliation has already taken', async () => {
+    await markDelivered();
+    const collection = await CashCollection.findOne({ payment: payment._id });
+    jest.spyOn(CashCollection, 'find').mockResolvedValueOnce([collection]);
+    await CashCollection.updateOne({ _id: collection._id }, { status: 'reconciled' });
+
+    const res = await reconcile({ declaredAmount: 25 }).expect(httpStatus.CONFLICT);
+
+    expect(res.body.errorCode).toBe('CASH_RECONCILIATION_CONFLICT');
+    expect((await Livreur.findById(livreurProfile._id)).cashBalance).toBe(25);
+    expect(await CashReconciliation.countDocuments()).toBe(0);
+  });
+
+  test('should return 400 when there is no cash to reconcile', async () => {
+    const res = await reconcile({ declaredAmount: 0 }).expect(httpStatus.BAD_REQUEST);
+
+    expect(res.body.errorCode).toBe('CASH_NOTHING_TO_RECONCILE');
+  });
+});
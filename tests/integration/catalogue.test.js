@@ -0,0 +1,147 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Category, Inventory, Product, StockMovement } = require('../../src/models');
+const { emailService } = require('../../src/services');
+const { merchant, insertUsers } = require('../fixtures/user.fixture');
+const { merchantAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Catalogue import and export', () => {
+  let category;
+
+  beforeEach(async () => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+    await insertUsers([merchant]);
+    category = await Category.create({ name: 'Épicerie' });
+  });
+
+  const importCatalogue = (body, { type = 'text/csv', query = {} } = {}) =>
+    request(app)
+      .post('/v1/merchants/products/import')
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .set('Content-Type', type)
+      .query(query)
+      .send(body);
+
+  const header = 'sku,name,price,category,stock,images';
+  const coffee = 'CAF-250,Café moulu,6.5,Épicerie,20,https://cdn.example.com/caf.jpg|https://cdn.example.com/caf-2.jpg';
+  const tea = () => `THE-100,"Thé vert, bio",4,${category.id},5,`;
+
+  describe('POST /v1/merchants/products/import', () => {
+    test('should create products by SKU with their inventory, categories given by name or ID', async () => {
+      const res = await importCatalogue([header, coffee, tea()].join('\n')).expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ dryRun: false, total: 2, created: 2, updated: 0, failed: 0, errors: [] });
+      const product = await Product.findOne({ merchant: merchant._id, sku: 'CAF-250' });
+      expect(product).toMatchObject({ name: 'Café moulu', price: 6.5, stock: 20 });
+      expect(product.category.toString()).toBe(category.id);
+      expect(product.images.map(({ url }) => url)).toEqual([
+        'https://cdn.example.com/caf.jpg',
+        'https://cdn.example.com/caf-2.jpg',
+      ]);
+      expect((await Inventory.findOne({ product: product._id })).quantity).toBe(20);
+      expect((await Product.findOne({ sku: 'THE-100' })).name).toBe('Thé vert, bio');
+    });
+
+    test('should update existing SKUs and move the inventory to the imported stock', async () => {
+      await importCatalogue([header, coffee].join('\n')).expect(httpStatus.OK);
+
+      const res = await importCatalogue('{"sku":"CAF-250","price":7,"stock":12}\n', {
+        type: 'application/x-ndjson',
+      }).expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ created: 0, updated: 1, failed: 0 });
+      const product = await Product.findOne({ sku: 'CAF-250' });
+      expect(product).toMatchObject({ name: 'Café moulu', price: 7, stock: 12 });
+      const movement = await StockMovement.findOne({ product: product._id }).sort({ createdAt: -1, _id: -1 });
+      expect(movement).toMatchObject({ type: 'adjustment', quantity: -8, balance: 12, reason: 'Import du catalogue' });
+    });
+
+    test('should report invalid rows by line and still import the valid ones', async () => {
+      const body = [
+        'sku,name,price,category,stock',
+        'A1,Café moulu,-2,Épicerie,3',
+        'A2,Thé vert,4,Inconnue,3',
+        'A3,Sucre roux,2,Épicerie,3',
+        'A3,Sucre blanc,2,Épicerie,3',
+        ',Sel,1,Épicerie,3',
+      ].join('\n');
+
+      const res = await importCatalogue(body).expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ total: 5, created: 1, failed: 4 });
+      expect(res.body.errors.map(({ line, sku }) => [line, sku])).toEqual([
+        [2, 'A1'],
+        [3, 'A2'],
+        [5, 'A3'],
+        [6, null],
+      ]);
+      expect(res.body.errors[0].messages).toContain('Le prix doit être supérieur ou égal à 0.');
+      expect(res.body.errors[1].messages).toEqual(['Catégorie inconnue : Inconnue']);
+      expect(res.body.errors[2].messages[0]).toContain('ligne 4');
+      expect(await Product.countDocuments({ merchant: merchant._id })).toBe(1);
+    });
+
+    test('should validate without writing anything in dry-run mode', async () => {
+      const res = await importCatalogue([header, coffee].join('\n'), { query: { dryRun: true } }).expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ dryRun: true, total: 1, created: 1, failed: 0 });
+      expect(await Product.countDocuments()).toBe(0);
+      expect(await Inventory.countDocuments()).toBe(0);
+    });
+
+    test('should reject unknown CSV columns and unsupported content types', async () => {
+      const res = await importCatalogue('sku,name,colour\nA1,Café,brown').expect(httpStatus.BAD_REQUEST);
+      expect(res.body.errorCode).toBe('IMPORT_INVALID_FILE');
+
+      await request(app)
+        .post('/v1/merchants/products/import')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .send({ sku: 'A1' })
+        .expect(httpStatus.UNSUPPORTED_MEDIA_TYPE);
+    });
+  });
+
+  describe('GET /v1/merchants/products/export', () => {
+    beforeEach(async () => {
+      await importCatalogue([header, coffee, tea()].join('\n')).expect(httpStatus.OK);
+      await Product.create({ name: 'Autre', price: 1, merchant: mongoose.Types.ObjectId(), category: category._id });
+    });
+
+    test('should stream the whole catalogue as CSV that imports back unchanged', async () => {
+      const res = await request(app)
+        .get('/v1/merchants/products/export')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .expect('Content-Type', /text\/csv/)
+        .expect(httpStatus.OK);
+
+      const lines = res.text.trim().split('\r\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toBe('sku,name,description,price,category,stock,images,isActive,metaTitle,metaDescription');
+      expect(lines[2]).toBe(`THE-100,"Thé vert, bio",,4,${category.id},5,,true,,`);
+
+      const reimport = await importCatalogue(res.text).expect(httpStatus.OK);
+      expect(reimport.body).toMatchObject({ total: 2, created: 0, updated: 2, failed: 0 });
+    });
+
+    test('should export JSON lines', async () => {
+      const res = await request(app)
+        .get('/v1/merchants/products/export')
+        .query({ format: 'jsonl' })
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .expect('Content-Type', /application\/x-ndjson/)
+        .expect(httpStatus.OK);
+
+      const products = res.text.trim().split('\n').map(JSON.parse);
+      expect(products[0]).toMatchObject({
+        sku: 'CAF-250',
+        stock: 20,
+        images: [{ url: 'https://cdn.example.com/caf.jpg' }, { url: 'https://cdn.example.com/caf-2.jpg' }],
+      });
+    });
+  });
+});
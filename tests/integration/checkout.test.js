@@ -0,0 +1,189 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const {
+  Cart,
+  CheckoutGroup,
+  Inventory,
+  Order,
+  Product,
+  Promotion,
+  StockMovement,
+  StockReservation,
+} = require('../../src/models');
+const { cartService, emailService, inventoryService, orderService } = require('../../src/services');
+const { client, merchant, insertUsers } = require('../fixtures/user.fixture');
+const { clientAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Checkout', () => {
+  const otherMerchantId = mongoose.Types.ObjectId();
+  const deliveryAddress = { street: '1 rue de la Paix', city: 'Paris', postalCode: '75002', country: 'France' };
+  let coffee;
+  let tea;
+
+  beforeEach(async () => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+    await insertUsers([client, merchant]);
+    const category = mongoose.Types.ObjectId();
+    coffee = await Product.create({ name: 'Café', price: 10, stock: 5, merchant: merchant._id, category });
+    tea = await Product.create({ name: 'Thé', price: 4, stock: 2, merchant: otherMerchantId, category });
+  });
+
+  const fillCart = (items, fields = {}) =>
+    Cart.create({
+      client: client._id,
+      items: items.map(([product, quantity]) => ({ product: product._id, quantity, priceAtAddition: product.price })),
+      ...fields,
+    });
+
+  const checkout = () =>
+    request(app).post('/v1/cart/checkout').set('Authorization', `Bearer ${clientAccessToken}`).send({ deliveryAddress });
+
+  const placeOrder = (products) =>
+    request(app)
+      .post('/v1/orders')
+      .set('Authorization', `Bearer ${clientAccessToken}`)
+      .send({
+        products: products.map(([product, quantity]) => ({ productId: product.id, quantity })),
+        deliveryAddress,
+      });
+
+  /**
+   * Vérifier qu'un checkout refusé n'a rien laissé derrière lui : ni commande, ni groupe, ni réservation de commande,
+   * ni mouvement de stock, et que le stock disponible des produits est intact.
+   */
+  const expectNothingWritten = async () => {
+    expect(await Order.countDocuments()).toBe(0);
+    expect(await CheckoutGroup.countDocuments()).toBe(0);
+    expect(await StockReservation.countDocuments({ order: { $ne: null } })).toBe(0);
+    expect(await StockMovement.countDocuments()).toBe(0);
+    expect((await Product.findById(coffee._id)).availableStock).toBe(5);
+    expect((await Product.findById(tea._id)).availableStock).toBe(2);
+  };
+
+  describe('POST /v1/cart/checkout', () => {
+    test('should reserve every line, split the orders by merchant and empty the cart', async () => {
+      await fillCart([
+        [coffee, 2],
+        [tea, 1],
+      ]);
+
+      const res = await checkout().expect(httpStatus.CREATED);
+
+      expect(res.body.orders).toHaveLength(2);
+      expect((await Inventory.findOne({ product: coffee._id })).reserved).toBe(2);
+      expect((await Inventory.findOne({ product: tea._id })).reserved).toBe(1);
+      expect((await Cart.findOne({ client: client._id })).items).toHaveLength(0);
+    });
+
+    test('should roll back the whole checkout if a later line is out of stock', async () => {
+      await fillCart([
+        [coffee, 2],
+        [tea, 3],
+      ]);
+
+      const res = await checkout().expect(httpStatus.CONFLICT);
+
+      expect(res.body.errorCode).toBe('OUT_OF_STOCK');
+      await expectNothingWritten();
+      const inventory = await Inventory.findOne({ product: coffee._id });
+      expect(inventory ? inventory.reserved : 0).toBe(0);
+      expect((await Cart.findOne({ client: client._id })).items).toHaveLength(2);
+    });
+
+    test('should keep the cart holds when the checkout fails after reserving the order stock', async () => {
+      const promotion = await Promotion.create({
+        merchant: merchant._id,
+        code: 'OFF',
+        discountType: 'fixed',
+        discountValue: 1,
+        isActive: false,
+      });
+      await fillCart([[coffee, 2]], { promotion: promotion._id });
+      const hold = await inventoryService.reserveStock(coffee._id, { quantity: 2, client: client._id });
+
+      const res = await checkout().expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('PROMOTION_INACTIVE');
+      expect(await StockReservation.findById(hold._id)).toMatchObject({ status: 'active', order: null });
+      expect((await Inventory.findOne({ product: coffee._id })).reserved).toBe(2);
+      expect(await Order.countDocuments()).toBe(0);
+      expect((await Promotion.findOne({ code: 'OFF' })).usedCount).toBe(0);
+    });
+  });
+
+  describe('POST /v1/orders', () => {
+    test('should create no order and reserve nothing if a line refers to an unknown product', async () => {
+      const res = await placeOrder([
+        [coffee, 1],
+        [{ id: mongoose.Types.ObjectId().toString() }, 1],
+      ]).expect(httpStatus.NOT_FOUND);
+
+      expect(res.body.errorCode).toBe('PRODUCT_NOT_FOUND');
+      await expectNothingWritten();
+    });
+
+    test('should refuse to oversell stock already reserved by another order', async () => {
+      await placeOrder([[tea, 2]]).expect(httpStatus.CREATED);
+
+      const res = await placeOrder([[tea, 1]]).expect(httpStatus.CONFLICT);
+
+      expect(res.body.errorCode).toBe('OUT_OF_STOCK');
+      expect(await Order.countDocuments()).toBe(1);
+      expect((await Inventory.findOne({ product: tea._id })).reserved).toBe(2);
+    });
+  });
+
+  describe('oversell guard', () => {
+    test('should let only one of several concurrent checkouts reserve the last units', async () => {
+      await inventoryService.getOrCreateInventory(tea._id);
+      await fillCart([[tea, 2]]);
+      const order = (quantity) =>
+        orderService.createOrder(mongoose.Types.ObjectId(), {
+          products: [{ productId: tea._id, quantity }],
+          deliveryAddress,
+        });
+
+      const results = await Promise.allSettled([cartService.checkout(client._id, { deliveryAddress }), order(2), order(1)]);
+
+      const fulfilled = results.filter((result) => result.status === 'fulfilled');
+      expect(fulfilled).toHaveLength(1);
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach(({ reason }) =>
+          expect(reason.errorCode === 'OUT_OF_STOCK' || reason.hasErrorLabel('TransientTransactionError')).toBe(true)
+        );
+      const [{ value }] = fulfilled;
+      const inventory = await Inventory.findOne({ product: tea._id });
+      expect(inventory).toMatchObject({ quantity: 2, reserved: value.orders[0].products[0].quantity });
+      expect(await Order.countDocuments()).toBe(1);
+      expect(await StockReservation.countDocuments({ product: tea._id, status: 'active' })).toBe(1);
+    });
+
+    test('should replay a checkout whose transaction hit a transient error, without reserving twice', async () => {
+      await fillCart([[tea, 2]]);
+      const createOrders = orderService.createOrdersWithSession;
+      // Première tentative : les écritures sont faites, puis un conflit d'écriture survient avant le commit
+      const createOrdersWithSession = jest.spyOn(orderService, 'createOrdersWithSession');
+      createOrdersWithSession.mockImplementationOnce(async (...args) => {
+        await createOrders(...args);
+        const error = new mongoose.mongo.MongoError('WriteConflict');
+        error.addErrorLabel('TransientTransactionError');
+        throw error;
+      });
+
+      const res = await checkout().expect(httpStatus.CREATED);
+
+      expect(createOrdersWithSession).toHaveBeenCalledTimes(2);
+      expect(res.body.orders).toHaveLength(1);
+      expect(await Order.countDocuments()).toBe(1);
+      expect((await Inventory.findOne({ product: tea._id })).reserved).toBe(2);
+      expect(await StockReservation.countDocuments({ product: tea._id, status: 'active' })).toBe(1);
+      expect((await Cart.findOne({ client: client._id })).items).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { CheckoutGroup, Notification, Order, Payment, Product, Promotion, StockReservation } = require('../../src/models');
+const { emailService, orderService } = require('../../src/services');
+const { admin, client, merchant, insertUsers } = require('../fixtures/user.fixture');
+const { adminAccessToken, clientAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Multi-merchant checkout', () => {
+  const otherMerchantId = mongoose.Types.ObjectId();
+  const deliveryAddress = { street: '1 rue de la Paix', city: 'Paris', postalCode: '75002', country: 'France' };
+  let coffee;
+  let tea;
+  let promotion;
+
+  beforeEach(async () => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+    await insertUsers([admin, client, merchant]);
+    const category = mongoose.Types.ObjectId();
+    coffee = await Product.create({ name: 'Café', price: 10, stock: 5, merchant: merchant._id, category });
+    tea = await Product.create({ name: 'Thé', price: 4, stock: 5, merchant: otherMerchantId, category });
+    promotion = await Promotion.create({ merchant: merchant._id, code: 'CAFE5', discountType: 'fixed', discountValue: 5 });
+  });
+
+  const placeOrder = (fields = {}) =>
+    request(app)
+      .post('/v1/orders')
+      .set('Authorization', `Bearer ${clientAccessToken}`)
+      .send({
+        products: [
+          { productId: coffee.id, quantity: 2 },
+          { productId: tea.id, quantity: 3 },
+        ],
+        deliveryAddress,
+        ...fields,
+      })
+      .expect(httpStatus.CREATED);
+
+  describe('POST /v1/orders', () => {
+    test('should create one sub-order per merchant in a single checkout group', async () => {
+      const res = await placeOrder({ promotion: promotion.id });
+
+      const { checkoutGroup, orders } = res.body;
+      expect(orders).toHaveLength(2);
+      const coffeeOrder = orders.find((order) => order.merchant === merchant._id.toString());
+      const teaOrder = orders.find((order) => order.merchant === otherMerchantId.toString());
+      expect(coffeeOrder).toMatchObject({ subtotal: 20, discount: 5, totalPrice: 15, promotion: promotion.id });
+      expect(coffeeOrder.products.map((line) => line.productId)).toEqual([coffee.id]);
+      expect(teaOrder).toMatchObject({ subtotal: 12, discount: 0, totalPrice: 12 });
+      expect(teaOrder.promotion).toBeUndefined();
+      expect(teaOrder.products.map((line) => line.productId)).toEqual([tea.id]);
+
+      const dbGroup = await CheckoutGroup.findById(checkoutGroup.id);
+      expect(dbGroup.totalPrice).toBe(27);
+      expect(dbGroup.orders.map(String).sort()).toEqual(orders.map((order) => order.id).sort());
+      expect(await Order.countDocuments({ checkoutGroup: checkoutGroup.id, client: client._id })).toBe(2);
+    });
+
+    test('should notify each merchant of its own sub-order only', async () => {
+      const { body } = await placeOrder();
+
+      const coffeeOrder = body.orders.find((order) => order.products[0].productId === coffee.id);
+      const teaOrder = body.orders.find((order) => order.products[0].productId === tea.id);
+      const merchantNotifications = await Notification.find({ user: merchant._id });
+      expect(merchantNotifications).toHaveLength(1);
+      expect(merchantNotifications[0].message).toContain(coffeeOrder.id);
+      const otherNotifications = await Notification.find({ user: otherMerchantId });
+      expect(otherNotifications).toHaveLength(1);
+      expect(otherNotifications[0].message).toContain(teaOrder.id);
+    });
+  });
+
+  describe('POST /v1/payments with a checkout group', () => {
+    const payGroup = (checkoutGroup, amount) =>
+      request(app)
+        .post('/v1/payments')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ checkoutGroup, amount, method: 'credit_card', source: 'mock_ok' });
+
+    test('should pay every sub-order at once and consume all their reservations', async () => {
+      const { body } = await placeOrder({ promotion: promotion.id });
+
+      const res = await payGroup(body.checkoutGroup.id, 27).expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({ checkoutGroup: body.checkoutGroup.id, amount: 27, status: 'completed' });
+      expect((await CheckoutGroup.findById(body.checkoutGroup.id)).payment.toString()).toBe(res.body.id);
+      const orders = await Order.find({ checkoutGroup: body.checkoutGroup.id });
+      orders.forEach((order) => expect(order.payment.toString()).toBe(res.body.id));
+      expect(await StockReservation.countDocuments({ order: { $in: orders.map((order) => order._id) } })).toBe(2);
+      expect(await StockReservation.countDocuments({ status: 'consumed' })).toBe(2);
+    });
+
+    test('should reject a payment that does not cover the whole group', async () => {
+      const { body } = await placeOrder({ promotion: promotion.id });
+
+      const res = await payGroup(body.checkoutGroup.id, 15).expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('PAYMENT_AMOUNT_MISMATCH');
+      expect(await Payment.countDocuments()).toBe(0);
+      expect(await StockReservation.countDocuments({ status: 'active' })).toBe(2);
+    });
+  });
+
+  describe('GET /v1/orders/groups/:checkoutGroupId/receipt', () => {
+    const getReceipt = (checkoutGroupId) =>
+      request(app).get(`/v1/orders/groups/${checkoutGroupId}/receipt`).set('Authorization', `Bearer ${clientAccessToken}`);
+
+    test('should combine the receipts of every sub-order of the group', async () => {
+      const { body } = await placeOrder({ promotion: promotion.id });
+
+      const res = await getReceipt(body.checkoutGroup.id).expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ checkoutGroupId: body.checkoutGroup.id, totalPrice: 27 });
+      expect(res.body.orders.map((receipt) => receipt.orderId).sort()).toEqual(body.orders.map((order) => order.id).sort());
+      expect(res.body.orders.reduce((acc, receipt) => acc + receipt.totalPrice, 0)).toBe(27);
+    });
+
+    test("should return 404 for another client's checkout group", async () => {
+      const { checkoutGroup } = await orderService.createOrder(mongoose.Types.ObjectId(), {
+        products: [{ productId: tea._id, quantity: 1 }],
+        deliveryAddress,
+      });
+
+      await getReceipt(checkoutGroup.id).expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
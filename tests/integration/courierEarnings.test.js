@@ -0,0 +1,122 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Order, Delivery, Livreur, LedgerEntry, Payment } = require('../../src/models');
+const { admin, client, livreur, insertUsers } = require('../fixtures/user.fixture');
+const { adminAccessToken, clientAccessToken, livreurAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Courier earnings', () => {
+  let livreurProfile;
+  let delivery;
+
+  beforeEach(async () => {
+    await insertUsers([admin, client, livreur]);
+    livreurProfile = await Livreur.create({ user: livreur._id, location: { latitude: 48.85, longitude: 2.35 } });
+
+    const order = await Order.create({
+      client: client._id,
+      merchant: mongoose.Types.ObjectId(),
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 25 }],
+      totalPrice: 25,
+      status: 'picked_up',
+    });
+    delivery = await Delivery.create({
+      order: order._id,
+      livreur: livreurProfile._id,
+      status: 'picked_up',
+      distance: 12.5,
+      waitTime: 15,
+    });
+  });
+
+  const markDelivered = () =>
+    request(app)
+      .patch(`/v1/deliveries/${delivery.id}`)
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .send({ status: 'delivered' })
+      .expect(httpStatus.OK);
+
+  const tip = (amount, body = {}) =>
+    request(app)
+      .post(`/v1/deliveries/${delivery.id}/tip`)
+      .set('Authorization', `Bearer ${clientAccessToken}`)
+      .send({ amount, ...body });
+
+  const getEarnings = (query = {}) =>
+    request(app)
+      .get('/v1/livreurs/earnings')
+      .query(query)
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .expect(httpStatus.OK);
+
+  test('should price the delivery once and post it to the courier account', async () => {
+    await markDelivered();
+    await markDelivered();
+
+    const dbDelivery = await Delivery.findById(delivery._id);
+    expect(dbDelivery.pay.distanceFee).toBe(10);
+    expect(dbDelivery.pay.waitBonus).toBe(1.5);
+    expect(dbDelivery.payment).toBe(dbDelivery.pay.total);
+    await expect(LedgerEntry.countDocuments({ type: 'delivery_completed', reference: delivery._id })).resolves.toBe(1);
+    const dbLivreur = await Livreur.findById(livreurProfile._id);
+    expect(dbLivreur.totalEarnings).toBe(dbDelivery.pay.total);
+  });
+
+  test('should report tips and pending earnings, then paid earnings after the payout batch', async () => {
+    await tip(3).expect(httpStatus.OK);
+    await markDelivered();
+    const { pay } = await Delivery.findById(delivery._id);
+
+    const before = await getEarnings({ period: 'month' });
+    expect(before.body.buckets).toHaveLength(1);
+    expect(before.body.totals).toMatchObject({
+      deliveries: 1,
+      pay: pay.total,
+      tips: 3,
+      total: pay.total + 3,
+      pending: pay.total + 3,
+      paid: 0,
+    });
+    expect(before.body.totalEarnings).toBe(pay.total + 3);
+
+    await request(app)
+      .post('/v1/merchants/payouts/run')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .expect(httpStatus.OK);
+
+    const after = await getEarnings({ period: 'week' });
+    expect(after.body.totals).toMatchObject({ pending: 0, paid: pay.total + 3 });
+  });
+
+  test('should post a tip left after the delivery and refuse a second one', async () => {
+    await markDelivered();
+
+    await tip(2).expect(httpStatus.OK);
+    const res = await tip(2).expect(httpStatus.CONFLICT);
+
+    expect(res.body.errorCode).toBe('DELIVERY_ALREADY_TIPPED');
+    await expect(LedgerEntry.countDocuments({ type: 'delivery_tip', reference: delivery._id })).resolves.toBe(1);
+    const dbDelivery = await Delivery.findById(delivery._id);
+    await expect(Payment.findById(dbDelivery.tipPayment)).resolves.toMatchObject({
+      type: 'tip',
+      amount: 2,
+      status: 'completed',
+    });
+    await expect(Payment.countDocuments({ type: 'tip' })).resolves.toBe(1);
+  });
+
+  test('should neither record nor post a tip whose payment is declined', async () => {
+    await markDelivered();
+
+    const res = await tip(2, { source: 'mock_declined' }).expect(httpStatus.PAYMENT_REQUIRED);
+
+    expect(res.body.errorCode).toBe('PAYMENT_DECLINED');
+    await expect(Delivery.findById(delivery._id)).resolves.toMatchObject({ tip: 0, tipPayment: null });
+    await expect(LedgerEntry.countDocuments({ type: 'delivery_tip' })).resolves.toBe(0);
+    await tip(2).expect(httpStatus.OK);
+  });
+});
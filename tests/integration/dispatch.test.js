@@ -0,0 +1,170 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const config = require('../../src/config/config');
+const { Order, Delivery, DeliveryOffer, Livreur, Merchant } = require('../../src/models');
+const { dispatchService } = require('../../src/services');
+const { admin, merchant, livreur, livreurTwo, insertUsers } = require('../fixtures/user.fixture');
+const {
+  adminAccessToken,
+  livreurAccessToken,
+  livreurTwoAccessToken,
+  merchantAccessToken,
+} = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Courier dispatch', () => {
+  let nearLivreur;
+  let farLivreur;
+  let order;
+
+  beforeEach(async () => {
+    await insertUsers([admin, merchant, livreur, livreurTwo]);
+    await Merchant.create({ user: merchant._id, storeName: 'Épicerie', location: { latitude: 48.85, longitude: 2.35 } });
+    nearLivreur = await Livreur.create({ user: livreur._id, location: { latitude: 48.851, longitude: 2.351 } });
+    farLivreur = await Livreur.create({ user: livreurTwo._id, location: { latitude: 48.87, longitude: 2.37 } });
+
+    order = await Order.create({
+      client: mongoose.Types.ObjectId(),
+      merchant: merchant._id,
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 25 }],
+      totalPrice: 25,
+    });
+  });
+
+  const acceptOrder = () =>
+    request(app)
+      .patch(`/v1/orders/${order.id}`)
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({ status: 'accepted' })
+      .expect(httpStatus.OK);
+
+  const pendingOffer = () => DeliveryOffer.findOne({ order: order._id, status: 'pending' });
+
+  const respond = (offer, body, token = livreurAccessToken) =>
+    request(app).post(`/v1/livreurs/offers/${offer.id}/response`).set('Authorization', `Bearer ${token}`).send(body);
+
+  test('should create the delivery and offer it to the best livreur when the order is accepted', async () => {
+    await acceptOrder();
+
+    const offer = await pendingOffer();
+    expect(String(offer.livreur)).toBe(String(nearLivreur._id));
+    expect(offer.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    const dbOrder = await Order.findById(order._id);
+    const delivery = await Delivery.findById(dbOrder.delivery);
+    expect(delivery).toMatchObject({ status: 'pending', dispatchStatus: 'offered' });
+  });
+
+  test('should assign the delivery and start the order when the livreur accepts', async () => {
+    await acceptOrder();
+
+    const res = await respond(await pendingOffer(), { action: 'accept' }).expect(httpStatus.OK);
+
+    expect(res.body.status).toBe('accepted');
+    const dbOrder = await Order.findById(order._id);
+    expect(dbOrder.status).toBe('in_progress');
+    const delivery = await Delivery.findById(dbOrder.delivery);
+    expect(delivery).toMatchObject({ status: 'in_progress', dispatchStatus: 'assigned' });
+    expect(String(delivery.livreur)).toBe(String(nearLivreur._id));
+    const dbLivreur = await Livreur.findById(nearLivreur._id);
+    expect(dbLivreur.deliveriesAssigned.map(String)).toEqual([String(delivery._id)]);
+  });
+
+  test('should not let the merchant start the order ahead of the livreur accepting the course', async () => {
+    await acceptOrder();
+
+    await request(app)
+      .patch(`/v1/orders/${order.id}`)
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .send({ status: 'in_progress' })
+      .expect(httpStatus.FORBIDDEN);
+
+    await respond(await pendingOffer(), { action: 'accept' }).expect(httpStatus.OK);
+    const dbOrder = await Order.findById(order._id);
+    expect(dbOrder.status).toBe('in_progress');
+    expect(await Delivery.findById(dbOrder.delivery)).toMatchObject({ status: 'in_progress', dispatchStatus: 'assigned' });
+  });
+
+  test('should not let a livreur take the order outside of the offer made to another livreur', async () => {
+    await acceptOrder();
+
+    await request(app)
+      .patch(`/v1/orders/${order.id}/assign`)
+      .set('Authorization', `Bearer ${livreurTwoAccessToken}`)
+      .expect(httpStatus.NOT_FOUND);
+
+    const dbOrder = await Order.findById(order._id);
+    expect(dbOrder.status).toBe('accepted');
+    expect(await Delivery.findById(dbOrder.delivery)).toMatchObject({ status: 'pending', dispatchStatus: 'offered' });
+    expect(String((await pendingOffer()).livreur)).toBe(String(nearLivreur._id));
+  });
+
+  test('should offer the delivery to the next livreur after a decline and keep the history', async () => {
+    await acceptOrder();
+
+    await respond(await pendingOffer(), { action: 'decline', reason: 'Trop chargé' }).expect(httpStatus.OK);
+
+    const next = await pendingOffer();
+    expect(String(next.livreur)).toBe(String(farLivreur._id));
+    const res = await request(app)
+      .get(`/v1/deliveries/${next.delivery}/offers`)
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(res.body.map((offer) => offer.status)).toEqual(['declined', 'pending']);
+    expect(res.body[0].reason).toBe('Trop chargé');
+  });
+
+  test('should expire an unanswered offer and move on to the next livreur', async () => {
+    await acceptOrder();
+    const first = await pendingOffer();
+    await DeliveryOffer.updateOne({ _id: first._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const result = await dispatchService.runDispatchSweep();
+
+    expect(result.expired).toBe(1);
+    const next = await pendingOffer();
+    expect(String(next.livreur)).toBe(String(farLivreur._id));
+    const late = await respond(first, { action: 'accept' }).expect(httpStatus.CONFLICT);
+    expect(late.body.errorCode).toBe('DISPATCH_OFFER_CLOSED');
+  });
+
+  test('should leave the delivery unassigned when no livreur is eligible', async () => {
+    await Livreur.updateMany({}, { isAvailable: false });
+
+    await acceptOrder();
+
+    await expect(pendingOffer()).resolves.toBeNull();
+    const dbOrder = await Order.findById(order._id);
+    await expect(Delivery.findById(dbOrder.delivery)).resolves.toMatchObject({ dispatchStatus: 'unassigned' });
+  });
+
+  test('should offer the delivery again once the cooldown has passed after every livreur declined it', async () => {
+    await acceptOrder();
+    await respond(await pendingOffer(), { action: 'decline' }).expect(httpStatus.OK);
+    await respond(await pendingOffer(), { action: 'decline' }, livreurTwoAccessToken).expect(httpStatus.OK);
+    const dbOrder = await Order.findById(order._id);
+    await expect(Delivery.findById(dbOrder.delivery)).resolves.toMatchObject({ dispatchStatus: 'unassigned' });
+
+    await dispatchService.runDispatchSweep();
+
+    await expect(pendingOffer()).resolves.toBeNull();
+
+    const afterCooldown = new Date(Date.now() + (config.dispatch.reofferCooldownSeconds + 1) * 1000);
+    const result = await dispatchService.runDispatchSweep({ now: afterCooldown });
+
+    expect(result.retried).toBe(1);
+    const offer = await pendingOffer();
+    expect(String(offer.livreur)).toBe(String(nearLivreur._id));
+    await expect(Delivery.findById(dbOrder.delivery)).resolves.toMatchObject({ dispatchStatus: 'offered' });
+    await respond(offer, { action: 'accept' }).expect(httpStatus.OK);
+  });
+
+  test('should return 404 when a livreur answers an offer made to someone else', async () => {
+    await acceptOrder();
+
+    await respond(await pendingOffer(), { action: 'accept' }, livreurTwoAccessToken).expect(httpStatus.NOT_FOUND);
+  });
+});
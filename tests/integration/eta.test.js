@@ -0,0 +1,133 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Client, Delivery, EtaPrediction, Livreur, Merchant, Order } = require('../../src/models');
+const { etaService, deliveryService } = require('../../src/services');
+const { admin, client, merchant, livreur, insertUsers } = require('../fixtures/user.fixture');
+const { adminAccessToken, livreurAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Delivery ETA', () => {
+  let order;
+
+  beforeEach(async () => {
+    await insertUsers([admin, client, merchant, livreur]);
+    await Merchant.create({
+      user: merchant._id,
+      storeName: 'Épicerie',
+      location: { latitude: 48.85, longitude: 2.35 },
+      customSettings: { preparationMinutes: 10 },
+    });
+    await Client.create({
+      user: client._id,
+      addresses: [{ address: 'Domicile', coordinates: { latitude: 48.87, longitude: 2.35 } }],
+    });
+    order = await Order.create({
+      client: client._id,
+      merchant: merchant._id,
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 20 }],
+      totalPrice: 20,
+    });
+  });
+
+  test('should estimate the delivery time at checkout and record the prediction', async () => {
+    const before = Date.now();
+
+    const estimate = await etaService.refreshOrderEta(order, 'checkout');
+
+    expect(estimate.breakdown.preparation).toBe(10);
+    expect(estimate.breakdown.toDropoff).toBeGreaterThan(0);
+    const dbOrder = await Order.findById(order._id);
+    expect(dbOrder.estimatedDeliveryAt.getTime()).toBeGreaterThan(before + 10 * 60 * 1000);
+    const predictions = await EtaPrediction.find({ order: order._id });
+    expect(predictions).toHaveLength(1);
+    expect(predictions[0]).toMatchObject({ trigger: 'checkout', orderStatus: 'pending' });
+  });
+
+  test('should recompute the estimate on status changes and location updates', async () => {
+    const profile = await Livreur.create({ user: livreur._id, location: { latitude: 48.86, longitude: 2.36 } });
+
+    await request(app)
+      .patch(`/v1/orders/${order.id}`)
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({ status: 'accepted' })
+      .expect(httpStatus.OK);
+
+    const delivery = await Delivery.findOne({ order: order._id });
+    const accepted = await EtaPrediction.findOne({ order: order._id, trigger: 'status' });
+    expect(accepted.orderStatus).toBe('accepted');
+    expect(delivery.deliveryTime).toEqual(accepted.estimatedAt);
+
+    await Delivery.updateOne({ _id: delivery._id }, { livreur: profile._id, status: 'in_progress' });
+    await Order.updateOne({ _id: order._id }, { status: 'in_progress' });
+    await request(app)
+      .patch('/v1/livreurs/location')
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .send({ coordinates: { latitude: 48.9, longitude: 2.4 } })
+      .expect(httpStatus.OK);
+
+    const dbOrder = await Order.findById(order._id);
+    expect(dbOrder.estimatedDeliveryAt.getTime()).toBeGreaterThan(accepted.estimatedAt.getTime());
+    // Les mises à jour de position ne sont pas historisées
+    await expect(EtaPrediction.countDocuments({ order: order._id, trigger: 'location' })).resolves.toBe(0);
+  });
+
+  test('should store the actual delivery time and expose the accuracy', async () => {
+    const profile = await Livreur.create({ user: livreur._id, location: { latitude: 48.85, longitude: 2.35 } });
+    await Order.updateOne({ _id: order._id }, { status: 'picked_up' });
+    const delivery = await Delivery.create({
+      order: order._id,
+      livreur: profile._id,
+      status: 'picked_up',
+      statusHistory: [{ status: 'in_progress', updatedAt: new Date(Date.now() - 20 * 60 * 1000) }],
+    });
+    await EtaPrediction.create([
+      { order: order._id, trigger: 'checkout', estimatedAt: new Date(Date.now() - 10 * 60 * 1000), minutes: 25 },
+      { order: order._id, trigger: 'status', estimatedAt: new Date(Date.now() + 2 * 60 * 1000), minutes: 12 },
+    ]);
+
+    await deliveryService.updateDeliveryStatus(delivery._id, 'delivered');
+
+    const predictions = await EtaPrediction.find({ order: order._id }).sort({ trigger: 1 });
+    expect(predictions.every((prediction) => prediction.deliveredAt)).toBe(true);
+    expect(predictions[0].errorMinutes).toBeCloseTo(10, 0);
+    expect(predictions[1].errorMinutes).toBeCloseTo(-2, 0);
+    const dbLivreur = await Livreur.findById(profile._id);
+    expect(dbLivreur.performance.deliveriesCompleted).toBe(1);
+    expect(dbLivreur.performance.averageDeliveryTime).toBeCloseTo(20, 0);
+
+    const res = await request(app)
+      .get('/v1/deliveries/eta/accuracy')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(res.body).toHaveLength(2);
+    expect(res.body[0]).toMatchObject({ trigger: 'checkout', count: 1, withinFiveMinutesRate: 0 });
+    expect(res.body[0].meanAbsoluteErrorMinutes).toBeCloseTo(10, 0);
+    expect(res.body[1]).toMatchObject({ trigger: 'status', count: 1, withinFiveMinutesRate: 1 });
+    expect(res.body[1].meanErrorMinutes).toBeCloseTo(-2, 0);
+  });
+
+  test('should count the run only once when the delivery is confirmed again', async () => {
+    const profile = await Livreur.create({ user: livreur._id, location: { latitude: 48.85, longitude: 2.35 } });
+    await Order.updateOne({ _id: order._id }, { status: 'picked_up' });
+    const delivery = await Delivery.create({
+      order: order._id,
+      livreur: profile._id,
+      status: 'picked_up',
+      statusHistory: [{ status: 'in_progress', updatedAt: new Date(Date.now() - 20 * 60 * 1000) }],
+    });
+    await EtaPrediction.create({ order: order._id, trigger: 'checkout', estimatedAt: new Date(), minutes: 20 });
+
+    await deliveryService.updateDeliveryStatus(delivery._id, 'delivered');
+    const [prediction] = await EtaPrediction.find({ order: order._id });
+    await deliveryService.updateDeliveryStatus(delivery._id, 'delivered');
+
+    const dbLivreur = await Livreur.findById(profile._id);
+    expect(dbLivreur.performance.deliveriesCompleted).toBe(1);
+    expect(dbLivreur.performance.averageDeliveryTime).toBeCloseTo(20, 0);
+    expect((await EtaPrediction.findById(prediction._id)).deliveredAt).toEqual(prediction.deliveredAt);
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Client, Delivery, Livreur, Merchant, Order } = require('../../src/models');
+const migrateGeoLocations = require('../../src/scripts/migrateGeoLocations');
+const { client, merchant, livreur, insertUsers } = require('../fixtures/user.fixture');
+const { clientAccessToken, livreurAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Geospatial queries', () => {
+  beforeEach(async () => {
+    await insertUsers([client, merchant, livreur]);
+    await Promise.all([Merchant, Livreur, Client, Delivery].map((Model) => Model.createIndexes()));
+  });
+
+  describe('GET /v1/merchants/nearby', () => {
+    beforeEach(async () => {
+      await Client.create({
+        user: client._id,
+        addresses: [{ address: '1 rue de Rivoli, Paris', coordinates: { latitude: 48.8566, longitude: 2.3522 } }],
+      });
+      await Merchant.create([
+        { user: merchant._id, storeName: 'Proche', location: { latitude: 48.86, longitude: 2.355 } },
+        { user: mongoose.Types.ObjectId(), storeName: 'Voisin', location: { latitude: 48.87, longitude: 2.37 } },
+        { user: mongoose.Types.ObjectId(), storeName: 'Lyon', location: { latitude: 45.764, longitude: 4.8357 } },
+      ]);
+    });
+
+    test('should return merchants within the radius, closest first', async () => {
+      const res = await request(app)
+        .get('/v1/merchants/nearby')
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .query({ maxDistance: 5 })
+        .expect(httpStatus.OK);
+
+      expect(res.body.map((m) => m.storeName)).toEqual(['Proche', 'Voisin']);
+      expect(res.body[0].location).toEqual({ type: 'Point', coordinates: [2.355, 48.86] });
+      expect(res.body[0].distance).toBeLessThan(res.body[1].distance);
+    });
+
+    test('should return 400 when the client has no geolocated address', async () => {
+      await Client.updateOne({ user: client._id }, { addresses: [{ address: 'Sans position' }] });
+
+      const res = await request(app)
+        .get('/v1/merchants/nearby')
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('ADDRESS_NOT_GEOLOCATED');
+    });
+  });
+
+  describe('GET /v1/livreurs/deliveries/nearby', () => {
+    test('should return open deliveries around the livreur, closest first', async () => {
+      await Livreur.create({ user: livreur._id, location: { latitude: 48.8566, longitude: 2.3522 } });
+      const order = mongoose.Types.ObjectId();
+      await Delivery.create([
+        { order, status: 'pending', pickupLocation: { latitude: 48.87, longitude: 2.37 } },
+        { order, status: 'pending', pickupLocation: { latitude: 48.857, longitude: 2.353 } },
+        { order, status: 'in_progress', pickupLocation: { latitude: 48.857, longitude: 2.353 } },
+        { order, status: 'pending', pickupLocation: { latitude: 45.764, longitude: 4.8357 } },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/livreurs/deliveries/nearby')
+        .set('Authorization', `Bearer ${livreurAccessToken}`)
+        .query({ maxDistance: 5 })
+        .expect(httpStatus.OK);
+
+      expect(res.body.deliveries).toHaveLength(2);
+      expect(res.body.deliveries[0].distanceFromLivreur).toBeLessThan(res.body.deliveries[1].distanceFromLivreur);
+    });
+  });
+
+  describe('GeoJSON migration', () => {
+    test('should convert legacy coordinates and backfill delivery pickup locations', async () => {
+      await Promise.all([Merchant, Livreur, Client, Delivery].map((Model) => Model.collection.dropIndexes()));
+      const order = await Order.create({
+        client: client._id,
+        merchant: merchant._id,
+        products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 10 }],
+        totalPrice: 10,
+      });
+      await Merchant.collection.insertOne({
+        user: merchant._id,
+        storeName: 'Ancien',
+        location: { latitude: 48.85, longitude: 2.35 },
+      });
+      await Livreur.collection.insertOne({ user: livreur._id, location: { latitude: 48.86, longitude: 2.36 } });
+      await Client.collection.insertOne({
+        user: client._id,
+        addresses: [
+          { address: 'Géolocalisée', coordinates: { latitude: 48.8, longitude: 2.3 } },
+          { address: 'Incomplète', coordinates: {} },
+        ],
+      });
+      await Delivery.collection.insertOne({ order: order._id, status: 'pending' });
+
+      const result = await migrateGeoLocations();
+
+      expect(result).toEqual({ merchants: 1, livreurs: 1, clients: 1, deliveries: 1 });
+      const dbClient = await Client.collection.findOne({ user: client._id });
+      expect(dbClient.addresses[0].coordinates).toEqual({ type: 'Point', coordinates: [2.3, 48.8] });
+      expect(dbClient.addresses[1].coordinates).toBeUndefined();
+      const delivery = await Delivery.collection.findOne({ order: order._id });
+      expect(delivery.pickupLocation).toEqual({ type: 'Point', coordinates: [2.35, 48.85] });
+      await expect(Livreur.find({ location: { $near: { $geometry: delivery.pickupLocation } } })).resolves.toHaveLength(1);
+
+      await expect(migrateGeoLocations()).resolves.toEqual({ merchants: 0, livreurs: 0, clients: 0, deliveries: 0 });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Inventory, Notification, Order, Product, StockMovement, StockReservation } = require('../../src/models');
+const { emailService, inventoryService, orderService } = require('../../src/services');
+const withTransaction = require('../../src/utils/withTransaction');
+const { client, merchant, insertUsers } = require('../fixtures/user.fixture');
+const { merchantAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Inventory as the stock of record', () => {
+  let product;
+
+  beforeEach(async () => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+    await insertUsers([client, merchant]);
+    const res = await request(app)
+      .post('/v1/products')
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .send({ name: 'Café moulu', price: 6, category: mongoose.Types.ObjectId().toHexString(), stock: 10 })
+      .expect(httpStatus.CREATED);
+    product = await Product.findById(res.body.id);
+  });
+
+  const updateStock = (body) =>
+    request(app).patch(`/v1/inventory/${product.id}/stock`).set('Authorization', `Bearer ${merchantAccessToken}`).send(body);
+
+  test('should open the inventory with the initial stock of a new product', async () => {
+    const inventory = await Inventory.findOne({ product: product._id });
+    expect(inventory.quantity).toBe(10);
+    expect(product.stock).toBe(10);
+
+    const movements = await StockMovement.find({ product: product._id });
+    expect(movements.map(({ type, quantity, balance }) => ({ type, quantity, balance }))).toEqual([
+      { type: 'restock', quantity: 10, balance: 10 },
+    ]);
+  });
+
+  test('should log each stock change and project it on the product', async () => {
+    await updateStock({ quantity: 5 }).expect(httpStatus.OK);
+    await updateStock({ quantity: -3, reason: 'Casse' }).expect(httpStatus.OK);
+
+    const res = await request(app)
+      .get(`/v1/inventory/${product.id}/movements`)
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .expect(httpStatus.OK);
+
+    expect(res.body.results.map(({ type, quantity, balance }) => [type, quantity, balance])).toEqual([
+      ['adjustment', -3, 12],
+      ['restock', 5, 15],
+      ['restock', 10, 10],
+    ]);
+    expect((await Product.findById(product._id)).stock).toBe(12);
+  });
+
+  test('should never let the stock go negative', async () => {
+    const res = await updateStock({ quantity: -11 }).expect(httpStatus.CONFLICT);
+
+    expect(res.body.errorCode).toBe('OUT_OF_STOCK');
+    expect((await Inventory.findOne({ product: product._id })).quantity).toBe(10);
+  });
+
+  test('should put cancelled order items back in stock', async () => {
+    const order = await Order.create({
+      client: client._id,
+      merchant: merchant._id,
+      products: [{ productId: product._id, quantity: 4, price: 6 }],
+      totalPrice: 24,
+    });
+
+    await orderService.cancelOrder(order.id, { role: 'client', actor: client._id });
+
+    const movement = await StockMovement.findOne({ order: order._id });
+    expect(movement).toMatchObject({ type: 'cancel', quantity: 4, balance: 14 });
+    expect((await Product.findById(product._id)).stock).toBe(14);
+  });
+
+  test("should return 404 when a merchant updates the stock of another merchant's product", async () => {
+    const otherProduct = await Product.create({
+      name: 'Thé vert',
+      price: 4,
+      stock: 3,
+      merchant: mongoose.Types.ObjectId(),
+      category: mongoose.Types.ObjectId(),
+    });
+
+    await request(app)
+      .patch(`/v1/products/${otherProduct.id}/stock`)
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .send({ quantity: 50 })
+      .expect(httpStatus.NOT_FOUND);
+
+    expect((await Product.findById(otherProduct._id)).stock).toBe(3);
+    await expect(StockMovement.countDocuments({ product: otherProduct._id })).resolves.toBe(0);
+  });
+
+  test('should release the reservations and remove the inventory of a deleted product', async () => {
+    const reservation = await inventoryService.reserveStock(product._id, { quantity: 2, client: client._id });
+
+    await request(app)
+      .delete(`/v1/products/${product.id}`)
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .expect(httpStatus.NO_CONTENT);
+
+    await expect(Product.findById(product._id)).resolves.toBeNull();
+    await expect(Inventory.countDocuments({ product: product._id })).resolves.toBe(0);
+    expect(await StockReservation.findById(reservation._id)).toMatchObject({ status: 'released' });
+  });
+
+  test('should keep stock movements append-only', async () => {
+    await expect(StockMovement.updateOne({ product: product._id }, { quantity: 99 })).rejects.toThrow('append-only');
+    await expect(StockMovement.deleteMany({ product: product._id })).rejects.toThrow('append-only');
+  });
+
+  describe('low-stock alerts', () => {
+    const getAlerts = () => Notification.find({ user: merchant._id, type: 'stock_alert' }).sort({ createdAt: 1, _id: 1 });
+
+    test('should alert once below the threshold, once more when out of stock, and rearm after a restock', async () => {
+      await updateStock({ quantity: -6 }).expect(httpStatus.OK);
+      await updateStock({ quantity: -1 }).expect(httpStatus.OK);
+      await updateStock({ quantity: -3 }).expect(httpStatus.OK);
+
+      let alerts = await getAlerts();
+      expect(alerts.map(({ priority }) => priority)).toEqual(['medium', 'high']);
+      expect(alerts[0]).toMatchObject({ channels: ['in_app', 'email'], groupId: `stock:${product.id}` });
+      expect(alerts[0].deliveryStatus.email).toBe('sent');
+      expect(emailService.transport.sendMail).toHaveBeenCalledTimes(2);
+
+      await updateStock({ quantity: 10 }).expect(httpStatus.OK);
+      await updateStock({ quantity: -8 }).expect(httpStatus.OK);
+
+      alerts = await getAlerts();
+      expect(alerts).toHaveLength(3);
+      expect(alerts[2].message).toContain('2 en stock');
+    });
+
+    test('should alert on a movement of a transaction once committed, and not after a rollback', async () => {
+      const sell = (session) => inventoryService.recordMovement(product._id, { type: 'sale', quantity: -8 }, session);
+
+      await expect(
+        withTransaction(async (session) => {
+          await sell(session);
+          throw new Error('Rollback');
+        })
+      ).rejects.toThrow('Rollback');
+
+      expect(await getAlerts()).toHaveLength(0);
+
+      await withTransaction(sell);
+
+      const alerts = await getAlerts();
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].message).toContain('2 en stock');
+      expect((await Inventory.findOne({ product: product._id })).alertLevel).toBe('low');
+    });
+
+    test('should compare each item with its own threshold', async () => {
+      await request(app)
+        .patch(`/v1/inventory/${product.id}`)
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .send({ lowStockThreshold: 12 })
+        .expect(httpStatus.OK);
+
+      expect(await getAlerts()).toHaveLength(1);
+      expect(await Inventory.getLowStockProducts(merchant._id)).toHaveLength(1);
+      const stats = await inventoryService.getInventoryStats(merchant._id);
+      expect(stats).toEqual({ totalItems: 1, lowStockItems: 1, outOfStockItems: 0 });
+    });
+
+    test('should list low and out-of-stock items on GET /v1/inventory/low-stock', async () => {
+      await updateStock({ quantity: -7 }).expect(httpStatus.OK);
+
+      const res = await request(app)
+        .get('/v1/inventory/low-stock')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0]).toMatchObject({ quantity: 3, available: 3, lowStockThreshold: 5, level: 'low' });
+      expect(res.body[0].product.name).toBe('Café moulu');
+
+      const out = await request(app)
+        .get('/v1/inventory/low-stock')
+        .query({ level: 'out' })
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .expect(httpStatus.OK);
+      expect(out.body).toHaveLength(0);
+    });
+  });
+
+  describe('reconcileStock', () => {
+    let legacy;
+
+    beforeEach(async () => {
+      // Produit antérieur au journal, et projection modifiée hors de l'inventaire
+      legacy = await Product.create({ name: 'Thé', price: 4, stock: 7, merchant: merchant._id, category: product.category });
+      await Product.updateOne({ _id: product._id }, { stock: 3 });
+    });
+
+    test('should only report mismatches without --fix', async () => {
+      const report = await inventoryService.reconcileStock();
+
+      expect(report.missingInventory).toEqual([{ product: legacy.id, stock: 7 }]);
+      expect(report.stockMismatches).toEqual([{ product: product.id, productStock: 3, inventoryQuantity: 10 }]);
+      expect(await Inventory.countDocuments({ product: legacy._id })).toBe(0);
+    });
+
+    test('should fix mismatches with the inventory as the reference', async () => {
+      await inventoryService.reconcileStock({ fix: true });
+
+      expect((await Inventory.findOne({ product: legacy._id })).quantity).toBe(7);
+      expect((await Product.findById(product._id)).stock).toBe(10);
+      const report = await inventoryService.reconcileStock();
+      expect(report.missingInventory).toHaveLength(0);
+      expect(report.ledgerMismatches).toHaveLength(0);
+      expect(report.stockMismatches).toHaveLength(0);
+    });
+
+    test('should align the inventory on the product with source=product', async () => {
+      await inventoryService.reconcileStock({ fix: true, source: 'product' });
+
+      expect((await Inventory.findOne({ product: product._id })).quantity).toBe(3);
+      const movement = await StockMovement.findOne({ product: product._id }).sort({ createdAt: -1, _id: -1 });
+      expect(movement).toMatchObject({ type: 'adjustment', quantity: -7, balance: 3 });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const paymentProviders = require('../../src/services/paymentProviders');
+const { Order, Payment, Merchant, LedgerEntry, Payout, Livreur, Delivery } = require('../../src/models');
+const { admin, merchant, livreur, insertUsers } = require('../fixtures/user.fixture');
+const { adminAccessToken, merchantAccessToken, livreurAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Merchant ledger and payouts', () => {
+  let order;
+
+  beforeEach(async () => {
+    await insertUsers([admin, merchant, livreur]);
+    await Merchant.create({
+      user: merchant._id,
+      storeName: 'Épicerie',
+      location: { latitude: 48.85, longitude: 2.35 },
+      customSettings: { commissionRate: 15 },
+    });
+
+    order = await Order.create({
+      client: mongoose.Types.ObjectId(),
+      merchant: merchant._id,
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 2, price: 50, subtotal: 100, discount: 0, total: 100 }],
+      subtotal: 100,
+      totalPrice: 100,
+      status: 'picked_up',
+    });
+    const payment = await Payment.create({
+      order: order._id,
+      amount: 100,
+      fees: 2,
+      method: 'credit_card',
+      type: 'payment',
+      provider: 'mock',
+      transactionId: 'mock_ledger',
+      status: 'completed',
+    });
+    order.payment = payment._id;
+    await order.save();
+  });
+
+  const completeOrder = () =>
+    request(app)
+      .patch(`/v1/orders/${order.id}`)
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({ status: 'completed' })
+      .expect(httpStatus.OK);
+
+  test('should post a balanced entry splitting the order between merchant, commission and fees', async () => {
+    await completeOrder();
+
+    const entry = await LedgerEntry.findOne({ type: 'order_completed', reference: order._id });
+    const amount = (account) => entry.lines.find((line) => line.account === account);
+    expect(amount('payments_clearing').debit).toBe(100);
+    expect(amount('commission_revenue').credit).toBe(15);
+    expect(amount('payment_fees_payable').credit).toBe(2);
+    expect(amount('merchant_payable')).toMatchObject({ credit: 83 });
+    expect(String(amount('merchant_payable').party)).toBe(String(merchant._id));
+    expect(amount('delivery_fee_revenue')).toBeUndefined();
+  });
+
+  test('should charge the delivery fee to the merchant of a delivered order', async () => {
+    await Merchant.updateOne({ user: merchant._id }, { customSettings: { commissionRate: 15, deliveryFee: 3 } });
+    const livreurProfile = await Livreur.create({ user: livreur._id, location: { latitude: 48.85, longitude: 2.35 } });
+    const delivery = await Delivery.create({ order: order._id, livreur: livreurProfile._id, status: 'picked_up' });
+
+    await request(app)
+      .patch(`/v1/deliveries/${delivery.id}`)
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .send({ status: 'delivered' })
+      .expect(httpStatus.OK);
+
+    const entry = await LedgerEntry.findOne({ type: 'order_completed', reference: order._id });
+    const amount = (account) => entry.lines.find((line) => line.account === account);
+    expect(amount('delivery_fee_revenue').credit).toBe(3);
+    expect(amount('merchant_payable').credit).toBe(80);
+  });
+
+  test('should post nothing for an unpaid order, then post its entry once the payment is captured', async () => {
+    const provider = paymentProviders.getProviderByName('mock');
+    const { transactionId } = await provider.authorize({ amount: 100, reference: order.id });
+    await Payment.updateOne({ _id: order.payment }, { transactionId, status: 'authorized' });
+
+    await completeOrder();
+
+    await expect(LedgerEntry.countDocuments({ type: 'order_completed' })).resolves.toBe(0);
+
+    await request(app)
+      .post(`/v1/payments/${order.payment}/capture`)
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({})
+      .expect(httpStatus.OK);
+
+    const entry = await LedgerEntry.findOne({ type: 'order_completed', reference: order._id });
+    expect(entry.lines.find((line) => line.account === 'merchant_payable')).toMatchObject({ credit: 83 });
+  });
+
+  test('should post the order net of the refunds made before its completion', async () => {
+    const provider = paymentProviders.getProviderByName('mock');
+    const { transactionId } = await provider.authorize({ amount: 100, reference: order.id });
+    await provider.capture({ transactionId });
+    await Payment.updateOne({ _id: order.payment }, { transactionId });
+
+    await request(app)
+      .post('/v1/payments/refund')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({ orderId: order.id, amount: 50 })
+      .expect(httpStatus.OK);
+    await expect(LedgerEntry.countDocuments({ type: 'refund' })).resolves.toBe(0);
+
+    await completeOrder();
+
+    const entry = await LedgerEntry.findOne({ type: 'order_completed', reference: order._id });
+    const amount = (account) => entry.lines.find((line) => line.account === account);
+    expect(amount('payments_clearing').debit).toBe(50);
+    expect(amount('commission_revenue').credit).toBe(7.5);
+    expect(amount('payment_fees_payable').credit).toBe(2);
+    expect(amount('merchant_payable').credit).toBe(40.5);
+  });
+
+  test('should complete the order and post its entry when the delivery is delivered', async () => {
+    const livreurProfile = await Livreur.create({ user: livreur._id, location: { latitude: 48.85, longitude: 2.35 } });
+    const delivery = await Delivery.create({ order: order._id, livreur: livreurProfile._id, status: 'picked_up' });
+
+    await request(app)
+      .patch(`/v1/deliveries/${delivery.id}`)
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .send({ status: 'delivered' })
+      .expect(httpStatus.OK);
+
+    const dbOrder = await Order.findById(order._id);
+    expect(dbOrder.status).toBe('completed');
+    expect(dbOrder.statusHistory[dbOrder.statusHistory.length - 1]).toMatchObject({ status: 'completed', role: 'system' });
+    const entry = await LedgerEntry.findOne({ type: 'order_completed', reference: order._id });
+    expect(entry.lines.find((line) => line.account === 'merchant_payable')).toMatchObject({ credit: 83 });
+  });
+
+  test('should pay out the merchant balance once and reflect it in the statement', async () => {
+    await completeOrder();
+
+    const run = await request(app)
+      .post('/v1/merchants/payouts/run')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(run.body.payouts).toHaveLength(1);
+    expect(run.body.payouts[0]).toMatchObject({ amount: 83, status: 'paid' });
+
+    await request(app).post('/v1/merchants/payouts/run').set('Authorization', `Bearer ${adminAccessToken}`);
+    await expect(Payout.countDocuments()).resolves.toBe(1);
+
+    const payouts = await request(app)
+      .get('/v1/merchants/payouts')
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(payouts.body.results).toHaveLength(1);
+
+    const statement = await request(app)
+      .get('/v1/merchants/statement')
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(statement.body.lines.map((line) => line.balance)).toEqual([83, 0]);
+    expect(statement.body.closingBalance).toBe(0);
+  });
+
+  test('should debit the merchant and reverse the commission pro rata on a refund', async () => {
+    const provider = paymentProviders.getProviderByName('mock');
+    const { transactionId } = await provider.authorize({ amount: 100, reference: order.id });
+    await provider.capture({ transactionId });
+    await Payment.updateOne({ _id: order.payment }, { transactionId });
+    await completeOrder();
+
+    await request(app)
+      .post('/v1/payments/refund')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({ orderId: order.id, amount: 50 })
+      .expect(httpStatus.OK);
+
+    const refund = await Payment.findOne({ type: 'refund' });
+    const entry = await LedgerEntry.findOne({ type: 'refund', reference: refund._id });
+    const amount = (account) => entry.lines.find((line) => line.account === account);
+    expect(amount('merchant_payable').debit).toBe(42.5);
+    expect(amount('commission_revenue').debit).toBe(7.5);
+    expect(amount('payments_clearing').credit).toBe(50);
+
+    const run = await request(app)
+      .post('/v1/merchants/payouts/run')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(run.body.payouts[0]).toMatchObject({ amount: 40.5 });
+  });
+
+  test('should export the statement as CSV', async () => {
+    await completeOrder();
+
+    const res = await request(app)
+      .get('/v1/merchants/statement')
+      .query({ format: 'csv' })
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .expect(httpStatus.OK);
+
+    expect(res.headers['content-type']).toMatch('text/csv');
+    const [header, row] = res.text.split('\n');
+    expect(header).toBe('date,type,reference,description,debit,credit,balance');
+    expect(row).toContain('"order_completed"');
+  });
+
+  test('should return 403 if a merchant tries to run the payout batch', async () => {
+    await request(app)
+      .post('/v1/merchants/payouts/run')
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .expect(httpStatus.FORBIDDEN);
+  });
+});
@@ -0,0 +1,119 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Client, Merchant } = require('../../src/models');
+const { orderService } = require('../../src/services');
+const { client, merchant, insertUsers } = require('../fixtures/user.fixture');
+const { clientAccessToken, merchantAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Merchant schedule', () => {
+  // Ouvert tous les jours de 00:00 à 23:59 : seule la dernière minute de la journée est fermée
+  const allDay = [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, open: '00:00', close: '23:59' }));
+
+  beforeEach(async () => {
+    await insertUsers([client, merchant]);
+    await Merchant.create({ user: merchant._id, storeName: 'Épicerie', location: { latitude: 48.86, longitude: 2.355 } });
+  });
+
+  describe('PUT /v1/merchants/schedule', () => {
+    test('should save the weekly slots and return the current availability', async () => {
+      const res = await request(app)
+        .put('/v1/merchants/schedule')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .send({ timezone: 'UTC', openingHours: [{ day: 1, open: '09:00', close: '19:00' }] })
+        .expect(httpStatus.OK);
+
+      expect(res.body.timezone).toBe('UTC');
+      expect(res.body.openingHours).toEqual([{ day: 1, open: '09:00', close: '19:00' }]);
+      expect(res.body.availability).toHaveProperty('isOpen');
+    });
+
+    test('should reject an unknown time zone or a malformed slot', async () => {
+      const res = await request(app)
+        .put('/v1/merchants/schedule')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .send({ timezone: 'Mars/Olympus' })
+        .expect(httpStatus.BAD_REQUEST);
+      expect(res.body.errorCode).toBe('INVALID_TIMEZONE');
+
+      await request(app)
+        .put('/v1/merchants/schedule')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .send({ openingHours: [{ day: 1, open: '9h', close: '19:00' }] })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 for a client', async () => {
+      await request(app)
+        .put('/v1/merchants/schedule')
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .send({ timezone: 'UTC' })
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('order acceptance', () => {
+    test('should refuse orders while paused and accept them again afterwards', async () => {
+      const res = await request(app)
+        .patch('/v1/merchants/schedule/pause')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .send({ paused: true })
+        .expect(httpStatus.OK);
+      expect(res.body.availability).toMatchObject({ isOpen: false, reason: 'paused' });
+
+      await expect(orderService.assertMerchantsAcceptingOrders([merchant._id])).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        errorCode: 'MERCHANT_CLOSED',
+      });
+
+      await Merchant.updateOne({ user: merchant._id }, { ordersPaused: false });
+      await expect(orderService.assertMerchantsAcceptingOrders([merchant._id])).resolves.toBeUndefined();
+    });
+
+    test('should refuse orders during an exceptional closure until it is removed', async () => {
+      const res = await request(app)
+        .post('/v1/merchants/schedule/closures')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .send({
+          from: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+          to: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          reason: 'Inventaire',
+        })
+        .expect(httpStatus.CREATED);
+      expect(res.body.availability).toMatchObject({ isOpen: false, reason: 'closure' });
+
+      const error = await orderService.assertMerchantsAcceptingOrders([merchant._id]).catch((err) => err);
+      expect(error.errorCode).toBe('MERCHANT_CLOSED');
+      expect(error.message).toContain('prochaine ouverture');
+
+      const removed = await request(app)
+        .delete(`/v1/merchants/schedule/closures/${res.body.closures[0]._id}`)
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .expect(httpStatus.OK);
+      expect(removed.body.closures).toHaveLength(0);
+      expect(removed.body.availability.isOpen).toBe(true);
+    });
+  });
+
+  describe('GET /v1/merchants/nearby', () => {
+    test('should show the open state of each merchant', async () => {
+      await Promise.all([Merchant, Client].map((Model) => Model.createIndexes()));
+      await Client.create({
+        user: client._id,
+        addresses: [{ address: '1 rue de Rivoli, Paris', coordinates: { latitude: 48.8566, longitude: 2.3522 } }],
+      });
+      await Merchant.updateOne({ user: merchant._id }, { timezone: 'UTC', openingHours: allDay, ordersPaused: true });
+
+      const res = await request(app)
+        .get('/v1/merchants/nearby')
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body[0]).toMatchObject({ storeName: 'Épicerie', isOpen: false, nextOpeningAt: null });
+      expect(res.body[0].openingHours).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Notification } = require('../../src/models');
+const { emailService, realtimeService } = require('../../src/services');
+const { admin, client, insertUsers } = require('../fixtures/user.fixture');
+const { adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Notification routes', () => {
+  beforeEach(async () => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+    await insertUsers([admin, client]);
+  });
+
+  const createNotification = (body) =>
+    request(app)
+      .post('/v1/notifications')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({ userId: client._id.toHexString(), message: 'Votre commande arrive', type: 'system', ...body });
+
+  describe('POST /v1/notifications', () => {
+    test('should store the notification for the target user', async () => {
+      const res = await createNotification().expect(httpStatus.CREATED);
+
+      const dbNotification = await Notification.findById(res.body.id);
+      expect(String(dbNotification.user)).toBe(client._id.toHexString());
+      expect(dbNotification.channels).toEqual(['in_app']);
+    });
+
+    test('should push the notification to the connected user and send it by email', async () => {
+      const events = [];
+      const unsubscribe = realtimeService.subscribe(client, [realtimeService.userChannel(client._id)], (event) =>
+        events.push(event)
+      );
+
+      const res = await createNotification({ channels: ['in_app', 'push', 'email'] }).expect(httpStatus.CREATED);
+      unsubscribe();
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ type: 'notification', data: { notificationId: res.body.id } });
+      expect(emailService.transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: client.email }));
+      const dbNotification = await Notification.findById(res.body.id);
+      expect(dbNotification.deliveryStatus).toMatchObject({ push: 'sent', email: 'sent' });
+    });
+
+    test('should return 400 for the unsupported sms channel', async () => {
+      await createNotification({ channels: ['sms'] }).expect(httpStatus.BAD_REQUEST);
+
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+  });
+});
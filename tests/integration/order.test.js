@@ -0,0 +1,144 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Client, Order, Payment } = require('../../src/models');
+const { admin, client, merchant, insertUsers } = require('../fixtures/user.fixture');
+const { adminAccessToken, clientAccessToken, merchantAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Order routes', () => {
+  const createOrder = (fields = {}) =>
+    Order.create({
+      client: client._id,
+      merchant: merchant._id,
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 12, subtotal: 12, discount: 0, total: 12 }],
+      subtotal: 12,
+      totalPrice: 12,
+      ...fields,
+    });
+
+  beforeEach(async () => {
+    await insertUsers([admin, client, merchant]);
+  });
+
+  const payOrder = async (order) => {
+    const res = await request(app)
+      .post('/v1/payments')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({ order: order.id, amount: order.totalPrice, method: 'credit_card', source: 'mock_ok' })
+      .expect(httpStatus.CREATED);
+    return Payment.findById(res.body.id);
+  };
+
+  describe('PATCH /v1/orders/:orderId', () => {
+    const updateStatus = (order, accessToken, status = 'accepted') =>
+      request(app).patch(`/v1/orders/${order.id}`).set('Authorization', `Bearer ${accessToken}`).send({ status });
+
+    test('should let the merchant of the order move it forward', async () => {
+      const order = await createOrder();
+
+      const res = await updateStatus(order, merchantAccessToken).expect(httpStatus.OK);
+
+      expect(res.body.status).toBe('accepted');
+    });
+
+    test("should return 404 and leave the order unchanged if a merchant updates another merchant's order", async () => {
+      const order = await createOrder({ merchant: mongoose.Types.ObjectId() });
+
+      await updateStatus(order, merchantAccessToken).expect(httpStatus.NOT_FOUND);
+
+      expect((await Order.findById(order._id)).status).toBe('pending');
+    });
+
+    test('should refund the captured payment when the order is cancelled', async () => {
+      const order = await createOrder();
+      const payment = await payOrder(order);
+
+      await updateStatus(order, merchantAccessToken, 'cancelled').expect(httpStatus.OK);
+
+      expect(payment.status).toBe('completed');
+      expect((await Order.findById(order._id)).payment).toEqual(payment._id);
+      const refund = await Payment.findOne({ parentPayment: payment._id, type: 'refund' });
+      expect(refund).toMatchObject({ amount: 12, status: 'completed', reason: 'Commande annulée' });
+      expect((await Payment.findById(payment._id)).refundedAmount).toBe(12);
+    });
+
+    test('should let an admin update any order', async () => {
+      const order = await createOrder({ merchant: mongoose.Types.ObjectId() });
+
+      await updateStatus(order, adminAccessToken).expect(httpStatus.OK);
+    });
+  });
+
+  describe('GET /v1/orders/client', () => {
+    test("should return the client's own orders only", async () => {
+      const order = await createOrder();
+      await createOrder({ client: mongoose.Types.ObjectId() });
+
+      const res = await request(app)
+        .get('/v1/orders/client')
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0].id).toBe(order.id);
+    });
+  });
+
+  describe('GET /v1/orders/merchant/pending', () => {
+    test("should return the merchant's pending orders only", async () => {
+      const first = await createOrder();
+      const second = await createOrder();
+      await createOrder({ status: 'accepted' });
+      await createOrder({ merchant: mongoose.Types.ObjectId() });
+
+      const res = await request(app)
+        .get('/v1/orders/merchant/pending')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body.results.map((order) => order.id).sort()).toEqual([first.id, second.id].sort());
+    });
+  });
+
+  describe('POST /v1/orders/:orderId/note', () => {
+    const addNote = (order, note, accessToken = merchantAccessToken) =>
+      request(app).post(`/v1/orders/${order.id}/note`).set('Authorization', `Bearer ${accessToken}`).send({ note });
+
+    test('should append the note after the existing instructions', async () => {
+      const order = await createOrder({ notes: 'Sonner deux fois' });
+
+      const res = await addNote(order, 'Sans sac').expect(httpStatus.OK);
+
+      expect(res.body.notes).toBe('Sonner deux fois\nSans sac');
+    });
+
+    test("should return 404 for another merchant's order", async () => {
+      const order = await createOrder({ merchant: mongoose.Types.ObjectId() });
+
+      await addNote(order, 'Sans sac').expect(httpStatus.NOT_FOUND);
+
+      expect((await Order.findById(order._id)).notes).toBeUndefined();
+    });
+  });
+
+  describe('PATCH /v1/clients/:clientId/orders/:orderId/cancel', () => {
+    test('should cancel the order through the order service and refund its payment', async () => {
+      const order = await createOrder();
+      const payment = await payOrder(order);
+      await Client.create({ user: client._id, orders: [order._id] });
+
+      await request(app)
+        .patch(`/v1/clients/${client._id}/orders/${order.id}/cancel`)
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect((await Order.findById(order._id)).status).toBe('cancelled');
+      await expect(Payment.countDocuments({ parentPayment: payment._id, type: 'refund' })).resolves.toBe(1);
+      expect((await Payment.findById(payment._id)).refundedAmount).toBe(12);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Order, Payment, Product } = require('../../src/models');
+const { admin, insertUsers } = require('../fixtures/user.fixture');
+const { adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Payment refund routes', () => {
+  describe('POST /v1/payments/refund', () => {
+    let product;
+    let order;
+    let payment;
+
+    beforeEach(async () => {
+      await insertUsers([admin]);
+      const merchant = mongoose.Types.ObjectId();
+      product = await Product.create({ name: 'Café', price: 10, stock: 5, merchant, category: mongoose.Types.ObjectId() });
+      order = await Order.create({
+        client: mongoose.Types.ObjectId(),
+        merchant,
+        products: [{ productId: product._id, quantity: 3, price: 10, subtotal: 30, discount: 0, total: 30 }],
+        subtotal: 30,
+        totalPrice: 30,
+      });
+
+      const res = await request(app)
+        .post('/v1/payments')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ order: order.id, amount: 30, method: 'credit_card', source: 'mock_ok' })
+        .expect(httpStatus.CREATED);
+      payment = res.body;
+    });
+
+    const refund = (body) =>
+      request(app).post('/v1/payments/refund').set('Authorization', `Bearer ${adminAccessToken}`).send(body);
+
+    test('should refund line items as separate refund payments linked to the original payment', async () => {
+      const first = await refund({ orderId: order.id, items: [{ productId: product.id, quantity: 1 }] }).expect(
+        httpStatus.OK
+      );
+      const second = await refund({ orderId: order.id, items: [{ productId: product.id, quantity: 1 }] }).expect(
+        httpStatus.OK
+      );
+
+      expect(first.body).toMatchObject({ type: 'refund', amount: 10, status: 'completed', parentPayment: payment.id });
+      expect(second.body.transactionId).not.toBe(first.body.transactionId);
+      const dbPayment = await Payment.findById(payment.id);
+      expect(dbPayment.refundedAmount).toBe(20);
+    });
+
+    test('should put refunded items back in stock when restock is requested', async () => {
+      await refund({ orderId: order.id, items: [{ productId: product.id, quantity: 2 }], restock: true }).expect(
+        httpStatus.OK
+      );
+
+      const dbProduct = await Product.findById(product._id);
+      expect(dbProduct.stock).toBe(7);
+    });
+
+    test('should return 400 if more items are refunded than ordered', async () => {
+      await refund({ orderId: order.id, items: [{ productId: product.id, quantity: 2 }] }).expect(httpStatus.OK);
+
+      const res = await refund({ orderId: order.id, items: [{ productId: product.id, quantity: 2 }] }).expect(
+        httpStatus.BAD_REQUEST
+      );
+
+      expect(res.body.errorCode).toBe('REFUND_QUANTITY_EXCEEDED');
+    });
+
+    test('should return 400 if the amount exceeds what is left to refund', async () => {
+      await refund({ orderId: order.id, amount: 25 }).expect(httpStatus.OK);
+
+      const res = await refund({ orderId: order.id, amount: 10 }).expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('REFUND_AMOUNT_EXCEEDED');
+    });
+
+    test('should refund everything left when neither items nor amount are given', async () => {
+      await refund({ orderId: order.id, amount: 5 }).expect(httpStatus.OK);
+
+      const res = await refund({ orderId: order.id }).expect(httpStatus.OK);
+
+      expect(res.body.amount).toBe(25);
+    });
+  });
+});
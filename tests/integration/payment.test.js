@@ -0,0 +1,173 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { CheckoutGroup, Order, Payment, StockReservation } = require('../../src/models');
+const { paymentService } = require('../../src/services');
+const { admin, client, insertUsers } = require('../fixtures/user.fixture');
+const { adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Payment routes', () => {
+  let order;
+
+  beforeEach(async () => {
+    await insertUsers([admin, client]);
+    order = await Order.create({
+      client: client._id,
+      merchant: mongoose.Types.ObjectId(),
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 2, price: 15, subtotal: 30, discount: 0, total: 30 }],
+      subtotal: 30,
+      totalPrice: 30,
+    });
+  });
+
+  const pay = (body) =>
+    request(app)
+      .post('/v1/payments')
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .send({ order: order.id, method: 'credit_card', ...body });
+
+  describe('POST /v1/payments', () => {
+    test('should return 400 if the amount does not match the order total', async () => {
+      const res = await pay({ amount: 1 }).expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('PAYMENT_AMOUNT_MISMATCH');
+      await expect(Payment.countDocuments()).resolves.toBe(0);
+    });
+
+    test.each(['refund', 'fee'])('should return 400 for a %s and keep the order reservations', async (type) => {
+      const reservation = await StockReservation.create({
+        inventory: mongoose.Types.ObjectId(),
+        product: order.products[0].productId,
+        merchant: order.merchant,
+        order: order._id,
+        quantity: 2,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      await pay({ amount: 1, type, source: 'mock_ok' }).expect(httpStatus.BAD_REQUEST);
+
+      await expect(Payment.countDocuments()).resolves.toBe(0);
+      expect(await StockReservation.findById(reservation._id)).toMatchObject({ status: 'active' });
+    });
+
+    test('should not let a client pay an order of another client', async () => {
+      await expect(
+        paymentService.makePayment(
+          { order: order._id, amount: 30, method: 'credit_card' },
+          { id: mongoose.Types.ObjectId().toHexString(), role: 'client' }
+        )
+      ).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+
+      const payment = await paymentService.makePayment(
+        { order: order._id, amount: 30, method: 'credit_card' },
+        { id: client._id.toHexString(), role: 'client' }
+      );
+      expect(payment).toMatchObject({ status: 'completed', capturedAmount: 30 });
+    });
+
+    test('should link the payment to the order and reject a second payment of the same order', async () => {
+      const res = await pay({ amount: 30, source: 'mock_ok' }).expect(httpStatus.CREATED);
+
+      expect((await Order.findById(order._id)).payment.toString()).toBe(res.body.id);
+
+      const second = await pay({ amount: 30, source: 'mock_ok' }).expect(httpStatus.CONFLICT);
+
+      expect(second.body.errorCode).toBe('ORDER_ALREADY_PAID');
+      await expect(Payment.countDocuments({ status: 'completed' })).resolves.toBe(1);
+      expect((await Order.findById(order._id)).payment.toString()).toBe(res.body.id);
+    });
+
+    test('should let only one of two concurrent payments of the same order go through', async () => {
+      const results = await Promise.allSettled([
+        paymentService.makePayment({ order: order._id, amount: 30, method: 'credit_card', source: 'mock_ok' }),
+        paymentService.makePayment({ order: order._id, amount: 30, method: 'credit_card', source: 'mock_ok' }),
+      ]);
+
+      const fulfilled = results.filter((result) => result.status === 'fulfilled');
+      expect(fulfilled).toHaveLength(1);
+      expect(results.find((result) => result.status === 'rejected').reason.errorCode).toBe('ORDER_ALREADY_PAID');
+      expect((await Order.findById(order._id)).payment).toEqual(fulfilled[0].value._id);
+    });
+
+    test('should leave a declined order unlinked so that it can be paid again', async () => {
+      const res = await pay({ amount: 30, source: 'mock_declined' }).expect(httpStatus.PAYMENT_REQUIRED);
+
+      expect(res.body.errorCode).toBe('PAYMENT_DECLINED');
+      expect((await Order.findById(order._id)).payment).toBeUndefined();
+
+      await pay({ amount: 30, source: 'mock_ok' }).expect(httpStatus.CREATED);
+    });
+
+    test('should not let a client pay a checkout group of another client', async () => {
+      const checkoutGroup = await CheckoutGroup.create({ client: client._id, orders: [order._id], totalPrice: 30 });
+      await Order.updateOne({ _id: order._id }, { checkoutGroup: checkoutGroup._id });
+      const groupPayment = { checkoutGroup: checkoutGroup._id, amount: 30, method: 'credit_card', source: 'mock_ok' };
+
+      await expect(
+        paymentService.makePayment(groupPayment, { id: mongoose.Types.ObjectId().toHexString(), role: 'client' })
+      ).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+      expect((await Order.findById(order._id)).payment).toBeUndefined();
+
+      const payment = await paymentService.makePayment(groupPayment, { id: client._id.toHexString(), role: 'client' });
+      expect((await CheckoutGroup.findById(checkoutGroup._id)).payment).toEqual(payment._id);
+      expect((await Order.findById(order._id)).payment).toEqual(payment._id);
+    });
+  });
+
+  describe('POST /v1/payments/:paymentId/capture', () => {
+    let payment;
+
+    beforeEach(async () => {
+      const res = await pay({ amount: 30, capture: false }).expect(httpStatus.CREATED);
+      payment = res.body;
+    });
+
+    const capture = (amount) =>
+      request(app)
+        .post(`/v1/payments/${payment.id}/capture`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(amount === undefined ? {} : { amount });
+
+    test('should return 400 if the amount exceeds the authorization', async () => {
+      const res = await capture(31).expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('CAPTURE_AMOUNT_EXCEEDED');
+      await expect(Payment.findById(payment.id)).resolves.toMatchObject({ status: 'authorized' });
+    });
+
+    test('should keep the captured amount and cap refunds to it', async () => {
+      const res = await capture(20).expect(httpStatus.OK);
+      expect(res.body).toMatchObject({ status: 'completed', capturedAmount: 20 });
+
+      const refund = await request(app)
+        .post('/v1/payments/refund')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ orderId: order.id, amount: 25 })
+        .expect(httpStatus.BAD_REQUEST);
+
+      expect(refund.body.errorCode).toBe('REFUND_AMOUNT_EXCEEDED');
+      await request(app)
+        .post('/v1/payments/refund')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ orderId: order.id, amount: 20 })
+        .expect(httpStatus.OK);
+    });
+  });
+
+  describe('GET /v1/payments/stats', () => {
+    test('should return the totals by payment status', async () => {
+      await pay({ amount: 30, source: 'mock_ok' }).expect(httpStatus.CREATED);
+
+      const res = await request(app)
+        .get('/v1/payments/stats')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual([{ _id: 'completed', totalAmount: 30, count: 1 }]);
+    });
+  });
+});
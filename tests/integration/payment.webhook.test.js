@@ -0,0 +1,108 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Order, Payment, PaymentEvent, Notification } = require('../../src/models');
+const paymentProviders = require('../../src/services/paymentProviders');
+
+setupTestDB();
+
+describe('Payment webhook routes', () => {
+  describe('POST /v1/payments/webhooks/:provider', () => {
+    const provider = paymentProviders.getProviderByName('mock');
+    let order;
+    let payment;
+
+    const sendEvent = (event, signature) => {
+      const body = JSON.stringify(event);
+      return request(app)
+        .post('/v1/payments/webhooks/mock')
+        .set('Content-Type', 'application/json')
+        .set('X-Payment-Signature', signature === undefined ? provider.signWebhook(body) : signature)
+        .send(body);
+    };
+
+    beforeEach(async () => {
+      order = await Order.create({
+        client: mongoose.Types.ObjectId(),
+        merchant: mongoose.Types.ObjectId(),
+        products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 20 }],
+        totalPrice: 20,
+      });
+      payment = await Payment.create({
+        order: order._id,
+        amount: 20,
+        method: 'credit_card',
+        type: 'payment',
+        provider: 'mock',
+        transactionId: 'mock_txn_webhook',
+        status: 'authorized',
+      });
+    });
+
+    test('should return 200, complete the payment and link it to the order', async () => {
+      const event = { id: 'evt_1', type: 'payment.captured', data: { transactionId: 'mock_txn_webhook', amount: 20 } };
+
+      const res = await sendEvent(event).expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ received: true, duplicate: false, status: 'processed' });
+      const dbPayment = await Payment.findById(payment._id);
+      expect(dbPayment.status).toBe('completed');
+      expect(dbPayment.history.map((entry) => entry.status)).toEqual(['authorized']);
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder.payment).toEqual(payment._id);
+      await expect(PaymentEvent.countDocuments({ provider: 'mock', eventId: 'evt_1' })).resolves.toBe(1);
+      await expect(Notification.countDocuments({ user: order.merchant, type: 'order_update' })).resolves.toBe(1);
+    });
+
+    test('should cancel the pending order when the payment fails', async () => {
+      const event = { id: 'evt_2', type: 'payment.failed', data: { transactionId: 'mock_txn_webhook' } };
+
+      await sendEvent(event).expect(httpStatus.OK);
+
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder.status).toBe('cancelled');
+      expect(dbOrder.statusHistory[dbOrder.statusHistory.length - 1]).toMatchObject({ status: 'cancelled', role: 'system' });
+    });
+
+    test('should cancel an order already accepted by the merchant when the payment is voided', async () => {
+      await order.updateStatus('accepted', { role: 'merchant' });
+      const event = { id: 'evt_5', type: 'payment.voided', data: { transactionId: 'mock_txn_webhook' } };
+
+      await sendEvent(event).expect(httpStatus.OK);
+
+      const dbOrder = await Order.findById(order._id);
+      expect(dbOrder.status).toBe('cancelled');
+      expect(dbOrder.statusHistory[dbOrder.statusHistory.length - 1]).toMatchObject({
+        from: 'accepted',
+        role: 'system',
+        reason: 'Paiement annulé',
+      });
+    });
+
+    test('should ignore a replayed event', async () => {
+      const event = { id: 'evt_3', type: 'payment.captured', data: { transactionId: 'mock_txn_webhook' } };
+      await sendEvent(event).expect(httpStatus.OK);
+
+      const res = await sendEvent(event).expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ received: true, duplicate: true, status: 'processed' });
+      const dbPayment = await Payment.findById(payment._id);
+      expect(dbPayment.history).toHaveLength(1);
+    });
+
+    test('should return 401 if the signature is invalid', async () => {
+      const event = { id: 'evt_4', type: 'payment.captured', data: { transactionId: 'mock_txn_webhook' } };
+
+      const res = await sendEvent(event, 'invalid').expect(httpStatus.UNAUTHORIZED);
+
+      expect(res.body.errorCode).toBe('WEBHOOK_SIGNATURE_INVALID');
+      await expect(PaymentEvent.countDocuments()).resolves.toBe(0);
+    });
+
+    test('should return 404 if the provider is unknown', async () => {
+      await request(app).post('/v1/payments/webhooks/unknown').send({}).expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Delivery, Livreur, Merchant, Order } = require('../../src/models');
+const { deliveryService } = require('../../src/services');
+const { client, merchant, livreur, livreurTwo, insertUsers } = require('../fixtures/user.fixture');
+const { merchantAccessToken, livreurAccessToken, livreurTwoAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Pickup handoff', () => {
+  const store = { latitude: 48.85, longitude: 2.35 };
+  let order;
+  let delivery;
+  let livreurProfile;
+
+  beforeEach(async () => {
+    await insertUsers([client, merchant, livreur, livreurTwo]);
+    const merchantProfile = await Merchant.create({ user: merchant._id, storeName: 'Épicerie', location: store });
+    livreurProfile = await Livreur.create({ user: livreur._id, location: { latitude: 48.86, longitude: 2.36 } });
+    await Livreur.create({ user: livreurTwo._id, location: store });
+    order = await Order.create({
+      client: client._id,
+      merchant: merchant._id,
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 20 }],
+      totalPrice: 20,
+      status: 'in_progress',
+    });
+    delivery = await Delivery.create({
+      order: order._id,
+      livreur: livreurProfile._id,
+      status: 'in_progress',
+      statusHistory: [{ status: 'in_progress' }],
+      pickupLocation: merchantProfile.location,
+      proof: { pin: '4821' },
+    });
+  });
+
+  const markReady = () =>
+    request(app)
+      .post(`/v1/orders/${order.id}/ready-for-pickup`)
+      .set('Authorization', `Bearer ${merchantAccessToken}`)
+      .send();
+
+  const confirmPickup = (code, token = livreurAccessToken) =>
+    request(app)
+      .post(`/v1/livreurs/deliveries/${delivery.id}/pickup`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code });
+
+  test('should give the merchant a stable pickup code', async () => {
+    const first = await markReady().expect(httpStatus.OK);
+    const second = await markReady().expect(httpStatus.OK);
+
+    expect(first.body.pickupCode).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+    expect(second.body).toEqual(first.body);
+    const dbDelivery = await Delivery.findById(delivery._id);
+    expect(dbDelivery.pickup.readyAt).toBeDefined();
+  });
+
+  test('should refuse a pickup before the order is ready or with a wrong code', async () => {
+    const early = await confirmPickup('AAAAAA').expect(httpStatus.CONFLICT);
+    expect(early.body.errorCode).toBe('PICKUP_NOT_READY');
+
+    await markReady().expect(httpStatus.OK);
+    const wrong = await confirmPickup('AAAAAA').expect(httpStatus.BAD_REQUEST);
+    expect(wrong.body.errorCode).toBe('PICKUP_CODE_INVALID');
+
+    await confirmPickup('AAAAAA', livreurTwoAccessToken).expect(httpStatus.NOT_FOUND);
+  });
+
+  test('should not deliver before the pickup nor move a picked-up delivery back to in_progress', async () => {
+    const updateStatus = (status) =>
+      request(app)
+        .patch(`/v1/livreurs/deliveries/${delivery.id}`)
+        .set('Authorization', `Bearer ${livreurAccessToken}`)
+        .send({ status, pin: '4821' });
+
+    const early = await updateStatus('delivered').expect(httpStatus.CONFLICT);
+    expect(early.body.errorCode).toBe('DELIVERY_INVALID_TRANSITION');
+    await expect(Order.findById(order._id)).resolves.toMatchObject({ status: 'in_progress' });
+
+    await Delivery.updateOne({ _id: delivery._id }, { status: 'picked_up' });
+    await updateStatus('in_progress').expect(httpStatus.BAD_REQUEST);
+    await expect(Delivery.findById(delivery._id)).resolves.toMatchObject({ status: 'picked_up' });
+  });
+
+  test.each([
+    ['in_progress', 'cancelled'],
+    ['in_progress', 'pending'],
+    ['picked_up', 'cancelled'],
+  ])('should not let the livreur move a delivery from %s to %s behind the order and the dispatch', async (from, status) => {
+    await Delivery.updateOne({ _id: delivery._id }, { status: from });
+
+    await request(app)
+      .patch(`/v1/livreurs/deliveries/${delivery.id}`)
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .send({ status })
+      .expect(httpStatus.BAD_REQUEST);
+    await request(app)
+      .patch(`/v1/deliveries/${delivery.id}`)
+      .set('Authorization', `Bearer ${livreurTwoAccessToken}`)
+      .send({ status })
+      .expect(httpStatus.BAD_REQUEST);
+    await expect(deliveryService.updateDeliveryStatus(delivery._id, status)).rejects.toMatchObject({
+      statusCode: httpStatus.CONFLICT,
+      errorCode: 'DELIVERY_INVALID_TRANSITION',
+    });
+
+    const dbDelivery = await Delivery.findById(delivery._id);
+    expect(dbDelivery.status).toBe(from);
+    expect(String(dbDelivery.livreur)).toBe(String(livreurProfile._id));
+    await expect(Order.findById(order._id)).resolves.toMatchObject({ status: 'in_progress' });
+  });
+
+  test('should measure the store wait from the livreur arrival and move the order to picked_up', async () => {
+    const { body } = await markReady().expect(httpStatus.OK);
+    await request(app)
+      .patch('/v1/livreurs/location')
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .send({ coordinates: { latitude: 48.8502, longitude: 2.3502 } })
+      .expect(httpStatus.OK);
+    const arrived = await Delivery.findById(delivery._id);
+    expect(arrived.pickup.arrivedAt).toBeDefined();
+    await Delivery.updateOne({ _id: delivery._id }, { 'pickup.arrivedAt': new Date(Date.now() - 12 * 60 * 1000) });
+
+    const res = await confirmPickup(body.pickupCode.toLowerCase()).expect(httpStatus.OK);
+
+    expect(res.body.status).toBe('picked_up');
+    expect(res.body.waitTime).toBeCloseTo(12, 0);
+    expect(res.body.pickup.code).toBeUndefined();
+    const dbDelivery = await Delivery.findById(delivery._id);
+    expect(dbDelivery.statusHistory.map((step) => step.status)).toEqual(['in_progress', 'picked_up']);
+    const dbOrder = await Order.findById(order._id);
+    expect(dbOrder.status).toBe('picked_up');
+    expect(dbOrder.statusHistory[dbOrder.statusHistory.length - 1]).toMatchObject({
+      from: 'in_progress',
+      status: 'picked_up',
+      role: 'livreur',
+    });
+
+    await confirmPickup(body.pickupCode).expect(httpStatus.CONFLICT);
+    await request(app)
+      .patch(`/v1/livreurs/deliveries/${delivery.id}`)
+      .set('Authorization', `Bearer ${livreurAccessToken}`)
+      .send({ status: 'delivered', pin: '4821' })
+      .expect(httpStatus.OK);
+  });
+});
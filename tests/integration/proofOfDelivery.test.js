@@ -0,0 +1,124 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const config = require('../../src/config/config');
+const setupTestDB = require('../utils/setupTestDB');
+const { Delivery, Livreur, Order } = require('../../src/models');
+const { dispatchService } = require('../../src/services');
+const { admin, client, livreur, livreurTwo, insertUsers } = require('../fixtures/user.fixture');
+const {
+  adminAccessToken,
+  clientAccessToken,
+  livreurAccessToken,
+  livreurTwoAccessToken,
+} = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Proof of delivery', () => {
+  const dropoff = { latitude: 48.87, longitude: 2.35 };
+  const photo = `data:image/png;base64,${Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64')}`;
+  let livreurProfile;
+  let order;
+  let delivery;
+
+  beforeEach(async () => {
+    await insertUsers([admin, client, livreur, livreurTwo]);
+    // À une trentaine de mètres de l'adresse de livraison
+    livreurProfile = await Livreur.create({ user: livreur._id, location: { latitude: 48.8702, longitude: 2.3502 } });
+    await Livreur.create({ user: livreurTwo._id, location: dropoff });
+    order = await Order.create({
+      client: client._id,
+      merchant: mongoose.Types.ObjectId(),
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 20 }],
+      totalPrice: 20,
+      status: 'picked_up',
+      deliveryAddress: { street: '1 rue de Paris', coordinates: dropoff },
+    });
+    delivery = await Delivery.create({
+      order: order._id,
+      livreur: livreurProfile._id,
+      status: 'picked_up',
+      proof: { pin: '4821' },
+    });
+  });
+
+  const deliver = (body, token = livreurAccessToken) =>
+    request(app)
+      .patch(`/v1/livreurs/deliveries/${delivery.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'delivered', ...body });
+
+  test('should deliver with the client PIN and record where the handover happened', async () => {
+    const res = await deliver({ pin: '4821', photo }).expect(httpStatus.OK);
+
+    expect(res.body.status).toBe('delivered');
+    expect(res.body.proof.pin).toBeUndefined();
+    expect(res.body.proof.photo).toEqual({ contentType: 'image/png', size: 4 });
+    const dbDelivery = await Delivery.findById(delivery._id);
+    expect(dbDelivery.proof.pinVerifiedAt).toBeDefined();
+    expect(dbDelivery.proof.distanceMeters).toBeLessThan(50);
+    expect(dbDelivery.proof.location.coordinates).toEqual([2.3502, 48.8702]);
+
+    const image = await request(app)
+      .get(`/v1/deliveries/${delivery.id}/proof/photo`)
+      .set('Authorization', `Bearer ${adminAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(image.headers['content-type']).toBe('image/png');
+  });
+
+  test('should refuse a missing or wrong PIN and lock the delivery after too many attempts', async () => {
+    const missing = await deliver({}).expect(httpStatus.BAD_REQUEST);
+    expect(missing.body.errorCode).toBe('DELIVERY_PIN_REQUIRED');
+
+    const wrong = await deliver({ pin: '0000' }).expect(httpStatus.BAD_REQUEST);
+    expect(wrong.body.errorCode).toBe('DELIVERY_PIN_INVALID');
+    await expect(Delivery.findById(delivery._id)).resolves.toMatchObject({
+      status: 'picked_up',
+      proof: expect.objectContaining({ pinAttempts: 1 }),
+    });
+
+    await Delivery.updateOne({ _id: delivery._id }, { 'proof.pinAttempts': config.proofOfDelivery.pinMaxAttempts });
+    const locked = await deliver({ pin: '4821' }).expect(httpStatus.CONFLICT);
+    expect(locked.body.errorCode).toBe('DELIVERY_PIN_LOCKED');
+  });
+
+  test('should refuse a livreur outside the drop-off geofence without consuming a PIN attempt', async () => {
+    await Livreur.updateOne({ _id: livreurProfile._id }, { location: { type: 'Point', coordinates: [2.36, 48.88] } });
+
+    const res = await deliver({ pin: '0000' }).expect(httpStatus.BAD_REQUEST);
+
+    expect(res.body.errorCode).toBe('DELIVERY_OUTSIDE_GEOFENCE');
+    const dbDelivery = await Delivery.findById(delivery._id);
+    expect(dbDelivery.proof.pinAttempts).toBe(0);
+  });
+
+  test('should reject invalid images and deliveries of another livreur', async () => {
+    const invalid = await deliver({ pin: '4821', photo: 'data:application/pdf;base64,JVBERi0=' }).expect(
+      httpStatus.BAD_REQUEST
+    );
+    expect(invalid.body.errorCode).toBe('PROOF_IMAGE_INVALID');
+
+    await deliver({ pin: '4821' }, livreurTwoAccessToken).expect(httpStatus.NOT_FOUND);
+  });
+
+  test('should give the client a PIN generated at dispatch', async () => {
+    const accepted = await Order.create({
+      client: client._id,
+      merchant: mongoose.Types.ObjectId(),
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 20 }],
+      totalPrice: 20,
+      status: 'accepted',
+    });
+
+    const dispatched = await dispatchService.dispatchOrder(accepted);
+
+    expect(dispatched.proof.pin).toMatch(/^\d{4}$/);
+    const res = await request(app)
+      .get(`/v1/orders/${accepted.id}/delivery-pin`)
+      .set('Authorization', `Bearer ${clientAccessToken}`)
+      .expect(httpStatus.OK);
+    expect(res.body).toEqual({ pin: dispatched.proof.pin });
+  });
+});
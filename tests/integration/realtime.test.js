@@ -0,0 +1,138 @@
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Delivery, Livreur, Order } = require('../../src/models');
+const { admin, client, merchant, livreur, insertUsers } = require('../fixtures/user.fixture');
+const {
+  adminAccessToken,
+  clientAccessToken,
+  merchantAccessToken,
+  livreurAccessToken,
+} = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+/**
+ * Ouvrir un flux SSE sur un serveur réel et collecter les événements reçus.
+ */
+const openStream = (server, path, token) =>
+  new Promise((resolve, reject) => {
+    const events = [];
+    const waiters = [];
+    const req = http.get({ port: server.address().port, path, headers: { Authorization: `Bearer ${token}` } }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks
+          .filter((block) => block.includes('event: '))
+          .forEach((block) => {
+            const type = block.match(/^event: (.+)$/m)[1];
+            const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+            events.push({ type, data });
+          });
+        waiters.filter((waiter) => events.length >= waiter.count).forEach((waiter) => waiter.resolve(events));
+      });
+      resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        events,
+        waitFor: (count) =>
+          events.length >= count ? Promise.resolve(events) : new Promise((done) => waiters.push({ count, resolve: done })),
+        close: () => req.destroy(),
+      });
+    });
+    req.on('error', reject);
+  });
+
+describe('Realtime routes', () => {
+  let server;
+  let order;
+
+  beforeAll(
+    () =>
+      new Promise((resolve) => {
+        server = app.listen(0, resolve);
+      })
+  );
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(async () => {
+    await insertUsers([admin, client, merchant, livreur]);
+    order = await Order.create({
+      client: client._id,
+      merchant: merchant._id,
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 12 }],
+      totalPrice: 12,
+    });
+  });
+
+  describe('GET /v1/realtime/stream', () => {
+    test('should return 401 without an access token', async () => {
+      await request(app).get('/v1/realtime/stream').expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test('should refuse to follow an order the user cannot track', async () => {
+      await request(app)
+        .get('/v1/realtime/stream')
+        .set('Authorization', `Bearer ${merchantAccessToken}`)
+        .query({ orderId: order.id })
+        .expect(httpStatus.FORBIDDEN);
+      const other = await Order.create({ ...order.toObject(), _id: undefined, client: mongoose.Types.ObjectId() });
+      await request(app)
+        .get('/v1/realtime/stream')
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .query({ orderId: other.id })
+        .expect(httpStatus.NOT_FOUND);
+    });
+
+    test('should stream the current state then the status changes of the followed order', async () => {
+      const stream = await openStream(server, `/v1/realtime/stream?orderId=${order.id}`, clientAccessToken);
+      expect(stream.status).toBe(httpStatus.OK);
+      expect(stream.headers['content-type']).toMatch('text/event-stream');
+      await stream.waitFor(1);
+
+      await request(app)
+        .patch(`/v1/orders/${order.id}`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send({ status: 'accepted' })
+        .expect(httpStatus.OK);
+
+      const events = await stream.waitFor(2);
+      stream.close();
+      expect(events[0]).toMatchObject({ type: 'order.status', data: { orderId: order.id, status: 'pending' } });
+      expect(events[1]).toMatchObject({ type: 'order.status', data: { orderId: order.id, status: 'accepted' } });
+    });
+
+    test('should stream the coordinates of the livreur delivering the order', async () => {
+      const profile = await Livreur.create({ user: livreur._id, location: { latitude: 48.85, longitude: 2.35 } });
+      const delivery = await Delivery.create({ order: order._id, livreur: profile._id, status: 'in_progress' });
+      await Order.updateOne({ _id: order._id }, { delivery: delivery._id });
+      const stream = await openStream(server, `/v1/realtime/stream?orderId=${order.id}`, clientAccessToken);
+      await stream.waitFor(2);
+
+      await request(app)
+        .patch('/v1/livreurs/location')
+        .set('Authorization', `Bearer ${livreurAccessToken}`)
+        .send({ coordinates: { latitude: 48.86, longitude: 2.36 } })
+        .expect(httpStatus.OK);
+
+      const events = await stream.waitFor(3);
+      stream.close();
+      expect(events[1]).toMatchObject({
+        type: 'livreur.location',
+        data: { coordinates: { latitude: 48.85, longitude: 2.35 } },
+      });
+      expect(events[2]).toMatchObject({
+        type: 'livreur.location',
+        data: { orderId: order.id, livreurId: profile.id, coordinates: { latitude: 48.86, longitude: 2.36 } },
+      });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Order, Payment, Client, Merchant, ReturnRequest } = require('../../src/models');
+const paymentProviders = require('../../src/services/paymentProviders');
+const { client, merchant, support, insertUsers } = require('../fixtures/user.fixture');
+const { clientAccessToken, merchantAccessToken, supportAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Return request routes', () => {
+  let order;
+
+  beforeEach(async () => {
+    await insertUsers([client, merchant, support]);
+    await Client.create({ user: client._id });
+    await Merchant.create({ user: merchant._id, storeName: 'Épicerie', location: { latitude: 48.85, longitude: 2.35 } });
+
+    order = await Order.create({
+      client: client._id,
+      merchant: merchant._id,
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 2, price: 10, subtotal: 20, discount: 0, total: 20 }],
+      subtotal: 20,
+      totalPrice: 20,
+      status: 'completed',
+    });
+
+    const provider = paymentProviders.getProviderByName('mock');
+    const { transactionId } = await provider.authorize({ amount: 20, reference: order.id });
+    await provider.capture({ transactionId });
+    const payment = await Payment.create({
+      order: order._id,
+      amount: 20,
+      method: 'credit_card',
+      type: 'payment',
+      provider: 'mock',
+      transactionId,
+      status: 'completed',
+    });
+    order.payment = payment._id;
+    await order.save();
+  });
+
+  const openRequest = (body = {}) =>
+    request(app)
+      .post('/v1/returns')
+      .set('Authorization', `Bearer ${clientAccessToken}`)
+      .send({ orderId: order.id, reason: 'Produit abîmé', photos: ['https://cdn.example.com/1.jpg'], ...body });
+
+  const decide = (returnRequestId, body, token = merchantAccessToken) =>
+    request(app).post(`/v1/returns/${returnRequestId}/decision`).set('Authorization', `Bearer ${token}`).send(body);
+
+  describe('POST /v1/returns', () => {
+    test('should open a pending request visible in the client and merchant views', async () => {
+      const res = await openRequest().expect(httpStatus.CREATED);
+
+      expect(res.body).toMatchObject({
+        status: 'pending',
+        reason: 'Produit abîmé',
+        photos: ['https://cdn.example.com/1.jpg'],
+      });
+      const dbClient = await Client.findOne({ user: client._id });
+      expect(dbClient.refunds[0]).toMatchObject({ status: 'pending' });
+      expect(String(dbClient.refunds[0].returnRequest)).toBe(res.body.id);
+      const dbMerchant = await Merchant.findOne({ user: merchant._id });
+      expect(dbMerchant.returns[0]).toMatchObject({ status: 'pending', reason: 'Produit abîmé' });
+    });
+
+    test('should return 409 if a request is already open for the order', async () => {
+      await openRequest().expect(httpStatus.CREATED);
+
+      const res = await openRequest().expect(httpStatus.CONFLICT);
+
+      expect(res.body.errorCode).toBe('RETURN_REQUEST_ALREADY_OPEN');
+    });
+
+    test('should return 400 if the order is not delivered', async () => {
+      await Order.updateOne({ _id: order._id }, { status: 'accepted' });
+
+      const res = await openRequest().expect(httpStatus.BAD_REQUEST);
+
+      expect(res.body.errorCode).toBe('RETURN_ORDER_NOT_COMPLETED');
+    });
+  });
+
+  describe('POST /v1/returns/:returnRequestId/decision', () => {
+    test('should refund the requested amount when the merchant accepts', async () => {
+      const { body: opened } = await openRequest({ amount: 8 }).expect(httpStatus.CREATED);
+
+      const res = await decide(opened.id, { action: 'accept' }).expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ status: 'approved', refundedAmount: 8 });
+      const refund = await Payment.findById(res.body.refund);
+      expect(refund).toMatchObject({ type: 'refund', amount: 8, status: 'completed' });
+      const dbClient = await Client.findOne({ user: client._id });
+      expect(dbClient.refunds[0]).toMatchObject({ status: 'approved', amount: 8 });
+      const dbMerchant = await Merchant.findOne({ user: merchant._id });
+      expect(dbMerchant.returns[0]).toMatchObject({ status: 'approved', amount: 8 });
+    });
+
+    test('should reject the request without refunding', async () => {
+      const { body: opened } = await openRequest().expect(httpStatus.CREATED);
+
+      await decide(opened.id, { action: 'reject', note: 'Hors délai' }, supportAccessToken).expect(httpStatus.OK);
+
+      await expect(Payment.countDocuments({ type: 'refund' })).resolves.toBe(0);
+      const dbClient = await Client.findOne({ user: client._id });
+      expect(dbClient.refunds[0].status).toBe('rejected');
+    });
+
+    test('should return 409 when deciding on a closed request', async () => {
+      const { body: opened } = await openRequest().expect(httpStatus.CREATED);
+      await decide(opened.id, { action: 'reject' }).expect(httpStatus.OK);
+
+      const res = await decide(opened.id, { action: 'accept' }).expect(httpStatus.CONFLICT);
+
+      expect(res.body.errorCode).toBe('RETURN_REQUEST_INVALID_STATE');
+    });
+
+    test('should return 404 for a merchant that does not own the order', async () => {
+      const { body: opened } = await openRequest().expect(httpStatus.CREATED);
+      await ReturnRequest.updateOne({ _id: opened.id }, { merchant: mongoose.Types.ObjectId() });
+
+      await decide(opened.id, { action: 'accept' }).expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('POST /v1/returns/:returnRequestId/counter-offer', () => {
+    test('should refund the counter-offer amount once the client accepts it', async () => {
+      const { body: opened } = await openRequest().expect(httpStatus.CREATED);
+      await decide(opened.id, { action: 'counter', amount: 5 }).expect(httpStatus.OK);
+
+      const res = await request(app)
+        .post(`/v1/returns/${opened.id}/counter-offer`)
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .send({ action: 'accept' })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ status: 'approved', refundedAmount: 5 });
+      expect(res.body.history.map((entry) => entry.status)).toEqual(['pending', 'countered', 'approved']);
+    });
+
+    test('should send the request back to pending when the client declines', async () => {
+      const { body: opened } = await openRequest().expect(httpStatus.CREATED);
+      await decide(opened.id, { action: 'counter', amount: 5 }).expect(httpStatus.OK);
+
+      const res = await request(app)
+        .post(`/v1/returns/${opened.id}/counter-offer`)
+        .set('Authorization', `Bearer ${clientAccessToken}`)
+        .send({ action: 'decline' })
+        .expect(httpStatus.OK);
+
+      expect(res.body.status).toBe('pending');
+      await expect(Payment.countDocuments({ type: 'refund' })).resolves.toBe(0);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const config = require('../../src/config/config');
+const { Merchant, Order, DeliverySlotBooking } = require('../../src/models');
+const { deliverySlotService, orderService } = require('../../src/services');
+const { client, merchant, insertUsers } = require('../fixtures/user.fixture');
+const { clientAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Scheduled orders', () => {
+  let merchantProfile;
+
+  beforeEach(async () => {
+    await insertUsers([client, merchant]);
+    merchantProfile = await Merchant.create({
+      user: merchant._id,
+      storeName: 'Épicerie',
+      timezone: 'UTC',
+      openingHours: [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, open: '08:00', close: '20:00' })),
+      slotCapacity: 1,
+    });
+  });
+
+  const getSlots = (query = {}) =>
+    request(app)
+      .get(`/v1/merchants/${merchantProfile.id}/delivery-slots`)
+      .set('Authorization', `Bearer ${clientAccessToken}`)
+      .query(query)
+      .expect(httpStatus.OK);
+
+  const bookSlot = (start) =>
+    Order.create({
+      client: client._id,
+      merchant: merchant._id,
+      products: [{ productId: mongoose.Types.ObjectId(), quantity: 1, price: 10 }],
+      totalPrice: 10,
+      status: 'scheduled',
+      deliverySlot: { start, end: new Date(new Date(start).getTime() + config.scheduledOrders.slotMinutes * 60000) },
+      releaseAt: new Date(new Date(start).getTime() - config.scheduledOrders.releaseLeadMinutes * 60000),
+    });
+
+  describe('GET /v1/merchants/:merchantId/delivery-slots', () => {
+    test('should list slots within opening hours, after the release lead time', async () => {
+      const res = await getSlots({ days: 2 });
+
+      expect(res.body.length).toBeGreaterThan(0);
+      const earliest = Date.now() + config.scheduledOrders.releaseLeadMinutes * 60000;
+      res.body.forEach((slot) => {
+        const start = new Date(slot.start);
+        expect(start.getTime()).toBeGreaterThanOrEqual(earliest - 1000);
+        expect(start.getUTCHours()).toBeGreaterThanOrEqual(8);
+        expect(new Date(slot.end).getTime() - start.getTime()).toBe(config.scheduledOrders.slotMinutes * 60000);
+      });
+      expect(res.body[0]).toMatchObject({ capacity: 1, remaining: 1 });
+    });
+
+    test('should show the remaining capacity of booked slots', async () => {
+      const { body } = await getSlots({ days: 2 });
+      await bookSlot(body[0].start);
+
+      const res = await getSlots({ days: 2 });
+
+      expect(res.body[0].remaining).toBe(0);
+    });
+  });
+
+  describe('reserveSlot', () => {
+    test('should refuse a full slot or a slot outside opening hours', async () => {
+      const { body } = await getSlots({ days: 2 });
+      await bookSlot(body[0].start);
+
+      await expect(deliverySlotService.reserveSlot([merchant._id], body[0].start)).rejects.toMatchObject({
+        errorCode: 'DELIVERY_SLOT_FULL',
+      });
+      await expect(deliverySlotService.reserveSlot([merchant._id], new Date(Date.now() + 60000))).rejects.toMatchObject({
+        errorCode: 'DELIVERY_SLOT_INVALID',
+      });
+
+      const reserved = await deliverySlotService.reserveSlot([merchant._id], body[1].start);
+      expect(reserved.releaseAt.getTime()).toBe(
+        new Date(body[1].start).getTime() - config.scheduledOrders.releaseLeadMinutes * 60000
+      );
+    });
+
+    test('should book the last place of a slot only once under concurrent checkouts', async () => {
+      const { body } = await getSlots({ days: 2 });
+
+      const results = await Promise.allSettled(
+        [1, 2, 3].map(() => deliverySlotService.reserveSlot([merchant._id], body[0].start))
+      );
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      results
+        .filter((result) => result.status === 'rejected')
+        .forEach((result) => expect(result.reason.errorCode).toBe('DELIVERY_SLOT_FULL'));
+      const booking = await DeliverySlotBooking.findOne({ merchant: merchant._id, start: body[0].start });
+      expect(booking.count).toBe(1);
+    });
+
+    test('should free the place of a cancelled scheduled order', async () => {
+      const { body } = await getSlots({ days: 2 });
+      await deliverySlotService.reserveSlot([merchant._id], body[0].start);
+      const order = await bookSlot(body[0].start);
+
+      await orderService.cancelOrder(order.id, { role: 'client', actor: client._id });
+
+      await expect(deliverySlotService.reserveSlot([merchant._id], body[0].start)).resolves.toMatchObject({
+        start: new Date(body[0].start),
+      });
+    });
+  });
+
+  describe('releaseScheduledOrders', () => {
+    test('should release due scheduled orders to the merchant as pending orders', async () => {
+      const due = await bookSlot(new Date(Date.now() + 30 * 60000));
+      const later = await bookSlot(new Date(Date.now() + 24 * 60 * 60000));
+
+      const result = await orderService.releaseScheduledOrders();
+
+      expect(result.released).toBe(1);
+      const released = await Order.findById(due._id);
+      expect(released.status).toBe('pending');
+      expect(released.statusHistory[released.statusHistory.length - 1]).toMatchObject({
+        from: 'scheduled',
+        status: 'pending',
+        role: 'system',
+      });
+      expect((await Order.findById(later._id)).status).toBe('scheduled');
+    });
+  });
+});
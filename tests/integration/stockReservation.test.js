@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const setupTestDB = require('../utils/setupTestDB');
+const { Inventory, Order, Product, StockMovement, StockReservation } = require('../../src/models');
+const { cartService, emailService, inventoryService, orderService, paymentService } = require('../../src/services');
+const { client, merchant, insertUsers } = require('../fixtures/user.fixture');
+
+setupTestDB();
+
+describe('Stock reservations', () => {
+  let product;
+  let order;
+
+  beforeEach(async () => {
+    jest.spyOn(emailService.transport, 'sendMail').mockResolvedValue();
+    await insertUsers([client, merchant]);
+    product = await Product.create({
+      name: 'Café',
+      price: 10,
+      stock: 5,
+      merchant: merchant._id,
+      category: mongoose.Types.ObjectId(),
+    });
+    order = await Order.create({
+      client: client._id,
+      merchant: merchant._id,
+      products: [{ productId: product._id, quantity: 3, price: 10 }],
+      totalPrice: 30,
+    });
+  });
+
+  const reserve = (quantity, expiresAt) =>
+    inventoryService.reserveStock(product._id, { quantity, client: client._id, order: order._id, expiresAt });
+
+  test('should hold stock without taking it out of the inventory', async () => {
+    await reserve(3);
+
+    const dbProduct = await Product.findById(product._id);
+    expect(dbProduct.stock).toBe(5);
+    expect(dbProduct.availableStock).toBe(2);
+    expect(dbProduct.toJSON().availableStock).toBe(2);
+    expect(await StockMovement.countDocuments({ product: product._id, type: 'sale' })).toBe(0);
+
+    await expect(reserve(3)).rejects.toMatchObject({ statusCode: httpStatus.CONFLICT, errorCode: 'OUT_OF_STOCK' });
+    await expect(
+      cartService.addToCart(mongoose.Types.ObjectId(), { productId: product._id, quantity: 3 })
+    ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+  });
+
+  test('should consume the reservation when the payment completes', async () => {
+    await reserve(3);
+
+    await paymentService.makePayment({ order: order._id, amount: 30, method: 'credit_card', source: 'mock_ok' });
+
+    const inventory = await Inventory.findOne({ product: product._id });
+    expect(inventory).toMatchObject({ quantity: 2, reserved: 0 });
+    expect(await StockReservation.findOne({ order: order._id })).toMatchObject({ status: 'consumed' });
+    const sale = await StockMovement.findOne({ order: order._id, type: 'sale' });
+    expect(sale).toMatchObject({ quantity: -3, balance: 2 });
+  });
+
+  test('should cancel unpaid orders and release their stock once the reservation expires', async () => {
+    await reserve(3, new Date(Date.now() - 1000));
+    const cartHold = await inventoryService.reserveStock(product._id, {
+      quantity: 1,
+      client: client._id,
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const result = await orderService.releaseExpiredReservations();
+
+    expect(result).toEqual({ cancelled: 1, released: 1 });
+    expect((await Order.findById(order._id)).status).toBe('cancelled');
+    expect(await StockReservation.findById(cartHold._id)).toMatchObject({ status: 'released' });
+    const dbProduct = await Product.findById(product._id);
+    expect(dbProduct.stock).toBe(5);
+    expect(dbProduct.availableStock).toBe(5);
+    expect(await StockMovement.countDocuments({ order: order._id })).toBe(0);
+
+    await expect(
+      paymentService.makePayment({ order: order._id, amount: 30, method: 'credit_card', source: 'mock_ok' })
+    ).rejects.toMatchObject({ errorCode: 'ORDER_CANCELLED' });
+  });
+
+  test('should put consumed stock back when a paid order is cancelled', async () => {
+    await reserve(3);
+    await inventoryService.consumeReservations({ order: order._id });
+
+    await orderService.cancelOrder(order.id, { role: 'client', actor: client._id });
+
+    expect((await Inventory.findOne({ product: product._id })).quantity).toBe(5);
+    expect(await StockMovement.findOne({ order: order._id, type: 'cancel' })).toMatchObject({ quantity: 3 });
+  });
+});
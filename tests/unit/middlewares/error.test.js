@@ -116,6 +116,18 @@ describe('Error middlewares', () => {
       expect(res.locals.errorMessage).toBe(error.message);
     });
 
+    test('should send the machine-readable error code if the error has one', () => {
+      const error = new ApiError(httpStatus.CONFLICT, 'Any error').withCode('ANY_ERROR_CODE');
+      const res = httpMocks.createResponse();
+      const sendSpy = jest.spyOn(res, 'send');
+
+      errorHandler(error, httpMocks.createRequest(), res);
+
+      expect(sendSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ code: error.statusCode, message: error.message, errorCode: 'ANY_ERROR_CODE' })
+      );
+    });
+
     test('should put the error stack in the response if in development mode', () => {
       config.env = 'development';
       const error = new ApiError(httpStatus.BAD_REQUEST, 'Any error');
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const { join } = require('path');
+const express = require('express');
+const logger = require('../../../src/config/logger');
+const routes = require('../../../src/routes/v1');
+const orderRoute = require('../../../src/routes/v1/order.route');
+const notificationRoute = require('../../../src/routes/v1/notification.route');
+const paymentRoute = require('../../../src/routes/v1/payment.route');
+const services = require('../../../src/services');
+
+const { moduleRoutes } = routes;
+
+const { loadModuleRoutes } = routes;
+
+/**
+ * Chemins d'un routeur dans l'ordre de déclaration.
+ * @param {express.Router} router
+ * @returns {Array<string>}
+ */
+const routePaths = (router) => router.stack.filter((layer) => layer.route).map((layer) => layer.route.path);
+
+const controllersDir = join(__dirname, '../../../src/controllers');
+
+/* eslint-disable security/detect-non-literal-fs-filename, security/detect-non-literal-require */
+/**
+ * Handlers exportés par les contrôleurs, avec leur nom et le source du contrôleur qui les déclare.
+ * @returns {Map<Function, {file: string, name: string, source: string}>}
+ */
+const controllerHandlers = () =>
+  fs.readdirSync(controllersDir).reduce((acc, file) => {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    const controller = require(join(controllersDir, file));
+    const source = fs.readFileSync(join(controllersDir, file), 'utf8');
+    Object.entries(controller).forEach(([name, handler]) => acc.set(handler, { file, name, source }));
+    return acc;
+  }, new Map());
+/* eslint-enable security/detect-non-literal-fs-filename, security/detect-non-literal-require */
+
+/**
+ * Appels `xxxService.fonction(` du corps d'un handler qui ne correspondent à aucune fonction exportée par les services.
+ * @param {{file: string, name: string, source: string}} handler
+ * @returns {Array<string>}
+ */
+const missingServiceCalls = ({ file, name, source }) => {
+  const start = source.indexOf(`const ${name} = `);
+  const body = source.slice(start, source.indexOf('\n});', start));
+  return [...body.matchAll(/\b(\w+Service)\.(\w+)\(/g)]
+    .filter(([, service, fn]) => !services[service] || typeof services[service][fn] !== 'function')
+    .map(([, service, fn]) => `${file} ${name}: ${service}.${fn}`);
+};
+
+describe('Route registry', () => {
+  describe('loadModuleRoutes', () => {
+    const moduleRoute = (module, load = () => express.Router()) => ({ module, path: `/${module}`, load: jest.fn(load) });
+
+    test('should load enabled modules and never evaluate disabled ones', () => {
+      const registry = [moduleRoute('orders'), moduleRoute('reviews')];
+
+      const loaded = loadModuleRoutes(registry, ['reviews']);
+
+      expect(loaded.map((route) => route.module)).toEqual(['orders']);
+      expect(registry[0].load).toHaveBeenCalledTimes(1);
+      expect(registry[1].load).not.toHaveBeenCalled();
+    });
+
+    test('should warn about unknown modules in DISABLED_MODULES', () => {
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+      loadModuleRoutes([moduleRoute('orders')], ['unknown']);
+
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('unknown'));
+    });
+
+    test('should fail fast and report every module that failed to load', () => {
+      const broken = (message) => () => {
+        throw new Error(message);
+      };
+      const registry = [
+        moduleRoute('orders', broken('Route.get() requires a callback function')),
+        moduleRoute('cart'),
+        moduleRoute('reviews', broken('Cannot read property body of undefined')),
+      ];
+
+      expect(() => loadModuleRoutes(registry, [])).toThrow(/2 module\(s\) failed to load/);
+      expect(() => loadModuleRoutes(registry, [])).toThrow(/orders \(\/orders\).*\n.*reviews \(\/reviews\)/);
+      expect(() => loadModuleRoutes(registry, ['orders', 'reviews'])).not.toThrow();
+    });
+  });
+
+  describe('DISABLED_MODULES', () => {
+    const loadConfig = (value) => {
+      const previous = process.env.DISABLED_MODULES;
+      process.env.DISABLED_MODULES = value;
+      jest.resetModules();
+      // eslint-disable-next-line global-require
+      const config = require('../../../src/config/config');
+      if (previous === undefined) delete process.env.DISABLED_MODULES;
+      else process.env.DISABLED_MODULES = previous;
+      return config;
+    };
+
+    test('should parse a comma-separated list of module names, ignoring spaces and empty entries', () => {
+      expect(loadConfig(' reviews, feedbacks ,,').modules.disabled).toEqual(['reviews', 'feedbacks']);
+      expect(loadConfig('').modules.disabled).toEqual([]);
+    });
+  });
+
+  describe('service calls', () => {
+    test.each(moduleRoutes.map((route) => [route.module, route]))(
+      'should only mount %s handlers whose service functions exist',
+      (name, route) => {
+        const router = route.load();
+        // Après le chargement du routeur : les contrôleurs sont les instances qu'il a montées
+        const handlers = controllerHandlers();
+        const mounted = router.stack
+          .filter((layer) => layer.route)
+          .flatMap((layer) => layer.route.stack.map((routeLayer) => handlers.get(routeLayer.handle)))
+          .filter(Boolean);
+
+        expect(mounted.length).toBeGreaterThan(0);
+        expect(mounted.flatMap(missingServiceCalls)).toEqual([]);
+      }
+    );
+  });
+
+  describe('route ordering', () => {
+    test.each([
+      ['order', orderRoute, '/:orderId', ['/client', '/merchant/pending', '/calculate-total']],
+      ['notification', notificationRoute, '/:notificationId', ['/read-all', '/priority', '/obsolete']],
+      ['payment', paymentRoute, '/:paymentId', ['/stats', '/refund']],
+    ])('should declare %s static paths before the parameterised path', (name, router, paramPath, staticPaths) => {
+      const paths = routePaths(router);
+
+      staticPaths.forEach((path) => expect(paths.indexOf(path)).toBeLessThan(paths.indexOf(paramPath)));
+      expect(paths.indexOf(paramPath)).toBeGreaterThan(-1);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { computeOrderSplit } = require('../../../src/services/ledger.service');
+const { LedgerEntry } = require('../../../src/models');
+
+describe('Ledger service', () => {
+  describe('computeOrderSplit', () => {
+    test('should deduct the commission and the payment fees from the merchant share', () => {
+      const split = computeOrderSplit({ total: 100, commissionRate: 10, paymentFees: 2.9 });
+
+      expect(split).toEqual({ merchantShare: 87.1, commission: 10, paymentFees: 2.9, deliveryFee: 0 });
+    });
+
+    test('should leave the payment fees to the platform when it absorbs them', () => {
+      const split = computeOrderSplit({ total: 100, commissionRate: 10, paymentFees: 2.9, absorbPaymentFees: true });
+
+      expect(split.merchantShare).toBe(90);
+      expect(split.paymentFees).toBe(2.9);
+    });
+
+    test('should round the commission to the cent', () => {
+      const split = computeOrderSplit({ total: 19.99, commissionRate: 12.5 });
+
+      expect(split.commission).toBe(2.5);
+      expect(split.merchantShare).toBe(17.49);
+    });
+
+    test('should charge the delivery fee to the merchant within its share', () => {
+      expect(computeOrderSplit({ total: 100, commissionRate: 10, paymentFees: 2, deliveryFee: 3 })).toEqual({
+        merchantShare: 85,
+        commission: 10,
+        paymentFees: 2,
+        deliveryFee: 3,
+      });
+      expect(computeOrderSplit({ total: 10, commissionRate: 50, deliveryFee: 8 })).toMatchObject({
+        merchantShare: 0,
+        deliveryFee: 5,
+      });
+    });
+
+    test('should never make the merchant share negative', () => {
+      const split = computeOrderSplit({ total: 1, commissionRate: 90, paymentFees: 0.5 });
+
+      expect(split.merchantShare).toBe(0);
+      expect(split.commission).toBe(0.5);
+    });
+  });
+
+  describe('LedgerEntry validation', () => {
+    const newEntry = (lines) => new LedgerEntry({ type: 'order_completed', reference: mongoose.Types.ObjectId(), lines });
+
+    test('should accept a balanced entry', async () => {
+      const entry = newEntry([
+        { account: 'payments_clearing', debit: 0.3 },
+        { account: 'merchant_payable', party: mongoose.Types.ObjectId(), credit: 0.1 },
+        { account: 'commission_revenue', credit: 0.2 },
+      ]);
+
+      await expect(entry.validate()).resolves.toBeUndefined();
+    });
+
+    test('should reject an entry whose debits and credits differ', async () => {
+      const entry = newEntry([
+        { account: 'payments_clearing', debit: 100 },
+        { account: 'merchant_payable', party: mongoose.Types.ObjectId(), credit: 90 },
+      ]);
+
+      await expect(entry.validate()).rejects.toThrow('Unbalanced ledger entry');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const createMockProvider = require('../../../../src/services/paymentProviders/mock.provider');
+
+describe('Mock payment provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createMockProvider({ webhookSecret: 'secret' });
+  });
+
+  describe('authorize', () => {
+    test('should authorize with a transaction id derived from the reference', async () => {
+      const first = await provider.authorize({ amount: 20, reference: 'payment-1' });
+      const second = await createMockProvider({ webhookSecret: 'secret' }).authorize({ amount: 20, reference: 'payment-1' });
+
+      expect(first).toMatchObject({ status: 'authorized', amount: 20 });
+      expect(first.transactionId).toMatch(/^mock_txn_/);
+      expect(second.transactionId).toBe(first.transactionId);
+    });
+
+    test('should decline the mock_declined source', async () => {
+      await expect(
+        provider.authorize({ amount: 20, reference: 'payment-1', source: 'mock_declined' })
+      ).resolves.toMatchObject({
+        status: 'declined',
+        declineCode: 'card_declined',
+      });
+    });
+  });
+
+  describe('capture, void and refund', () => {
+    let transactionId;
+
+    beforeEach(async () => {
+      ({ transactionId } = await provider.authorize({ amount: 20, reference: 'payment-1' }));
+    });
+
+    test('should capture the authorized amount by default', async () => {
+      await expect(provider.capture({ transactionId })).resolves.toMatchObject({ status: 'captured', amount: 20 });
+    });
+
+    test('should refuse to capture more than authorized', async () => {
+      await expect(provider.capture({ transactionId, amount: 25 })).rejects.toThrow();
+    });
+
+    test('should void an authorization that was not captured', async () => {
+      await expect(provider.void({ transactionId })).resolves.toMatchObject({ status: 'voided' });
+      await expect(provider.capture({ transactionId })).rejects.toThrow();
+    });
+
+    test('should refund in several steps up to the captured amount', async () => {
+      await provider.capture({ transactionId });
+
+      const first = await provider.refund({ transactionId, amount: 15, reference: 'refund-1' });
+      const second = await provider.refund({ transactionId, amount: 5, reference: 'refund-2' });
+
+      expect(first.refundId).not.toBe(second.refundId);
+      await expect(provider.refund({ transactionId, amount: 0.01, reference: 'refund-3' })).rejects.toThrow();
+    });
+
+    test('should reject operations on unknown transactions', async () => {
+      await expect(provider.capture({ transactionId: 'unknown' })).rejects.toThrow();
+    });
+  });
+
+  describe('verifyWebhook', () => {
+    test('should accept a payload signed with the shared secret', () => {
+      const payload = JSON.stringify({ id: 'evt_1' });
+
+      expect(provider.verifyWebhook(payload, provider.signWebhook(payload))).toBe(true);
+    });
+
+    test('should reject a tampered payload or a missing signature', () => {
+      const signature = provider.signWebhook(JSON.stringify({ id: 'evt_1' }));
+
+      expect(provider.verifyWebhook(JSON.stringify({ id: 'evt_2' }), signature)).toBe(false);
+      expect(provider.verifyWebhook(JSON.stringify({ id: 'evt_1' }))).toBe(false);
+    });
+  });
+
+  describe('parseWebhookEvent', () => {
+    test('should normalize the event', () => {
+      const event = { id: 'evt_1', type: 'payment.captured', data: { transactionId: 'mock_txn_1', amount: 20 } };
+
+      expect(provider.parseWebhookEvent(event)).toEqual({
+        eventId: 'evt_1',
+        type: 'payment.captured',
+        transactionId: 'mock_txn_1',
+        amount: 20,
+      });
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const realtimeService = require('../../../src/services/realtime.service');
+
+describe('Realtime service', () => {
+  const client = { id: 'client-1', role: 'client' };
+  const merchant = { id: 'merchant-1', role: 'merchant' };
+  const livreur = { id: 'livreur-1', role: 'livreur' };
+
+  describe('canReceive', () => {
+    test('should authorize each event type through the role rights', () => {
+      expect(realtimeService.canReceive(client, 'order.status')).toBe(true);
+      expect(realtimeService.canReceive(client, 'livreur.location')).toBe(true);
+      expect(realtimeService.canReceive(client, 'order.created')).toBe(false);
+      expect(realtimeService.canReceive(merchant, 'order.created')).toBe(true);
+      expect(realtimeService.canReceive(merchant, 'dispatch.offer')).toBe(false);
+      expect(realtimeService.canReceive(livreur, 'dispatch.offer')).toBe(true);
+    });
+
+    test('should reject unknown roles and event types', () => {
+      expect(realtimeService.canReceive({ role: 'unknown' }, 'order.status')).toBe(false);
+      expect(realtimeService.canReceive(client, 'unknown.event')).toBe(false);
+    });
+  });
+
+  describe('subscribe', () => {
+    test('should deliver only the events the subscriber is allowed to receive', () => {
+      const listener = jest.fn();
+      const channel = realtimeService.orderChannel('order-1');
+      const unsubscribe = realtimeService.subscribe(client, [channel], listener);
+
+      realtimeService.publishOrderStatus({ id: 'order-1', status: 'accepted' });
+      realtimeService.publish(channel, 'dispatch.offer', { offerId: 'offer-1' });
+      unsubscribe();
+      realtimeService.publishOrderStatus({ id: 'order-1', status: 'in_progress' });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0]).toMatchObject({
+        type: 'order.status',
+        data: { orderId: 'order-1', status: 'accepted' },
+      });
+    });
+
+    test('should only deliver events published on the subscribed channels', () => {
+      const listener = jest.fn();
+      const unsubscribe = realtimeService.subscribe(merchant, [realtimeService.userChannel('merchant-1')], listener);
+
+      realtimeService.publishNewOrder({
+        id: 'order-1',
+        merchant: 'merchant-2',
+        status: 'pending',
+        totalPrice: 10,
+        products: [],
+      });
+      realtimeService.publishNewOrder({
+        id: 'order-2',
+        merchant: 'merchant-1',
+        status: 'pending',
+        totalPrice: 25,
+        products: [{}],
+      });
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].data).toMatchObject({ orderId: 'order-2', totalPrice: 25, items: 1 });
+    });
+  });
+
+  describe('formatServerSentEvent', () => {
+    test('should serialize an event with its id, type and JSON data', () => {
+      expect(realtimeService.formatServerSentEvent({ id: 3, type: 'order.status', data: { status: 'accepted' } })).toBe(
+        'id: 3\nevent: order.status\ndata: {"status":"accepted"}\n\n'
+      );
+    });
+  });
+});
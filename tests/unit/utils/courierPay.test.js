@@ -0,0 +1,54 @@
+const { isPeakTime, computeCourierPay } = require('../../../src/utils/courierPay');
+
+describe('Courier pay', () => {
+  const rates = {
+    baseFee: 2.5,
+    perKmRate: 0.8,
+    waitGraceMinutes: 5,
+    waitRatePerMinute: 0.15,
+    peakBonus: 1.5,
+    peakHours: [
+      [11, 14],
+      [19, 22],
+    ],
+    timezone: 'Europe/Paris',
+  };
+  // 10:00 UTC = 12:00 à Paris (heure d'été), 08:00 UTC = 10:00 à Paris
+  const peak = new Date('2026-07-01T10:00:00Z');
+  const offPeak = new Date('2026-07-01T08:00:00Z');
+
+  describe('isPeakTime', () => {
+    test('should evaluate peak hours in the configured time zone', () => {
+      expect(isPeakTime(peak, rates.peakHours, rates.timezone)).toBe(true);
+      expect(isPeakTime(offPeak, rates.peakHours, rates.timezone)).toBe(false);
+    });
+
+    test('should exclude the end hour of a range', () => {
+      expect(isPeakTime(new Date('2026-07-01T12:00:00Z'), rates.peakHours, rates.timezone)).toBe(false);
+    });
+  });
+
+  describe('computeCourierPay', () => {
+    test('should add the per-km rate to the base fee', () => {
+      const pay = computeCourierPay({ distance: 3.2, deliveredAt: offPeak }, rates);
+
+      expect(pay).toEqual({ baseFee: 2.5, distanceFee: 2.56, waitBonus: 0, peakBonus: 0, total: 5.06 });
+    });
+
+    test('should only compensate the wait beyond the grace period', () => {
+      expect(computeCourierPay({ waitTime: 4, deliveredAt: offPeak }, rates).waitBonus).toBe(0);
+      expect(computeCourierPay({ waitTime: 15, deliveredAt: offPeak }, rates).waitBonus).toBe(1.5);
+    });
+
+    test('should add the peak bonus during peak hours', () => {
+      const pay = computeCourierPay({ distance: 0, deliveredAt: peak }, rates);
+
+      expect(pay.peakBonus).toBe(1.5);
+      expect(pay.total).toBe(4);
+    });
+
+    test('should pay the base fee when the distance is unknown', () => {
+      expect(computeCourierPay({ distance: null, deliveredAt: offPeak }, rates).total).toBe(2.5);
+    });
+  });
+});
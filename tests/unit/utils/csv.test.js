@@ -0,0 +1,56 @@
+const { parseRecords, parseCsv, formatCsvLine } = require('../../../src/utils/csv');
+
+describe('CSV utils', () => {
+  describe('parseRecords', () => {
+    test('should handle quoted fields, doubled quotes and line breaks inside quotes', () => {
+      const records = parseRecords('sku,name\r\nA1,"Café ""moulu"", 250 g"\r\n\r\nA2,"Thé\nvert"\nA3,Sucre');
+
+      expect(records).toEqual([
+        { line: 1, values: ['sku', 'name'] },
+        { line: 2, values: ['A1', 'Café "moulu", 250 g'] },
+        { line: 4, values: ['A2', 'Thé\nvert'] },
+        { line: 6, values: ['A3', 'Sucre'] },
+      ]);
+    });
+
+    test('should detect the semicolon separator and skip the byte order mark', () => {
+      expect(parseRecords('\uFEFFsku;price\nA1;6,5')).toEqual([
+        { line: 1, values: ['sku', 'price'] },
+        { line: 2, values: ['A1', '6,5'] },
+      ]);
+    });
+
+    test('should reject an unterminated quote', () => {
+      expect(() => parseRecords('sku,name\nA1,"Café')).toThrow('ligne 2');
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('should map rows on the header and omit empty cells', () => {
+      const { columns, rows } = parseCsv(' sku , name ,price\nA1, Café ,\nA2,Thé,4,extra');
+
+      expect(columns).toEqual(['sku', 'name', 'price']);
+      expect(rows).toEqual([
+        { line: 2, data: { sku: 'A1', name: 'Café' } },
+        { line: 3, data: { sku: 'A2', name: 'Thé', price: '4' } },
+      ]);
+    });
+  });
+
+  describe('formatCsvLine', () => {
+    test('should quote only the cells that need it and round-trip through the parser', () => {
+      const values = ['A1', 'Café "moulu", 250 g', 6.5, null, 'Thé\nvert', true];
+      const line = formatCsvLine(values);
+
+      expect(line).toBe('A1,"Café ""moulu"", 250 g",6.5,,"Thé\nvert",true\r\n');
+      expect(parseRecords(line, { delimiter: ',' })[0].values).toEqual([
+        'A1',
+        'Café "moulu", 250 g',
+        '6.5',
+        '',
+        'Thé\nvert',
+        'true',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const {
+  generatePin,
+  generatePickupCode,
+  matchesPickupCode,
+  parseImageDataUri,
+} = require('../../../src/utils/deliveryProof');
+
+describe('Delivery proof utils', () => {
+  describe('generatePin', () => {
+    test('should return a 4-digit code', () => {
+      for (let i = 0; i < 50; i += 1) {
+        expect(generatePin()).toMatch(/^\d{4}$/);
+      }
+    });
+  });
+
+  describe('pickup code', () => {
+    test('should generate 6 unambiguous characters', () => {
+      for (let i = 0; i < 50; i += 1) {
+        expect(generatePickupCode()).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+      }
+    });
+
+    test('should match regardless of case and spaces', () => {
+      expect(matchesPickupCode('ab3 k7q', 'AB3K7Q')).toBe(true);
+      expect(matchesPickupCode('AB3K7R', 'AB3K7Q')).toBe(false);
+      expect(matchesPickupCode('', undefined)).toBe(false);
+    });
+  });
+
+  describe('parseImageDataUri', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+    test('should decode a base64 image', () => {
+      const image = parseImageDataUri(`data:image/png;base64,${png.toString('base64')}`);
+
+      expect(image.contentType).toBe('image/png');
+      expect(image.size).toBe(4);
+      expect(image.data.equals(png)).toBe(true);
+    });
+
+    test('should reject other content types and malformed values', () => {
+      expect(parseImageDataUri(`data:application/pdf;base64,${png.toString('base64')}`)).toBeNull();
+      expect(parseImageDataUri('data:image/png,not-base64')).toBeNull();
+      expect(parseImageDataUri(undefined)).toBeNull();
+    });
+  });
+});
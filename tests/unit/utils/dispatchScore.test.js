@@ -0,0 +1,62 @@
+const { scoreCandidate, rankCandidates } = require('../../../src/utils/dispatchScore');
+
+describe('Dispatch scoring', () => {
+  const limits = { maxDistanceKm: 8, maxActiveDeliveries: 2 };
+
+  describe('scoreCandidate', () => {
+    test('should exclude livreurs that are too far or already fully loaded', () => {
+      expect(scoreCandidate({ distance: 9, activeDeliveries: 0 }, limits)).toBeNull();
+      expect(scoreCandidate({ distance: 1, activeDeliveries: 2 }, limits)).toBeNull();
+    });
+
+    test('should favour closer livreurs', () => {
+      const near = scoreCandidate({ distance: 1 }, limits);
+      const far = scoreCandidate({ distance: 6 }, limits);
+
+      expect(near).toBeGreaterThan(far);
+    });
+
+    test('should penalise livreurs with deliveries in progress', () => {
+      const idle = scoreCandidate({ distance: 2, activeDeliveries: 0 }, limits);
+      const busy = scoreCandidate({ distance: 2, activeDeliveries: 1 }, limits);
+
+      expect(idle).toBeGreaterThan(busy);
+    });
+
+    test('should reward fast and experienced livreurs', () => {
+      const newcomer = scoreCandidate({ distance: 2 }, limits);
+      const veteran = scoreCandidate(
+        { distance: 2, performance: { deliveriesCompleted: 80, averageDeliveryTime: 20 } },
+        limits
+      );
+
+      expect(veteran).toBeGreaterThan(newcomer);
+    });
+
+    test('should give a perfect score to an idle, fast and experienced livreur at the pickup', () => {
+      const score = scoreCandidate(
+        { distance: 0, activeDeliveries: 0, performance: { deliveriesCompleted: 50, averageDeliveryTime: 30 } },
+        limits
+      );
+
+      expect(score).toBe(1);
+    });
+  });
+
+  describe('rankCandidates', () => {
+    test('should drop ineligible candidates and sort by score then distance', () => {
+      const ranked = rankCandidates(
+        [
+          { id: 'far', distance: 7 },
+          { id: 'excluded', distance: 20 },
+          { id: 'near', distance: 0.5 },
+          { id: 'busy', distance: 0.5, activeDeliveries: 1 },
+        ],
+        limits
+      );
+
+      expect(ranked.map((candidate) => candidate.id)).toEqual(['near', 'busy', 'far']);
+      expect(ranked[0].score).toEqual(expect.any(Number));
+    });
+  });
+});
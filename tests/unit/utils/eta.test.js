@@ -0,0 +1,64 @@
+const { getSpeedKmh, getHistoryFactor, estimateEta } = require('../../../src/utils/eta');
+
+describe('ETA utils', () => {
+  const options = {
+    speedKmh: 20,
+    peakSpeedKmh: 12,
+    peakHours: [[11, 14]],
+    timezone: 'UTC',
+    assignmentMinutes: 8,
+    referenceDeliveryMinutes: 30,
+    historyWeight: 0.5,
+  };
+  const offPeak = new Date('2026-03-02T09:00:00Z');
+  const peak = new Date('2026-03-02T12:00:00Z');
+
+  describe('getSpeedKmh', () => {
+    test('should use the peak speed during peak hours only', () => {
+      expect(getSpeedKmh(offPeak, options)).toBe(20);
+      expect(getSpeedKmh(peak, options)).toBe(12);
+    });
+  });
+
+  describe('getHistoryFactor', () => {
+    test('should be neutral without history', () => {
+      expect(getHistoryFactor(undefined, options)).toBe(1);
+      expect(getHistoryFactor({ deliveriesCompleted: 0, averageDeliveryTime: 60 }, options)).toBe(1);
+    });
+
+    test('should weight the ratio to the reference delivery time', () => {
+      expect(getHistoryFactor({ deliveriesCompleted: 10, averageDeliveryTime: 45 }, options)).toBeCloseTo(1.25);
+      expect(getHistoryFactor({ deliveriesCompleted: 10, averageDeliveryTime: 15 }, options)).toBeCloseTo(0.75);
+    });
+
+    test('should bound the ratio between 0.5 and 2', () => {
+      expect(getHistoryFactor({ deliveriesCompleted: 3, averageDeliveryTime: 300 }, options)).toBeCloseTo(1.5);
+      expect(getHistoryFactor({ deliveriesCompleted: 3, averageDeliveryTime: 1 }, options)).toBeCloseTo(0.75);
+    });
+  });
+
+  describe('estimateEta', () => {
+    test('should use the assignment allowance while no livreur is assigned', () => {
+      const eta = estimateEta({ now: offPeak, preparationMinutes: 15, toPickupKm: null, toDropoffKm: 5 }, options);
+
+      expect(eta.breakdown).toEqual({ preparation: 15, toPickup: 8, toDropoff: 15 });
+      expect(eta.minutes).toBe(30);
+      expect(eta.estimatedAt).toEqual(new Date('2026-03-02T09:30:00Z'));
+    });
+
+    test('should wait for the longest of preparation and travel to the pickup', () => {
+      const eta = estimateEta({ now: offPeak, preparationMinutes: 2, toPickupKm: 2, toDropoffKm: 5 }, options);
+
+      expect(eta.breakdown.toPickup).toBe(6);
+      expect(eta.minutes).toBe(21);
+    });
+
+    test('should slow down travel during peak hours and for slower livreurs', () => {
+      const performance = { deliveriesCompleted: 10, averageDeliveryTime: 45 };
+      const eta = estimateEta({ now: peak, preparationMinutes: 0, toPickupKm: 1, toDropoffKm: 4, performance }, options);
+
+      expect(eta.breakdown).toEqual({ preparation: 0, toPickup: 6.3, toDropoff: 25 });
+      expect(eta.minutes).toBe(31.3);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { toPoint, toLatLng, getDistanceKm, near, withinRadius } = require('../../../src/utils/geo');
+
+describe('Geo utils', () => {
+  const paris = { latitude: 48.8566, longitude: 2.3522 };
+  const lyon = { latitude: 45.764, longitude: 4.8357 };
+
+  describe('toPoint / toLatLng', () => {
+    test('should convert coordinates to a GeoJSON point in [longitude, latitude] order', () => {
+      expect(toPoint(paris)).toEqual({ type: 'Point', coordinates: [2.3522, 48.8566] });
+    });
+
+    test('should return GeoJSON points and empty values unchanged', () => {
+      const point = { type: 'Point', coordinates: [2.3522, 48.8566] };
+      expect(toPoint(point)).toBe(point);
+      expect(toPoint(undefined)).toBeUndefined();
+    });
+
+    test('should convert a GeoJSON point back to coordinates', () => {
+      expect(toLatLng(toPoint(paris))).toEqual(paris);
+      expect(toLatLng(paris)).toBe(paris);
+    });
+  });
+
+  describe('getDistanceKm', () => {
+    test('should accept coordinates and GeoJSON points alike', () => {
+      const distance = getDistanceKm(paris, lyon);
+      expect(distance).toBeGreaterThan(390);
+      expect(distance).toBeLessThan(395);
+      expect(getDistanceKm(toPoint(paris), toPoint(lyon))).toBeCloseTo(distance, 6);
+      expect(getDistanceKm(toPoint(paris), lyon)).toBeCloseTo(distance, 6);
+    });
+
+    test('should return 0 for the same point', () => {
+      expect(getDistanceKm(paris, toPoint(paris))).toBe(0);
+    });
+  });
+
+  describe('near', () => {
+    test('should build a $near condition with the radius in metres', () => {
+      expect(near(paris, 2.5)).toEqual({
+        $near: { $geometry: { type: 'Point', coordinates: [2.3522, 48.8566] }, $maxDistance: 2500 },
+      });
+    });
+
+    test('should omit $maxDistance when no radius is given', () => {
+      expect(near(paris)).toEqual({ $near: { $geometry: { type: 'Point', coordinates: [2.3522, 48.8566] } } });
+    });
+  });
+
+  describe('withinRadius', () => {
+    test('should build a $geoWithin condition with the radius in radians', () => {
+      const condition = withinRadius(paris, 6.371);
+
+      expect(condition.$geoWithin.$centerSphere[0]).toEqual([2.3522, 48.8566]);
+      expect(condition.$geoWithin.$centerSphere[1]).toBeCloseTo(0.001, 10);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  getAvailability,
+  isOpenAt,
+  getDeliverySlots,
+} = require('../../../src/utils/openingHours');
+
+describe('Opening hours utils', () => {
+  // Lundi à samedi 09:00-19:00, vendredi et samedi soir 20:00-01:00, heure de Paris
+  const schedule = {
+    timezone: 'Europe/Paris',
+    openingHours: [
+      ...[1, 2, 3, 4, 5, 6].map((day) => ({ day, open: '09:00', close: '19:00' })),
+      { day: 5, open: '20:00', close: '01:00' },
+      { day: 6, open: '20:00', close: '01:00' },
+    ],
+    closures: [],
+  };
+
+  describe('zonedTimeToUtc', () => {
+    test('should convert a local time across daylight saving changes', () => {
+      expect(zonedTimeToUtc({ year: 2024, month: 1, day: 15 }, 9 * 60, 'Europe/Paris').toISOString()).toBe(
+        '2024-01-15T08:00:00.000Z'
+      );
+      expect(zonedTimeToUtc({ year: 2024, month: 7, day: 15 }, 9 * 60, 'Europe/Paris').toISOString()).toBe(
+        '2024-07-15T07:00:00.000Z'
+      );
+      expect(zonedTimeToUtc({ year: 2024, month: 7, day: 15 }, 9 * 60, 'America/New_York').toISOString()).toBe(
+        '2024-07-15T13:00:00.000Z'
+      );
+    });
+  });
+
+  describe('getAvailability', () => {
+    test('should be open within a weekly slot and tell when it closes', () => {
+      // Mercredi 10 janvier 2024, 10:00 à Paris
+      const availability = getAvailability(schedule, new Date('2024-01-10T09:00:00Z'));
+
+      expect(availability).toMatchObject({ isOpen: true, reason: null, nextOpeningAt: null });
+      expect(availability.closesAt.toISOString()).toBe('2024-01-10T18:00:00.000Z');
+    });
+
+    test('should give the next opening outside opening hours', () => {
+      // Dimanche 14 janvier 2024, 12:00 à Paris : réouverture lundi 09:00
+      const availability = getAvailability(schedule, new Date('2024-01-14T11:00:00Z'));
+
+      expect(availability).toMatchObject({ isOpen: false, reason: 'outside_hours' });
+      expect(availability.nextOpeningAt.toISOString()).toBe('2024-01-15T08:00:00.000Z');
+    });
+
+    test('should handle slots ending after midnight', () => {
+      // Nuit du samedi au dimanche, 00:30 à Paris
+      expect(isOpenAt(schedule, new Date('2024-01-13T23:30:00Z'))).toBe(true);
+      expect(isOpenAt(schedule, new Date('2024-01-14T00:30:00Z'))).toBe(false);
+    });
+
+    test('should skip exceptional closures', () => {
+      const closed = {
+        ...schedule,
+        closures: [{ from: new Date('2024-01-09T23:00:00Z'), to: new Date('2024-01-11T23:00:00Z') }],
+      };
+
+      const availability = getAvailability(closed, new Date('2024-01-10T09:00:00Z'));
+
+      expect(availability).toMatchObject({ isOpen: false, reason: 'closure' });
+      expect(availability.nextOpeningAt.toISOString()).toBe('2024-01-12T08:00:00.000Z');
+    });
+
+    test('should be closed without next opening while orders are paused', () => {
+      expect(getAvailability({ ...schedule, ordersPaused: true }, new Date('2024-01-10T09:00:00Z'))).toEqual({
+        isOpen: false,
+        reason: 'paused',
+        closesAt: null,
+        nextOpeningAt: null,
+      });
+    });
+
+    test('should consider a merchant without opening hours always open', () => {
+      expect(getAvailability({ timezone: 'Europe/Paris' }, new Date('2024-01-14T11:00:00Z'))).toMatchObject({
+        isOpen: true,
+        closesAt: null,
+      });
+    });
+  });
+
+  describe('getDeliverySlots', () => {
+    test('should cut opening periods into aligned slots from the earliest start', () => {
+      // Samedi 13 janvier 2024 : 18:10 à Paris, fermeture à 19:00 puis réouverture à 20:00
+      const slots = getDeliverySlots(schedule, {
+        from: new Date('2024-01-13T17:10:00Z'),
+        to: new Date('2024-01-13T19:30:00Z'),
+        slotMinutes: 30,
+      });
+
+      expect(slots.map((slot) => slot.start.toISOString())).toEqual([
+        '2024-01-13T17:30:00.000Z',
+        '2024-01-13T19:00:00.000Z',
+        '2024-01-13T19:30:00.000Z',
+      ]);
+      expect(slots[0].end.toISOString()).toBe('2024-01-13T18:00:00.000Z');
+    });
+
+    test('should skip exceptional closures', () => {
+      const closed = {
+        ...schedule,
+        closures: [{ from: new Date('2024-01-13T19:00:00Z'), to: new Date('2024-01-14T01:00:00Z') }],
+      };
+
+      expect(
+        getDeliverySlots(closed, {
+          from: new Date('2024-01-13T17:10:00Z'),
+          to: new Date('2024-01-13T23:00:00Z'),
+          slotMinutes: 30,
+        })
+      ).toHaveLength(1);
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    test('should accept IANA time zones only', () => {
+      expect(isValidTimeZone('Europe/Paris')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    });
+  });
+});
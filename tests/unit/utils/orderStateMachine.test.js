@@ -0,0 +1,90 @@
+const httpStatus = require('http-status');
+const {
+  getAllowedTransitions,
+  canTransition,
+  canRoleTransition,
+  assertTransition,
+} = require('../../../src/utils/orderStateMachine');
+
+const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+};
+
+describe('Order state machine', () => {
+  describe('canTransition', () => {
+    test('should follow pending -> accepted -> in_progress -> picked_up -> completed', () => {
+      expect(canTransition('pending', 'accepted')).toBe(true);
+      expect(canTransition('accepted', 'in_progress')).toBe(true);
+      expect(canTransition('in_progress', 'picked_up')).toBe(true);
+      expect(canTransition('picked_up', 'completed')).toBe(true);
+    });
+
+    test('should go through picked_up once the livreur has the order', () => {
+      expect(canTransition('in_progress', 'completed')).toBe(false);
+      expect(canRoleTransition('in_progress', 'picked_up', 'merchant')).toBe(false);
+      expect(canRoleTransition('picked_up', 'cancelled', 'livreur')).toBe(false);
+    });
+
+    test('should only release a scheduled order to pending or cancel it', () => {
+      expect(getAllowedTransitions('scheduled')).toEqual(['pending', 'cancelled']);
+      expect(canRoleTransition('scheduled', 'pending', 'merchant')).toBe(false);
+      expect(canRoleTransition('scheduled', 'cancelled', 'client')).toBe(true);
+    });
+
+    test('should not allow leaving a terminal status', () => {
+      expect(getAllowedTransitions('cancelled')).toEqual([]);
+      expect(getAllowedTransitions('completed')).toEqual([]);
+      expect(canTransition('cancelled', 'pending')).toBe(false);
+    });
+
+    test('should not allow skipping or going back', () => {
+      expect(canTransition('pending', 'completed')).toBe(false);
+      expect(canTransition('in_progress', 'pending')).toBe(false);
+    });
+  });
+
+  describe('canRoleTransition', () => {
+    test('should only let the merchant or an admin accept an order', () => {
+      expect(canRoleTransition('pending', 'accepted', 'merchant')).toBe(true);
+      expect(canRoleTransition('pending', 'accepted', 'client')).toBe(false);
+    });
+
+    test('should leave in_progress to the courier taking the delivery', () => {
+      expect(canRoleTransition('accepted', 'in_progress', 'livreur')).toBe(true);
+      expect(canRoleTransition('accepted', 'in_progress', 'merchant')).toBe(false);
+    });
+
+    test('should let a client cancel only a pending order', () => {
+      expect(canRoleTransition('pending', 'cancelled', 'client')).toBe(true);
+      expect(canRoleTransition('accepted', 'cancelled', 'client')).toBe(false);
+    });
+  });
+
+  describe('assertTransition', () => {
+    test('should throw a 409 ORDER_INVALID_TRANSITION error for an invalid transition', () => {
+      const error = catchError(() => assertTransition('cancelled', 'pending', 'admin'));
+      expect(error.statusCode).toBe(httpStatus.CONFLICT);
+      expect(error.errorCode).toBe('ORDER_INVALID_TRANSITION');
+    });
+
+    test('should throw a 403 ORDER_TRANSITION_FORBIDDEN error when the role may not fire the transition', () => {
+      const error = catchError(() => assertTransition('pending', 'accepted', 'livreur'));
+      expect(error.statusCode).toBe(httpStatus.FORBIDDEN);
+      expect(error.errorCode).toBe('ORDER_TRANSITION_FORBIDDEN');
+    });
+
+    test('should throw a 400 ORDER_INVALID_STATUS error for an unknown status', () => {
+      const error = catchError(() => assertTransition('pending', 'shipped', 'admin'));
+      expect(error.statusCode).toBe(httpStatus.BAD_REQUEST);
+      expect(error.errorCode).toBe('ORDER_INVALID_STATUS');
+    });
+
+    test('should not throw for an allowed transition', () => {
+      expect(() => assertTransition('accepted', 'in_progress', 'livreur')).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const {
+  getPromotionRejection,
+  assertPromotionApplicable,
+  priceLines,
+  getAddressRegions,
+} = require('../../../src/utils/pricing');
+
+const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('Pricing engine', () => {
+  const merchantId = mongoose.Types.ObjectId();
+  const otherMerchantId = mongoose.Types.ObjectId();
+  const userId = mongoose.Types.ObjectId();
+  const productA = mongoose.Types.ObjectId();
+  const productB = mongoose.Types.ObjectId();
+
+  let lines;
+  let promotion;
+
+  beforeEach(() => {
+    lines = [
+      { productId: productA, quantity: 2, price: 10, merchant: merchantId },
+      { productId: productB, quantity: 1, price: 5.5, merchant: merchantId },
+    ];
+    promotion = {
+      merchant: merchantId,
+      discountType: 'percentage',
+      discountValue: 10,
+      isActive: true,
+      usageLimit: 10,
+      usedCount: 0,
+      redemptionHistory: [],
+      applicableRegions: [],
+      applicableProducts: [],
+    };
+  });
+
+  describe('priceLines', () => {
+    test('should return the subtotal as total when there is no promotion', () => {
+      const pricing = priceLines(lines);
+
+      expect(pricing).toMatchObject({ subtotal: 25.5, discount: 0, total: 25.5 });
+      expect(pricing.lines[0]).toMatchObject({ subtotal: 20, discount: 0, total: 20 });
+    });
+
+    test('should apply a percentage discount and split it across the lines', () => {
+      const pricing = priceLines(lines, promotion);
+
+      expect(pricing).toMatchObject({ subtotal: 25.5, discount: 2.55, total: 22.95 });
+      expect(pricing.lines.map((line) => line.discount)).toEqual([2, 0.55]);
+    });
+
+    test('should apply a fixed discount instead of treating it as a percentage', () => {
+      promotion.discountType = 'fixed';
+      promotion.discountValue = 3;
+
+      expect(priceLines(lines, promotion)).toMatchObject({ discount: 3, total: 22.5 });
+    });
+
+    test('should cap the discount with maxDiscount', () => {
+      promotion.discountValue = 50;
+      promotion.maxDiscount = 4;
+
+      expect(priceLines(lines, promotion)).toMatchObject({ discount: 4, total: 21.5 });
+    });
+
+    test('should never discount more than the eligible subtotal', () => {
+      promotion.discountType = 'fixed';
+      promotion.discountValue = 100;
+
+      expect(priceLines(lines, promotion)).toMatchObject({ discount: 25.5, total: 0 });
+    });
+
+    test('should only discount applicable products', () => {
+      promotion.applicableProducts = [productB];
+
+      const pricing = priceLines(lines, promotion);
+
+      expect(pricing.discount).toBe(0.55);
+      expect(pricing.lines.map((line) => line.discount)).toEqual([0, 0.55]);
+    });
+
+    test('should keep the sum of line discounts equal to the total discount', () => {
+      lines = [1, 2, 3].map(() => ({
+        productId: mongoose.Types.ObjectId(),
+        quantity: 1,
+        price: 3.33,
+        merchant: merchantId,
+      }));
+      promotion.discountType = 'fixed';
+      promotion.discountValue = 1;
+
+      const pricing = priceLines(lines, promotion);
+      const sum = pricing.lines.reduce((acc, line) => acc + Math.round(line.discount * 100), 0);
+
+      expect(sum).toBe(100);
+    });
+  });
+
+  describe('getPromotionRejection', () => {
+    test('should return null when the promotion applies', () => {
+      expect(getPromotionRejection(promotion, { lines, userId })).toBeNull();
+    });
+
+    test('should reject an expired promotion', () => {
+      promotion.expirationDate = new Date(Date.now() - 1000);
+
+      expect(getPromotionRejection(promotion, { lines, userId })).toBe('PROMOTION_EXPIRED');
+    });
+
+    test('should reject a promotion that reached its usage limit', () => {
+      promotion.usedCount = 10;
+
+      expect(getPromotionRejection(promotion, { lines, userId })).toBe('PROMOTION_USAGE_LIMIT_REACHED');
+    });
+
+    test('should reject a promotion already used by the user as many times as allowed', () => {
+      promotion.usageLimitPerUser = 1;
+      promotion.redemptionHistory = [{ userId }];
+
+      expect(getPromotionRejection(promotion, { lines, userId })).toBe('PROMOTION_USER_LIMIT_REACHED');
+    });
+
+    test('should reject a promotion from another merchant', () => {
+      promotion.merchant = otherMerchantId;
+
+      expect(getPromotionRejection(promotion, { lines, userId })).toBe('PROMOTION_WRONG_MERCHANT');
+    });
+
+    test('should reject a promotion outside its regions', () => {
+      promotion.applicableRegions = ['Lyon'];
+
+      expect(getPromotionRejection(promotion, { lines, userId, regions: ['Paris'] })).toBe('PROMOTION_REGION_MISMATCH');
+      expect(getPromotionRejection(promotion, { lines, userId, regions: ['lyon'] })).toBeNull();
+    });
+
+    test('should reject a promotion with no applicable product in the basket', () => {
+      promotion.applicableProducts = [mongoose.Types.ObjectId()];
+
+      expect(getPromotionRejection(promotion, { lines, userId })).toBe('PROMOTION_NO_APPLICABLE_PRODUCTS');
+    });
+
+    test('should reject a basket below the minimum value', () => {
+      promotion.minBasketValue = 30;
+
+      expect(getPromotionRejection(promotion, { lines, userId })).toBe('PROMOTION_MIN_BASKET_NOT_REACHED');
+    });
+  });
+
+  describe('assertPromotionApplicable', () => {
+    test('should throw a 400 with the rejection code', () => {
+      promotion.isActive = false;
+
+      const error = catchError(() => assertPromotionApplicable(promotion, { lines, userId }));
+
+      expect(error).toMatchObject({ statusCode: httpStatus.BAD_REQUEST, errorCode: 'PROMOTION_INACTIVE' });
+    });
+  });
+
+  describe('getAddressRegions', () => {
+    test('should return the city, postal code and country of the address', () => {
+      expect(getAddressRegions({ street: '1 rue', city: 'Paris', postalCode: '75001', country: 'France' })).toEqual([
+        'Paris',
+        '75001',
+        'France',
+      ]);
+      expect(getAddressRegions()).toEqual([]);
+    });
+  });
+});